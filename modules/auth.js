@@ -0,0 +1,403 @@
+// modules/auth.js - Pluggable authentication (API keys, HMAC-signed JWTs) and role checks
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+// Admins can do everything uploaders can, plus operate the server
+const ROLES = ['uploader', 'admin'];
+
+// User IDs become the first segment of object keys, so keep them path-safe
+const USER_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.@-]{0,127}$/;
+
+// IDs whose prefix holds other users' objects (the first segment of PRIVATE_PREFIX)
+const RESERVED_USER_IDS = new Set(config.auth.reservedUserIds);
+
+/**
+ * Thrown when credentials are present but invalid (bad key, bad signature, expired token)
+ */
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Check that a user ID is safe to use as an object key prefix
+ * @param {string} userId - User ID
+ * @returns {boolean} - True if the ID can be used as a key prefix and is not reserved
+ */
+function isValidUserId(userId) {
+  return typeof userId === 'string' && USER_ID_PATTERN.test(userId) && !RESERVED_USER_IDS.has(userId);
+}
+
+/**
+ * Build an identity, rejecting user IDs and roles the server cannot use
+ * @param {string} userId - Authenticated user ID
+ * @param {string} role - One of ROLES
+ * @param {string} method - How the identity was established (e.g. "api-key")
+ * @returns {Object} - { userId, role, method }
+ * @throws {AuthError} - If the user ID or role is not acceptable
+ */
+function createIdentity(userId, role, method) {
+  if (!isValidUserId(userId)) {
+    throw new AuthError('Credential is bound to an invalid user ID');
+  }
+  if (!ROLES.includes(role)) {
+    throw new AuthError(`Credential has an unknown role "${role}"`);
+  }
+  return { userId, role, method };
+}
+
+/**
+ * @param {Object} identity - Authenticated identity
+ * @param {string} role - Required role
+ * @returns {boolean} - True if the identity holds the role (admins hold every role)
+ */
+function hasRole(identity, role) {
+  return Boolean(identity) && (identity.role === 'admin' || identity.role === role);
+}
+
+/**
+ * Compare two secrets without leaking where they differ
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Pull the bearer token or API key out of a request
+ * @param {Object} req - Express request
+ * @returns {Object} - { bearer, apiKey } (either may be null)
+ */
+function readCredentials(req) {
+  const header = req.get('Authorization') || '';
+  const match = /^(Bearer|ApiKey)\s+(\S+)$/i.exec(header.trim());
+  return {
+    bearer: match && match[1].toLowerCase() === 'bearer' ? match[2] : null,
+    apiKey: req.get('X-API-Key') || (match && match[1].toLowerCase() === 'apikey' ? match[2] : null)
+  };
+}
+
+/**
+ * Authenticator interface.
+ *
+ * `authenticate` resolves to an identity `{ userId, role, method }` when the
+ * request carries credentials this authenticator understands, to null when
+ * it carries none, and rejects with an AuthError when they are invalid.
+ */
+class Authenticator {
+  /**
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} - Identity or null
+   */
+  async authenticate(req) {
+    throw new Error(`${this.constructor.name}.authenticate not implemented`);
+  }
+}
+
+/**
+ * Static API keys, each bound to one user ID and role
+ */
+class ApiKeyAuthenticator extends Authenticator {
+  /**
+   * @param {Array} apiKeys - Array of { key, userId, role }
+   */
+  constructor(apiKeys) {
+    super();
+    this.apiKeys = apiKeys;
+  }
+
+  async authenticate(req) {
+    const { bearer, apiKey } = readCredentials(req);
+    // Bearer tokens that look like JWTs are left to JwtAuthenticator
+    const candidate = apiKey || (bearer && bearer.split('.').length !== 3 ? bearer : null);
+    if (!candidate) {
+      return null;
+    }
+    // Check every key so the time taken does not reveal which one matched
+    let found = null;
+    for (const entry of this.apiKeys) {
+      if (safeEqual(entry.key, candidate) && !found) {
+        found = entry;
+      }
+    }
+    if (!found) {
+      throw new AuthError('Invalid API key');
+    }
+    // keyId tells keys apart (e.g. for rate limits) without exposing them
+    return {
+      ...createIdentity(found.userId, found.role, 'api-key'),
+      keyId: crypto.createHash('sha256').update(found.key).digest('hex').slice(0, 16)
+    };
+  }
+}
+
+/**
+ * HS256-signed JWTs: `sub` is the user ID and `role` the role (default uploader)
+ */
+class JwtAuthenticator extends Authenticator {
+  /**
+   * @param {Object} options - { secret, issuer, audience, clockTolerance (seconds) }
+   */
+  constructor({ secret, issuer, audience, clockTolerance = 30 }) {
+    super();
+    this.secret = secret;
+    this.issuer = issuer;
+    this.audience = audience;
+    this.clockTolerance = clockTolerance;
+  }
+
+  /**
+   * Verify a compact JWT and return its claims
+   * @param {string} token - Compact JWT
+   * @returns {Object} - Verified claims
+   * @throws {AuthError} - If the token is malformed, forged, expired or not for us
+   */
+  verify(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw new AuthError('Malformed token');
+    }
+    const [encodedHeader, encodedPayload, signature] = segments;
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AuthError('Malformed token');
+    }
+    if (header.alg !== 'HS256') {
+      throw new AuthError(`Unsupported token algorithm "${header.alg}"`);
+    }
+
+    const expected = crypto.createHmac('sha256', this.secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest('base64url');
+    if (!safeEqual(expected, signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now > claims.exp + this.clockTolerance) {
+      throw new AuthError('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && now + this.clockTolerance < claims.nbf) {
+      throw new AuthError('Token is not valid yet');
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw new AuthError('Token issuer is not accepted');
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.audience)) {
+        throw new AuthError('Token audience is not accepted');
+      }
+    }
+    return claims;
+  }
+
+  async authenticate(req) {
+    const { bearer } = readCredentials(req);
+    if (!bearer || bearer.split('.').length !== 3) {
+      return null;
+    }
+    const claims = this.verify(bearer);
+    return createIdentity(String(claims.sub || ''), claims.role || 'uploader', 'jwt');
+  }
+}
+
+/**
+ * Accept users already signed in by a host application's session middleware
+ * (see routes/upload.js); does nothing when there is no `req.session`
+ */
+class SessionAuthenticator extends Authenticator {
+  async authenticate(req) {
+    const user = req.session && req.session.user;
+    if (!user) {
+      return null;
+    }
+    return createIdentity(String(user.id), user.role || 'uploader', 'session');
+  }
+}
+
+/**
+ * Try several authenticators in order; the first one that recognizes the credentials wins
+ */
+class ChainAuthenticator extends Authenticator {
+  /**
+   * @param {Array} authenticators - Authenticator instances
+   * @param {Object} options - { allowAnonymous: treat requests without credentials as guest uploads }
+   */
+  constructor(authenticators, { allowAnonymous = false } = {}) {
+    super();
+    this.authenticators = authenticators;
+    this.allowAnonymous = allowAnonymous;
+  }
+
+  async authenticate(req) {
+    for (const authenticator of this.authenticators) {
+      const identity = await authenticator.authenticate(req);
+      if (identity) {
+        return identity;
+      }
+    }
+    return this.allowAnonymous ? createIdentity('guest', 'uploader', 'anonymous') : null;
+  }
+}
+
+/**
+ * Create the authenticator described by the `auth` configuration.
+ *   - provider: path to a module exporting an Authenticator subclass, an
+ *     instance, or a function (req) => identity; it is tried first
+ *   - apiKeys: array of { key, userId, role }
+ *   - jwt: { secret, issuer, audience } for HS256 tokens
+ * @param {Object} options - { provider, apiKeys, jwt, allowAnonymous }
+ * @returns {Authenticator} - Authenticator instance
+ */
+function createAuthenticator({ provider, apiKeys = [], jwt = {}, allowAnonymous = false } = {}) {
+  const authenticators = [];
+
+  if (provider) {
+    const custom = require(path.resolve(provider));
+    if (custom instanceof Authenticator) {
+      authenticators.push(custom);
+    } else if (typeof custom === 'function' && custom.prototype instanceof Authenticator) {
+      authenticators.push(new custom());
+    } else if (typeof custom === 'function') {
+      authenticators.push({ authenticate: async req => custom(req) });
+    } else {
+      authenticators.push(custom);
+    }
+  }
+  if (apiKeys.length > 0) {
+    authenticators.push(new ApiKeyAuthenticator(apiKeys));
+  }
+  if (jwt.secret) {
+    authenticators.push(new JwtAuthenticator(jwt));
+  }
+  authenticators.push(new SessionAuthenticator());
+
+  return new ChainAuthenticator(authenticators, { allowAnonymous });
+}
+
+/**
+ * Express middleware that authenticates the request and enforces a role;
+ * the identity is available as `req.user` afterwards
+ * @param {Authenticator} authenticator - Authenticator from createAuthenticator()
+ * @param {string} role - Required role (default uploader)
+ * @returns {Function} - Express middleware
+ */
+function requireRole(authenticator, role = 'uploader') {
+  return async (req, res, next) => {
+    let identity;
+    try {
+      identity = await authenticator.authenticate(req);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        return next(error);
+      }
+      return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({
+        success: false,
+        error: error.message,
+        code: 'AUTH_INVALID'
+      });
+    }
+
+    if (!identity) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    if (!hasRole(identity, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `This action requires the ${role} role`,
+        code: 'FORBIDDEN'
+      });
+    }
+
+    req.user = identity;
+    next();
+  };
+}
+
+/**
+ * Work out whose prefix a request may write to. Uploaders always get their
+ * own ID; admins may act on behalf of another user by naming them.
+ * @param {Object} identity - Authenticated identity
+ * @param {string} requestedUserId - User ID named in the request, if any
+ * @returns {string} - User ID to use
+ * @throws {AuthError} - If an uploader names someone else or the ID is unsafe
+ */
+function resolveUserId(identity, requestedUserId) {
+  if (!requestedUserId || requestedUserId === identity.userId) {
+    return identity.userId;
+  }
+  if (identity.role !== 'admin') {
+    throw new AuthError(`Not allowed to act for user "${requestedUserId}"`);
+  }
+  if (!isValidUserId(requestedUserId)) {
+    throw new AuthError(`Invalid user ID "${requestedUserId}"`);
+  }
+  return requestedUserId;
+}
+
+/**
+ * @param {Object} identity - Authenticated identity
+ * @param {string} userId - Owner of the resource
+ * @returns {boolean} - True if the identity may access resources owned by userId
+ */
+function canAccessUser(identity, userId) {
+  return Boolean(identity) && (identity.role === 'admin' || identity.userId === userId);
+}
+
+/**
+ * Issue an HS256 JWT, e.g. from a host application's login flow
+ * @param {Object} claims - Claims such as { sub, role }
+ * @param {string} secret - Shared signing secret
+ * @param {Object} options - { expiresIn (seconds, default 1 hour), issuer, audience }
+ * @returns {string} - Compact JWT
+ */
+function signToken(claims, secret, { expiresIn = 3600, issuer, audience } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, exp: now + expiresIn, ...claims };
+  if (issuer) {
+    payload.iss = issuer;
+  }
+  if (audience) {
+    payload.aud = audience;
+  }
+  const encodedHeader = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest('base64url');
+  return `${encodedHeader}.${encodedPayload}.${signature}`;
+}
+
+module.exports = {
+  ROLES,
+  AuthError,
+  Authenticator,
+  ApiKeyAuthenticator,
+  JwtAuthenticator,
+  SessionAuthenticator,
+  ChainAuthenticator,
+  createAuthenticator,
+  requireRole,
+  resolveUserId,
+  canAccessUser,
+  hasRole,
+  isValidUserId,
+  signToken
+};
@@ -1,259 +1,259 @@
-// modules/b2Upload.js - B2 Upload Module for base44.com integration
-const multer = require('multer');
+// modules/b2Upload.js - Transfers to B2: bounded, retrying and abort-safe uploads through a storage driver
 const fs = require('fs');
-const path = require('path');
-const { S3Client, PutObjectCommand, HeadObjectCommand, CompleteMultipartUploadCommand, CreateMultipartUploadCommand, UploadPartCommand } = require('@aws-sdk/client-s3');
 
-// Configure S3 client for Backblaze B2
-const s3Client = new S3Client({
-  region: process.env.B2_REGION || 'us-east-005',
-  endpoint: process.env.B2_ENDPOINT || 'https://s3.us-east-005.backblazeb2.com',
-  forcePathStyle: true,
-  credentials: {
-    accessKeyId: process.env.B2_ACCESS_KEY || '005b37c1a06d8720000000003',
-    secretAccessKey: process.env.B2_SECRET_KEY || 'K005bgQ4iRKPrjaqphNadA7p5fulKnQ',
-  },
-});
+// Base delay of withRetry in ms, doubled on every attempt
+const RETRY_DELAY = 500;
 
-const BUCKET_NAME = process.env.B2_BUCKET || 'ISTARTX';
+/**
+ * Whether a failed B2 request is worth retrying
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean} - False for client errors that will fail again
+ */
+function isRetryableError(error) {
+  const status = error.$metadata?.httpStatusCode;
+  if (!status) {
+    return true; // Network errors, timeouts, resets
+  }
+  return status >= 500 || status === 408 || status === 429;
+}
 
-// Configure multer for temporary file storage
-const upload = multer({ 
-  dest: path.join(__dirname, '../tmp/uploads/'),
-  limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB limit
-    files: 20 // Max 20 files
+/**
+ * Run an async operation, retrying with exponential backoff and jitter
+ * @param {Function} operation - Function returning a promise
+ * @param {Object} options - { retries, retryDelay, label }
+ * @returns {Promise<*>} - Result of the operation
+ */
+async function withRetry(operation, { retries = 3, retryDelay = RETRY_DELAY, label = 'B2 request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = retryDelay * 2 ** attempt + Math.floor(Math.random() * retryDelay);
+      console.log(`🔁 ${label} failed (${error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
   }
-});
+}
 
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../tmp/uploads/');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+/**
+ * Create a limiter that runs at most `max` async tasks at a time
+ * @param {number} max - Maximum number of concurrent tasks
+ * @returns {Function} - run(task) returning the task's promise
+ */
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) {
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
 }
 
 /**
- * Upload files to B2 storage with parallel processing
- * @param {string} userId - User ID for folder organization
- * @param {Array} files - Array of file objects from multer
- * @returns {Promise<Array>} - Array of upload results
+ * Create the transfer helpers for a storage driver
+ * @param {Object} options - { storage, partSize, concurrency, retries } where the last three are
+ *   uploadFileToB2's defaults (see config.b2Transfer); each can be overridden per call
+ * @returns {Object} - { uploadFileToB2, createMultipartUpload, uploadPart, completeMultipartUpload, abortMultipartUpload, createLimiter }
  */
-async function uploadFilesToB2(userId, files) {
-  const results = [];
-  const errors = [];
-  
-  // Process files in parallel for better performance
-  const uploadPromises = files.map(async (file) => {
-    try {
-      // Parse filename components
-      const originalFilename = file.originalname;
-      const fileInfo = path.parse(originalFilename);
-      const basename = fileInfo.name;
-      const extension = fileInfo.ext;
-      
-      let b2Filename = originalFilename;
-      let suffix = 1;
-      
-      // Check if file exists and add suffix if needed
-      while (true) {
-        const b2Key = `${userId}/${b2Filename}`;
-        
+function createB2Transfer({ storage, partSize = 5 * 1024 * 1024, concurrency = 4, retries = 3 }) {
+  const defaults = { partSize, concurrency, retries, retryDelay: RETRY_DELAY };
+
+  /**
+   * Upload a file to B2 storage from a local file path.
+   * Files larger than one part use a multipart upload with bounded concurrency,
+   * per-part retries, and an abort on failure so no orphaned parts remain.
+   * @param {string} filePath - Path to the local file
+   * @param {string} bucketName - B2 bucket name
+   * @param {string} key - B2 object key (path in bucket)
+   * @param {string} contentType - File content type
+   * @param {Object} options - { partSize, concurrency, retries, retryDelay, metadata, onProgress(uploadedBytes, totalBytes) }
+   * @returns {Promise<Object>} - Upload result
+   */
+  async function uploadFileToB2(filePath, bucketName, key, contentType = 'application/octet-stream', options = {}) {
+    const { concurrency, retries, retryDelay, metadata, onProgress } = { ...defaults, ...options };
+    const fileSize = fs.statSync(filePath).size;
+    // Never go below the S3 minimum or above the 10,000 part limit
+    const partSize = Math.max(options.partSize || defaults.partSize, 5 * 1024 * 1024, Math.ceil(fileSize / 10000));
+    let uploadedBytes = 0;
+
+    const reportProgress = (bytes) => {
+      uploadedBytes += bytes;
+      if (onProgress) {
         try {
-          await s3Client.send(new HeadObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: b2Key,
-          }));
-          
-          // File exists, add suffix
-          b2Filename = `${basename}_${suffix}${extension}`;
-          suffix++;
-        } catch (error) {
-          // File doesn't exist, we can use this filename
-          if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
-            break;
-          }
-          break;
+          onProgress(uploadedBytes, fileSize);
+        } catch (callbackError) {
+          console.error('Progress callback error:', callbackError);
         }
       }
+    };
 
-      // Read file data asynchronously
-      const fileData = await fs.promises.readFile(file.path);
-      const finalKey = `${userId}/${b2Filename}`;
+    console.log(`📤 Starting B2 upload for ${key}`);
 
-      // Upload to B2
-      const uploadCommand = new PutObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: finalKey,
-        Body: fileData,
-        ContentType: file.mimetype || 'application/octet-stream',
-      });
+    if (fileSize <= partSize) { // Small files go up in a single request
+      const fileData = await fs.promises.readFile(filePath);
 
-      await s3Client.send(uploadCommand);
+      const result = await withRetry(() => storage.withBucket(bucketName).putObject(key, fileData, {
+        contentType: contentType,
+        metadata: metadata
+      }), { retries, retryDelay, label: `Upload of ${key}` });
 
-      // Build CDN URL
-      const cdnUrl = `${process.env.CDN_BASE_URL || 'https://cdn.istartx.io'}/${finalKey}`;
+      reportProgress(fileSize);
+      console.log(`✅ B2 upload complete for ${key}`);
 
       return {
         success: true,
-        originalFileName: originalFilename,
-        finalFileName: b2Filename,
-        cdnUrl: cdnUrl,
-        b2Key: finalKey,
-        fileSize: file.size,
-        mimeType: file.mimetype,
-        filePath: file.path // For cleanup
+        key,
+        etag: result.etag
       };
+    }
 
+    const fileHandle = await fs.promises.open(filePath, 'r');
+    let uploadId;
+    try {
+      uploadId = await createMultipartUpload(bucketName, key, contentType, metadata);
     } catch (error) {
-      return {
-        success: false,
-        fileName: file.originalname,
-        error: error.message,
-        filePath: file.path // For cleanup
-      };
+      await fileHandle.close();
+      throw error;
     }
-  });
+    const partCount = Math.ceil(fileSize / partSize);
+    const runLimited = createLimiter(concurrency);
 
-  // Wait for all uploads to complete
-  const uploadResults = await Promise.all(uploadPromises);
-  
-  // Separate results and errors
-  uploadResults.forEach(result => {
-    if (result.success) {
-      results.push(result);
-    } else {
-      errors.push(result);
-    }
-  });
+    console.log(`🧩 Starting multipart upload for ${key} with ${partCount} parts (${concurrency} concurrent)`);
 
-  // Clean up temp files in parallel
-  const cleanupPromises = uploadResults.map(async (result) => {
     try {
-      if (result.filePath && await fs.promises.access(result.filePath).then(() => true).catch(() => false)) {
-        await fs.promises.unlink(result.filePath);
-      }
-    } catch (cleanupError) {
-      console.error(`Error cleaning up temp file ${result.filePath}:`, cleanupError);
-    }
-  });
-  
-  await Promise.all(cleanupPromises);
-  
-  return { results, errors };
-}
+      // Each part is read from disk when its slot opens, so memory stays at concurrency × partSize.
+      // After the first failure no new parts start, and all running ones settle before the abort.
+      let failure = null;
+      const settled = await Promise.allSettled(Array.from({ length: partCount }, (_, i) => runLimited(async () => {
+        if (failure) {
+          return null;
+        }
+        try {
+          const start = i * partSize;
+          const length = Math.min(partSize, fileSize - start);
+          const partBuffer = Buffer.alloc(length);
+          await fileHandle.read(partBuffer, 0, length, start);
 
-/**
- * Upload a file to B2 storage from a local file path
- * @param {string} filePath - Path to the local file
- * @param {string} bucketName - B2 bucket name
- * @param {string} key - B2 object key (path in bucket)
- * @param {string} contentType - File content type
- * @returns {Promise<Object>} - Upload result
- */
-async function uploadFileToB2(filePath, bucketName, key, contentType = 'application/octet-stream') {
-  try {
-    console.log(`📤 Starting B2 upload for ${key}`);
-    const fileSize = fs.statSync(filePath).size;
-    
-    if (fileSize <= 5 * 1024 * 1024) { // For files smaller than 5MB, use single upload
-      const fileData = await fs.promises.readFile(filePath);
-      
-      const uploadCommand = new PutObjectCommand({
-        Bucket: bucketName,
-        Key: key,
-        Body: fileData,
-        ContentType: contentType,
-      });
+          const part = await uploadPart(bucketName, key, uploadId, i + 1, partBuffer, { retries, retryDelay });
+          reportProgress(length);
+          console.log(`✅ Part ${i + 1}/${partCount} uploaded for ${key}`);
+          return part;
+        } catch (error) {
+          failure = failure || error;
+          throw error;
+        }
+      })));
 
-      const result = await s3Client.send(uploadCommand);
-      console.log(`✅ B2 upload complete for ${key}`);
-      
-      return {
-        success: true,
-        key,
-        etag: result.ETag
-      };
-    } else {
-      // For larger files, use multipart upload
-      const fileStream = fs.createReadStream(filePath);
-      const partSize = 5 * 1024 * 1024; // 5MB part size
-      
-      // Create multipart upload
-      const multipartParams = {
-        Bucket: bucketName,
-        Key: key,
-        ContentType: contentType
-      };
-      
-      const createResponse = await s3Client.send(new CreateMultipartUploadCommand(multipartParams));
-      const uploadId = createResponse.UploadId;
-      
-      // Read file in chunks and upload parts
-      const fileBuffer = await fs.promises.readFile(filePath);
-      const partCount = Math.ceil(fileSize / partSize);
-      const uploadPromises = [];
-      const uploadedParts = [];
-      
-      console.log(`🧩 Starting multipart upload for ${key} with ${partCount} parts`);
-      
-      for (let i = 0; i < partCount; i++) {
-        const start = i * partSize;
-        const end = Math.min(start + partSize, fileSize);
-        const partBuffer = fileBuffer.slice(start, end);
-        
-        const uploadPartParams = {
-          Bucket: bucketName,
-          Key: key,
-          UploadId: uploadId,
-          PartNumber: i + 1,
-          Body: partBuffer
-        };
-        
-        // Upload part and store promise
-        uploadPromises.push(
-          s3Client.send(new UploadPartCommand(uploadPartParams))
-            .then(response => {
-              uploadedParts.push({
-                PartNumber: i + 1,
-                ETag: response.ETag
-              });
-              console.log(`✅ Part ${i+1}/${partCount} uploaded for ${key}`);
-            })
-        );
+      if (failure) {
+        throw failure;
       }
-      
-      // Wait for all parts to upload
-      await Promise.all(uploadPromises);
-      
-      // Complete multipart upload
-      const completeParams = {
-        Bucket: bucketName,
-        Key: key,
-        UploadId: uploadId,
-        MultipartUpload: {
-          Parts: uploadedParts.sort((a, b) => a.PartNumber - b.PartNumber)
-        }
-      };
-      
-      const completeResponse = await s3Client.send(new CompleteMultipartUploadCommand(completeParams));
+      const uploadedParts = settled.map(result => result.value);
+
+      const result = await completeMultipartUpload(bucketName, key, uploadId, uploadedParts);
       console.log(`✅ Multipart upload complete for ${key}`);
-      
-      return {
-        success: true,
-        key,
-        etag: completeResponse.ETag
-      };
+      return result;
+    } catch (error) {
+      console.error(`❌ B2 upload error for ${key}, aborting multipart upload:`, error.message);
+      try {
+        await abortMultipartUpload(bucketName, key, uploadId);
+      } catch (abortError) {
+        console.error(`❌ Failed to abort multipart upload ${uploadId} for ${key}:`, abortError.message);
+      }
+      throw error;
+    } finally {
+      await fileHandle.close();
     }
-  } catch (error) {
-    console.error(`❌ B2 upload error for ${key}:`, error);
-    throw error;
   }
+
+  /**
+   * Open a multipart upload on B2
+   * @param {string} bucketName - B2 bucket name
+   * @param {string} key - B2 object key
+   * @param {string} contentType - File content type
+   * @param {Object} metadata - Object user metadata (e.g. from objectMetadata)
+   * @returns {Promise<string>} - Multipart upload ID
+   */
+  async function createMultipartUpload(bucketName, key, contentType = 'application/octet-stream', metadata) {
+    return storage.withBucket(bucketName).createMultipartUpload(key, { contentType, metadata });
+  }
+
+  /**
+   * Upload one part of an open multipart upload, retrying transient failures
+   * @param {string} bucketName - B2 bucket name
+   * @param {string} key - B2 object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} body - Part data
+   * @param {Object} retryOptions - { retries, retryDelay }
+   * @returns {Promise<Object>} - { PartNumber, ETag }
+   */
+  async function uploadPart(bucketName, key, uploadId, partNumber, body, retryOptions = {}) {
+    return withRetry(
+      () => storage.withBucket(bucketName).uploadPart(key, uploadId, partNumber, body),
+      { retries: defaults.retries, retryDelay: defaults.retryDelay, ...retryOptions, label: `Part ${partNumber} of ${key}` }
+    );
+  }
+
+  /**
+   * Complete a multipart upload from its uploaded parts
+   * @param {string} bucketName - B2 bucket name
+   * @param {string} key - B2 object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Array} parts - Array of { PartNumber, ETag }
+   * @returns {Promise<Object>} - Upload result
+   */
+  async function completeMultipartUpload(bucketName, key, uploadId, parts) {
+    const response = await storage.withBucket(bucketName).completeMultipartUpload(key, uploadId, parts);
+    return {
+      success: true,
+      key,
+      etag: response.etag
+    };
+  }
+
+  /**
+   * Abort a multipart upload so its parts do not linger in the bucket
+   * @param {string} bucketName - B2 bucket name
+   * @param {string} key - B2 object key
+   * @param {string} uploadId - Multipart upload ID
+   * @returns {Promise<void>}
+   */
+  async function abortMultipartUpload(bucketName, key, uploadId) {
+    await storage.withBucket(bucketName).abortMultipartUpload(key, uploadId);
+  }
+
+  return {
+    uploadFileToB2,
+    createMultipartUpload,
+    uploadPart,
+    completeMultipartUpload,
+    abortMultipartUpload,
+    createLimiter
+  };
 }
 
 module.exports = {
-  upload: upload.array('files', 20), // Middleware for handling file uploads
-  uploadFilesToB2,
-  uploadFileToB2,
-  s3Client,
-  BUCKET_NAME
-};
\ No newline at end of file
+  createB2Transfer,
+  createLimiter,
+  withRetry,
+  isRetryableError
+};
@@ -0,0 +1,164 @@
+// modules/chunkIntegrity.js - Checksum and completeness checks for chunked uploads
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// Missing chunk indexes listed in a response; the rest are only counted
+const MAX_LISTED_CHUNKS = 1000;
+
+/**
+ * Normalize a client-supplied SHA-256 hex digest
+ * @param {string} value - Digest from a header or form field
+ * @returns {string|null} - Lowercase digest, or null if absent
+ * @throws {Error} - If the value is present but not a SHA-256 hex digest
+ */
+function normalizeSha256(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const digest = String(value).trim().toLowerCase();
+  if (!SHA256_PATTERN.test(digest)) {
+    throw new Error('Checksum must be a 64-character hex SHA-256 digest');
+  }
+  return digest;
+}
+
+/**
+ * Compute the SHA-256 digest of a file without loading it into memory
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const data of fs.createReadStream(filePath)) {
+    hash.update(data);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Size a chunk must have given the layout declared at /upload/init
+ * @param {Object} uploadInfo - Upload session
+ * @param {number} chunkIndex - Index of the chunk
+ * @returns {number|null} - Expected size, or null if no layout was declared
+ */
+function expectedChunkSize(uploadInfo, chunkIndex) {
+  if (!uploadInfo.chunkSize || !uploadInfo.totalChunks) {
+    return null;
+  }
+  if (chunkIndex === uploadInfo.totalChunks - 1) {
+    return uploadInfo.fileSize - uploadInfo.chunkSize * (uploadInfo.totalChunks - 1);
+  }
+  return uploadInfo.chunkSize;
+}
+
+/**
+ * Number of chunks a session can have: the declared count, or one per
+ * chunkSize bytes; without a layout every chunk holds at least one byte
+ * @param {Object} uploadInfo - Upload session
+ * @returns {number} - Chunk indexes run from 0 to this number (exclusive)
+ */
+function chunkLimit(uploadInfo) {
+  if (uploadInfo.totalChunks) {
+    return uploadInfo.totalChunks;
+  }
+  if (uploadInfo.chunkSize) {
+    return Math.ceil(uploadInfo.fileSize / uploadInfo.chunkSize);
+  }
+  return uploadInfo.fileSize;
+}
+
+/**
+ * Validate a single incoming chunk against the declared layout
+ * @param {Object} uploadInfo - Upload session
+ * @param {number} chunkIndex - Index of the chunk
+ * @param {number} size - Size of the received chunk
+ * @returns {string|null} - Error message, or null if the chunk fits
+ */
+function checkChunkLayout(uploadInfo, chunkIndex, size) {
+  const limit = chunkLimit(uploadInfo);
+  if (chunkIndex >= limit) {
+    return `Chunk index ${chunkIndex} is out of range (${uploadInfo.totalChunks ? 'totalChunks' : 'at most'}: ${limit})`;
+  }
+  const expectedSize = expectedChunkSize(uploadInfo, chunkIndex);
+  if (expectedSize !== null && size !== expectedSize) {
+    return `Chunk ${chunkIndex} has ${size} bytes, expected ${expectedSize}`;
+  }
+  return null;
+}
+
+/**
+ * Work out which chunks are missing or do not match the declared layout.
+ * Only the received chunks are walked, so a stray high index costs nothing;
+ * at most MAX_LISTED_CHUNKS missing indexes are listed, all of them counted.
+ * @param {Object} uploadInfo - Upload session
+ * @param {Object} options - { requireFiles: false when chunks were already forwarded to B2 }
+ * @returns {Object} - { expectedChunks, missingChunks, missingCount, mismatchedChunks, receivedBytes }
+ */
+function findIncompleteChunks(uploadInfo, { requireFiles = true } = {}) {
+  // Without a declared layout, every index up to the highest received one must be present
+  const receivedIndexes = Array.from(uploadInfo.chunks.keys()).sort((a, b) => a - b);
+  const highestIndex = receivedIndexes.length > 0 ? receivedIndexes[receivedIndexes.length - 1] : -1;
+  const expectedChunks = uploadInfo.totalChunks || highestIndex + 1;
+
+  const missingChunks = [];
+  const mismatchedChunks = [];
+  let presentChunks = 0;
+  let receivedBytes = 0;
+  const listMissing = (from, to) => {
+    for (let i = from; i < to && missingChunks.length < MAX_LISTED_CHUNKS; i++) {
+      missingChunks.push(i);
+    }
+  };
+
+  let nextIndex = 0;
+  for (const i of receivedIndexes.filter(index => index < expectedChunks)) {
+    listMissing(nextIndex, i);
+    nextIndex = i + 1;
+    const chunkInfo = uploadInfo.chunks.get(i);
+    if (requireFiles && !fs.existsSync(chunkInfo.path)) {
+      listMissing(i, i + 1);
+      continue;
+    }
+    presentChunks++;
+    receivedBytes += chunkInfo.size;
+
+    const expectedSize = expectedChunkSize(uploadInfo, i);
+    if (expectedSize !== null && chunkInfo.size !== expectedSize) {
+      mismatchedChunks.push({ chunkIndex: i, reason: 'size', expected: expectedSize, actual: chunkInfo.size });
+    }
+  }
+  listMissing(nextIndex, expectedChunks);
+
+  return { expectedChunks, missingChunks, missingCount: expectedChunks - presentChunks, mismatchedChunks, receivedBytes };
+}
+
+/**
+ * Collapse sorted chunk indexes into inclusive ranges: [0, 1, 2, 5] → [[0, 2], [5, 5]]
+ * @param {Array} indexes - Chunk indexes, ascending
+ * @returns {Array} - [first, last] pairs
+ */
+function toRanges(indexes) {
+  const ranges = [];
+  for (const index of indexes) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === index - 1) {
+      last[1] = index;
+    } else {
+      ranges.push([index, index]);
+    }
+  }
+  return ranges;
+}
+
+module.exports = {
+  MAX_LISTED_CHUNKS,
+  normalizeSha256,
+  hashFile,
+  expectedChunkSize,
+  chunkLimit,
+  checkChunkLayout,
+  findIncompleteChunks,
+  toRanges
+};
@@ -0,0 +1,486 @@
+// modules/config.js - Central configuration loaded from the environment (and .env)
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env'), quiet: true });
+
+const KB = 1024;
+const MB = 1024 * KB;
+const GB = 1024 * MB;
+const SIZE_UNITS = { B: 1, KB, MB, GB };
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Events a webhook subscription can receive
+const WEBHOOK_EVENTS = ['upload.completed', 'upload.failed', 'session.expired', 'file.deleted'];
+
+// Identities rate limits can apply to: the API key, the user and the client IP
+const RATE_LIMIT_SCOPES = ['key', 'user', 'ip'];
+
+// Formats an image variant can be written in (see modules/imageProcessing.js)
+const IMAGE_VARIANT_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'tiff'];
+
+/**
+ * Thrown when the environment does not describe a usable configuration
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Build the configuration from an environment, collecting every problem
+ * instead of stopping at the first one
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Frozen configuration object
+ * @throws {ConfigError} - If any setting is missing or malformed
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+
+  const readString = (name, defaultValue) => {
+    const value = env[name];
+    return value === undefined || value === '' ? defaultValue : value;
+  };
+
+  const readInt = (name, defaultValue, { min = 0 } = {}) => {
+    const raw = readString(name);
+    if (raw === undefined) {
+      return defaultValue;
+    }
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+      problems.push(`${name} must be an integer >= ${min} (got "${raw}")`);
+      return defaultValue;
+    }
+    return value;
+  };
+
+  const readChoice = (name, choices, defaultValue) => {
+    const value = readString(name, defaultValue);
+    if (!choices.includes(value)) {
+      problems.push(`${name} must be one of ${choices.join(', ')} (got "${value}")`);
+      return defaultValue;
+    }
+    return value;
+  };
+
+  const readList = (name, defaultValue) => {
+    const raw = readString(name);
+    return raw === undefined ? defaultValue : raw.split(',').map(item => item.trim()).filter(Boolean);
+  };
+
+  const readBoolean = (name, defaultValue) => {
+    const raw = readString(name);
+    if (raw === undefined) {
+      return defaultValue;
+    }
+    if (!['true', 'false', '1', '0'].includes(raw.toLowerCase())) {
+      problems.push(`${name} must be true or false (got "${raw}")`);
+      return defaultValue;
+    }
+    return raw.toLowerCase() === 'true' || raw === '1';
+  };
+
+  // Sizes are plain byte counts or numbers with a KB/MB/GB suffix
+  const parseSize = (name, raw) => {
+    const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(raw.trim());
+    if (!match) {
+      problems.push(`${name} has an invalid size "${raw}" (use e.g. 500KB, 20MB, 2GB)`);
+      return null;
+    }
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+  };
+
+  const readSize = (name, defaultValue) => {
+    const raw = readString(name);
+    if (raw === undefined) {
+      return defaultValue;
+    }
+    const size = parseSize(name, raw);
+    return size === null ? defaultValue : size;
+  };
+
+  // Quota limits per role; unset means unlimited
+  const readRoleLimits = role => {
+    const prefix = `QUOTA_${role.toUpperCase()}`;
+    return {
+      maxBytes: readSize(`${prefix}_STORAGE`, null),
+      maxFileSize: readSize(`${prefix}_MAX_FILE_SIZE`, null),
+      filesPerDay: readInt(`${prefix}_FILES_PER_DAY`, null)
+    };
+  };
+
+  // FILE_MAX_SIZE_BY_TYPE is a comma-separated list of type=size entries, e.g. image/*=20MB
+  const readSizeRules = name => {
+    return readList(name, []).map(entry => {
+      const [pattern, size] = entry.split('=');
+      if (!pattern || !size) {
+        problems.push(`${name} entries must look like type=size (got "${entry}")`);
+        return null;
+      }
+      const maxSize = parseSize(name, size);
+      return maxSize === null ? null : { pattern: pattern.trim(), maxSize };
+    }).filter(Boolean);
+  };
+
+  // RATE_LIMIT_BY names the identities each client is limited by
+  const readRateLimitScopes = name => {
+    const scopes = readList(name, RATE_LIMIT_SCOPES);
+    for (const scope of scopes) {
+      if (!RATE_LIMIT_SCOPES.includes(scope)) {
+        problems.push(`${name} entries must be one of ${RATE_LIMIT_SCOPES.join(', ')} (got "${scope}")`);
+      }
+    }
+    return scopes.filter(scope => RATE_LIMIT_SCOPES.includes(scope));
+  };
+
+  // IMAGE_VARIANTS is a comma-separated list of name:size[:format] entries, where size is
+  // WIDTHxHEIGHT, WIDTH, xHEIGHT or "original"; without a format the original's is kept
+  const readImageVariants = (name, defaultValue) => {
+    return readList(name, defaultValue).map(entry => {
+      const [variantName, size, format] = entry.split(':');
+      const dimensions = /^(\d*)(?:x(\d*))?$/.exec(size || '');
+      if (!variantName || !/^[a-z0-9-]+$/i.test(variantName) || (size !== 'original' && !(dimensions && (dimensions[1] || dimensions[2])))) {
+        problems.push(`${name} entries must look like name:WIDTHxHEIGHT[:format] (got "${entry}")`);
+        return null;
+      }
+      if (format && !IMAGE_VARIANT_FORMATS.includes(format)) {
+        problems.push(`${name} format must be one of ${IMAGE_VARIANT_FORMATS.join(', ')} (got "${format}")`);
+        return null;
+      }
+      return {
+        name: variantName,
+        width: size === 'original' ? null : parseInt(dimensions[1], 10) || null,
+        height: size === 'original' ? null : parseInt(dimensions[2], 10) || null,
+        format: format || null
+      };
+    }).filter(Boolean);
+  };
+
+  // Extensions are compared lowercase with a leading dot
+  const readExtensions = (name, defaultValue) => {
+    return readList(name, defaultValue).map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+  };
+
+  // API_KEYS is a comma-separated list of key:userId[:role] entries
+  const readApiKeys = name => {
+    return readList(name, []).map(entry => {
+      const [key, userId, role = 'uploader'] = entry.split(':');
+      if (!key || !userId || !['uploader', 'admin'].includes(role)) {
+        problems.push(`${name} entries must look like key:userId[:uploader|admin] (got "${entry.slice(0, 4)}…")`);
+        return null;
+      }
+      if (key.length < 16) {
+        problems.push(`${name} key for "${userId}" must be at least 16 characters`);
+      }
+      return { key, userId, role };
+    }).filter(Boolean);
+  };
+
+  // WEBHOOKS is a comma-separated list of url[|event|event...] entries; no events means all
+  const readWebhooks = name => {
+    return readList(name, []).map(entry => {
+      const [url, ...events] = entry.split('|').map(part => part.trim());
+      try {
+        new URL(url);
+      } catch (error) {
+        problems.push(`${name} entries must start with an absolute URL (got "${url}")`);
+        return null;
+      }
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        problems.push(`${name} has unknown events ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')})`);
+      }
+      return { url, events: events.length > 0 ? events : WEBHOOK_EVENTS };
+    }).filter(Boolean);
+  };
+
+  const readUrl = (name, defaultValue) => {
+    const value = readString(name, defaultValue);
+    try {
+      new URL(value);
+    } catch (error) {
+      problems.push(`${name} must be an absolute URL (got "${value}")`);
+    }
+    return value.replace(/\/+$/, '');
+  };
+
+  const nodeEnv = readString('NODE_ENV', 'development');
+  const isProduction = nodeEnv === 'production';
+  const port = readInt('PORT', 3000, { min: 1 });
+  const uploadsDir = path.resolve(readString('UPLOADS_DIR', path.join(__dirname, '../uploads')));
+
+  const storageDriver = readChoice('STORAGE_DRIVER', ['s3', 'local'], 's3');
+  // The standard AWS_* names (as set by `fly secrets`) are accepted as fallbacks
+  const accessKeyId = readString('B2_ACCESS_KEY', readString('AWS_ACCESS_KEY_ID'));
+  const secretAccessKey = readString('B2_SECRET_KEY', readString('AWS_SECRET_ACCESS_KEY'));
+
+  if (storageDriver === 's3' && (!accessKeyId || !secretAccessKey)) {
+    if (isProduction) {
+      problems.push('B2_ACCESS_KEY and B2_SECRET_KEY are required in production');
+    } else {
+      console.warn('⚠️ B2_ACCESS_KEY / B2_SECRET_KEY not set; B2 requests will fail until they are configured');
+    }
+  }
+
+  const apiKeys = readApiKeys('API_KEYS');
+  const jwtSecret = readString('JWT_SECRET');
+  const authProvider = readString('AUTH_PROVIDER');
+  const allowAnonymous = readBoolean('AUTH_ALLOW_ANONYMOUS', false);
+
+  if (jwtSecret && jwtSecret.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters');
+  }
+  if (apiKeys.length === 0 && !jwtSecret && !authProvider && !allowAnonymous) {
+    console.warn('⚠️ No API_KEYS, JWT_SECRET or AUTH_PROVIDER configured; every upload and admin request will be rejected');
+  }
+  if (allowAnonymous && isProduction) {
+    console.warn('⚠️ AUTH_ALLOW_ANONYMOUS is enabled in production; unauthenticated requests upload as "guest"');
+  }
+
+  // Streamed parts and direct uploads reach the bucket without passing a scanner
+  const chunkedUploadMode = readChoice('CHUNKED_UPLOAD_MODE', ['assemble', 'stream'], 'assemble');
+  const malwareScanner = readString('MALWARE_SCANNER', 'off');
+  if (malwareScanner !== 'off' && chunkedUploadMode === 'stream') {
+    problems.push('CHUNKED_UPLOAD_MODE=stream cannot be combined with MALWARE_SCANNER (streamed files are stored before they can be scanned)');
+  }
+  // Parts reach the bucket out of order, so a streamed file never gets the SHA-256 deduplication matches on
+  const dedupScope = readChoice('DEDUP_SCOPE', ['off', 'user', 'global'], 'off');
+  if (dedupScope !== 'off' && chunkedUploadMode === 'stream') {
+    problems.push('CHUNKED_UPLOAD_MODE=stream cannot be combined with DEDUP_SCOPE (streamed files are stored without a SHA-256 to match)');
+  }
+
+  // Private files live under their own prefix, in the main bucket or a separate private one
+  const cdnBaseUrl = readUrl('CDN_BASE_URL', 'https://cdn.istartx.io');
+  const privatePrefix = readString('PRIVATE_PREFIX', 'private/');
+  if (!/^[^/].*\/$/.test(privatePrefix)) {
+    problems.push(`PRIVATE_PREFIX must end with "/" and not start with one (got "${privatePrefix}")`);
+  }
+  // Public files are stored under "<userId>/", so a user named after the prefix's first segment would see everyone's private files
+  const reservedUserIds = [privatePrefix.split('/')[0]];
+  for (const { userId } of apiKeys.filter(entry => reservedUserIds.includes(entry.userId))) {
+    problems.push(`API_KEYS user ID "${userId}" is reserved by PRIVATE_PREFIX`);
+  }
+  if (allowAnonymous && reservedUserIds.includes('guest')) {
+    problems.push('PRIVATE_PREFIX must not start with "guest/" while AUTH_ALLOW_ANONYMOUS is enabled');
+  }
+  const downloadLinkMode = readChoice('DOWNLOAD_LINK_MODE', ['presigned', 'cdn-token'], 'presigned');
+  const cdnTokenSecret = readString('CDN_TOKEN_SECRET');
+  if (downloadLinkMode === 'cdn-token' && (!cdnTokenSecret || cdnTokenSecret.length < 32)) {
+    problems.push('CDN_TOKEN_SECRET of at least 32 characters is required when DOWNLOAD_LINK_MODE=cdn-token');
+  }
+  const maxLinkTtl = readInt('DOWNLOAD_LINK_MAX_TTL', 7 * 24 * 3600, { min: 60 });
+  if (downloadLinkMode === 'presigned' && maxLinkTtl > 7 * 24 * 3600) {
+    problems.push('DOWNLOAD_LINK_MAX_TTL may be at most 604800 (7 days, the S3 limit) with DOWNLOAD_LINK_MODE=presigned');
+  }
+  const defaultLinkTtl = readInt('DOWNLOAD_LINK_TTL', 3600, { min: 60 });
+  if (defaultLinkTtl > maxLinkTtl) {
+    problems.push(`DOWNLOAD_LINK_TTL (${defaultLinkTtl}) exceeds DOWNLOAD_LINK_MAX_TTL (${maxLinkTtl})`);
+  }
+
+  const webhooks = readWebhooks('WEBHOOKS');
+  const webhookSecret = readString('WEBHOOK_SECRET');
+  if (webhooks.length > 0 && (!webhookSecret || webhookSecret.length < 16)) {
+    problems.push('WEBHOOK_SECRET of at least 16 characters is required when WEBHOOKS is set');
+  }
+
+  const config = {
+    env: nodeEnv,
+    isProduction,
+
+    server: {
+      port,
+      host: readString('HOST', '0.0.0.0'), // Listen on all interfaces for production
+      publicBaseUrl: readUrl('PUBLIC_BASE_URL', `http://localhost:${port}`),
+      requestTimeout: readInt('REQUEST_TIMEOUT_MS', 20 * MINUTE, { min: 1 }),
+      bodyLimit: readString('BODY_LIMIT', '100mb'),
+      trustProxy: readInt('TRUST_PROXY_HOPS', 0) // Proxies in front of the server (1 on Fly.io), for client IPs
+    },
+
+    cors: {
+      origins: readList('CORS_ORIGINS', ['*'])
+    },
+
+    auth: {
+      apiKeys,
+      jwt: {
+        secret: jwtSecret,
+        issuer: readString('JWT_ISSUER'),
+        audience: readString('JWT_AUDIENCE')
+      },
+      provider: authProvider,
+      allowAnonymous,
+      reservedUserIds // Never accepted as user IDs (see PRIVATE_PREFIX)
+    },
+
+    cdnBaseUrl,
+
+    storage: {
+      driver: storageDriver,
+      s3: {
+        region: readString('B2_REGION', readString('AWS_REGION', 'us-east-005')),
+        endpoint: readUrl('B2_ENDPOINT', readString('AWS_ENDPOINT_URL_S3', 'https://s3.us-east-005.backblazeb2.com')),
+        bucket: readString('B2_BUCKET', readString('BUCKET_NAME', 'ISTARTX')),
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+        downloadBaseUrl: readUrl('B2_DOWNLOAD_URL', 'https://f005.backblazeb2.com')
+      },
+      local: {
+        rootDir: path.resolve(readString('LOCAL_STORAGE_DIR', path.join(__dirname, '../storage'))),
+        signingSecret: readString('STORAGE_SIGNING_SECRET')
+      }
+    },
+
+    uploads: {
+      dir: uploadsDir,
+      chunksDir: path.join(uploadsDir, 'chunks'),
+      sessionsDir: path.join(uploadsDir, 'sessions'),
+      stateDir: path.join(uploadsDir, 'state'), // Quota usage and other server state (never cleaned up)
+      sessionStore: readString('SESSION_STORE', 'file'),
+      chunkedUploadMode,
+      // How /upload, /upload/init, direct and tus uploads name files when the request does not say
+      naming: readChoice('UPLOAD_NAMING', ['random', 'original', 'overwrite'], 'random'),
+      maxFileSize: readInt('MAX_FILE_SIZE', 2 * 1024 * MB, { min: 1 }),
+      maxFiles: readInt('MAX_FILES', 50, { min: 1 }),
+      maxChunkSize: readInt('MAX_CHUNK_SIZE', 30 * MB, { min: 1 }),
+      minChunkSize: readInt('MIN_CHUNK_SIZE', 64 * 1024, { min: 1 }), // Every chunk but the last
+      maxChunks: readInt('MAX_CHUNKS', 10000, { min: 1 }), // Per chunked upload
+      maxFields: readInt('MAX_FIELDS', 100, { min: 1 }),
+      // Admission control for the staging volume (chunks and temp files)
+      minFreeSpace: readSize('STAGING_MIN_FREE', 200 * MB), // Kept free for everything else on the volume
+      admissionQueueTimeout: readInt('STAGING_QUEUE_TIMEOUT_MS', 30 * 1000), // Wait for space before answering 507
+      direct: {
+        urlExpiry: readInt('DIRECT_UPLOAD_URL_TTL', 3600, { min: 60 }), // Seconds
+        singlePutMaxSize: readInt('DIRECT_PUT_MAX_SIZE', 100 * MB, { min: 1 }) // Larger files use multipart
+      }
+    },
+
+    filePolicy: {
+      allowedTypes: readList('FILE_ALLOWED_TYPES', []),
+      blockedTypes: readList('FILE_BLOCKED_TYPES', ['application/x-msdownload', 'application/x-executable', 'application/x-mach-binary']),
+      allowedExtensions: readExtensions('FILE_ALLOWED_EXTENSIONS', []),
+      blockedExtensions: readExtensions('FILE_BLOCKED_EXTENSIONS', ['.exe', '.dll', '.msi', '.bat', '.cmd', '.com', '.scr', '.ps1', '.vbs']),
+      maxSizeByType: readSizeRules('FILE_MAX_SIZE_BY_TYPE'),
+      strictExtensions: readBoolean('FILE_STRICT_EXTENSIONS', false)
+    },
+
+    quotas: {
+      filePath: path.join(uploadsDir, 'state', 'quotas.json'),
+      roleLimits: {
+        uploader: readRoleLimits('uploader'),
+        admin: readRoleLimits('admin')
+      }
+    },
+
+    registry: {
+      store: readString('FILE_REGISTRY', 'file'),
+      filePath: path.join(uploadsDir, 'state', 'files.jsonl')
+    },
+
+    privateFiles: {
+      bucket: readString('PRIVATE_BUCKET'), // Unset: private files stay in the main bucket, under the prefix
+      prefix: privatePrefix, // Must not be served by the public CDN
+      linkMode: downloadLinkMode, // "presigned" bucket URLs or "cdn-token" CDN URLs
+      cdnBaseUrl: readUrl('PRIVATE_CDN_BASE_URL', cdnBaseUrl), // CDN that checks the tokens
+      cdnTokenSecret,
+      defaultLinkTtl, // Seconds
+      maxLinkTtl,
+      linksFilePath: path.join(uploadsDir, 'state', 'download-links.json')
+    },
+
+    dedup: {
+      // "user" reuses the user's own identical files, "global" anyone's
+      scope: dedupScope
+    },
+
+    images: {
+      enabled: readBoolean('IMAGE_PROCESSING', false),
+      variants: readImageVariants('IMAGE_VARIANTS', ['thumbnail:200x200', 'medium:1024x1024', 'webp:original:webp']),
+      stripMetadata: readBoolean('IMAGE_STRIP_METADATA', true), // EXIF (including GPS), XMP and IPTC
+      quality: readInt('IMAGE_QUALITY', 85, { min: 1 }),
+      maxPixels: readInt('IMAGE_MAX_PIXELS', 50 * 1000 * 1000, { min: 1 }) // Larger images are stored as uploaded
+    },
+
+    malwareScan: {
+      driver: malwareScanner, // "off", "clamd", "command" or a path to a custom scanner module
+      clamd: {
+        socket: readString('CLAMD_SOCKET'), // Unix socket; wins over host and port
+        host: readString('CLAMD_HOST', '127.0.0.1'),
+        port: readInt('CLAMD_PORT', 3310, { min: 1 })
+      },
+      command: readString('MALWARE_SCAN_COMMAND', 'clamscan --no-summary {file}').trim().split(/\s+/),
+      timeout: readInt('MALWARE_SCAN_TIMEOUT_MS', MINUTE, { min: 1 }),
+      action: readChoice('MALWARE_ACTION', ['quarantine', 'reject'], 'quarantine'),
+      failOpen: readBoolean('MALWARE_SCAN_FAIL_OPEN', false), // Store files anyway when the scanner is unreachable
+      quarantineDir: path.join(uploadsDir, 'quarantine'),
+      quarantineRetention: readInt('MALWARE_QUARANTINE_RETENTION_MS', 30 * 24 * HOUR) // 0 keeps them until deleted
+    },
+
+    webhooks: {
+      subscriptions: webhooks,
+      secret: webhookSecret,
+      filePath: path.join(uploadsDir, 'state', 'webhooks.json'),
+      maxAttempts: readInt('WEBHOOK_MAX_ATTEMPTS', 8, { min: 1 }),
+      retryDelay: readInt('WEBHOOK_RETRY_DELAY_MS', 30 * 1000, { min: 1 }), // Doubled after every failed attempt
+      timeout: readInt('WEBHOOK_TIMEOUT_MS', 10 * 1000, { min: 1 })
+    },
+
+    logging: {
+      level: readChoice('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], 'info'),
+      format: readChoice('LOG_FORMAT', ['json', 'text'], 'json') // "text" is easier to read in a terminal
+    },
+
+    metrics: {
+      enabled: readBoolean('METRICS_ENABLED', true),
+      token: readString('METRICS_TOKEN') // Lets a Prometheus scraper in without an admin key
+    },
+
+    rateLimit: {
+      store: readString('RATE_LIMIT_STORE', 'memory'),
+      scopes: readRateLimitScopes('RATE_LIMIT_BY'),
+      // 0 turns a limit off
+      requestsPerSecond: readInt('RATE_LIMIT_REQUESTS_PER_SECOND', 20),
+      burst: readInt('RATE_LIMIT_BURST', 100, { min: 1 }),
+      maxConcurrentChunks: readInt('RATE_LIMIT_CONCURRENT_CHUNKS', 16),
+      maxSessions: readInt('RATE_LIMIT_CONCURRENT_SESSIONS', 20)
+    },
+
+    b2Transfer: {
+      partSize: readInt('B2_PART_SIZE', 5 * MB, { min: 5 * MB }), // S3 minimum is 5MB
+      concurrency: readInt('B2_PART_CONCURRENCY', 4, { min: 1 }),
+      retries: readInt('B2_PART_RETRIES', 3)
+    },
+
+    cleanup: {
+      orphanedChunkCleanupInterval: readInt('CLEANUP_INTERVAL_MS', HOUR, { min: 1 }),
+      uploadSessionTimeout: readInt('UPLOAD_SESSION_TIMEOUT_MS', 24 * HOUR, { min: 1 }),
+      maxChunkAge: readInt('MAX_CHUNK_AGE_MS', 2 * HOUR, { min: 1 }) // For orphaned chunks
+    }
+  };
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  }
+  return Object.freeze(object);
+}
+
+module.exports = {
+  config: loadConfig(),
+  loadConfig,
+  ConfigError,
+  WEBHOOK_EVENTS,
+  RATE_LIMIT_SCOPES,
+  IMAGE_VARIANT_FORMATS
+};
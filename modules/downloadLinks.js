@@ -0,0 +1,210 @@
+// modules/downloadLinks.js - Time-limited download links for stored files, optionally limited to a number of downloads
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { contentDisposition, cdnSignedUrl } = require('./storage');
+
+// Lifetime of the URL a counted link redirects to; every redirect is one download, so keep it short
+const REDIRECT_TTL = 60;
+
+// How long links are kept after they expire, so they are answered with 410 rather than 404
+const EXPIRED_LINK_RETENTION = 24 * 60 * 60 * 1000;
+
+// Link IDs are bearer secrets in URLs; anything else is not worth a lookup
+const LINK_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Links with a download limit. They are handed out as URLs of this server,
+ * which counts each download before redirecting to the object. State is
+ * one JSON file, written atomically after every change; links are dropped
+ * from it a day after they expire.
+ */
+class DownloadLinkStore {
+  /**
+   * @param {Object} options - { filePath }
+   */
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.links = new Map();
+    this.pendingWrite = Promise.resolve();
+
+    try {
+      const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const link of record.links || []) {
+        this.links.set(link.id, link);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Error loading download links from ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the state file; writes are serialized so they never interleave
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const cutoff = Date.now() - EXPIRED_LINK_RETENTION;
+    for (const [id, link] of this.links) {
+      if (link.expiresAt <= cutoff) {
+        this.links.delete(id);
+      }
+    }
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify({ links: [...this.links.values()] }));
+      await fs.promises.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error persisting download links:', error.message);
+    });
+    return this.pendingWrite;
+  }
+
+  /**
+   * @param {Object} link - { key, bucket, userId, createdBy, expiresAt, maxDownloads, contentDisposition, mode }
+   * @returns {Promise<Object>} - Stored link with its `id`, `createdAt` and `downloads`
+   */
+  async create(link) {
+    const stored = { ...link, id: crypto.randomBytes(16).toString('hex'), createdAt: Date.now(), downloads: 0 };
+    this.links.set(stored.id, stored);
+    await this.persist();
+    return stored;
+  }
+
+  /**
+   * @param {string} id - Link ID
+   * @returns {Object|null} - Link, or null if unknown
+   */
+  get(id) {
+    return LINK_ID_PATTERN.test(id) ? this.links.get(id) || null : null;
+  }
+
+  /**
+   * Count one download
+   * @param {string} id - Link ID
+   * @returns {Promise<Object|null>} - { status: 'ok' | 'expired' | 'exhausted', link }, or null if unknown
+   */
+  async redeem(id) {
+    const link = this.get(id);
+    if (!link) {
+      return null;
+    }
+    if (link.expiresAt <= Date.now()) {
+      return { status: 'expired', link };
+    }
+    if (link.downloads >= link.maxDownloads) {
+      return { status: 'exhausted', link };
+    }
+    link.downloads++; // Counted before the first await, so concurrent requests cannot both take the last one
+    await this.persist();
+    return { status: 'ok', link };
+  }
+
+  /**
+   * @param {string} id - Link ID
+   * @returns {Promise<boolean>} - False if there was no such link
+   */
+  async revoke(id) {
+    if (!this.get(id)) {
+      return false;
+    }
+    this.links.delete(id);
+    await this.persist();
+    return true;
+  }
+}
+
+/**
+ * Issues time-limited download URLs for stored files: pre-signed bucket
+ * URLs ("presigned"), or CDN URLs carrying an HMAC token the CDN checks
+ * ("cdn-token"). Either way the download is named after the original file.
+ */
+class DownloadLinks {
+  /**
+   * @param {Object} options - { storage, store, mode, cdnBaseUrl, cdnTokenSecret, publicBaseUrl }
+   */
+  constructor({ storage, store, mode = 'presigned', cdnBaseUrl, cdnTokenSecret, publicBaseUrl }) {
+    this.storage = storage;
+    this.store = store;
+    this.mode = mode;
+    this.cdnBaseUrl = cdnBaseUrl;
+    this.cdnTokenSecret = cdnTokenSecret;
+    this.publicBaseUrl = publicBaseUrl;
+  }
+
+  /**
+   * Time-limited URL of an object
+   * @param {Object} file - { key, bucket } (bucket omitted for the main bucket)
+   * @param {Object} options - { expiresIn (seconds), contentDisposition, mode }
+   * @returns {Promise<string>} - Signed URL
+   */
+  async signUrl({ key, bucket }, { expiresIn, contentDisposition: disposition, mode = this.mode }) {
+    if (mode === 'cdn-token') {
+      return cdnSignedUrl(this.cdnBaseUrl, key, { secret: this.cdnTokenSecret, expiresIn, contentDisposition: disposition });
+    }
+    return this.storage.withBucket(bucket).getSignedUrl(key, { method: 'GET', expiresIn, contentDisposition: disposition });
+  }
+
+  /**
+   * Issue a link to a stored file. Without `maxDownloads` it is the signed
+   * URL itself; with it, a URL of this server that counts downloads.
+   * @param {Object} record - Registry record of the file
+   * @param {Object} options - { expiresIn (seconds), maxDownloads, disposition: 'attachment' | 'inline', createdBy }
+   * @returns {Promise<Object>} - { url, expiresAt, maxDownloads, linkId, mode }
+   */
+  async issue(record, { expiresIn, maxDownloads = null, disposition = 'attachment', createdBy }) {
+    const headerValue = contentDisposition(record.originalName || path.posix.basename(record.key), disposition);
+    const expiresAt = Date.now() + expiresIn * 1000;
+    if (!maxDownloads) {
+      const url = await this.signUrl(record, { expiresIn, contentDisposition: headerValue });
+      return { url, expiresAt, maxDownloads: null, linkId: null, mode: this.mode };
+    }
+
+    const link = await this.store.create({
+      key: record.key,
+      bucket: record.bucket,
+      userId: record.userId,
+      createdBy: createdBy,
+      expiresAt: expiresAt,
+      maxDownloads: maxDownloads,
+      contentDisposition: headerValue,
+      mode: this.mode
+    });
+    return {
+      url: `${this.publicBaseUrl}/files/links/${link.id}`,
+      expiresAt: expiresAt,
+      maxDownloads: maxDownloads,
+      linkId: link.id,
+      mode: this.mode
+    };
+  }
+
+  /**
+   * Count a download of a link issued with `maxDownloads`
+   * @param {string} id - Link ID
+   * @returns {Promise<Object|null>} - { status: 'ok', link, url } with a URL valid for REDIRECT_TTL,
+   *   { status: 'expired' | 'exhausted', link }, or null if unknown
+   */
+  async redeem(id) {
+    const result = await this.store.redeem(id);
+    if (!result || result.status !== 'ok') {
+      return result;
+    }
+    const { link } = result;
+    const remaining = Math.ceil((link.expiresAt - Date.now()) / 1000);
+    const url = await this.signUrl(link, {
+      expiresIn: Math.max(1, Math.min(REDIRECT_TTL, remaining)),
+      contentDisposition: link.contentDisposition,
+      mode: link.mode
+    });
+    return { status: 'ok', link, url };
+  }
+}
+
+module.exports = {
+  REDIRECT_TTL,
+  DownloadLinkStore,
+  DownloadLinks
+};
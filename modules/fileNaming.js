@@ -0,0 +1,125 @@
+// modules/fileNaming.js - Object names for uploads: naming policies, target folders and relative paths
+const path = require('path');
+const crypto = require('crypto');
+
+// "random": random hex name with the original extension; "original": the original name, with
+// _1, _2, ... appended while taken; "overwrite": the original name, replacing what is there
+const NAMING_POLICIES = ['random', 'original', 'overwrite'];
+
+// S3 keys are at most 1024 bytes; this leaves room for the private prefix and the user ID
+const MAX_NAME_BYTES = 900;
+const MAX_SEGMENT_BYTES = 255;
+
+/**
+ * Clean a relative path from a client (a folder, or a browser's webkitRelativePath).
+ * Backslashes count as separators and empty and "." segments are dropped;
+ * control characters and characters most file systems reject become "_".
+ * @param {string} value - Path such as "site/css/main.css"
+ * @param {string} label - Name of the option, for error messages
+ * @returns {string} - Clean path without leading or trailing "/" ('' for none)
+ * @throws {Error} - For ".." segments and over-long paths
+ */
+function sanitizePath(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${label} must be a string`);
+  }
+  const segments = value.normalize('NFC').split(/[\\/]+/).filter(segment => segment !== '' && segment !== '.');
+  const clean = segments.map(segment => {
+    if (segment === '..') {
+      throw new Error(`${label} must not contain ".."`);
+    }
+    const cleaned = segment.replace(/[\x00-\x1f\x7f<>:"|?*]/g, '_').trim().replace(/\.+$/, '');
+    if (Buffer.byteLength(cleaned) > MAX_SEGMENT_BYTES) {
+      throw new Error(`${label} has a segment longer than ${MAX_SEGMENT_BYTES} bytes`);
+    }
+    // "...", " " and the like would otherwise vanish or turn into "." and ".."
+    return cleaned || '_';
+  });
+  return clean.join('/');
+}
+
+/**
+ * Read the naming options of an upload request
+ * @param {Object} source - Request fields { naming, folder, relativePath }
+ * @param {string} defaultNaming - Policy when the request names none
+ * @returns {Object} - { naming, folder, relativePath, explicit } where explicit is true when the
+ *   request asked for a particular name or place (deduplication would then put the file elsewhere)
+ * @throws {Error} - For an unknown policy or an unsafe folder or path
+ */
+function readNamingOptions({ naming, folder, relativePath } = {}, defaultNaming = 'random') {
+  const policy = naming || defaultNaming;
+  if (!NAMING_POLICIES.includes(policy)) {
+    throw new Error(`naming must be one of: ${NAMING_POLICIES.join(', ')}`);
+  }
+  const cleanFolder = sanitizePath(folder, 'folder');
+  const cleanPath = sanitizePath(relativePath, 'relativePath');
+  return {
+    naming: policy,
+    folder: cleanFolder || null,
+    relativePath: cleanPath || null,
+    explicit: policy !== 'random' || Boolean(cleanFolder || cleanPath)
+  };
+}
+
+/**
+ * @param {string} originalName - Original file name
+ * @returns {string} - Random hex name with the original extension
+ */
+function randomFileName(originalName) {
+  return `${crypto.randomBytes(16).toString('hex')}${path.extname(originalName)}`;
+}
+
+/**
+ * Name of an upload within the user's namespace, before collisions are resolved:
+ * the folder, then the relative path's directories, then the file name
+ * @param {string} originalName - Original file name (only its last segment is used)
+ * @param {Object} options - Result of readNamingOptions()
+ * @returns {string} - e.g. "projects/site/css/main.css", or "projects/site/css/3f2a….css" with "random"
+ * @throws {Error} - When the name is empty or too long
+ */
+function planFileName(originalName, { naming = 'random', folder = null, relativePath = null } = {}) {
+  const source = relativePath || sanitizePath(String(originalName || ''), 'fileName');
+  const baseName = path.posix.basename(source);
+  if (!baseName) {
+    throw new Error('File name is empty');
+  }
+  const directories = relativePath ? path.posix.dirname(relativePath) : '.';
+  const fileName = path.posix.join(folder || '', directories, naming === 'random' ? randomFileName(baseName) : baseName);
+  if (Buffer.byteLength(fileName) > MAX_NAME_BYTES) {
+    throw new Error(`File path is longer than ${MAX_NAME_BYTES} bytes`);
+  }
+  return fileName;
+}
+
+/**
+ * Resolve a planned name against what is already stored. "overwrite" keeps it;
+ * the other policies append _1, _2, ... until the name is free.
+ * @param {string} fileName - Result of planFileName()
+ * @param {string} naming - Naming policy
+ * @param {Function} exists - async fileName => boolean; false only when nothing is stored under the name
+ * @returns {Promise<string>} - Name to store the file under
+ * @throws {Error} - Whatever `exists` throws (an unreachable bucket must not look like a free name)
+ */
+async function resolveFileName(fileName, naming, exists) {
+  if (naming === 'overwrite') {
+    return fileName;
+  }
+  const { dir, name, ext } = path.posix.parse(fileName);
+  let candidate = fileName;
+  for (let suffix = 1; await exists(candidate); suffix++) {
+    candidate = path.posix.join(dir, `${name}_${suffix}${ext}`);
+  }
+  return candidate;
+}
+
+module.exports = {
+  NAMING_POLICIES,
+  sanitizePath,
+  readNamingOptions,
+  randomFileName,
+  planFileName,
+  resolveFileName
+};
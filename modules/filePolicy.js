@@ -0,0 +1,262 @@
+// modules/filePolicy.js - Content sniffing and allow/block rules for uploaded files
+const fs = require('fs');
+const path = require('path');
+
+// Enough bytes for every signature below (TAR's magic sits at offset 257)
+const SNIFF_BYTES = 4100;
+
+// Extension → content type, used for extension rules and when sniffing finds nothing specific
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif',
+  '.webp': 'image/webp', '.bmp': 'image/bmp', '.tif': 'image/tiff', '.tiff': 'image/tiff',
+  '.ico': 'image/x-icon', '.svg': 'image/svg+xml', '.heic': 'image/heic', '.avif': 'image/avif',
+  '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.mov': 'video/quicktime', '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska', '.avi': 'video/x-msvideo',
+  '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.wav': 'audio/wav', '.ogg': 'audio/ogg', '.flac': 'audio/flac',
+  '.pdf': 'application/pdf', '.zip': 'application/zip', '.gz': 'application/gzip', '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed', '.rar': 'application/vnd.rar',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text', '.epub': 'application/epub+zip',
+  '.doc': 'application/msword', '.xls': 'application/vnd.ms-excel', '.ppt': 'application/vnd.ms-powerpoint',
+  '.txt': 'text/plain', '.csv': 'text/csv', '.md': 'text/markdown', '.html': 'text/html', '.htm': 'text/html',
+  '.css': 'text/css', '.js': 'text/javascript', '.json': 'application/json', '.xml': 'application/xml',
+  '.exe': 'application/x-msdownload', '.dll': 'application/x-msdownload', '.msi': 'application/x-msdownload',
+  '.sh': 'application/x-sh'
+};
+
+// Sniffed types that several formats share; the extension may refine them
+const GENERIC_TYPES = {
+  'text/plain': type => type.startsWith('text/') || ['application/json', 'application/xml'].includes(type),
+  'application/zip': type => type.startsWith('application/vnd.openxmlformats') || type.startsWith('application/vnd.oasis') || type === 'application/epub+zip',
+  'application/x-cfb': type => ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint', 'application/x-msdownload'].includes(type)
+};
+
+/**
+ * @param {Buffer} head - First bytes of the file
+ * @param {Array} bytes - Expected byte values (null matches anything)
+ * @param {number} offset - Where the signature starts
+ * @returns {boolean} - True if the signature matches
+ */
+function startsWith(head, bytes, offset = 0) {
+  if (head.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, i) => byte === null || head[offset + i] === byte);
+}
+
+/**
+ * @param {Buffer} head - First bytes of the file
+ * @param {string} text - ASCII signature
+ * @param {number} offset - Where the signature starts
+ * @returns {boolean} - True if the signature matches
+ */
+function startsWithText(head, text, offset = 0) {
+  return head.length >= offset + text.length && head.toString('latin1', offset, offset + text.length) === text;
+}
+
+/**
+ * Detect a content type from the first bytes of a file
+ * @param {Buffer} head - First bytes (SNIFF_BYTES is enough)
+ * @returns {string|null} - Detected content type, or null if unknown binary
+ */
+function sniffContentType(head) {
+  if (!head || head.length === 0) {
+    return null;
+  }
+
+  if (startsWith(head, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (startsWithText(head, 'GIF87a') || startsWithText(head, 'GIF89a')) return 'image/gif';
+  if (startsWithText(head, 'RIFF') && startsWithText(head, 'WEBP', 8)) return 'image/webp';
+  if (startsWithText(head, 'RIFF') && startsWithText(head, 'WAVE', 8)) return 'audio/wav';
+  if (startsWithText(head, 'RIFF') && startsWithText(head, 'AVI ', 8)) return 'video/x-msvideo';
+  if (startsWithText(head, 'BM') && head.length > 14 && head.readUInt32LE(2) > 14) return 'image/bmp';
+  if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) return 'image/tiff';
+  if (startsWith(head, [0x00, 0x00, 0x01, 0x00])) return 'image/x-icon';
+  if (startsWithText(head, 'ftyp', 4)) {
+    const brand = head.toString('latin1', 8, 12);
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (['avif', 'avis'].includes(brand)) return 'image/avif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    return 'video/mp4';
+  }
+  if (startsWith(head, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return head.includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (startsWithText(head, 'ID3') || startsWith(head, [0xFF, 0xFB]) || startsWith(head, [0xFF, 0xF3]) || startsWith(head, [0xFF, 0xF2])) return 'audio/mpeg';
+  if (startsWithText(head, 'OggS')) return 'audio/ogg';
+  if (startsWithText(head, 'fLaC')) return 'audio/flac';
+  if (startsWithText(head, '%PDF-')) return 'application/pdf';
+  if (startsWith(head, [0x50, 0x4B, 0x03, 0x04]) || startsWith(head, [0x50, 0x4B, 0x05, 0x06])) return 'application/zip';
+  if (startsWith(head, [0x1F, 0x8B])) return 'application/gzip';
+  if (startsWith(head, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return 'application/x-7z-compressed';
+  if (startsWithText(head, 'Rar!')) return 'application/vnd.rar';
+  if (startsWithText(head, 'ustar', 257)) return 'application/x-tar';
+  if (startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'application/x-cfb'; // Legacy Office
+  if (startsWithText(head, 'MZ')) return 'application/x-msdownload';
+  if (startsWith(head, [0x7F, 0x45, 0x4C, 0x46])) return 'application/x-executable';
+  if (startsWith(head, [0xCF, 0xFA, 0xED, 0xFE]) || startsWith(head, [0xFE, 0xED, 0xFA, 0xCF])) return 'application/x-mach-binary';
+  if (startsWithText(head, '#!')) return 'application/x-sh';
+
+  // Anything without NUL bytes that decodes as UTF-8 is treated as text
+  if (head.includes(0x00)) {
+    return null;
+  }
+  const text = head.toString('utf8');
+  if (text.includes('\uFFFD') && !text.endsWith('\uFFFD')) {
+    return null;
+  }
+  const lead = text.replace(/^\uFEFF/, '').trimStart().slice(0, 512).toLowerCase();
+  if (lead.startsWith('<!doctype html') || lead.startsWith('<html') || lead.startsWith('<script')) return 'text/html';
+  if (lead.startsWith('<svg') || (lead.startsWith('<?xml') && lead.includes('<svg'))) return 'image/svg+xml';
+  if (lead.startsWith('<?xml')) return 'application/xml';
+  return 'text/plain';
+}
+
+/**
+ * @param {string} fileName - File name
+ * @returns {string|null} - Content type implied by the extension, or null if unknown
+ */
+function contentTypeForExtension(fileName) {
+  return EXTENSION_TYPES[path.extname(fileName || '').toLowerCase()] || null;
+}
+
+/**
+ * Read the first bytes of a file for sniffing
+ * @param {string} filePath - Path to the file
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Buffer>} - Up to `length` bytes
+ */
+async function readFileHead(filePath, length = SNIFF_BYTES) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * @param {string} contentType - Content type such as "image/png"
+ * @param {string} pattern - Exact type, "image/*", or "*"
+ * @returns {boolean} - True if the type matches the pattern
+ */
+function matchesType(contentType, pattern) {
+  if (pattern === '*' || pattern === '*/*') {
+    return true;
+  }
+  if (pattern.endsWith('/*')) {
+    return contentType.startsWith(pattern.slice(0, -1));
+  }
+  return contentType === pattern;
+}
+
+/**
+ * Upload file policy: which types and extensions are accepted and how large
+ * each type may be. Empty allow lists accept everything not blocked.
+ */
+class FilePolicy {
+  /**
+   * @param {Object} options - { allowedTypes, blockedTypes, allowedExtensions, blockedExtensions, maxSizeByType: [{ pattern, maxSize }], strictExtensions }
+   */
+  constructor({
+    allowedTypes = [],
+    blockedTypes = [],
+    allowedExtensions = [],
+    blockedExtensions = [],
+    maxSizeByType = [],
+    strictExtensions = false
+  } = {}) {
+    this.allowedTypes = allowedTypes;
+    this.blockedTypes = blockedTypes;
+    this.allowedExtensions = allowedExtensions.map(ext => ext.toLowerCase());
+    this.blockedExtensions = blockedExtensions.map(ext => ext.toLowerCase());
+    this.maxSizeByType = maxSizeByType;
+    this.strictExtensions = strictExtensions;
+  }
+
+  /**
+   * Work out the content type to store: sniffed bytes win, refined by the
+   * extension where the sniffed type is a shared container (zip, text)
+   * @param {string} fileName - Original file name
+   * @param {Buffer} head - First bytes of the file (optional)
+   * @returns {Object} - { contentType, sniffedType, extensionType }
+   */
+  detect(fileName, head) {
+    const sniffedType = head ? sniffContentType(head) : null;
+    const extensionType = contentTypeForExtension(fileName);
+
+    let contentType = sniffedType || extensionType || 'application/octet-stream';
+    if (sniffedType && extensionType && GENERIC_TYPES[sniffedType] && GENERIC_TYPES[sniffedType](extensionType)) {
+      contentType = extensionType;
+    }
+    if (contentType === 'application/x-cfb') {
+      contentType = 'application/octet-stream';
+    }
+    return { contentType, sniffedType, extensionType };
+  }
+
+  /**
+   * Check a file against the policy
+   * @param {Object} file - { fileName, size, head } (head omitted when the bytes are not here yet)
+   * @returns {Object} - { allowed, contentType, status, code, error }
+   */
+  check({ fileName, size, head }) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const { contentType, sniffedType, extensionType } = this.detect(fileName, head);
+    const reject = (status, code, error) => ({ allowed: false, contentType, status, code, error });
+
+    if (this.blockedExtensions.includes(extension)) {
+      return reject(415, 'FILE_EXTENSION_NOT_ALLOWED', `Files with extension "${extension}" are not allowed`);
+    }
+    if (this.allowedExtensions.length > 0 && !this.allowedExtensions.includes(extension)) {
+      return reject(415, 'FILE_EXTENSION_NOT_ALLOWED', `Files with extension "${extension || '(none)'}" are not allowed`);
+    }
+
+    // Check both what the bytes are and what the name claims, so neither can be used to sneak past
+    const types = [...new Set([contentType, sniffedType, extensionType].filter(Boolean))];
+    for (const type of types) {
+      if (this.blockedTypes.some(pattern => matchesType(type, pattern))) {
+        return reject(415, 'FILE_TYPE_NOT_ALLOWED', `Files of type ${type} are not allowed`);
+      }
+    }
+    if (this.allowedTypes.length > 0 && !this.allowedTypes.some(pattern => matchesType(contentType, pattern))) {
+      return reject(415, 'FILE_TYPE_NOT_ALLOWED', `Files of type ${contentType} are not allowed`);
+    }
+
+    if (this.strictExtensions && sniffedType && extensionType && contentType !== extensionType) {
+      return reject(415, 'FILE_EXTENSION_MISMATCH', `File content is ${sniffedType} but the name says ${extensionType}`);
+    }
+
+    const sizeRule = this.maxSizeByType.find(rule => matchesType(contentType, rule.pattern));
+    if (sizeRule && size > sizeRule.maxSize) {
+      return reject(413, 'FILE_TOO_LARGE', `Files of type ${contentType} may be at most ${sizeRule.maxSize} bytes`);
+    }
+
+    return { allowed: true, contentType };
+  }
+
+  /**
+   * Check a file on disk
+   * @param {string} filePath - Path to the file
+   * @param {string} fileName - Original file name
+   * @returns {Promise<Object>} - Result of check()
+   */
+  async checkFile(filePath, fileName) {
+    const stats = await fs.promises.stat(filePath);
+    return this.check({ fileName, size: stats.size, head: await readFileHead(filePath) });
+  }
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  FilePolicy,
+  sniffContentType,
+  contentTypeForExtension,
+  readFileHead
+};
@@ -0,0 +1,319 @@
+// modules/fileRegistry.js - Persistent record of every stored file, queryable by key, user, name and date
+const fs = require('fs');
+const path = require('path');
+
+// User metadata written on every object so the original name survives in the bucket itself
+const ORIGINAL_NAME_METADATA = 'original-name';
+const UPLOADED_BY_METADATA = 'uploaded-by';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Object metadata for a new upload. S3 metadata travels as HTTP headers, so
+ * the name is percent-encoded to keep non-ASCII characters intact.
+ * @param {Object} file - { originalName, userId }
+ * @returns {Object} - Metadata for putObject / createMultipartUpload
+ */
+function objectMetadata({ originalName, userId }) {
+  return {
+    [ORIGINAL_NAME_METADATA]: encodeURIComponent(originalName),
+    [UPLOADED_BY_METADATA]: userId
+  };
+}
+
+/**
+ * @param {Object} metadata - Object metadata as returned by headObject
+ * @returns {string|null} - Original file name, or null for objects uploaded without one
+ */
+function originalNameFromMetadata(metadata) {
+  const encoded = metadata && metadata[ORIGINAL_NAME_METADATA];
+  if (!encoded) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(encoded);
+  } catch (error) {
+    return encoded;
+  }
+}
+
+/**
+ * Browsers send multipart file names as raw UTF-8, which multer (busboy)
+ * decodes as latin1; undo that so non-ASCII original names survive.
+ * @param {string} name - File name as decoded by multer
+ * @returns {string} - File name decoded as UTF-8 where it was valid UTF-8
+ */
+function decodeMultipartFileName(name) {
+  if (!/[\u0080-\u00ff]/.test(name) || /[^\u0000-\u00ff]/.test(name)) {
+    return name; // Plain ASCII, or already decoded from an RFC 5987 filename*
+  }
+  const decoded = Buffer.from(name, 'latin1').toString('utf8');
+  return decoded.includes('\uFFFD') ? name : decoded;
+}
+
+/**
+ * File registry interface.
+ *
+ * Records are plain objects:
+ *   { key, userId, fileName, originalName, size, contentType, sha256, uploadMode, uploadedAt }
+ * where `fileName` is the stored (random) name and `uploadedAt` a timestamp.
+ * A database-backed registry only has to implement these methods; every
+ * method is async so network-backed registries fit the same contract.
+ */
+class FileRegistry {
+  /**
+   * Add or replace the record of a stored file
+   * @param {Object} record - File record; `key` is required
+   * @returns {Promise<Object>} - Stored record
+   */
+  async record(record) {
+    throw new Error(`${this.constructor.name}.record not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} - Record or null if unknown
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name}.get not implemented`);
+  }
+
+  /**
+   * Forget a deleted file; unknown keys are ignored
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    throw new Error(`${this.constructor.name}.remove not implemented`);
+  }
+
+  /**
+   * Stored files with the given content, newest first (for deduplication)
+   * @param {string} sha256 - Lowercase hex SHA-256 of the content
+   * @param {Object} options - { userId, size } to narrow the match
+   * @returns {Promise<Array>} - Matching records
+   */
+  async findBySha256(sha256, options = {}) {
+    throw new Error(`${this.constructor.name}.findBySha256 not implemented`);
+  }
+
+  /**
+   * Newest-first search
+   * @param {Object} query - { userId, originalName (case-insensitive substring), from, to (timestamps), limit, cursor }
+   * @returns {Promise<Object>} - { files, total, nextCursor }
+   */
+  async find(query = {}) {
+    throw new Error(`${this.constructor.name}.find not implemented`);
+  }
+
+  /**
+   * Flush pending writes before shutdown
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Process-local registry; records are lost on restart
+ */
+class MemoryFileRegistry extends FileRegistry {
+  constructor() {
+    super();
+    this.files = new Map();
+    this.keysBySha256 = new Map(); // sha256 → Set of keys
+  }
+
+  // Add or replace a record and keep the content index in step
+  store(record) {
+    this.forget(record.key);
+    this.files.set(record.key, record);
+    if (record.sha256) {
+      if (!this.keysBySha256.has(record.sha256)) {
+        this.keysBySha256.set(record.sha256, new Set());
+      }
+      this.keysBySha256.get(record.sha256).add(record.key);
+    }
+  }
+
+  forget(key) {
+    const existing = this.files.get(key);
+    if (existing && existing.sha256 && this.keysBySha256.has(existing.sha256)) {
+      const keys = this.keysBySha256.get(existing.sha256);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.keysBySha256.delete(existing.sha256);
+      }
+    }
+    this.files.delete(key);
+  }
+
+  async record(record) {
+    if (!record.key) {
+      throw new Error('File records need a key');
+    }
+    const stored = {
+      fileName: path.posix.basename(record.key),
+      uploadedAt: Date.now(),
+      ...record
+    };
+    this.store(stored);
+    return stored;
+  }
+
+  async get(key) {
+    return this.files.get(key) || null;
+  }
+
+  async remove(key) {
+    this.forget(key);
+  }
+
+  async findBySha256(sha256, { userId, size } = {}) {
+    const keys = this.keysBySha256.get(sha256) || new Set();
+    return Array.from(keys, key => this.files.get(key))
+      .filter(record => (!userId || record.userId === userId) && (size === undefined || record.size === size))
+      .sort((a, b) => b.uploadedAt - a.uploadedAt);
+  }
+
+  async find({ userId, originalName, from, to, limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+    const nameQuery = originalName ? originalName.toLowerCase() : null;
+    const matches = Array.from(this.files.values())
+      .filter(record => !userId || record.userId === userId)
+      .filter(record => !nameQuery || (record.originalName || '').toLowerCase().includes(nameQuery))
+      .filter(record => (from === undefined || record.uploadedAt >= from) && (to === undefined || record.uploadedAt <= to))
+      .sort((a, b) => b.uploadedAt - a.uploadedAt || a.key.localeCompare(b.key));
+
+    // The cursor is an offset into the sorted matches
+    const offset = Math.max(parseInt(cursor) || 0, 0);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const files = matches.slice(offset, offset + pageSize);
+    return {
+      files: files,
+      total: matches.length,
+      nextCursor: offset + pageSize < matches.length ? String(offset + pageSize) : null
+    };
+  }
+}
+
+/**
+ * Registry kept in memory and persisted as an append-only JSON lines log
+ * (one `{ op, record }` or `{ op, key }` entry per change). The log is
+ * replayed on startup and rewritten without superseded entries once they
+ * outnumber the live records.
+ */
+class JsonlFileRegistry extends MemoryFileRegistry {
+  /**
+   * @param {string} filePath - Path of the log file
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+
+    let lines = [];
+    try {
+      lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Error loading file registry from ${filePath}:`, error.message);
+      }
+    }
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'put') {
+          this.store(entry.record);
+        } else if (entry.op === 'delete') {
+          this.forget(entry.key);
+        }
+      } catch (error) {
+        // A crash mid-append leaves at most one truncated line
+        console.error(`⚠️ Skipping unreadable file registry entry in ${filePath}`);
+      }
+    }
+    if (lines.length > 2 * this.files.size + 100) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the log with one entry per live record
+   */
+  compact() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const content = Array.from(this.files.values())
+      .map(record => JSON.stringify({ op: 'put', record }) + '\n')
+      .join('');
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+    console.log(`🗜️ Compacted file registry to ${this.files.size} records`);
+  }
+
+  /**
+   * Append one log entry; appends are serialized so lines never interleave
+   * @param {Object} entry - Log entry
+   * @returns {Promise<void>}
+   */
+  append(entry) {
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+    }).catch(error => {
+      console.error('❌ Error persisting file registry:', error.message);
+    });
+    return this.pendingWrite;
+  }
+
+  async record(record) {
+    const stored = await super.record(record);
+    await this.append({ op: 'put', record: stored });
+    return stored;
+  }
+
+  async remove(key) {
+    if (!this.files.has(key)) {
+      return;
+    }
+    await super.remove(key);
+    await this.append({ op: 'delete', key });
+  }
+
+  async close() {
+    await this.pendingWrite;
+  }
+}
+
+/**
+ * Create the configured file registry
+ *   - "file" (default): JSON lines log under uploads/state/
+ *   - "memory": process-local, lost on restart
+ *   - any other value: path to a module exporting a FileRegistry subclass,
+ *     an instance, or a factory function returning one
+ * @param {Object} options - { store, filePath }
+ * @returns {FileRegistry} - File registry instance
+ */
+function createFileRegistry({ store = 'file', filePath } = {}) {
+  if (store === 'memory') {
+    return new MemoryFileRegistry();
+  }
+  if (store === 'file') {
+    return new JsonlFileRegistry(filePath);
+  }
+
+  const custom = require(path.resolve(store));
+  if (typeof custom !== 'function') {
+    return custom;
+  }
+  return custom.prototype instanceof FileRegistry ? new custom() : custom();
+}
+
+module.exports = {
+  FileRegistry,
+  MemoryFileRegistry,
+  JsonlFileRegistry,
+  createFileRegistry,
+  objectMetadata,
+  originalNameFromMetadata,
+  decodeMultipartFileName
+};
@@ -0,0 +1,401 @@
+// modules/fileStore.js - Stores uploaded files: policy, malware scan, naming, image variants, registry and quota
+const fs = require('fs');
+const path = require('path');
+const { encodeKey } = require('./storage');
+const { objectMetadata } = require('./fileRegistry');
+const { metrics } = require('./metrics');
+const { variantKey } = require('./imageProcessing');
+const { RETRY_AFTER: SCAN_RETRY_AFTER } = require('./malwareScan');
+const { readNamingOptions, planFileName, resolveFileName } = require('./fileNaming');
+
+/**
+ * @param {Object} record - Registry record
+ * @returns {number} - Bytes the record takes in the bucket: the file and its image variants
+ */
+function storedBytes(record) {
+  let bytes = record.storedSize || record.size;
+  for (const variant of Object.values(record.variants || {})) {
+    bytes += variant.size;
+  }
+  return bytes;
+}
+
+/**
+ * Read a request's `private` option, sent as a JSON boolean, a form field or tus metadata
+ * @param {*} value - Option value
+ * @returns {boolean} - True for true, "true" and "1"
+ */
+function isPrivateOption(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Registry fields marking a private file
+ * @param {boolean} isPrivate - Whether the file is private
+ * @param {string} bucket - Bucket it is stored in
+ * @returns {Object} - { private, bucket }, or {} for public files
+ */
+function privateRecord(isPrivate, bucket) {
+  return isPrivate ? { private: true, bucket: bucket } : {};
+}
+
+/**
+ * Create the file-level helpers shared by server.js and routes/upload.js
+ * @param {Object} options - { storage, transfer, filePolicy, registry, quotas, imageProcessor, malwareScanner,
+ *   quarantine, bucketName, privateBucket, privatePrefix, publicBaseUrl, scanAction, scanFailOpen } where
+ *   transfer comes from createB2Transfer(), malwareScanner is null when scanning is off and scanAction is
+ *   MALWARE_ACTION ("reject" or "quarantine")
+ * @returns {Object} - { uploadFiles, recordStoredFile, scanFile, fileLocation, fileUrls, prepareImage, storeImageVariants, describeImage }
+ */
+function createFileStore({
+  storage,
+  transfer,
+  filePolicy,
+  registry,
+  quotas,
+  imageProcessor,
+  malwareScanner = null,
+  quarantine = null,
+  bucketName,
+  privateBucket = bucketName,
+  privatePrefix,
+  publicBaseUrl,
+  scanAction = 'reject',
+  scanFailOpen = false
+}) {
+  /**
+   * Record a stored file in the registry and count it (and any image variants) against the
+   * user's quota. A file stored over another ("overwrite" naming) no longer counts the bytes
+   * it replaced.
+   * @param {Object} record - Registry record of the new file
+   * @returns {Promise<void>}
+   */
+  async function recordStoredFile(record) {
+    const replaced = await registry.get(record.key);
+    await registry.record(record);
+    if (replaced) {
+      await quotas.adjustBytes(replaced.userId, -storedBytes(replaced));
+    }
+    await quotas.recordUpload(record.userId, storedBytes(record));
+  }
+
+  /**
+   * Upload files to B2 storage with parallel processing
+   * @param {string} userId - User ID for folder organization
+   * @param {Array} files - Array of file objects from multer
+   * @param {Object} options - { isPrivate, naming, folder, relativePaths } where relativePaths holds each
+   *   file's path within an uploaded folder, in file order; naming defaults to "original"
+   * @returns {Promise<Array>} - Array of upload results
+   */
+  async function uploadFiles(userId, files, { isPrivate = false, naming = 'original', folder = null, relativePaths = [] } = {}) {
+    const results = [];
+    const errors = [];
+    
+    // Process files in parallel for better performance
+    const uploadPromises = files.map(async (file, index) => {
+      try {
+        const policyResult = await filePolicy.checkFile(file.path, file.originalname);
+        if (!policyResult.allowed) {
+          return {
+            success: false,
+            fileName: file.originalname,
+            error: policyResult.error,
+            code: policyResult.code,
+            filePath: file.path // For cleanup
+          };
+        }
+        
+        const scanResult = await scanFile(file.path, {
+          userId: userId,
+          originalName: file.originalname,
+          contentType: policyResult.contentType,
+          uploadMode: 'form'
+        });
+        if (!scanResult.allowed) {
+          const { allowed, status, ...rejection } = scanResult;
+          return {
+            success: false,
+            fileName: file.originalname,
+            ...rejection,
+            filePath: file.path // For cleanup
+          };
+        }
+        
+        const originalFilename = file.originalname;
+        let plannedName;
+        try {
+          const options = readNamingOptions({ naming, folder, relativePath: relativePaths[index] });
+          plannedName = { naming: options.naming, fileName: planFileName(originalFilename, options) };
+        } catch (namingError) {
+          return {
+            success: false,
+            fileName: originalFilename,
+            error: namingError.message,
+            code: 'INVALID_FILE_PATH',
+            filePath: file.path // For cleanup
+          };
+        }
+        
+        // Add a suffix while the name is taken (unless overwriting)
+        const b2Filename = await resolveFileName(plannedName.fileName, plannedName.naming, async candidate => {
+          const { bucket, key } = fileLocation(userId, candidate, { isPrivate });
+          return Boolean(await storage.withBucket(bucket).headObject(key));
+        });
+
+        const { bucket, key: finalKey } = fileLocation(userId, b2Filename, { isPrivate });
+        const metadata = objectMetadata({ originalName: originalFilename, userId });
+        const image = await prepareImage(file.path, policyResult.contentType, { withVariants: !isPrivate });
+
+        // Upload to B2 (multipart for large files, so they are never fully in memory)
+        try {
+          await transfer.uploadFileToB2(file.path, bucket, finalKey, policyResult.contentType, { metadata });
+        } catch (transferError) {
+          await imageProcessor.discard(image);
+          throw transferError;
+        }
+        const imageRecord = image ? await storeImageVariants(image, finalKey, metadata) : {};
+        await recordStoredFile({
+          key: finalKey,
+          userId: userId,
+          originalName: originalFilename,
+          size: file.size,
+          contentType: policyResult.contentType,
+          uploadMode: 'form',
+          ...privateRecord(isPrivate, bucket),
+          ...imageRecord
+        });
+
+        // Build CDN URL (none for private files, which are fetched with a download link)
+        const { cdnUrl, linkUrl } = fileUrls(finalKey, { isPrivate });
+
+        return {
+          success: true,
+          originalFileName: originalFilename,
+          finalFileName: b2Filename,
+          cdnUrl: cdnUrl,
+          ...(isPrivate ? { private: true, linkUrl: linkUrl } : {}),
+          b2Key: finalKey,
+          fileSize: file.size,
+          mimeType: policyResult.contentType,
+          ...describeImage(imageRecord),
+          filePath: file.path // For cleanup
+        };
+
+      } catch (error) {
+        return {
+          success: false,
+          fileName: file.originalname,
+          error: error.message,
+          filePath: file.path // For cleanup
+        };
+      }
+    });
+
+    // Wait for all uploads to complete
+    const uploadResults = await Promise.all(uploadPromises);
+    
+    // Separate results and errors
+    uploadResults.forEach(result => {
+      if (result.success) {
+        results.push(result);
+      } else {
+        errors.push(result);
+      }
+    });
+
+    // Clean up temp files in parallel
+    const cleanupPromises = uploadResults.map(async (result) => {
+      try {
+        if (result.filePath && await fs.promises.access(result.filePath).then(() => true).catch(() => false)) {
+          await fs.promises.unlink(result.filePath);
+        }
+      } catch (cleanupError) {
+        console.error(`Error cleaning up temp file ${result.filePath}:`, cleanupError);
+      }
+    });
+    
+    await Promise.all(cleanupPromises);
+    
+    return { results, errors };
+  }
+
+  /**
+   * Scan a staged file before it is stored. Infected files are moved to the
+   * quarantine (MALWARE_ACTION=quarantine) or left for the caller to delete
+   * (reject); a scanner failure rejects the file unless MALWARE_SCAN_FAIL_OPEN.
+   * @param {string} filePath - Local file about to be stored
+   * @param {Object} details - { userId, originalName, contentType, uploadMode, ... } recorded with a quarantined file
+   * @returns {Promise<Object>} - { allowed: true }, or { allowed: false, status, code, error } plus
+   *   { signature, quarantineId } for malware and { retryAfter } for a failed scan
+   */
+  async function scanFile(filePath, details) {
+    if (!malwareScanner) {
+      return { allowed: true };
+    }
+
+    let scan;
+    try {
+      scan = await malwareScanner.scanFile(filePath);
+    } catch (error) {
+      metrics.malwareScans.inc({ outcome: 'error' });
+      if (scanFailOpen) {
+        console.warn(`⚠️ Could not scan ${details.originalName}, storing it unscanned (MALWARE_SCAN_FAIL_OPEN):`, error.message);
+        return { allowed: true };
+      }
+      console.error(`❌ Could not scan ${details.originalName}:`, error.message);
+      return {
+        allowed: false,
+        status: 503,
+        code: 'MALWARE_SCAN_FAILED',
+        error: 'The file could not be scanned for malware, try again later',
+        retryAfter: SCAN_RETRY_AFTER
+      };
+    }
+
+    if (!scan.infected) {
+      metrics.malwareScans.inc({ outcome: 'clean' });
+      return { allowed: true };
+    }
+    metrics.malwareScans.inc({ outcome: 'infected' });
+
+    let quarantineId = null;
+    if (scanAction === 'quarantine') {
+      quarantineId = (await quarantine.add(filePath, { ...details, signature: scan.signature })).id;
+    }
+    console.warn(`🦠 ${details.originalName} from ${details.userId} contains ${scan.signature}, ${quarantineId ? `quarantined as ${quarantineId}` : 'rejected'}`);
+    return {
+      allowed: false,
+      status: 422,
+      code: 'MALWARE_DETECTED',
+      error: `File contains malware (${scan.signature})`,
+      signature: scan.signature,
+      quarantineId: quarantineId
+    };
+  }
+
+  /**
+   * Where a user's file is stored: `<userId>/<fileName>` in the main bucket, or
+   * under PRIVATE_PREFIX in the private bucket for private files
+   * @param {string} userId - Owner
+   * @param {string} fileName - Stored file name
+   * @param {Object} options - { isPrivate }
+   * @returns {Object} - { bucket, key }
+   */
+  function fileLocation(userId, fileName, { isPrivate = false } = {}) {
+    if (isPrivate) {
+      return { bucket: privateBucket, key: `${privatePrefix}${userId}/${fileName}` };
+    }
+    return { bucket: bucketName, key: `${userId}/${fileName}` };
+  }
+
+  /**
+   * URLs of a stored file. Private files have no public URLs, only the
+   * endpoint that issues download links for them.
+   * @param {string} key - Object key
+   * @param {Object} options - { isPrivate }
+   * @returns {Object} - { cdnUrl, b2Url, b2PublicUrl }, null for private files which also get { private, linkUrl }
+   */
+  function fileUrls(key, { isPrivate = false } = {}) {
+    if (!isPrivate) {
+      return storage.publicUrls(key);
+    }
+    return {
+      cdnUrl: null,
+      b2Url: null,
+      b2PublicUrl: null,
+      private: true,
+      linkUrl: `${publicBaseUrl}/files/${encodeKey(key)}/link`
+    };
+  }
+
+  /**
+   * Strip an image's metadata in place and write its variants, before it is stored.
+   * Files sharp cannot read are stored as uploaded rather than failing the upload.
+   * @param {string} filePath - Local file about to be stored
+   * @param {string} contentType - Sniffed content type
+   * @param {Object} options - { withVariants } false to only strip metadata (private files have no public URLs to serve variants from)
+   * @returns {Promise<Object|null>} - Result of imageProcessor.process(), or null if nothing was done
+   */
+  async function prepareImage(filePath, contentType, { withVariants = true } = {}) {
+    try {
+      return await imageProcessor.process(filePath, contentType, { withVariants });
+    } catch (error) {
+      console.warn(`⚠️ Could not process image ${path.basename(filePath)}, storing it as uploaded:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Upload the variants of a prepared image next to its original and remove
+   * their local files. A variant that fails to upload is left out.
+   * @param {Object} image - Result of prepareImage()
+   * @param {string} key - Original's object key
+   * @param {Object} metadata - Object metadata of the original (see objectMetadata())
+   * @returns {Promise<Object>} - Registry fields { width, height, storedSize, metadataStripped, variants: { name: { key, width, height, size, contentType } } }
+   *   where storedSize is the original's size in the bucket; `size` stays the uploaded one, which deduplication matches on
+   */
+  async function storeImageVariants(image, key, metadata) {
+    const variants = {};
+    try {
+      for (const variant of image.variants) {
+        const storedKey = variantKey(key, variant);
+        try {
+          await transfer.uploadFileToB2(variant.path, bucketName, storedKey, variant.contentType, { metadata });
+          variants[variant.name] = {
+            key: storedKey,
+            width: variant.width,
+            height: variant.height,
+            size: variant.size,
+            contentType: variant.contentType
+          };
+        } catch (error) {
+          console.error(`❌ Error storing the ${variant.name} variant of ${key}:`, error.message);
+        }
+      }
+    } finally {
+      await imageProcessor.discard(image);
+    }
+    return { width: image.width, height: image.height, storedSize: image.size, metadataStripped: image.metadataStripped, variants };
+  }
+
+  /**
+   * Response fields for a stored image: its dimensions and each variant's URL
+   * @param {Object} record - Registry record (or storeImageVariants() result); records without variants give {}
+   * @returns {Object} - { width, height, metadataStripped, variants: { name: { cdnUrl, b2Key, width, height, fileSize, contentType } } }
+   */
+  function describeImage(record) {
+    if (!record.variants) {
+      return {};
+    }
+    const variants = {};
+    for (const [name, variant] of Object.entries(record.variants)) {
+      variants[name] = {
+        cdnUrl: storage.publicUrls(variant.key).cdnUrl,
+        b2Key: variant.key,
+        width: variant.width,
+        height: variant.height,
+        fileSize: variant.size,
+        contentType: variant.contentType
+      };
+    }
+    return { width: record.width, height: record.height, metadataStripped: record.metadataStripped, variants };
+  }
+
+  return {
+    uploadFiles,
+    recordStoredFile,
+    scanFile,
+    fileLocation,
+    fileUrls,
+    prepareImage,
+    storeImageVariants,
+    describeImage
+  };
+}
+
+module.exports = {
+  createFileStore,
+  isPrivateOption,
+  privateRecord,
+  storedBytes
+};
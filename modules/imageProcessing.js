@@ -0,0 +1,169 @@
+// modules/imageProcessing.js - Resized variants and metadata stripping for uploaded images
+const fs = require('fs');
+
+// sharp (libvips) is an optional dependency; without it images are stored as uploaded
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+
+// Formats a variant can be written in
+const VARIANT_FORMATS = {
+  jpeg: { extension: '.jpg', contentType: 'image/jpeg' },
+  png: { extension: '.png', contentType: 'image/png' },
+  webp: { extension: '.webp', contentType: 'image/webp' },
+  avif: { extension: '.avif', contentType: 'image/avif' },
+  tiff: { extension: '.tif', contentType: 'image/tiff' }
+};
+
+// Sniffed content types that are processed, and the format they are written back in
+const SOURCE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/tiff': 'tiff'
+};
+
+// Only lossy formats take a quality; for PNG it would switch to a reduced palette
+const LOSSY_FORMATS = ['jpeg', 'webp', 'avif'];
+
+/**
+ * Prepares images before they are stored: strips EXIF, GPS, XMP and IPTC
+ * metadata from the file (after applying its orientation, so it still
+ * displays upright) and writes the configured variants next to it. Files
+ * that are not images, animated images and images above `maxPixels` are
+ * left alone, as is everything when sharp is not installed.
+ */
+class ImageProcessor {
+  /**
+   * @param {Object} options - { enabled, variants: [{ name, width, height, format }], stripMetadata, quality, maxPixels }
+   */
+  constructor({ enabled = false, variants = [], stripMetadata = true, quality = 85, maxPixels = 50 * 1000 * 1000 } = {}) {
+    this.enabled = enabled && sharp !== null;
+    this.variants = variants;
+    this.stripMetadata = stripMetadata;
+    this.quality = quality;
+    this.maxPixels = maxPixels;
+
+    if (enabled && sharp === null) {
+      console.warn('⚠️ IMAGE_PROCESSING is on but sharp is not installed (npm install sharp); images are stored as uploaded');
+    }
+  }
+
+  /**
+   * @param {string} contentType - Sniffed content type
+   * @returns {boolean} - True if files of this type are processed
+   */
+  handles(contentType) {
+    return this.enabled && contentType in SOURCE_FORMATS;
+  }
+
+  /**
+   * Strip the image's metadata in place and write its variants as
+   * `${filePath}.${variant name}`; hand the result to discard() once the
+   * variants are stored or no longer needed
+   * @param {string} filePath - Image file
+   * @param {string} contentType - Sniffed content type
+   * @param {Object} options - { withVariants } false to only strip metadata
+   * @returns {Promise<Object|null>} - { width, height, size, metadataStripped, variants: [{ name, path, extension, contentType, width, height, size }] }
+   *   where size is the file's own, smaller than uploaded once stripped; null for files that are not processed
+   */
+  async process(filePath, contentType, { withVariants = true } = {}) {
+    if (!this.handles(contentType)) {
+      return null;
+    }
+    const options = { limitInputPixels: this.maxPixels };
+    const metadata = await sharp(filePath, options).metadata();
+    if ((metadata.pages || 1) > 1) {
+      return null; // Variants would keep only the first frame
+    }
+    const sourceFormat = SOURCE_FORMATS[contentType];
+
+    let metadataStripped = false;
+    if (this.stripMetadata && (metadata.exif || metadata.xmp || metadata.iptc)) {
+      // Re-encoding drops all metadata; the ICC profile only describes colors and is kept
+      const strippedPath = `${filePath}.stripped`;
+      await sharp(filePath, options).rotate().keepIccProfile()
+        .toFormat(sourceFormat, this.formatOptions(sourceFormat))
+        .toFile(strippedPath);
+      await fs.promises.rename(strippedPath, filePath);
+      metadataStripped = true;
+    }
+
+    const variants = [];
+    try {
+      for (const variant of withVariants ? this.variants : []) {
+        const format = variant.format || sourceFormat;
+        const variantPath = `${filePath}.${variant.name}`;
+        let pipeline = sharp(filePath, options).rotate();
+        if (variant.width || variant.height) {
+          pipeline = pipeline.resize({
+            width: variant.width || undefined,
+            height: variant.height || undefined,
+            fit: 'inside',
+            withoutEnlargement: true
+          });
+        }
+        const info = await pipeline.toFormat(format, this.formatOptions(format)).toFile(variantPath);
+        variants.push({
+          name: variant.name,
+          path: variantPath,
+          extension: VARIANT_FORMATS[format].extension,
+          contentType: VARIANT_FORMATS[format].contentType,
+          width: info.width,
+          height: info.height,
+          size: info.size
+        });
+      }
+    } catch (error) {
+      await this.discard({ variants });
+      throw error;
+    }
+
+    // Orientations 5-8 are rotated a quarter turn, so the displayed width is the stored height
+    const quarterTurn = (metadata.orientation || 1) >= 5;
+    return {
+      width: quarterTurn ? metadata.height : metadata.width,
+      height: quarterTurn ? metadata.width : metadata.height,
+      size: (await fs.promises.stat(filePath)).size,
+      metadataStripped: metadataStripped,
+      variants: variants
+    };
+  }
+
+  /**
+   * Remove the variant files written by process()
+   * @param {Object} image - Result of process() (null is ignored)
+   * @returns {Promise<void>}
+   */
+  async discard(image) {
+    if (!image) {
+      return;
+    }
+    await Promise.all(image.variants.map(variant => fs.promises.rm(variant.path, { force: true })));
+  }
+
+  formatOptions(format) {
+    return LOSSY_FORMATS.includes(format) ? { quality: this.quality } : {};
+  }
+}
+
+/**
+ * Object key of a variant, next to the original: alice/3f2a.jpg → alice/3f2a_thumbnail.webp
+ * @param {string} key - Original's object key
+ * @param {Object} variant - { name, extension }
+ * @returns {string} - Variant's object key
+ */
+function variantKey(key, variant) {
+  const base = key.replace(/\.[^./]*$/, '');
+  return `${base}_${variant.name}${variant.extension}`;
+}
+
+module.exports = {
+  VARIANT_FORMATS,
+  ImageProcessor,
+  variantKey
+};
@@ -0,0 +1,199 @@
+// modules/logger.js - Leveled JSON logging with per-request context (request IDs, upload IDs)
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Incoming X-Request-Id values are reused only if they look like an ID, not arbitrary text
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Fields of the request being handled; every log line written while handling it carries them
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Turn an Error into plain fields that survive JSON.stringify
+ * @param {Error} error - Error to describe
+ * @returns {Object} - { name, message, code, stack }
+ */
+function describeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Writes one line per entry: a JSON object in "json" format, or
+ * "time LEVEL message key=value" in "text" format for reading in a terminal.
+ * Errors and warnings go to stderr, everything else to stdout.
+ */
+class Logger {
+  /**
+   * @param {Object} options - { level, format, fields, stdout, stderr }
+   */
+  constructor({ level = 'info', format = 'json', fields = {}, stdout = process.stdout, stderr = process.stderr } = {}) {
+    this.level = level;
+    this.format = format;
+    this.fields = fields;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  /**
+   * @param {Object} fields - Fields added to every entry of the child logger
+   * @returns {Logger} - Logger sharing this one's settings and output
+   */
+  child(fields) {
+    return new Logger({ ...this, fields: { ...this.fields, ...fields } });
+  }
+
+  /**
+   * @param {string} level - debug, info, warn or error
+   * @returns {boolean} - True if entries of this level are written
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Human-readable message
+   * @param {Object} fields - Structured fields; an `error` field may be an Error
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      msg: message,
+      ...logContext.getStore(),
+      ...this.fields,
+      ...fields
+    };
+    if (entry.error instanceof Error) {
+      entry.error = describeError(entry.error);
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout;
+    stream.write((this.format === 'text' ? formatText(entry) : JSON.stringify(entry)) + '\n');
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+// "2026-10-19T12:00:00.000Z INFO message requestId=... uploadId=..." plus the stack of an error
+function formatText({ time, level, msg, error, ...fields }) {
+  const pairs = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  const line = [time, level.toUpperCase(), msg, ...pairs].join(' ');
+  return error ? `${line}\n${error.stack || error.message}` : line;
+}
+
+/**
+ * Add fields to the current request's log context, e.g. the upload a
+ * request belongs to once its session is loaded. No-op outside a request.
+ * @param {Object} fields - Fields to add
+ */
+function addLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * @returns {Object} - Fields of the current request's log context (empty outside a request)
+ */
+function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * Express middleware giving every request an ID (`req.id` and the
+ * X-Request-Id header, taken from the request if present) and a start time
+ * (`req.startedAt`), and writing one access log entry when it finishes
+ * @param {Logger} log - Logger for the access log
+ * @param {Object} options - { quietPaths } paths logged at debug level only (health checks, scrapes)
+ * @returns {Function} - Express middleware
+ */
+function requestContext(log, { quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.id = requestId;
+    req.startedAt = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    logContext.run({ requestId }, () => {
+      res.on('finish', () => {
+        log.log(quietPaths.includes(req.path) ? 'debug' : 'info', `${req.method} ${req.path} ${res.statusCode}`, {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6 * 10) / 10,
+          origin: req.get('origin'),
+          userId: req.user ? req.user.userId : undefined
+        });
+      });
+      next();
+    });
+  };
+}
+
+/**
+ * Route console.log/info/warn/error/debug through a logger, so modules that
+ * still log with console produce the same JSON entries with request context.
+ * Error arguments become the entry's `error` field.
+ * @param {Logger} log - Logger to write to
+ */
+function captureConsole(log) {
+  const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+  for (const [method, level] of Object.entries(methods)) {
+    console[method] = (...args) => {
+      if (!log.isEnabled(level)) {
+        return;
+      }
+      const error = args.find(arg => arg instanceof Error);
+      if (!error) {
+        return log.log(level, util.format(...args));
+      }
+      // console.error('Upload failed:', error) → message "Upload failed" with an error field
+      const message = util.format(...args.filter(arg => arg !== error)).replace(/:\s*$/, '');
+      log.log(level, message, { error });
+    };
+  }
+}
+
+// Application logger configured from LOG_LEVEL and LOG_FORMAT
+const logger = new Logger(config.logging);
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger,
+  addLogContext,
+  getLogContext,
+  requestContext,
+  captureConsole
+};
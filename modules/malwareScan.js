@@ -0,0 +1,315 @@
+// modules/malwareScan.js - Malware scanning of staged files and the quarantine for infected ones
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { execFile } = require('child_process');
+
+// clamd INSTREAM chunks; clamd's own StreamMaxLength still caps the whole file
+const CLAMD_CHUNK_SIZE = 64 * 1024;
+
+// Seconds a client is asked to wait after a failed scan; long enough for a restarted clamd to load its signatures
+const RETRY_AFTER = 30;
+
+// Quarantine IDs become file names, so only accept what add() generates
+const QUARANTINE_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Malware scanner interface.
+ *
+ * Scans one file on the local staging disk before it is stored. A scanner
+ * for another engine only has to implement scanFile(); it should throw when
+ * the file could not be scanned rather than report it clean.
+ */
+class MalwareScanner {
+  /**
+   * @param {string} filePath - File to scan
+   * @returns {Promise<Object>} - { infected, signature } with signature the name of what was found (null when clean)
+   */
+  async scanFile(filePath) {
+    throw new Error('MalwareScanner.scanFile not implemented');
+  }
+}
+
+/**
+ * Streams files to a ClamAV daemon over its unix socket or TCP port
+ * (INSTREAM command), so clamd needs no access to the staging directory
+ */
+class ClamdScanner extends MalwareScanner {
+  /**
+   * @param {Object} options - { socket, host, port, timeout } where socket (a unix socket path) wins over host and port
+   */
+  constructor({ socket = null, host = '127.0.0.1', port = 3310, timeout = 60 * 1000 } = {}) {
+    super();
+    this.socket = socket;
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+  }
+
+  async scanFile(filePath) {
+    const connection = net.createConnection(this.socket ? { path: this.socket } : { host: this.host, port: this.port });
+    connection.setTimeout(this.timeout, () => {
+      connection.destroy(new Error(`clamd did not answer within ${this.timeout} ms`));
+    });
+
+    // clamd may answer and hang up before it has read everything (e.g. over StreamMaxLength),
+    // so its reply is collected independently of the writes
+    const reply = new Promise((resolve, reject) => {
+      const received = [];
+      let lastError = null;
+      connection.on('data', data => received.push(data));
+      connection.on('error', error => {
+        lastError = error;
+      });
+      connection.on('close', () => {
+        if (received.length > 0) {
+          resolve(Buffer.concat(received).toString('utf8').replace(/\0/g, '').trim());
+        } else {
+          reject(lastError || new Error('clamd closed the connection without answering'));
+        }
+      });
+    });
+
+    try {
+      await once(connection, 'connect');
+      connection.write('zINSTREAM\0');
+      for await (const data of fs.createReadStream(filePath, { highWaterMark: CLAMD_CHUNK_SIZE })) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        if (!connection.write(Buffer.concat([length, data]))) {
+          await once(connection, 'drain');
+        }
+      }
+      connection.end(Buffer.alloc(4)); // A zero-length chunk ends the stream
+    } catch (error) {
+      connection.destroy();
+      await reply.catch(() => {});
+      throw error;
+    }
+
+    return parseClamdReply(await reply);
+  }
+}
+
+/**
+ * @param {string} reply - clamd's answer, e.g. "stream: OK" or "stream: Eicar-Test-Signature FOUND"
+ * @returns {Object} - { infected, signature }
+ * @throws {Error} - For error replies such as "INSTREAM size limit exceeded. ERROR"
+ */
+function parseClamdReply(reply) {
+  if (reply === 'stream: OK') {
+    return { infected: false, signature: null };
+  }
+  const found = /^stream: (.+) FOUND$/.exec(reply);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+  throw new Error(`clamd: ${reply}`);
+}
+
+/**
+ * Runs a command-line scanner per file. "{file}" in the arguments is
+ * replaced by the file's path (appended when absent). Exit code 0 means
+ * clean and 1 infected, as with clamscan and clamdscan; anything else is a
+ * failed scan. The signature is taken from a "path: Name FOUND" line.
+ */
+class CommandScanner extends MalwareScanner {
+  /**
+   * @param {Object} options - { command: [program, ...args], timeout }
+   */
+  constructor({ command, timeout = 60 * 1000 }) {
+    super();
+    this.program = command[0];
+    this.args = command.slice(1);
+    this.timeout = timeout;
+    if (!this.args.includes('{file}')) {
+      this.args.push('{file}');
+    }
+  }
+
+  scanFile(filePath) {
+    const args = this.args.map(arg => (arg === '{file}' ? filePath : arg));
+    return new Promise((resolve, reject) => {
+      execFile(this.program, args, { timeout: this.timeout, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+        if (!error) {
+          return resolve({ infected: false, signature: null });
+        }
+        if (error.code === 1) {
+          const found = /: (.+) FOUND$/m.exec(stdout);
+          return resolve({ infected: true, signature: found ? found[1] : 'unknown' });
+        }
+        const output = (stderr || stdout || '').trim().split('\n')[0];
+        reject(new Error(`${path.basename(this.program)} failed${error.killed ? ` after ${this.timeout} ms` : ` (exit code ${error.code})`}${output ? `: ${output}` : ''}`));
+      });
+    });
+  }
+}
+
+/**
+ * Create the scanner named by configuration.
+ *   - "off" (default): no scanning, returns null
+ *   - "clamd": ClamdScanner
+ *   - "command": CommandScanner
+ *   - any other value: path to a module exporting a MalwareScanner subclass,
+ *     an instance, or a factory function returning one
+ * @param {Object} options - { driver, clamd: { socket, host, port }, command, timeout }
+ * @returns {MalwareScanner|null} - Scanner instance
+ */
+function createMalwareScanner({ driver = 'off', clamd = {}, command = [], timeout } = {}) {
+  if (driver === 'off') {
+    return null;
+  }
+  if (driver === 'clamd') {
+    return new ClamdScanner({ ...clamd, timeout });
+  }
+  if (driver === 'command') {
+    return new CommandScanner({ command, timeout });
+  }
+
+  const custom = require(path.resolve(driver));
+  if (typeof custom !== 'function') {
+    return custom;
+  }
+  return custom.prototype instanceof MalwareScanner ? new custom() : custom();
+}
+
+/**
+ * Infected files kept for review instead of being deleted, on the local
+ * disk where they are never reachable through a public URL. Each file is
+ * stored as `<id>` with its record in `<id>.json` (written atomically).
+ */
+class Quarantine {
+  /**
+   * @param {Object} options - { dir, retention } with retention in ms (0 keeps files until an admin deletes them)
+   */
+  constructor({ dir, retention = 0 }) {
+    this.dir = dir;
+    this.retention = retention;
+  }
+
+  /**
+   * Move a file into quarantine
+   * @param {string} filePath - Infected file; it is moved, not copied
+   * @param {Object} details - { userId, originalName, contentType, signature, uploadMode, ... } kept in the record
+   * @returns {Promise<Object>} - Record { id, quarantinedAt, size, ...details }
+   */
+  async add(filePath, details) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const id = crypto.randomBytes(16).toString('hex');
+    const targetPath = path.join(this.dir, id);
+    try {
+      await fs.promises.rename(filePath, targetPath);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.promises.copyFile(filePath, targetPath);
+      await fs.promises.rm(filePath, { force: true });
+    }
+    await fs.promises.chmod(targetPath, 0o600);
+
+    const record = {
+      id: id,
+      quarantinedAt: Date.now(),
+      size: (await fs.promises.stat(targetPath)).size,
+      ...details
+    };
+    const tempPath = `${targetPath}.json.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(record, null, 2));
+    await fs.promises.rename(tempPath, `${targetPath}.json`);
+    return record;
+  }
+
+  /**
+   * @returns {Promise<Array>} - Every record, newest first
+   */
+  async list() {
+    let names = [];
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const records = [];
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const record = await this.get(name.slice(0, -'.json'.length));
+      if (record) {
+        records.push(record);
+      }
+    }
+    return records.sort((a, b) => b.quarantinedAt - a.quarantinedAt);
+  }
+
+  /**
+   * @param {string} id - Quarantine ID
+   * @returns {Promise<Object|null>} - Record, or null if there is none
+   */
+  async get(id) {
+    if (!QUARANTINE_ID_PATTERN.test(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} id - Quarantine ID
+   * @returns {string} - Path of the quarantined file (check the ID with get() first)
+   */
+  filePath(id) {
+    return path.join(this.dir, id);
+  }
+
+  /**
+   * Delete a quarantined file and its record
+   * @param {string} id - Quarantine ID
+   * @returns {Promise<boolean>} - False if there was no such file
+   */
+  async remove(id) {
+    if (!await this.get(id)) {
+      return false;
+    }
+    await fs.promises.rm(this.filePath(id), { force: true });
+    await fs.promises.rm(`${this.filePath(id)}.json`, { force: true });
+    return true;
+  }
+
+  /**
+   * Delete files kept longer than `retention`
+   * @returns {Promise<number>} - Files deleted
+   */
+  async prune() {
+    if (!this.retention) {
+      return 0;
+    }
+    const cutoff = Date.now() - this.retention;
+    let removed = 0;
+    for (const record of await this.list()) {
+      if (record.quarantinedAt < cutoff && await this.remove(record.id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  RETRY_AFTER,
+  MalwareScanner,
+  ClamdScanner,
+  CommandScanner,
+  Quarantine,
+  createMalwareScanner,
+  parseClamdReply
+};
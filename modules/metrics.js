@@ -0,0 +1,324 @@
+// modules/metrics.js - Prometheus metrics (counters, gauges, histograms) in the text exposition format
+
+// Seconds; covers a single small B2 request up to a multi-gigabyte transfer
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// {a="1",b="2"} for the given label values, or "" without labels
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Common parts of every metric: name, help text and one value per label combination
+ */
+class Metric {
+  /**
+   * @param {Object} options - { name, help, labelNames }
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // Serialized labels → value
+  }
+
+  // Labels in declaration order, so { a, b } and { b, a } are the same series
+  labelsKey(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Metric ${this.name} has no label "${name}"`);
+      }
+    }
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  labelsFromKey(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+  }
+
+  /**
+   * Forget every recorded value
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(...this.renderSeries(this.labelsFromKey(key), value));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+/**
+ * Value that only goes up (requests, bytes, failures)
+ */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    const key = this.labelsKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+/**
+ * Value that is set to the current state (sessions, disk usage). A `collect`
+ * function, if given, is called before every scrape to refresh the values.
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - { name, help, labelNames, collect(gauge) }
+   */
+  constructor({ collect = null, ...options }) {
+    super(options);
+    this.collect = collect;
+  }
+
+  get type() {
+    return 'gauge';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this.values.set(this.labelsKey(labels), value);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    const key = this.labelsKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+/**
+ * Distribution of observed values (durations) in cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - { name, help, labelNames, buckets } with buckets as ascending upper bounds
+   */
+  constructor({ buckets = DURATION_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const key = this.labelsKey(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing something
+   * @param {Object} labels - Label values known up front
+   * @returns {Function} - Call with any further labels to observe the elapsed seconds; returns them
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(labels, { counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+/**
+ * Set of metrics rendered together for one /metrics scrape
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Refresh collected gauges and render every metric
+   * @returns {Promise<string>} - Prometheus text exposition format (version 0.0.4)
+   */
+  async render() {
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        await metric.collect(metric);
+      }
+    }
+    return Array.from(this.metrics.values(), metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+// Content-Type of MetricsRegistry.render() output
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// The server's metrics; gauges that need server state get their collect function where that state lives
+const metrics = new MetricsRegistry();
+
+metrics.uploadedFiles = metrics.counter({
+  name: 'upload_files_total',
+  help: 'Files stored, by upload path (legacy, chunked, direct, tus)',
+  labelNames: ['path']
+});
+metrics.uploadedBytes = metrics.counter({
+  name: 'upload_bytes_total',
+  help: 'Bytes of stored files, by upload path',
+  labelNames: ['path']
+});
+metrics.deduplicatedFiles = metrics.counter({
+  name: 'upload_deduplicated_total',
+  help: 'Uploads answered with an identical stored file instead of storing a copy'
+});
+metrics.receiveDuration = metrics.histogram({
+  name: 'upload_receive_duration_seconds',
+  help: 'Time to receive a file from the client (from session start to completion for chunked uploads)',
+  labelNames: ['path']
+});
+metrics.assembleDuration = metrics.histogram({
+  name: 'upload_assemble_duration_seconds',
+  help: 'Time to combine and verify the chunks of an assembled upload'
+});
+metrics.transferDuration = metrics.histogram({
+  name: 'upload_transfer_duration_seconds',
+  help: 'Time to store a received file in the bucket',
+  labelNames: ['path', 'outcome']
+});
+metrics.chunks = metrics.counter({
+  name: 'upload_chunks_total',
+  help: 'Chunks received (tus PATCH bodies count as chunks)',
+  labelNames: ['path']
+});
+metrics.chunkBytes = metrics.counter({
+  name: 'upload_chunk_bytes_total',
+  help: 'Bytes of received chunks',
+  labelNames: ['path']
+});
+metrics.failures = metrics.counter({
+  name: 'upload_failures_total',
+  help: 'Uploads that failed, expired or were cancelled, by cause',
+  labelNames: ['cause']
+});
+metrics.malwareScans = metrics.counter({
+  name: 'upload_malware_scans_total',
+  help: 'Files scanned for malware before storing, by outcome (clean, infected, error)',
+  labelNames: ['outcome']
+});
+metrics.storageRequestDuration = metrics.histogram({
+  name: 'b2_request_duration_seconds',
+  help: 'Latency of requests to the bucket, per attempt, by S3 command and outcome',
+  labelNames: ['operation', 'outcome']
+});
+metrics.processMemory = metrics.gauge({
+  name: 'process_memory_bytes',
+  help: 'Memory used by the server process',
+  labelNames: ['type'],
+  collect: gauge => {
+    const usage = process.memoryUsage();
+    for (const type of ['rss', 'heapTotal', 'heapUsed', 'external']) {
+      gauge.set({ type }, usage[type]);
+    }
+  }
+});
+metrics.uptime = metrics.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the server process started',
+  collect: gauge => gauge.set({}, Math.round(process.uptime()))
+});
+
+/**
+ * Time every request an S3 client sends (each retry separately) into
+ * metrics.storageRequestDuration
+ * @param {Object} client - S3Client from @aws-sdk/client-s3
+ */
+function instrumentS3Client(client) {
+  client.middlewareStack.add((next, context) => async (args) => {
+    const endTimer = metrics.storageRequestDuration.startTimer({ operation: (context.commandName || 'unknown').replace(/Command$/, '') });
+    try {
+      const result = await next(args);
+      endTimer({ outcome: 'success' });
+      return result;
+    } catch (error) {
+      endTimer({ outcome: error.$metadata && error.$metadata.httpStatusCode ? String(error.$metadata.httpStatusCode) : 'error' });
+      throw error;
+    }
+  }, { step: 'deserialize', name: 'requestMetrics' });
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry,
+  CONTENT_TYPE,
+  DURATION_BUCKETS,
+  metrics,
+  instrumentS3Client
+};
@@ -0,0 +1,176 @@
+// modules/partForwarder.js - Forward received chunks straight into B2 multipart parts
+const fs = require('fs');
+
+// S3/B2 require every part except the last to be at least 5MB, and allow 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/**
+ * Work out how chunks are grouped into multipart parts for a session
+ * @param {Object} uploadInfo - Upload session with chunkSize and totalChunks
+ * @returns {Object} - { chunksPerPart, partCount }
+ */
+function partLayout(uploadInfo) {
+  const chunksPerPart = Math.max(
+    Math.ceil(MIN_PART_SIZE / uploadInfo.chunkSize),
+    Math.ceil(uploadInfo.totalChunks / MAX_PARTS),
+    1
+  );
+  return {
+    chunksPerPart,
+    partCount: Math.ceil(uploadInfo.totalChunks / chunksPerPart)
+  };
+}
+
+/**
+ * Chunk index range covered by a part
+ * @param {Object} uploadInfo - Upload session
+ * @param {number} partNumber - 1-based part number
+ * @returns {Object} - { firstChunk, lastChunk }
+ */
+function chunkRangeForPart(uploadInfo, partNumber) {
+  const { chunksPerPart } = partLayout(uploadInfo);
+  const firstChunk = (partNumber - 1) * chunksPerPart;
+  return {
+    firstChunk,
+    lastChunk: Math.min(firstChunk + chunksPerPart, uploadInfo.totalChunks) - 1
+  };
+}
+
+/**
+ * Create a forwarder that turns complete groups of chunks into UploadPart calls
+ * @param {Object} options - { sessionStore, b2Upload, bucketName, concurrency }
+ * @returns {Object} - Forwarder with forwardChunk(), forwardedChunk() and flush()
+ */
+function createPartForwarder({ sessionStore, b2Upload, bucketName, concurrency = 4 }) {
+  // Bounded across all sessions so a burst of chunks cannot flood B2
+  const runLimited = b2Upload.createLimiter(concurrency);
+  const inFlight = new Map();
+
+  /**
+   * Upload one part if all of its chunks are present and it is not already stored
+   * @param {string} uploadId - Upload session ID
+   * @param {number} partNumber - 1-based part number
+   * @returns {Promise<boolean>} - True if the part is stored on B2
+   */
+  function forwardPart(uploadId, partNumber) {
+    const inFlightKey = `${uploadId}:${partNumber}`;
+    if (inFlight.has(inFlightKey)) {
+      return inFlight.get(inFlightKey);
+    }
+
+    const task = runLimited(async () => {
+      const uploadInfo = await sessionStore.get(uploadId);
+      if (!uploadInfo) {
+        return false;
+      }
+      if (uploadInfo.parts && uploadInfo.parts[partNumber]) {
+        return true;
+      }
+
+      const { firstChunk, lastChunk } = chunkRangeForPart(uploadInfo, partNumber);
+      const chunkPaths = [];
+      for (let i = firstChunk; i <= lastChunk; i++) {
+        const chunkInfo = uploadInfo.chunks.get(i);
+        if (!chunkInfo) {
+          return false;
+        }
+        chunkPaths.push(chunkInfo.path);
+      }
+
+      // A part is at most a few chunks, so buffering it keeps memory bounded by concurrency
+      const body = Buffer.concat(await Promise.all(chunkPaths.map(chunkPath => fs.promises.readFile(chunkPath))));
+      const part = await b2Upload.uploadPart(bucketName, uploadInfo.b2Key, uploadInfo.b2UploadId, partNumber, body);
+
+      await sessionStore.addPart(uploadId, partNumber, {
+        ETag: part.ETag,
+        size: body.length,
+        firstChunk,
+        lastChunk
+      });
+      console.log(`✅ Forwarded part ${partNumber} (chunks ${firstChunk}-${lastChunk}, ${body.length} bytes) for upload ${uploadId}`);
+
+      // The bytes now live on B2, so the local chunks can go
+      await Promise.all(chunkPaths.map(chunkPath => fs.promises.rm(chunkPath, { force: true })));
+      return true;
+    });
+
+    inFlight.set(inFlightKey, task);
+    task.finally(() => inFlight.delete(inFlightKey)).catch(() => {});
+    return task;
+  }
+
+  /**
+   * Forward the part containing a newly received chunk, if it is now complete
+   * @param {string} uploadId - Upload session ID
+   * @param {number} chunkIndex - Index of the chunk just received
+   * @param {Object} uploadInfo - Upload session
+   * @returns {Promise<boolean>} - True if the part is stored on B2
+   */
+  function forwardChunk(uploadId, chunkIndex, uploadInfo) {
+    const { chunksPerPart } = partLayout(uploadInfo);
+    return forwardPart(uploadId, Math.floor(chunkIndex / chunksPerPart) + 1);
+  }
+
+  /**
+   * Look up a chunk whose part is already stored on B2, waiting for any forward in progress.
+   * Its local file is gone by then, so a retry of it can only be checked against its SHA-256.
+   * @param {string} uploadId - Upload session ID
+   * @param {number} chunkIndex - Chunk index
+   * @param {Object} uploadInfo - Upload session
+   * @returns {Promise<Object|null>} - The forwarded chunk's { size, sha256 }, or null if its part is not stored
+   */
+  async function forwardedChunk(uploadId, chunkIndex, uploadInfo) {
+    const { chunksPerPart } = partLayout(uploadInfo);
+    const partNumber = Math.floor(chunkIndex / chunksPerPart) + 1;
+    const pending = inFlight.get(`${uploadId}:${partNumber}`);
+    if (pending) {
+      await pending.catch(() => {});
+    }
+
+    const current = await sessionStore.get(uploadId);
+    if (!current || !current.parts || !current.parts[partNumber]) {
+      return null;
+    }
+    const chunkInfo = current.chunks.get(chunkIndex);
+    return chunkInfo ? { size: chunkInfo.size, sha256: chunkInfo.sha256 } : null;
+  }
+
+  /**
+   * Make sure every part of a session is stored, retrying any that failed earlier
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} uploadInfo - Upload session
+   * @returns {Promise<Array>} - Part numbers that could not be forwarded
+   */
+  async function flush(uploadId, uploadInfo) {
+    const { partCount } = partLayout(uploadInfo);
+    const results = await Promise.allSettled(
+      Array.from({ length: partCount }, (_, i) => forwardPart(uploadId, i + 1))
+    );
+
+    const failedParts = [];
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`❌ Error forwarding part ${i + 1} for upload ${uploadId}:`, result.reason.message);
+      }
+      if (result.status === 'rejected' || !result.value) {
+        failedParts.push(i + 1);
+      }
+    });
+    return failedParts;
+  }
+
+  return {
+    forwardChunk,
+    forwardedChunk,
+    flush
+  };
+}
+
+module.exports = {
+  MIN_PART_SIZE,
+  MAX_PARTS,
+  partLayout,
+  chunkRangeForPart,
+  createPartForwarder
+};
@@ -0,0 +1,249 @@
+// modules/quotas.js - Per-user and per-role storage quotas and daily upload limits
+const fs = require('fs');
+const path = require('path');
+
+// Limits a quota can set; null means unlimited
+const LIMIT_FIELDS = ['maxBytes', 'maxFileSize', 'filesPerDay'];
+
+/**
+ * @param {number} now - Timestamp
+ * @returns {string} - UTC day such as "2026-10-19", the unit of the daily file limit
+ */
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {number} now - Timestamp
+ * @returns {number} - Seconds until the daily file limit resets (UTC midnight)
+ */
+function secondsUntilReset(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+/**
+ * Tracks what each user has stored and uploaded today, and checks new
+ * uploads against their limits. Limits come from the user's role
+ * (configuration) unless an admin has set per-user overrides. State is one
+ * JSON file, written atomically after every change. It is read once, at
+ * startup, so one process must own the file: several instances sharing it
+ * would check against stale usage and overwrite each other's writes.
+ */
+class QuotaManager {
+  /**
+   * @param {Object} options - { filePath, roleLimits: { role: { maxBytes, maxFileSize, filesPerDay } } }
+   */
+  constructor({ filePath, roleLimits = {} }) {
+    this.filePath = filePath;
+    this.roleLimits = roleLimits;
+    this.users = new Map();
+    this.pendingWrite = Promise.resolve();
+
+    try {
+      const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [userId, entry] of Object.entries(record.users || {})) {
+        this.users.set(userId, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Error loading quota state from ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the state file; writes are serialized so they never interleave
+   * @returns {Promise<void>}
+   */
+  persist() {
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify({ users: Object.fromEntries(this.users) }));
+      await fs.promises.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error persisting quota state:', error.message);
+    });
+    return this.pendingWrite;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {Object} - Mutable entry { role, limits, usage: { bytes, day, filesToday } }
+   */
+  entry(userId) {
+    let entry = this.users.get(userId);
+    if (!entry) {
+      entry = { role: null, limits: {}, usage: { bytes: 0, day: utcDay(), filesToday: 0 } };
+      this.users.set(userId, entry);
+    }
+    if (entry.usage.day !== utcDay()) {
+      entry.usage.day = utcDay();
+      entry.usage.filesToday = 0;
+    }
+    return entry;
+  }
+
+  /**
+   * Effective limits: per-user overrides on top of the role's limits
+   * @param {string} userId - User ID
+   * @param {string} role - Role of the user (falls back to the last role seen, then uploader)
+   * @returns {Object} - { maxBytes, maxFileSize, filesPerDay } (null = unlimited)
+   */
+  limitsFor(userId, role) {
+    const entry = this.entry(userId);
+    const roleLimits = this.roleLimits[role || entry.role || 'uploader'] || {};
+    const limits = {};
+    for (const field of LIMIT_FIELDS) {
+      limits[field] = field in entry.limits ? entry.limits[field] : (roleLimits[field] ?? null);
+    }
+    return limits;
+  }
+
+  /**
+   * Usage and limits of one user
+   * @param {string} userId - User ID
+   * @param {string} role - Role of the user, if known
+   * @returns {Object} - { userId, role, usage, limits, overrides, remaining }
+   */
+  describe(userId, role) {
+    const entry = this.entry(userId);
+    const limits = this.limitsFor(userId, role);
+    return {
+      userId: userId,
+      role: role || entry.role || 'uploader',
+      usage: { ...entry.usage },
+      limits: limits,
+      overrides: { ...entry.limits },
+      remaining: {
+        bytes: limits.maxBytes === null ? null : Math.max(limits.maxBytes - entry.usage.bytes, 0),
+        filesToday: limits.filesPerDay === null ? null : Math.max(limits.filesPerDay - entry.usage.filesToday, 0)
+      }
+    };
+  }
+
+  /**
+   * Check whether a user may upload files of the given sizes
+   * @param {string} userId - User ID
+   * @param {Array} fileSizes - Size of each file about to be uploaded
+   * @param {Object} options - { role, reservedBytes, reservedFiles } (in-progress uploads not yet recorded)
+   * @returns {Object} - { allowed, status, code, error, remaining, retryAfter }
+   */
+  check(userId, fileSizes, { role, reservedBytes = 0, reservedFiles = 0 } = {}) {
+    const entry = this.entry(userId);
+    if (role && entry.role !== role) {
+      // Remembered so later checks and admin views without the role use the right limits
+      entry.role = role;
+      this.persist();
+    }
+    const limits = this.limitsFor(userId, role);
+    const usedBytes = entry.usage.bytes + reservedBytes;
+    const usedFiles = entry.usage.filesToday + reservedFiles;
+    const remaining = {
+      bytes: limits.maxBytes === null ? null : Math.max(limits.maxBytes - usedBytes, 0),
+      filesToday: limits.filesPerDay === null ? null : Math.max(limits.filesPerDay - usedFiles, 0),
+      maxFileSize: limits.maxFileSize
+    };
+    const reject = (status, code, error, extra = {}) => ({ allowed: false, status, code, error, remaining, ...extra });
+
+    const largest = Math.max(0, ...fileSizes);
+    if (limits.maxFileSize !== null && largest > limits.maxFileSize) {
+      return reject(413, 'QUOTA_FILE_TOO_LARGE', `Files may be at most ${limits.maxFileSize} bytes for this account`);
+    }
+    const totalBytes = fileSizes.reduce((sum, size) => sum + size, 0);
+    if (limits.maxBytes !== null && usedBytes + totalBytes > limits.maxBytes) {
+      return reject(413, 'QUOTA_STORAGE_EXCEEDED', `Storage quota exceeded: ${remaining.bytes} of ${limits.maxBytes} bytes left`);
+    }
+    if (limits.filesPerDay !== null && usedFiles + fileSizes.length > limits.filesPerDay) {
+      return reject(429, 'QUOTA_DAILY_LIMIT', `Daily upload limit reached: ${remaining.filesToday} of ${limits.filesPerDay} files left today`, {
+        retryAfter: secondsUntilReset()
+      });
+    }
+    return { allowed: true, remaining };
+  }
+
+  /**
+   * Count a finished upload against the user's quota
+   * @param {string} userId - User ID
+   * @param {number} bytes - Size of the stored file
+   * @returns {Promise<void>}
+   */
+  async recordUpload(userId, bytes) {
+    const entry = this.entry(userId);
+    entry.usage.bytes += bytes;
+    entry.usage.filesToday += 1;
+    await this.persist();
+  }
+
+  /**
+   * Adjust stored bytes (deletes, copies) without touching the daily file count
+   * @param {string} userId - User ID
+   * @param {number} delta - Bytes added (positive) or freed (negative)
+   * @returns {Promise<void>}
+   */
+  async adjustBytes(userId, delta) {
+    const entry = this.entry(userId);
+    entry.usage.bytes = Math.max(entry.usage.bytes + delta, 0);
+    await this.persist();
+  }
+
+  /**
+   * Admin changes: set or clear per-user limit overrides and correct usage
+   * @param {string} userId - User ID
+   * @param {Object} changes - { limits: { field: number|null to clear }, usage: { bytes, filesToday } }
+   * @returns {Promise<Object>} - Updated description
+   * @throws {Error} - If a value is not a non-negative integer
+   */
+  async update(userId, { limits = {}, usage = {} } = {}) {
+    const entry = this.entry(userId);
+    const isCount = value => Number.isInteger(value) && value >= 0;
+
+    for (const [field, value] of Object.entries(limits)) {
+      if (!LIMIT_FIELDS.includes(field)) {
+        throw new Error(`Unknown limit "${field}" (expected ${LIMIT_FIELDS.join(', ')})`);
+      }
+      if (value !== null && value !== 'unlimited' && !isCount(value)) {
+        throw new Error(`${field} must be a non-negative integer, "unlimited" or null`);
+      }
+    }
+    for (const [field, value] of Object.entries(usage)) {
+      if (!['bytes', 'filesToday'].includes(field) || !isCount(value)) {
+        throw new Error(`usage.${field} must be a non-negative integer`);
+      }
+    }
+
+    for (const [field, value] of Object.entries(limits)) {
+      if (value === null) {
+        delete entry.limits[field]; // Back to the role's limit
+      } else {
+        entry.limits[field] = value === 'unlimited' ? null : value;
+      }
+    }
+    Object.assign(entry.usage, usage);
+    await this.persist();
+    return this.describe(userId);
+  }
+
+  /**
+   * @returns {Array} - Descriptions of every user with recorded usage or overrides
+   */
+  list() {
+    return Array.from(this.users.keys()).sort().map(userId => this.describe(userId));
+  }
+
+  /**
+   * Flush pending writes before shutdown
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.pendingWrite;
+  }
+}
+
+module.exports = {
+  QuotaManager,
+  LIMIT_FIELDS,
+  secondsUntilReset
+};
@@ -0,0 +1,268 @@
+// modules/rateLimit.js - Per-client request rates and concurrency caps for the upload endpoints
+const path = require('path');
+const { RATE_LIMIT_SCOPES } = require('./config');
+
+// Idle buckets are dropped once they have refilled; checked at most this often
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Rate limit store interface.
+ *
+ * Holds the token buckets behind request rates and the counters behind
+ * concurrency caps. A shared store (Redis, a database, ...) lets several
+ * server instances enforce one allowance per client; it only has to
+ * implement these methods, atomically per key.
+ */
+class RateLimitStore {
+  /**
+   * Take one token from a token bucket that refills at `rate` per second up to `burst`
+   * @param {string} key - Bucket key
+   * @param {Object} limit - { rate, burst }
+   * @returns {Promise<Object>} - { allowed, retryAfter } with retryAfter in seconds until a token is available
+   */
+  async take(key, limit) {
+    throw new Error('RateLimitStore.take not implemented');
+  }
+
+  /**
+   * Increment a counter unless it already reached `max`
+   * @param {string} key - Counter key
+   * @param {number} max - Largest allowed value
+   * @param {number} ttl - Milliseconds after which a shared store may forget the increment (a crashed holder)
+   * @returns {Promise<boolean>} - True if incremented
+   */
+  async acquire(key, max, ttl) {
+    throw new Error('RateLimitStore.acquire not implemented');
+  }
+
+  /**
+   * Decrement a counter incremented by acquire()
+   * @param {string} key - Counter key
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    throw new Error('RateLimitStore.release not implemented');
+  }
+}
+
+/**
+ * In-process store; each server instance enforces its own allowances
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super();
+    this.buckets = new Map(); // key → { tokens, updatedAt, rate, burst }
+    this.counters = new Map(); // key → count
+    this.sweptAt = Date.now();
+  }
+
+  async take(key, { rate, burst }) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+    bucket.updatedAt = now;
+    bucket.rate = rate;
+    bucket.burst = burst;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfter: 0 };
+    }
+    return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / rate) };
+  }
+
+  async acquire(key, max) {
+    const count = this.counters.get(key) || 0;
+    if (count >= max) {
+      return false;
+    }
+    this.counters.set(key, count + 1);
+    return true;
+  }
+
+  async release(key) {
+    const count = (this.counters.get(key) || 0) - 1;
+    if (count > 0) {
+      this.counters.set(key, count);
+    } else {
+      this.counters.delete(key);
+    }
+  }
+
+  // Forget buckets that are full again, so one-off clients do not pile up
+  sweep(now) {
+    if (now - this.sweptAt < SWEEP_INTERVAL) {
+      return;
+    }
+    this.sweptAt = now;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate >= bucket.burst) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Create the rate limit store named by configuration.
+ *   - "memory" (default): MemoryRateLimitStore
+ *   - any other value: path to a module exporting a RateLimitStore subclass,
+ *     an instance, or a factory function returning one
+ * @param {Object} options - { type }
+ * @returns {RateLimitStore} - Rate limit store instance
+ */
+function createRateLimitStore({ type = 'memory' } = {}) {
+  if (type === 'memory') {
+    return new MemoryRateLimitStore();
+  }
+
+  const custom = require(path.resolve(type));
+  if (typeof custom !== 'function') {
+    return custom;
+  }
+  return custom.prototype instanceof RateLimitStore ? new custom() : custom();
+}
+
+/**
+ * Applies the configured allowances to every identity of a client (its API
+ * key, user and IP address, as selected by `scopes`); a request is turned
+ * away with 429 and Retry-After as soon as one of them is used up. Limits of
+ * 0 are not enforced.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - { store, scopes, requestsPerSecond, burst, maxConcurrentChunks, maxSessions, slotTtl }
+   */
+  constructor({ store, scopes = RATE_LIMIT_SCOPES, requestsPerSecond = 0, burst = 1, maxConcurrentChunks = 0, maxSessions = 0, slotTtl = 20 * 60 * 1000 }) {
+    this.store = store;
+    this.scopes = scopes;
+    this.requestsPerSecond = requestsPerSecond;
+    this.burst = burst;
+    this.maxConcurrentChunks = maxConcurrentChunks;
+    this.maxSessions = maxSessions;
+    this.slotTtl = slotTtl; // Longest a request may hold a concurrency slot in a shared store
+  }
+
+  /**
+   * Identities a request is counted against, e.g. ["key:3f2a…", "user:alice", "ip:203.0.113.7"].
+   * Guests have no user of their own, so they are only counted by IP.
+   * @param {Object} req - Request, after authentication
+   * @returns {Array<string>} - Client keys
+   */
+  clientKeys(req) {
+    const keys = [];
+    const user = req.user;
+    if (this.scopes.includes('key') && user && user.keyId) {
+      keys.push(`key:${user.keyId}`);
+    }
+    if (this.scopes.includes('user') && user && user.method !== 'anonymous') {
+      keys.push(`user:${user.userId}`);
+    }
+    if (this.scopes.includes('ip') && req.ip) {
+      keys.push(`ip:${req.ip}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Express middleware limiting each client to `requestsPerSecond`, with bursts of up to `burst`
+   * @returns {Function} - Express middleware
+   */
+  limitRequests() {
+    return async (req, res, next) => {
+      if (!this.requestsPerSecond) {
+        return next();
+      }
+      let retryAfter = 0;
+      for (const key of this.clientKeys(req)) {
+        const result = await this.store.take(`rate:${key}`, { rate: this.requestsPerSecond, burst: this.burst });
+        if (!result.allowed) {
+          retryAfter = Math.max(retryAfter, result.retryAfter);
+        }
+      }
+      if (retryAfter > 0) {
+        return rejectRequest(res, retryAfter, 'RATE_LIMITED', `Too many requests; limit is ${this.requestsPerSecond} per second`);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Express middleware limiting each client to `maxConcurrentChunks` chunk
+   * requests in flight; the slot is held until the response is finished or
+   * the connection closes. Place it before the body is parsed, so rejected
+   * chunks are not read.
+   * @returns {Function} - Express middleware
+   */
+  limitConcurrentChunks() {
+    return async (req, res, next) => {
+      if (!this.maxConcurrentChunks) {
+        return next();
+      }
+      const acquired = [];
+      for (const key of this.clientKeys(req)) {
+        if (!(await this.store.acquire(`chunks:${key}`, this.maxConcurrentChunks, this.slotTtl))) {
+          await Promise.all(acquired.map(slot => this.store.release(slot)));
+          return rejectRequest(res, 1, 'TOO_MANY_CONCURRENT_CHUNKS',
+            `Too many chunks in flight; limit is ${this.maxConcurrentChunks} at a time`);
+        }
+        acquired.push(`chunks:${key}`);
+      }
+      res.once('close', () => {
+        Promise.all(acquired.map(slot => this.store.release(slot))).catch(error => {
+          console.error('❌ Error releasing chunk slot:', error.message);
+        });
+      });
+      next();
+    };
+  }
+
+  /**
+   * Check a new upload session against `maxSessions`, counting the client's
+   * unfinished sessions (those whose `clientKeys` share one of its keys)
+   * @param {Object} req - Request, after authentication
+   * @param {Iterable} sessions - [uploadId, session] pairs of every unfinished session
+   * @returns {Object} - { allowed, active } with active the highest count among the client's keys
+   */
+  checkSessions(req, sessions) {
+    if (!this.maxSessions) {
+      return { allowed: true, active: 0 };
+    }
+    const counts = new Map(this.clientKeys(req).map(key => [key, 0]));
+    for (const [, session] of sessions) {
+      for (const key of session.clientKeys || []) {
+        if (counts.has(key)) {
+          counts.set(key, counts.get(key) + 1);
+        }
+      }
+    }
+    const active = Math.max(0, ...counts.values());
+    return { allowed: active < this.maxSessions, active };
+  }
+}
+
+/**
+ * Answer 429 with a Retry-After header (seconds) and the same value in the body
+ * @param {Object} res - Response
+ * @param {number} retryAfter - Seconds the client should wait
+ * @param {string} code - Error code
+ * @param {string} error - Error message
+ */
+function rejectRequest(res, retryAfter, code, error) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ success: false, error, code, retryAfter });
+}
+
+module.exports = {
+  RateLimitStore,
+  MemoryRateLimitStore,
+  RateLimiter,
+  createRateLimitStore,
+  rejectRequest
+};
@@ -0,0 +1,123 @@
+// modules/services.js - Builds the storage, registry, quota and other services the upload routes share
+const { createStorageDriver } = require('./storage');
+const { FilePolicy } = require('./filePolicy');
+const { createFileRegistry } = require('./fileRegistry');
+const { instrumentS3Client } = require('./metrics');
+const { QuotaManager } = require('./quotas');
+const { WebhookDispatcher } = require('./webhooks');
+const { ImageProcessor } = require('./imageProcessing');
+const { createMalwareScanner, Quarantine } = require('./malwareScan');
+const { DownloadLinkStore, DownloadLinks } = require('./downloadLinks');
+const { createB2Transfer } = require('./b2Upload');
+const { createFileStore } = require('./fileStore');
+
+/**
+ * Build the services from the configuration. Call it once per process and hand the
+ * result to the routers: several services own state files under UPLOADS_DIR.
+ * @param {Object} config - Loaded configuration (see modules/config.js)
+ * @returns {Object} - { storage, s3Client, filePolicy, registry, quotas, webhooks, imageProcessor, malwareScanner,
+ *   quarantine, downloadLinks, transfer, fileStore, bucketName, privateBucket }
+ */
+function createServices(config) {
+  const bucketName = config.storage.s3.bucket;
+
+  // Private files go to PRIVATE_BUCKET when set, otherwise to the main bucket under PRIVATE_PREFIX
+  const privateBucket = config.privateFiles.bucket || bucketName;
+
+  // Storage backend: Backblaze B2 (any S3-compatible bucket) or local disk for offline use
+  const storage = createStorageDriver({
+    driver: config.storage.driver,
+    s3: {
+      ...config.storage.s3,
+      cdnBaseUrl: config.cdnBaseUrl
+    },
+    local: {
+      ...config.storage.local,
+      publicBaseUrl: config.server.publicBaseUrl,
+      privatePrefix: config.privateFiles.prefix,
+      cdnTokenSecret: config.privateFiles.cdnTokenSecret,
+      maxPutSize: config.uploads.maxChunkSize // Signed URLs made without a length
+    }
+  });
+
+  // Raw S3 client for callers that need commands the driver does not cover (null for local disk)
+  const s3Client = storage.client || null;
+  if (s3Client) {
+    instrumentS3Client(s3Client);
+  }
+
+  // Allowed types, extensions and sizes; content types are sniffed rather than taken from the browser
+  const filePolicy = new FilePolicy(config.filePolicy);
+
+  // Record of every stored file with its original name, uploader, size and type
+  const registry = createFileRegistry(config.registry);
+
+  // Storage quotas and daily upload limits, per role with per-user overrides. The state file is
+  // loaded once and owned by this process: run one instance per uploads directory
+  const quotas = new QuotaManager(config.quotas);
+
+  // Signed webhooks for completed, failed and expired uploads and deleted files
+  const webhooks = new WebhookDispatcher(config.webhooks);
+
+  // Metadata stripping and resized variants for images (needs the optional sharp package)
+  const imageProcessor = new ImageProcessor(config.images);
+
+  // Malware scanner run on every staged file before it is stored (null when MALWARE_SCANNER=off)
+  const malwareScanner = createMalwareScanner(config.malwareScan);
+
+  // Infected files kept for review with MALWARE_ACTION=quarantine
+  const quarantine = new Quarantine({
+    dir: config.malwareScan.quarantineDir,
+    retention: config.malwareScan.quarantineRetention
+  });
+
+  // Time-limited download links, the only way to fetch private files
+  const downloadLinks = new DownloadLinks({
+    storage: storage,
+    store: new DownloadLinkStore({ filePath: config.privateFiles.linksFilePath }),
+    mode: config.privateFiles.linkMode,
+    // Local disk checks CDN tokens itself
+    cdnBaseUrl: storage.mountPath ? `${config.server.publicBaseUrl}${storage.mountPath}` : config.privateFiles.cdnBaseUrl,
+    cdnTokenSecret: config.privateFiles.cdnTokenSecret,
+    publicBaseUrl: config.server.publicBaseUrl
+  });
+
+  // Bounded, retrying multipart transfers to the bucket
+  const transfer = createB2Transfer({ storage, ...config.b2Transfer });
+
+  const fileStore = createFileStore({
+    storage,
+    transfer,
+    filePolicy,
+    registry,
+    quotas,
+    imageProcessor,
+    malwareScanner,
+    quarantine,
+    bucketName,
+    privateBucket,
+    privatePrefix: config.privateFiles.prefix,
+    publicBaseUrl: config.server.publicBaseUrl,
+    scanAction: config.malwareScan.action,
+    scanFailOpen: config.malwareScan.failOpen
+  });
+
+  return {
+    storage,
+    s3Client,
+    filePolicy,
+    registry,
+    quotas,
+    webhooks,
+    imageProcessor,
+    malwareScanner,
+    quarantine,
+    downloadLinks,
+    transfer,
+    fileStore,
+    bucketName,
+    privateBucket
+  };
+}
+
+module.exports = { createServices };
@@ -0,0 +1,813 @@
+// modules/sessionStore.js - Persistent storage for chunked upload sessions
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Upload IDs are generated by /upload/init as 32 hex characters
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Chunk files are written by multer as `${uploadId}_${chunkIndex}`
+const CHUNK_FILE_PATTERN = /^([a-f0-9]{32})_(\d+)$/;
+
+// Session file writes are held for milliseconds; a write lock older than this was left by a process that died
+const WRITE_LOCK_STALE_MS = 5000;
+const WRITE_LOCK_TIMEOUT_MS = 10000;
+const WRITE_LOCK_RETRY_MS = 5;
+
+/**
+ * Check that an upload ID has the shape generated by /upload/init
+ * @param {string} uploadId - Upload session ID
+ * @returns {boolean} - True if the ID is safe to use in file names
+ */
+function isValidUploadId(uploadId) {
+  return typeof uploadId === 'string' && UPLOAD_ID_PATTERN.test(uploadId);
+}
+
+/**
+ * Convert an in-memory session (chunks as a Map) into a JSON-safe record
+ * @param {Object} session - Upload session
+ * @returns {Object} - Serializable session record
+ */
+function serializeSession(session) {
+  return {
+    ...session,
+    chunks: Object.fromEntries(session.chunks)
+  };
+}
+
+/**
+ * Convert a stored session record back into an in-memory session
+ * @param {Object} record - Serialized session record
+ * @returns {Object} - Upload session with chunks as a Map keyed by index
+ */
+function deserializeSession(record) {
+  const chunks = new Map();
+  for (const [index, chunkInfo] of Object.entries(record.chunks || {})) {
+    chunks.set(parseInt(index), chunkInfo);
+  }
+  return { ...record, chunks };
+}
+
+/**
+ * Session store interface.
+ *
+ * A shared store (Redis, a database, ...) only has to implement these
+ * methods; every method is async so network-backed stores fit the same
+ * contract. Sessions are plain objects whose `chunks` field is a Map of
+ * chunkIndex → { path, size, sha256 } and, for uploads streamed straight to
+ * B2, whose `parts` field maps partNumber → { ETag, size }. Note that chunk files themselves still live
+ * on the local `uploads/chunks/` directory, so a shared store only helps
+ * across machines when that directory is on shared storage too.
+ */
+class SessionStore {
+  /**
+   * Load persisted sessions and reconcile them with chunks found on disk
+   * @param {string} chunksDir - Directory holding chunk files
+   * @returns {Promise<number>} - Number of sessions restored
+   */
+  async init(chunksDir) {
+    return 0;
+  }
+
+  /**
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<Object|null>} - Session or null if unknown
+   */
+  async get(uploadId) {
+    throw new Error('SessionStore.get not implemented');
+  }
+
+  /**
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} session - Session to store
+   * @returns {Promise<void>}
+   */
+  async create(uploadId, session) {
+    throw new Error('SessionStore.create not implemented');
+  }
+
+  /**
+   * Merge top-level fields (e.g. a detected contentType) into a session
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} fields - Fields to set; `chunks` and `parts` are not touched
+   * @returns {Promise<Object|null>} - Updated session or null if unknown
+   */
+  async update(uploadId, fields) {
+    throw new Error('SessionStore.update not implemented');
+  }
+
+  /**
+   * Record a received chunk; must be safe under concurrent calls
+   * @param {string} uploadId - Upload session ID
+   * @param {number} chunkIndex - Index of the chunk
+   * @param {Object} chunkInfo - { path, size, sha256 }
+   * @returns {Promise<Object|null>} - Updated session or null if unknown
+   */
+  async addChunk(uploadId, chunkIndex, chunkInfo) {
+    throw new Error('SessionStore.addChunk not implemented');
+  }
+
+  /**
+   * Record a multipart part forwarded to B2; must be safe under concurrent calls
+   * @param {string} uploadId - Upload session ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Object} partInfo - { ETag, size, firstChunk, lastChunk }
+   * @returns {Promise<Object|null>} - Updated session or null if unknown
+   */
+  async addPart(uploadId, partNumber, partInfo) {
+    throw new Error('SessionStore.addPart not implemented');
+  }
+
+  /**
+   * Forget a recorded chunk (e.g. one that failed verification)
+   * @param {string} uploadId - Upload session ID
+   * @param {number} chunkIndex - Index of the chunk
+   * @returns {Promise<void>}
+   */
+  async removeChunk(uploadId, chunkIndex) {
+    throw new Error('SessionStore.removeChunk not implemented');
+  }
+
+  /**
+   * Take a session's lock, held by one request at a time while it works on the session
+   * (completing it, a tus PATCH). Must be atomic: of concurrent callers only one gets it.
+   * A lock held past `ttl` is assumed to be left by a process that died and is taken over.
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} options - { purpose (e.g. "completing"), ttl (ms) }
+   * @returns {Promise<Object|null>} - Lock { token, purpose, expiresAt }, or null if the session is unknown or locked
+   */
+  async acquireLock(uploadId, { purpose, ttl }) {
+    throw new Error('SessionStore.acquireLock not implemented');
+  }
+
+  /**
+   * Release a lock from acquireLock(); does nothing if it is no longer held
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} lock - Lock from acquireLock()
+   * @returns {Promise<void>}
+   */
+  async releaseLock(uploadId, lock) {
+    throw new Error('SessionStore.releaseLock not implemented');
+  }
+
+  /**
+   * Delete a session, and its lock if one is held
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<void>}
+   */
+  async delete(uploadId) {
+    throw new Error('SessionStore.delete not implemented');
+  }
+
+  /**
+   * Keep the result of a finished upload after its session is gone, so clients that
+   * lost the final response (tus HEAD/GET) can still read it
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} result - JSON-safe result record
+   * @param {Object} options - { ttl (ms) }
+   * @returns {Promise<void>}
+   */
+  async saveResult(uploadId, result, { ttl }) {
+    throw new Error('SessionStore.saveResult not implemented');
+  }
+
+  /**
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<Object|null>} - Result from saveResult(), or null if unknown or expired
+   */
+  async getResult(uploadId) {
+    throw new Error('SessionStore.getResult not implemented');
+  }
+
+  /**
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<void>}
+   */
+  async deleteResult(uploadId) {
+    throw new Error('SessionStore.deleteResult not implemented');
+  }
+
+  /**
+   * Remove expired results
+   * @returns {Promise<number>} - Number of results removed
+   */
+  async pruneResults() {
+    throw new Error('SessionStore.pruneResults not implemented');
+  }
+
+  /**
+   * @returns {Promise<Array>} - Array of [uploadId, session] pairs
+   */
+  async list() {
+    throw new Error('SessionStore.list not implemented');
+  }
+
+  /**
+   * @returns {Promise<number>} - Number of active sessions
+   */
+  async size() {
+    return (await this.list()).length;
+  }
+
+  /**
+   * Flush pending writes before shutdown
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Process-local store; sessions are lost on restart
+ */
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+    this.results = new Map();
+  }
+
+  async get(uploadId) {
+    return this.sessions.get(uploadId) || null;
+  }
+
+  async create(uploadId, session) {
+    this.sessions.set(uploadId, { ...session, chunks: new Map(session.chunks || []) });
+  }
+
+  async update(uploadId, fields) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return null;
+    }
+    const { chunks, parts, ...rest } = fields;
+    Object.assign(session, rest);
+    return session;
+  }
+
+  async addChunk(uploadId, chunkIndex, chunkInfo) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return null;
+    }
+    session.chunks.set(chunkIndex, chunkInfo);
+    return session;
+  }
+
+  async addPart(uploadId, partNumber, partInfo) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return null;
+    }
+    session.parts = { ...session.parts, [partNumber]: partInfo };
+    return session;
+  }
+
+  async removeChunk(uploadId, chunkIndex) {
+    const session = this.sessions.get(uploadId);
+    if (session) {
+      session.chunks.delete(chunkIndex);
+    }
+  }
+
+  async acquireLock(uploadId, { purpose, ttl }) {
+    // No await before the lock is set, so concurrent callers cannot both take it
+    const session = this.sessions.get(uploadId);
+    if (!session || (session.lock && session.lock.expiresAt > Date.now())) {
+      return null;
+    }
+    session.lock = { token: crypto.randomBytes(16).toString('hex'), purpose, expiresAt: Date.now() + ttl };
+    return session.lock;
+  }
+
+  async releaseLock(uploadId, lock) {
+    const session = this.sessions.get(uploadId);
+    if (session && session.lock && session.lock.token === lock.token) {
+      delete session.lock;
+    }
+  }
+
+  async delete(uploadId) {
+    this.sessions.delete(uploadId);
+  }
+
+  async saveResult(uploadId, result, { ttl }) {
+    this.results.set(uploadId, { result, expiresAt: Date.now() + ttl });
+  }
+
+  async getResult(uploadId) {
+    const entry = this.results.get(uploadId);
+    return entry && entry.expiresAt > Date.now() ? entry.result : null;
+  }
+
+  async deleteResult(uploadId) {
+    this.results.delete(uploadId);
+  }
+
+  async pruneResults() {
+    let removed = 0;
+    for (const [uploadId, entry] of this.results) {
+      if (entry.expiresAt <= Date.now()) {
+        this.results.delete(uploadId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async list() {
+    return Array.from(this.sessions.entries());
+  }
+
+  async size() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * Default store: one JSON file per session, written atomically, with an
+ * in-memory cache in front. Survives restarts on the same volume, and the
+ * cache is checked against the files so processes sharing the volume see
+ * each other's sessions. Every change re-reads the session under a lock
+ * file before writing it back, so concurrent changes from several
+ * processes are never lost.
+ */
+class FileSessionStore extends MemorySessionStore {
+  /**
+   * @param {string} sessionsDir - Directory for session JSON files
+   */
+  constructor(sessionsDir) {
+    super();
+    this.sessionsDir = sessionsDir;
+    this.pendingWrites = new Map();
+    // mtime of each session file as of the cached copy, to spot writes by other processes
+    this.cachedMtimes = new Map();
+    fs.mkdirSync(sessionsDir, { recursive: true });
+  }
+
+  sessionPath(uploadId) {
+    return path.join(this.sessionsDir, `${uploadId}.json`);
+  }
+
+  lockPath(uploadId) {
+    return path.join(this.sessionsDir, `${uploadId}.lock`);
+  }
+
+  // Held only while the session file is read, changed and written back
+  writeLockPath(uploadId) {
+    return path.join(this.sessionsDir, `${uploadId}.json.lock`);
+  }
+
+  // "<id>.result" is not an upload ID, so init() and list() pass these files over
+  resultPath(uploadId) {
+    return path.join(this.sessionsDir, `${uploadId}.result.json`);
+  }
+
+  /**
+   * Queue a write of a session behind the earlier ones of this process
+   * @param {string} uploadId - Upload session ID
+   * @param {Function} task - Async function doing the write
+   * @returns {Promise<*>} - Result of `task`; rejects if the write fails
+   */
+  enqueue(uploadId, task) {
+    const previous = this.pendingWrites.get(uploadId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(task).catch(error => {
+      console.error(`❌ Error persisting upload session ${uploadId}:`, error.message);
+      // The cached copy may be ahead of the file now; read the file again next time
+      this.sessions.delete(uploadId);
+      this.cachedMtimes.delete(uploadId);
+      throw error;
+    });
+
+    this.pendingWrites.set(uploadId, write);
+    write.catch(() => {}).then(() => {
+      if (this.pendingWrites.get(uploadId) === write) {
+        this.pendingWrites.delete(uploadId);
+      }
+    });
+    return write;
+  }
+
+  /**
+   * Run `task` holding the session's write lock file, which processes sharing the volume take too
+   * @param {string} uploadId - Upload session ID
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Result of `task`
+   */
+  async withWriteLock(uploadId, task) {
+    const lockPath = this.writeLockPath(uploadId);
+    const deadline = Date.now() + WRITE_LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        await fs.promises.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      const stats = await fs.promises.stat(lockPath).catch(() => null);
+      if (stats && stats.mtimeMs + WRITE_LOCK_STALE_MS < Date.now()) {
+        await fs.promises.rm(lockPath, { force: true });
+      } else if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the write lock of upload session ${uploadId}`);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, WRITE_LOCK_RETRY_MS));
+      }
+    }
+    try {
+      return await task();
+    } finally {
+      await fs.promises.rm(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Bring the cached session up to date with its file, keeping the cached object so
+   * callers holding it see the change; drops it if the file is gone
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<Object|null>} - Session, or null if it has no file
+   */
+  async reload(uploadId) {
+    const filePath = this.sessionPath(uploadId);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      const cached = this.sessions.get(uploadId);
+      if (cached && this.cachedMtimes.get(uploadId) === stats.mtimeMs) {
+        return cached;
+      }
+      const session = deserializeSession(JSON.parse(await fs.promises.readFile(filePath, 'utf8')));
+      if (cached) {
+        for (const field of Object.keys(cached)) {
+          delete cached[field];
+        }
+        Object.assign(cached, session);
+      } else {
+        this.sessions.set(uploadId, session);
+      }
+      this.cachedMtimes.set(uploadId, stats.mtimeMs);
+      return this.sessions.get(uploadId);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.sessions.delete(uploadId);
+      this.cachedMtimes.delete(uploadId);
+      return null;
+    }
+  }
+
+  // Write the cached session to its file, or remove the file once the session is gone
+  async writeSession(uploadId) {
+    const session = this.sessions.get(uploadId);
+    const filePath = this.sessionPath(uploadId);
+    if (!session) {
+      this.cachedMtimes.delete(uploadId);
+      await fs.promises.rm(filePath, { force: true });
+      return;
+    }
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(serializeSession(session)));
+    // Taken before the rename (which keeps it), so another process's write after it still shows
+    const { mtimeMs } = await fs.promises.stat(tempPath);
+    await fs.promises.rename(tempPath, filePath);
+    this.cachedMtimes.set(uploadId, mtimeMs);
+  }
+
+  /**
+   * Write the cached session as it is (used after reconciling sessions at startup)
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<void>}
+   */
+  persist(uploadId) {
+    return this.enqueue(uploadId, () => this.withWriteLock(uploadId, () => this.writeSession(uploadId)));
+  }
+
+  /**
+   * Change a session and write it back: under the write lock the session is re-read from its
+   * file, so changes made meanwhile by other processes are kept
+   * @param {string} uploadId - Upload session ID
+   * @param {Function} change - Called with the current session (null if unknown); may change the cache
+   * @returns {Promise<*>} - Result of `change`; rejects if the session could not be written
+   */
+  mutate(uploadId, change) {
+    if (!isValidUploadId(uploadId)) {
+      return Promise.reject(new Error(`Invalid upload ID: ${uploadId}`));
+    }
+    return this.enqueue(uploadId, () => this.withWriteLock(uploadId, async () => {
+      const result = await change(await this.reload(uploadId));
+      await this.writeSession(uploadId);
+      return result;
+    }));
+  }
+
+  async init(chunksDir) {
+    const files = fs.existsSync(this.sessionsDir) ? fs.readdirSync(this.sessionsDir) : [];
+
+    for (const file of files) {
+      const uploadId = path.basename(file, '.json');
+      if (!file.endsWith('.json') || !isValidUploadId(uploadId)) {
+        continue;
+      }
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(this.sessionsDir, file), 'utf8'));
+        this.sessions.set(uploadId, deserializeSession(record));
+      } catch (error) {
+        console.error(`Error loading upload session ${file}:`, error.message);
+      }
+    }
+
+    // Pick up chunks that reached disk but were not recorded before a crash,
+    // and drop records for chunks that no longer exist
+    const chunkFiles = chunksDir && fs.existsSync(chunksDir) ? fs.readdirSync(chunksDir) : [];
+    const onDisk = new Set();
+
+    for (const chunkFile of chunkFiles) {
+      const match = CHUNK_FILE_PATTERN.exec(chunkFile);
+      const session = match && this.sessions.get(match[1]);
+      if (!session) {
+        continue;
+      }
+      const chunkPath = path.join(chunksDir, chunkFile);
+      onDisk.add(chunkPath);
+      const chunkIndex = parseInt(match[2]);
+      if (!session.chunks.has(chunkIndex)) {
+        try {
+          session.chunks.set(chunkIndex, { path: chunkPath, size: fs.statSync(chunkPath).size });
+        } catch (error) {
+          console.error(`Error reading chunk file ${chunkFile}:`, error.message);
+        }
+      }
+    }
+
+    for (const [uploadId, session] of this.sessions.entries()) {
+      // Chunks already forwarded to B2 as multipart parts have no file any more
+      const forwarded = new Set();
+      for (const partInfo of Object.values(session.parts || {})) {
+        for (let i = partInfo.firstChunk; i <= partInfo.lastChunk; i++) {
+          forwarded.add(i);
+        }
+      }
+      for (const [chunkIndex, chunkInfo] of session.chunks.entries()) {
+        if (!onDisk.has(chunkInfo.path) && !forwarded.has(chunkIndex)) {
+          session.chunks.delete(chunkIndex);
+        }
+      }
+      await this.persist(uploadId);
+    }
+
+    return this.sessions.size;
+  }
+
+  async get(uploadId) {
+    if (!isValidUploadId(uploadId)) {
+      return null;
+    }
+    // Writes (and deletes) of ours still queued are newer than the file
+    if (this.pendingWrites.has(uploadId)) {
+      return this.sessions.get(uploadId) || null;
+    }
+
+    // Another process on this volume may have created, changed or deleted the session
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.sessionPath(uploadId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // Only a session that was on disk can have been deleted by someone else
+      if (!this.cachedMtimes.has(uploadId)) {
+        return this.sessions.get(uploadId) || null;
+      }
+      this.sessions.delete(uploadId);
+      this.cachedMtimes.delete(uploadId);
+      return null;
+    }
+    if (this.sessions.has(uploadId) && this.cachedMtimes.get(uploadId) === stats.mtimeMs) {
+      return this.sessions.get(uploadId);
+    }
+    try {
+      const record = JSON.parse(await fs.promises.readFile(this.sessionPath(uploadId), 'utf8'));
+      const session = deserializeSession(record);
+      this.sessions.set(uploadId, session);
+      this.cachedMtimes.set(uploadId, stats.mtimeMs);
+      return session;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.sessions.delete(uploadId);
+        this.cachedMtimes.delete(uploadId);
+        return null;
+      }
+      console.error(`Error loading upload session ${uploadId}:`, error.message);
+      return this.sessions.get(uploadId) || null;
+    }
+  }
+
+  async create(uploadId, session) {
+    await this.mutate(uploadId, () => super.create(uploadId, session));
+  }
+
+  async update(uploadId, fields) {
+    return this.mutate(uploadId, () => super.update(uploadId, fields));
+  }
+
+  async addChunk(uploadId, chunkIndex, chunkInfo) {
+    return this.mutate(uploadId, () => super.addChunk(uploadId, chunkIndex, chunkInfo));
+  }
+
+  async addPart(uploadId, partNumber, partInfo) {
+    return this.mutate(uploadId, () => super.addPart(uploadId, partNumber, partInfo));
+  }
+
+  async removeChunk(uploadId, chunkIndex) {
+    await this.mutate(uploadId, () => super.removeChunk(uploadId, chunkIndex));
+  }
+
+  /**
+   * The lock is a file created exclusively next to the session file, so processes sharing the
+   * volume exclude each other too; the session record carries a copy for display only
+   */
+  async acquireLock(uploadId, { purpose, ttl }) {
+    const session = await this.get(uploadId);
+    if (!session) {
+      return null;
+    }
+    const lock = { token: crypto.randomBytes(16).toString('hex'), purpose, expiresAt: Date.now() + ttl };
+    const lockPath = this.lockPath(uploadId);
+    const createLockFile = async () => {
+      try {
+        await fs.promises.writeFile(lockPath, JSON.stringify(lock), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        return false;
+      }
+    };
+    if (!await createLockFile()) {
+      // Take over a lock left by a process that died, going by when it was taken
+      const stats = await fs.promises.stat(lockPath).catch(() => null);
+      if (stats && stats.mtimeMs + ttl > Date.now()) {
+        return null;
+      }
+      await fs.promises.rm(lockPath, { force: true });
+      if (!await createLockFile()) {
+        return null;
+      }
+    }
+    await this.mutate(uploadId, current => {
+      if (current) {
+        current.lock = lock;
+      }
+    });
+    return lock;
+  }
+
+  async releaseLock(uploadId, lock) {
+    const lockPath = this.lockPath(uploadId);
+    try {
+      const held = JSON.parse(await fs.promises.readFile(lockPath, 'utf8'));
+      if (held.token !== lock.token) {
+        return;
+      }
+      await fs.promises.rm(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Error releasing the lock of upload session ${uploadId}:`, error.message);
+      }
+    }
+    const session = this.sessions.get(uploadId);
+    if (session && session.lock && session.lock.token === lock.token) {
+      await this.mutate(uploadId, current => super.releaseLock(uploadId, lock));
+    }
+  }
+
+  async delete(uploadId) {
+    await this.mutate(uploadId, () => super.delete(uploadId));
+    await fs.promises.rm(this.lockPath(uploadId), { force: true });
+  }
+
+  /**
+   * Results are read from disk every time, since they are written once and rarely read
+   */
+  async saveResult(uploadId, result, { ttl }) {
+    const filePath = this.resultPath(uploadId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ result, expiresAt: Date.now() + ttl }));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async getResult(uploadId) {
+    if (!isValidUploadId(uploadId)) {
+      return null;
+    }
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.resultPath(uploadId), 'utf8'));
+      return entry.expiresAt > Date.now() ? entry.result : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading upload result ${uploadId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async deleteResult(uploadId) {
+    if (isValidUploadId(uploadId)) {
+      await fs.promises.rm(this.resultPath(uploadId), { force: true });
+    }
+  }
+
+  async pruneResults() {
+    let removed = 0;
+    for (const file of await fs.promises.readdir(this.sessionsDir)) {
+      const uploadId = path.basename(file, '.result.json');
+      if (!file.endsWith('.result.json') || !isValidUploadId(uploadId)) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(this.resultPath(uploadId), 'utf8'));
+        if (entry.expiresAt > Date.now()) {
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        console.error(`Error loading upload result ${uploadId}:`, error.message);
+      }
+      await fs.promises.rm(this.resultPath(uploadId), { force: true });
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Sessions as found in the directory, including those of other processes on this volume
+   */
+  async list() {
+    const files = await fs.promises.readdir(this.sessionsDir);
+    const uploadIds = new Set(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(isValidUploadId));
+    // Created here but not written yet
+    for (const uploadId of this.pendingWrites.keys()) {
+      if (this.sessions.has(uploadId)) {
+        uploadIds.add(uploadId);
+      }
+    }
+
+    const entries = [];
+    for (const uploadId of uploadIds) {
+      const session = await this.get(uploadId);
+      if (session) {
+        entries.push([uploadId, session]);
+      }
+    }
+    return entries;
+  }
+
+  async size() {
+    return (await this.list()).length;
+  }
+
+  async close() {
+    await Promise.allSettled(this.pendingWrites.values());
+  }
+}
+
+/**
+ * Create the session store selected by `type` (SESSION_STORE setting).
+ *   - "file" (default): JSON files under `sessionsDir`
+ *   - "memory": process-local, lost on restart
+ *   - any other value: path to a module exporting a SessionStore subclass,
+ *     an instance, or a factory function returning one
+ * @param {Object} options - { type, sessionsDir }
+ * @returns {SessionStore} - Session store instance
+ */
+function createSessionStore({ type = 'file', sessionsDir } = {}) {
+  if (type === 'memory') {
+    return new MemorySessionStore();
+  }
+  if (type === 'file') {
+    return new FileSessionStore(sessionsDir);
+  }
+
+  const custom = require(path.resolve(type));
+  if (typeof custom !== 'function') {
+    return custom;
+  }
+  return custom.prototype instanceof SessionStore ? new custom() : custom();
+}
+
+module.exports = {
+  SessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  isValidUploadId,
+  serializeSession,
+  deserializeSession
+};
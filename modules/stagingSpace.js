@@ -0,0 +1,164 @@
+// modules/stagingSpace.js - Free-space reservations and admission control for the local staging volume
+const fs = require('fs');
+
+// How often queued admissions re-check free space
+const POLL_INTERVAL = 1000;
+
+// Seconds a turned-away client is asked to wait; space comes back as uploads finish, which takes a while
+const RETRY_AFTER = 30;
+
+/**
+ * Bytes an unfinished session may still write to the staging volume.
+ * Assembled uploads (chunked "assemble" and tus) hold every chunk plus the
+ * combined temp file, so they need twice the file size; streamed uploads
+ * only buffer chunks until they are forwarded; direct uploads never touch
+ * the disk. Bytes already received are on disk and no longer reserved.
+ * @param {Object} session - Upload session
+ * @returns {number} - Reserved bytes
+ */
+function sessionReservation(session) {
+  if (session.uploadMode === 'direct') {
+    return 0;
+  }
+  let receivedBytes = 0;
+  for (const chunkInfo of session.chunks.values()) {
+    receivedBytes += chunkInfo.size;
+  }
+  const copies = session.uploadMode === 'stream' ? 1 : 2;
+  return Math.max(0, session.fileSize * copies - receivedBytes);
+}
+
+/**
+ * Tracks how much of the staging volume is promised to uploads in progress
+ * and admits new ones only if they fit, keeping `minFree` bytes spare.
+ * Reservations of unfinished sessions are derived from the sessions
+ * themselves, so they survive restarts; requests that stage bytes without a
+ * session (form uploads, sessions being created) hold a short-lived
+ * reservation by ID. Admissions that do not fit wait in line, first come
+ * first served, for up to `queueTimeout` ms.
+ */
+class StagingSpace {
+  /**
+   * @param {Object} options - { dir, minFree, queueTimeout }
+   */
+  constructor({ dir, minFree = 0, queueTimeout = 0 }) {
+    this.dir = dir;
+    this.minFree = minFree;
+    this.queueTimeout = queueTimeout;
+    this.reservations = new Map(); // ID → bytes, for requests in progress
+    this.queue = []; // Admissions waiting for space, oldest first
+  }
+
+  /**
+   * @returns {Promise<Object>} - { totalBytes, freeBytes } of the volume holding the staging directory
+   */
+  async disk() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const stats = await fs.promises.statfs(this.dir);
+    return { totalBytes: stats.blocks * stats.bsize, freeBytes: stats.bavail * stats.bsize };
+  }
+
+  /**
+   * @param {string} id - Reservation ID (e.g. the request ID)
+   * @param {number} bytes - Bytes to hold
+   */
+  reserve(id, bytes) {
+    this.reservations.set(id, bytes);
+  }
+
+  /**
+   * @param {string} id - Reservation ID
+   */
+  release(id) {
+    this.reservations.delete(id);
+  }
+
+  /**
+   * Work out what the volume can still take
+   * @param {Iterable} sessions - [uploadId, session] pairs of every unfinished session
+   * @returns {Promise<Object>} - { totalBytes, freeBytes, reservedBytes, availableBytes, minFreeBytes }
+   */
+  async usage(sessions) {
+    const { totalBytes, freeBytes } = await this.disk();
+    let reservedBytes = 0;
+    for (const [, session] of sessions) {
+      reservedBytes += sessionReservation(session);
+    }
+    for (const bytes of this.reservations.values()) {
+      reservedBytes += bytes;
+    }
+    return {
+      totalBytes: totalBytes,
+      freeBytes: freeBytes,
+      reservedBytes: reservedBytes,
+      availableBytes: Math.max(0, freeBytes - reservedBytes - this.minFree),
+      minFreeBytes: this.minFree
+    };
+  }
+
+  /**
+   * Reserve `bytes` for a new upload, waiting in line while the volume is
+   * too full. The reservation is held under `id` until release(id).
+   * @param {string} id - Reservation ID
+   * @param {number} bytes - Bytes the upload will stage
+   * @param {Object} options - { listSessions: async () => [uploadId, session] pairs, signal: AbortSignal ending the wait }
+   * @returns {Promise<Object>} - { admitted, neverFits, retryAfter, ...usage() }
+   */
+  async admit(id, bytes, { listSessions, signal = null }) {
+    const ticket = { id };
+    const deadline = Date.now() + this.queueTimeout;
+    this.queue.push(ticket);
+    try {
+      for (;;) {
+        const usage = await this.usage(await listSessions());
+        if (bytes > usage.totalBytes - this.minFree) {
+          return { admitted: false, neverFits: true, ...usage };
+        }
+        if (this.queue[0] === ticket && bytes <= usage.availableBytes) {
+          this.reserve(id, bytes);
+          return { admitted: true, ...usage };
+        }
+        if (Date.now() >= deadline || (signal && signal.aborted)) {
+          return { admitted: false, retryAfter: RETRY_AFTER, ...usage };
+        }
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+      }
+    } finally {
+      this.queue.splice(this.queue.indexOf(ticket), 1);
+    }
+  }
+
+  /**
+   * Wait up to `queueTimeout` ms for `bytes` to be free on the volume, before a
+   * write that is already reserved (an upload's combined file) but would fail
+   * on a full disk
+   * @param {number} bytes - Bytes about to be written
+   * @returns {Promise<boolean>} - True once they fit, false on timeout
+   */
+  async waitForFree(bytes) {
+    const deadline = Date.now() + this.queueTimeout;
+    for (;;) {
+      const { freeBytes } = await this.disk();
+      if (freeBytes >= bytes) {
+        return true;
+      }
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * @returns {number} - Admissions currently waiting for space
+   */
+  get queued() {
+    return this.queue.length;
+  }
+}
+
+module.exports = {
+  RETRY_AFTER,
+  StagingSpace,
+  sessionReservation
+};
@@ -0,0 +1,981 @@
+// modules/storage.js - Storage driver abstraction (S3-compatible bucket or local disk)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Encode an object key for use in a URL path, keeping the slashes
+ * @param {string} key - Object key
+ * @returns {string} - URL-safe key
+ */
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Content-Disposition value that names the download, with an ASCII fallback
+ * for old clients and the exact name as RFC 5987 `filename*`
+ * @param {string} fileName - Name the file should be saved as
+ * @param {string} type - "attachment" (save) or "inline" (display)
+ * @returns {string} - Header value
+ */
+function contentDisposition(fileName, type = 'attachment') {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * HMAC token for a CDN download URL; the CDN (e.g. a worker in front of a
+ * private bucket) recomputes it with the shared secret before serving
+ * @param {string} secret - Shared token secret
+ * @param {string} key - Object key
+ * @param {number} expires - Unix time (seconds) after which the URL is refused
+ * @param {string} disposition - Content-Disposition the CDN should answer with ('' for none)
+ * @returns {string} - Hex token
+ */
+function cdnToken(secret, key, expires, disposition = '') {
+  return crypto.createHmac('sha256', secret).update(`/${encodeKey(key)}\n${expires}\n${disposition}`).digest('hex');
+}
+
+/**
+ * Time-limited CDN URL: `${baseUrl}/${key}?expires=...&disposition=...&token=...`
+ * @param {string} baseUrl - CDN base URL
+ * @param {string} key - Object key
+ * @param {Object} options - { secret, expiresIn (seconds), contentDisposition }
+ * @returns {string} - Signed URL
+ */
+function cdnSignedUrl(baseUrl, key, { secret, expiresIn, contentDisposition: disposition = '' }) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = new URLSearchParams({ expires: String(expires) });
+  if (disposition) {
+    query.set('disposition', disposition);
+  }
+  query.set('token', cdnToken(secret, key, expires, disposition));
+  return `${baseUrl}/${encodeKey(key)}?${query}`;
+}
+
+/**
+ * Check the token of a cdnSignedUrl() URL
+ * @param {string} secret - Shared token secret
+ * @param {string} key - Object key
+ * @param {Object} query - { expires, disposition, token }
+ * @returns {boolean} - True if the token matches and has not expired
+ */
+function verifyCdnToken(secret, key, query) {
+  const expires = parseInt(query.expires);
+  if (!secret || !query.token || !expires || expires < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(cdnToken(secret, key, expires, query.disposition || ''));
+  const actual = Buffer.from(String(query.token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Parse a Range header against an object's size. Only single byte ranges are
+ * honoured, like S3 does; anything else is ignored and the whole object sent.
+ * @param {string} header - Range header, e.g. "bytes=0-1023", "bytes=1024-" or "bytes=-500"
+ * @param {number} size - Object size
+ * @returns {Object|null|false} - { start, end } (inclusive), null to send everything, false if unsatisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  if (match[1] === '') {
+    const suffix = parseInt(match[2]);
+    return suffix > 0 && size > 0 ? { start: Math.max(size - suffix, 0), end: size - 1 } : false;
+  }
+  const start = parseInt(match[1]);
+  const end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  if (match[2] !== '' && parseInt(match[2]) < start) {
+    return null; // Invalid, not unsatisfiable
+  }
+  return start < size ? { start, end } : false;
+}
+
+/**
+ * Whether an If-None-Match header matches an ETag (weak comparison)
+ * @param {string} header - If-None-Match value: "*" or a list of ETags
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True if the client's copy is current
+ */
+function etagMatches(header, etag) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  const bare = value => value.trim().replace(/^W\//, '');
+  return Boolean(etag) && header.split(',').some(candidate => bare(candidate) === bare(etag));
+}
+
+/**
+ * Storage driver interface.
+ *
+ * Drivers store objects by key in a single bucket and report the public
+ * URLs a client can fetch them from. Every method is async; `headObject`
+ * resolves to null for a missing key instead of throwing.
+ */
+class StorageDriver {
+  /**
+   * @param {string} key - Object key
+   * @param {Buffer} body - Object data
+   * @param {Object} options - { contentType, metadata }
+   * @returns {Promise<Object>} - { etag }
+   */
+  async putObject(key, body, options = {}) {
+    throw new Error(`${this.constructor.name}.putObject not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {Object} options - { contentType, metadata }
+   * @returns {Promise<string>} - Multipart upload ID
+   */
+  async createMultipartUpload(key, options = {}) {
+    throw new Error(`${this.constructor.name}.createMultipartUpload not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} body - Part data
+   * @returns {Promise<Object>} - { PartNumber, ETag }
+   */
+  async uploadPart(key, uploadId, partNumber, body) {
+    throw new Error(`${this.constructor.name}.uploadPart not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Array} parts - Array of { PartNumber, ETag }
+   * @returns {Promise<Object>} - { etag }
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    throw new Error(`${this.constructor.name}.completeMultipartUpload not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @returns {Promise<void>}
+   */
+  async abortMultipartUpload(key, uploadId) {
+    throw new Error(`${this.constructor.name}.abortMultipartUpload not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} - { size, contentType, lastModified, etag, metadata } or null
+   */
+  async headObject(key) {
+    throw new Error(`${this.constructor.name}.headObject not implemented`);
+  }
+
+  /**
+   * Read an object, or part of it. `ifNoneMatch` wins over `ifModifiedSince`
+   * as in HTTP; a condition that holds gives status 304 and no body.
+   * @param {string} key - Object key
+   * @param {Object} options - { range (Range header), ifNoneMatch, ifModifiedSince (Date) }
+   * @returns {Promise<Object|null>} - { status: 200 | 206 | 304 | 416, body (Readable, 200/206 only), contentLength,
+   *   contentRange, size, contentType, lastModified, etag, metadata }, or null for a missing key
+   */
+  async getObject(key, options = {}) {
+    throw new Error(`${this.constructor.name}.getObject not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async deleteObject(key) {
+    throw new Error(`${this.constructor.name}.deleteObject not implemented`);
+  }
+
+  /**
+   * Delete several objects; drivers with a batch API override this
+   * @param {Array} keys - Object keys
+   * @returns {Promise<Object>} - { deleted: [key], errors: [{ key, error }] }
+   */
+  async deleteObjects(keys) {
+    const deleted = [];
+    const errors = [];
+    for (const key of keys) {
+      try {
+        await this.deleteObject(key);
+        deleted.push(key);
+      } catch (error) {
+        errors.push({ key, error: error.message });
+      }
+    }
+    return { deleted, errors };
+  }
+
+  /**
+   * Copy an object within the bucket without downloading it. Passing a
+   * content type or metadata replaces the source's; copying a key onto
+   * itself that way updates them in place.
+   * @param {string} sourceKey - Existing object key
+   * @param {string} destinationKey - New object key
+   * @param {Object} options - { contentType, metadata }
+   * @returns {Promise<Object>} - { etag }
+   */
+  async copyObject(sourceKey, destinationKey, options = {}) {
+    throw new Error(`${this.constructor.name}.copyObject not implemented`);
+  }
+
+  /**
+   * @param {string} prefix - Key prefix
+   * @param {Object} options - { continuationToken, maxKeys }
+   * @returns {Promise<Object>} - { objects: [{ key, size, lastModified, etag }], nextContinuationToken }
+   */
+  async listObjects(prefix, options = {}) {
+    throw new Error(`${this.constructor.name}.listObjects not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {Object} options - { method: 'GET' | 'PUT', expiresIn (seconds), contentType, contentLength (PUT only,
+   *   the most a local-disk URL accepts), contentDisposition (GET only) }
+   * @returns {Promise<string>} - Time-limited URL
+   */
+  async getSignedUrl(key, options = {}) {
+    throw new Error(`${this.constructor.name}.getSignedUrl not implemented`);
+  }
+
+  /**
+   * Time-limited URL a client can PUT one multipart part to
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Object} options - { expiresIn (seconds), contentLength (the most a local-disk URL accepts) }
+   * @returns {Promise<string>} - Pre-signed UploadPart URL
+   */
+  async getSignedPartUrl(key, uploadId, partNumber, options = {}) {
+    throw new Error(`${this.constructor.name}.getSignedPartUrl not implemented`);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Object} - { cdnUrl, b2Url, b2PublicUrl }
+   */
+  publicUrls(key) {
+    throw new Error(`${this.constructor.name}.publicUrls not implemented`);
+  }
+
+  /**
+   * Driver for another bucket on the same backend
+   * @param {string} bucket - Bucket name
+   * @returns {StorageDriver} - Driver bound to that bucket
+   */
+  withBucket(bucket) {
+    return this;
+  }
+
+  /**
+   * Express router to mount for drivers that serve objects themselves
+   * @returns {Function|null} - Router, or null if objects are served elsewhere
+   */
+  router() {
+    return null;
+  }
+}
+
+/**
+ * S3-compatible driver (Backblaze B2, AWS S3, MinIO, ...)
+ */
+class S3StorageDriver extends StorageDriver {
+  /**
+   * @param {Object} options - { region, endpoint, credentials, bucket, cdnBaseUrl, downloadBaseUrl }
+   */
+  constructor({ region, endpoint, credentials, bucket, cdnBaseUrl, downloadBaseUrl }) {
+    super();
+    this.bucket = bucket;
+    this.endpoint = endpoint;
+    this.cdnBaseUrl = cdnBaseUrl;
+    this.downloadBaseUrl = downloadBaseUrl;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle: true,
+      credentials
+    });
+  }
+
+  withBucket(bucket) {
+    if (!bucket || bucket === this.bucket) {
+      return this;
+    }
+    // Shares the client, only the bucket differs
+    const driver = Object.create(this);
+    driver.bucket = bucket;
+    return driver;
+  }
+
+  async putObject(key, body, { contentType, metadata } = {}) {
+    const response = await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      Metadata: metadata
+    }));
+    return { etag: response.ETag };
+  }
+
+  async createMultipartUpload(key, { contentType, metadata } = {}) {
+    const response = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      Metadata: metadata
+    }));
+    return response.UploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    const response = await this.client.send(new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body
+    }));
+    return { PartNumber: partNumber, ETag: response.ETag };
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const response = await this.client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: [...parts].sort((a, b) => a.PartNumber - b.PartNumber)
+      }
+    }));
+    return { etag: response.ETag };
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await this.client.send(new AbortMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId
+    }));
+  }
+
+  async headObject(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+        etag: response.ETag,
+        metadata: response.Metadata || {}
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getObject(key, { range, ifNoneMatch, ifModifiedSince } = {}) {
+    let response;
+    try {
+      response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Range: range || undefined,
+        IfNoneMatch: ifNoneMatch || undefined,
+        IfModifiedSince: ifNoneMatch ? undefined : ifModifiedSince || undefined
+      }));
+    } catch (error) {
+      const status = error.$metadata?.httpStatusCode;
+      if (error.name === 'NoSuchKey' || status === 404) {
+        return null;
+      }
+      if (status === 304 || status === 416) {
+        // Neither answer carries the object's details, which both responses need
+        const head = await this.headObject(key);
+        return head ? { status, ...head } : null;
+      }
+      throw error;
+    }
+
+    const contentRange = response.ContentRange || null;
+    return {
+      status: contentRange ? 206 : 200,
+      body: response.Body,
+      contentLength: response.ContentLength,
+      contentRange: contentRange,
+      size: contentRange ? parseInt(contentRange.split('/')[1]) : response.ContentLength,
+      contentType: response.ContentType,
+      lastModified: response.LastModified,
+      etag: response.ETag,
+      metadata: response.Metadata || {}
+    };
+  }
+
+  async deleteObject(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  async deleteObjects(keys) {
+    const deleted = [];
+    const errors = [];
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let i = 0; i < keys.length; i += 1000) {
+      const response = await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: keys.slice(i, i + 1000).map(key => ({ Key: key })),
+          Quiet: false
+        }
+      }));
+      deleted.push(...(response.Deleted || []).map(object => object.Key));
+      errors.push(...(response.Errors || []).map(object => ({ key: object.Key, error: object.Message || object.Code })));
+    }
+    return { deleted, errors };
+  }
+
+  async copyObject(sourceKey, destinationKey, { contentType, metadata } = {}) {
+    const command = {
+      Bucket: this.bucket,
+      Key: destinationKey,
+      CopySource: `${this.bucket}/${encodeKey(sourceKey)}`,
+      MetadataDirective: 'COPY'
+    };
+    if (contentType || metadata) {
+      // REPLACE drops whatever is not sent, so carry the other half over from the source
+      const head = await this.headObject(sourceKey);
+      command.MetadataDirective = 'REPLACE';
+      command.ContentType = contentType || (head && head.contentType);
+      command.Metadata = metadata || (head && head.metadata);
+    }
+    const response = await this.client.send(new CopyObjectCommand(command));
+    return { etag: response.CopyObjectResult && response.CopyObjectResult.ETag };
+  }
+
+  async listObjects(prefix, { continuationToken, maxKeys = 1000 } = {}) {
+    const response = await this.client.send(new ListObjectsV2Command({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken,
+      MaxKeys: maxKeys
+    }));
+    return {
+      objects: (response.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        etag: object.ETag
+      })),
+      nextContinuationToken: response.IsTruncated ? response.NextContinuationToken : null
+    };
+  }
+
+  async getSignedUrl(key, { method = 'GET', expiresIn = 3600, contentType, contentDisposition } = {}) {
+    const command = method === 'PUT'
+      ? new PutObjectCommand({ Bucket: this.bucket, Key: key, ContentType: contentType })
+      : new GetObjectCommand({ Bucket: this.bucket, Key: key, ResponseContentDisposition: contentDisposition });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  async getSignedPartUrl(key, uploadId, partNumber, { expiresIn = 3600 } = {}) {
+    const command = new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  publicUrls(key) {
+    const encodedKey = encodeKey(key);
+    return {
+      cdnUrl: `${this.cdnBaseUrl}/${encodedKey}`,
+      b2Url: `${this.endpoint}/${this.bucket}/${encodedKey}`,
+      b2PublicUrl: `${this.downloadBaseUrl}/file/${this.bucket}/${encodedKey}`
+    };
+  }
+}
+
+/**
+ * Local-disk driver for offline development and tests. Objects are plain
+ * files under `rootDir`; content type and metadata live in sidecar JSON
+ * files under `rootDir/.meta`. Objects are served by `router()`, which
+ * stands in for the CDN too: keys under `privatePrefix` are only served with
+ * a signed URL or a CDN token made with `cdnTokenSecret`. Signed PUT URLs are
+ * bound to their Content-Type, as S3's are, and accept at most the signed
+ * length, or `maxPutSize` bytes when none was signed.
+ */
+class LocalStorageDriver extends StorageDriver {
+  /**
+   * @param {Object} options - { rootDir, publicBaseUrl, mountPath, signingSecret, privatePrefix, cdnTokenSecret, maxPutSize }
+   */
+  constructor({ rootDir, publicBaseUrl, mountPath = '/storage', signingSecret, privatePrefix = null, cdnTokenSecret = null, maxPutSize = 100 * 1024 * 1024 }) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+    this.metaDir = path.join(this.rootDir, '.meta');
+    this.multipartDir = path.join(this.rootDir, '.multipart');
+    this.publicBaseUrl = publicBaseUrl;
+    this.mountPath = mountPath;
+    this.signingSecret = signingSecret || crypto.randomBytes(32).toString('hex');
+    this.privatePrefix = privatePrefix;
+    this.cdnTokenSecret = cdnTokenSecret;
+    this.maxPutSize = maxPutSize;
+    fs.mkdirSync(this.metaDir, { recursive: true });
+    fs.mkdirSync(this.multipartDir, { recursive: true });
+  }
+
+  /**
+   * Resolve a key to a path, refusing anything that escapes the root. Empty, "." and ".."
+   * segments are refused too: they would give one object several keys, and checks made on
+   * the key (the private prefix) could then be passed with "alice/../private/…".
+   * @param {string} baseDir - Directory the key is relative to
+   * @param {string} key - Object key
+   * @returns {string} - Absolute file path
+   */
+  resolveKey(baseDir, key) {
+    const filePath = path.resolve(baseDir, key);
+    const segments = String(key).split('/');
+    if (!key || key.startsWith('.') || segments.some(segment => ['', '.', '..'].includes(segment)) ||
+        !filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return filePath;
+  }
+
+  objectPath(key) {
+    return this.resolveKey(this.rootDir, key);
+  }
+
+  metaPath(key) {
+    return this.resolveKey(this.metaDir, key) + '.json';
+  }
+
+  multipartPath(uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+      throw new Error(`Invalid multipart upload ID: ${uploadId}`);
+    }
+    return path.join(this.multipartDir, uploadId);
+  }
+
+  async writeMeta(key, meta) {
+    const metaPath = this.metaPath(key);
+    await fs.promises.mkdir(path.dirname(metaPath), { recursive: true });
+    await fs.promises.writeFile(metaPath, JSON.stringify(meta));
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metaPath(key), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Move a finished file into place and record its metadata
+   * @param {string} key - Object key
+   * @param {string} tempPath - Fully written file
+   * @param {Object} options - { contentType, metadata }
+   * @returns {Promise<Object>} - { etag }
+   */
+  async commitObject(key, tempPath, { contentType, metadata } = {}) {
+    const objectPath = this.objectPath(key);
+    await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+    await fs.promises.rename(tempPath, objectPath);
+
+    const hash = crypto.createHash('md5');
+    for await (const data of fs.createReadStream(objectPath)) {
+      hash.update(data);
+    }
+    const etag = `"${hash.digest('hex')}"`;
+    await this.writeMeta(key, {
+      contentType: contentType || 'application/octet-stream',
+      metadata: metadata || {},
+      etag
+    });
+    return { etag };
+  }
+
+  async putObject(key, body, options = {}) {
+    const tempPath = path.join(this.multipartDir, `put_${crypto.randomBytes(8).toString('hex')}.tmp`);
+    await fs.promises.writeFile(tempPath, body);
+    return this.commitObject(key, tempPath, options);
+  }
+
+  async createMultipartUpload(key, { contentType, metadata } = {}) {
+    this.objectPath(key); // Validate the key up front
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const uploadDir = this.multipartPath(uploadId);
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+    await fs.promises.writeFile(path.join(uploadDir, 'upload.json'), JSON.stringify({ key, contentType, metadata }));
+    return uploadId;
+  }
+
+  /**
+   * Stream a request body to a file, refusing it once it passes `limit` bytes
+   * @param {Object} req - Incoming request
+   * @param {string} filePath - File to write
+   * @param {number} limit - Most bytes accepted
+   * @returns {Promise<string>} - MD5 of the body as an ETag
+   * @throws {Error} - With status 413 past the limit; the file is removed on any error
+   */
+  async receiveBody(req, filePath, limit) {
+    const tooLarge = () => Object.assign(new Error(`Body exceeds the ${limit} bytes this URL accepts`), { status: 413 });
+    if (parseInt(req.get('Content-Length'), 10) > limit) {
+      throw tooLarge();
+    }
+    const hash = crypto.createHash('md5');
+    let received = 0;
+    const meter = new Transform({
+      transform(data, encoding, callback) {
+        received += data.length;
+        if (received > limit) {
+          return callback(tooLarge());
+        }
+        hash.update(data);
+        callback(null, data);
+      }
+    });
+    try {
+      await pipeline(req, meter, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+    return `"${hash.digest('hex')}"`;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    const uploadDir = this.multipartPath(uploadId);
+    if (!fs.existsSync(uploadDir)) {
+      throw new Error(`Multipart upload not found: ${uploadId}`);
+    }
+    await fs.promises.writeFile(path.join(uploadDir, `part_${partNumber}`), body);
+    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+    return { PartNumber: partNumber, ETag: etag };
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const uploadDir = this.multipartPath(uploadId);
+    const upload = JSON.parse(await fs.promises.readFile(path.join(uploadDir, 'upload.json'), 'utf8'));
+    const tempPath = path.join(this.multipartDir, `${uploadId}.tmp`);
+    const writeStream = fs.createWriteStream(tempPath);
+
+    try {
+      for (const part of [...parts].sort((a, b) => a.PartNumber - b.PartNumber)) {
+        for await (const data of fs.createReadStream(path.join(uploadDir, `part_${part.PartNumber}`))) {
+          if (!writeStream.write(data)) {
+            await new Promise(resolve => writeStream.once('drain', resolve));
+          }
+        }
+      }
+      await new Promise((resolve, reject) => {
+        writeStream.on('error', reject);
+        writeStream.end(resolve);
+      });
+    } catch (error) {
+      writeStream.destroy();
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const result = await this.commitObject(key, tempPath, upload);
+    await fs.promises.rm(uploadDir, { recursive: true, force: true });
+    return result;
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await fs.promises.rm(this.multipartPath(uploadId), { recursive: true, force: true });
+  }
+
+  async headObject(key) {
+    try {
+      const stats = await fs.promises.stat(this.objectPath(key));
+      if (!stats.isFile()) {
+        return null;
+      }
+      const meta = await this.readMeta(key);
+      return {
+        size: stats.size,
+        contentType: meta.contentType || 'application/octet-stream',
+        lastModified: stats.mtime,
+        etag: meta.etag,
+        metadata: meta.metadata || {}
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getObject(key, { range, ifNoneMatch, ifModifiedSince } = {}) {
+    const head = await this.headObject(key);
+    if (!head) {
+      return null;
+    }
+    // HTTP dates have whole seconds
+    const modifiedSeconds = Math.floor(head.lastModified.getTime() / 1000);
+    const notModified = ifNoneMatch
+      ? etagMatches(ifNoneMatch, head.etag)
+      : Boolean(ifModifiedSince) && modifiedSeconds <= Math.floor(ifModifiedSince.getTime() / 1000);
+    if (notModified) {
+      return { status: 304, ...head };
+    }
+
+    const byteRange = parseRange(range, head.size);
+    if (byteRange === false) {
+      return { status: 416, ...head };
+    }
+    const { start, end } = byteRange || { start: 0, end: head.size - 1 };
+    return {
+      status: byteRange ? 206 : 200,
+      body: fs.createReadStream(this.objectPath(key), { start, end: Math.max(end, start) }),
+      contentLength: end - start + 1,
+      contentRange: byteRange ? `bytes ${start}-${end}/${head.size}` : null,
+      ...head
+    };
+  }
+
+  async deleteObject(key) {
+    await fs.promises.rm(this.objectPath(key), { force: true });
+    await fs.promises.rm(this.metaPath(key), { force: true });
+  }
+
+  async copyObject(sourceKey, destinationKey, { contentType, metadata } = {}) {
+    const sourcePath = this.objectPath(sourceKey);
+    const tempPath = path.join(this.multipartDir, `copy_${crypto.randomBytes(8).toString('hex')}.tmp`);
+    await fs.promises.copyFile(sourcePath, tempPath);
+    const meta = await this.readMeta(sourceKey);
+    return this.commitObject(destinationKey, tempPath, {
+      contentType: contentType || meta.contentType,
+      metadata: metadata || meta.metadata
+    });
+  }
+
+  async listObjects(prefix = '', { continuationToken, maxKeys = 1000 } = {}) {
+    const keys = [];
+    const walk = async (dir, keyPrefix) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) {
+          continue; // .meta and .multipart
+        }
+        const key = keyPrefix + entry.name;
+        if (entry.isDirectory()) {
+          await walk(path.join(dir, entry.name), key + '/');
+        } else if (key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+    };
+    await walk(this.rootDir, '');
+    keys.sort();
+
+    // The continuation token is simply the last key of the previous page
+    const startIndex = continuationToken ? keys.findIndex(key => key > continuationToken) : 0;
+    const pageKeys = startIndex === -1 ? [] : keys.slice(startIndex, startIndex + maxKeys);
+    const objects = [];
+    for (const key of pageKeys) {
+      const head = await this.headObject(key);
+      if (head) {
+        objects.push({ key, size: head.size, lastModified: head.lastModified, etag: head.etag });
+      }
+    }
+    const truncated = startIndex !== -1 && startIndex + maxKeys < keys.length;
+    return {
+      objects,
+      nextContinuationToken: truncated ? pageKeys[pageKeys.length - 1] : null
+    };
+  }
+
+  /**
+   * HMAC signature binding a method, key, expiry and an extra value together: the upload ID and
+   * part number for parts, the response Content-Disposition for downloads
+   */
+  sign(method, key, expires, extra = '') {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${method}\n${key}\n${expires}\n${extra}`).digest('hex');
+  }
+
+  /**
+   * Check a signed URL's query; PUTs also sign the length limit, and whole-object PUTs the
+   * Content-Type, so a request sending another type does not match
+   */
+  verifySignature(method, key, query, contentType = '') {
+    const expires = parseInt(query.expires);
+    if (!query.signature || !expires || expires < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+    let extra = query['response-content-disposition'] || '';
+    if (method === 'PUT') {
+      extra = query.uploadId
+        ? `${query.uploadId}:${query.partNumber}:${query.size || ''}`
+        : `${contentType}:${query.size || ''}`;
+    }
+    const expected = Buffer.from(this.sign(method, key, expires, extra));
+    const actual = Buffer.from(String(query.signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async getSignedUrl(key, { method = 'GET', expiresIn = 3600, contentType = '', contentLength, contentDisposition = '' } = {}) {
+    this.objectPath(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires) });
+    let extra = method === 'GET' ? contentDisposition : '';
+    if (extra) {
+      query.set('response-content-disposition', extra);
+    }
+    if (method === 'PUT') {
+      if (contentLength !== undefined) {
+        query.set('size', String(contentLength));
+      }
+      extra = `${contentType}:${query.get('size') || ''}`;
+    }
+    query.set('signature', this.sign(method, key, expires, extra));
+    return `${this.publicBaseUrl}${this.mountPath}/${encodeKey(key)}?${query}`;
+  }
+
+  async getSignedPartUrl(key, uploadId, partNumber, { expiresIn = 3600, contentLength } = {}) {
+    this.multipartPath(uploadId);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const size = contentLength !== undefined ? String(contentLength) : '';
+    const signature = this.sign('PUT', key, expires, `${uploadId}:${partNumber}:${size}`);
+    const sizeParam = size ? `&size=${size}` : '';
+    return `${this.publicBaseUrl}${this.mountPath}/${encodeKey(key)}?uploadId=${uploadId}&partNumber=${partNumber}${sizeParam}&expires=${expires}&signature=${signature}`;
+  }
+
+  publicUrls(key) {
+    const url = `${this.publicBaseUrl}${this.mountPath}/${encodeKey(key)}`;
+    return {
+      cdnUrl: url,
+      b2Url: url,
+      b2PublicUrl: url
+    };
+  }
+
+  router() {
+    const router = express.Router();
+
+    // Serve objects the way a public bucket would, and private ones the way the bucket or CDN would for a signed URL
+    router.get('/*key', async (req, res) => {
+      try {
+        const key = req.params.key.join('/');
+        this.objectPath(key); // Refuse keys that are not in their canonical form before checking the prefix
+        const signed = this.verifySignature('GET', key, req.query);
+        const tokenized = !signed && verifyCdnToken(this.cdnTokenSecret, key, req.query);
+        if (this.privatePrefix && key.startsWith(this.privatePrefix) && !signed && !tokenized) {
+          return res.status(403).json({ success: false, error: 'Private object, a signed URL is required' });
+        }
+        const head = await this.headObject(key);
+        if (!head) {
+          return res.status(404).json({ success: false, error: 'Object not found' });
+        }
+        const headers = { 'Content-Type': head.contentType, ETag: head.etag };
+        const disposition = signed ? req.query['response-content-disposition'] : tokenized && req.query.disposition;
+        if (disposition) {
+          headers['Content-Disposition'] = disposition;
+        }
+        res.sendFile(this.objectPath(key), { headers });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // Accept uploads to pre-signed PUT URLs (whole objects, or multipart parts), streamed to disk
+    router.put('/*key', async (req, res) => {
+      try {
+        const key = req.params.key.join('/');
+        const contentType = req.get('Content-Type') || '';
+        if (!this.verifySignature('PUT', key, req.query, contentType)) {
+          return res.status(403).json({ success: false, error: 'Invalid or expired signature, or another Content-Type than signed' });
+        }
+        const limit = req.query.size ? parseInt(req.query.size) : this.maxPutSize;
+        if (req.query.uploadId) {
+          const uploadDir = this.multipartPath(req.query.uploadId);
+          if (!fs.existsSync(uploadDir)) {
+            throw new Error(`Multipart upload not found: ${req.query.uploadId}`);
+          }
+          const partPath = path.join(uploadDir, `part_${parseInt(req.query.partNumber)}`);
+          const etag = await this.receiveBody(req, `${partPath}.tmp`, limit);
+          await fs.promises.rename(`${partPath}.tmp`, partPath);
+          return res.set('ETag', etag).status(200).end();
+        }
+        const tempPath = path.join(this.multipartDir, `put_${crypto.randomBytes(8).toString('hex')}.tmp`);
+        await this.receiveBody(req, tempPath, limit);
+        const { etag } = await this.commitObject(key, tempPath, { contentType: contentType });
+        res.set('ETag', etag).status(200).end();
+      } catch (error) {
+        res.status(error.status || 400).json({ success: false, error: error.message });
+      }
+    });
+
+    return router;
+  }
+}
+
+/**
+ * Create the storage driver selected by `driver` ("s3" or "local")
+ * @param {Object} options - { driver, s3: {...}, local: {...} }
+ * @returns {StorageDriver} - Storage driver instance
+ */
+function createStorageDriver({ driver = 's3', s3, local }) {
+  if (driver === 'local') {
+    return new LocalStorageDriver(local);
+  }
+  if (driver === 's3') {
+    return new S3StorageDriver(s3);
+  }
+  throw new Error(`Unknown storage driver: ${driver} (expected "s3" or "local")`);
+}
+
+module.exports = {
+  StorageDriver,
+  S3StorageDriver,
+  LocalStorageDriver,
+  createStorageDriver,
+  encodeKey,
+  contentDisposition,
+  cdnSignedUrl,
+  verifyCdnToken
+};
@@ -0,0 +1,143 @@
+// modules/tus.js - tus 1.0 resumable upload protocol helpers (headers, metadata, checksums)
+const fs = require('fs');
+const crypto = require('crypto');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'checksum', 'expiration'];
+
+// Upload-Checksum algorithms, named as in the tus checksum extension (and in Node's crypto)
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Request headers browsers must be allowed to send, and response headers they must be allowed to read
+const TUS_REQUEST_HEADERS = ['Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset', 'Upload-Checksum', 'X-HTTP-Method-Override'];
+const TUS_RESPONSE_HEADERS = ['Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm',
+  'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires'];
+
+// Non-standard status the checksum extension uses for a body that does not match its checksum
+const CHECKSUM_MISMATCH_STATUS = 460;
+
+/**
+ * Thrown for a malformed tus request; `status` is the response status to use
+ */
+class TusError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TusError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse an Upload-Metadata header: comma-separated "key base64value" pairs
+ * @param {string} header - Header value (may be empty)
+ * @returns {Object} - Decoded metadata; keys without a value map to ""
+ * @throws {TusError} - If a pair is malformed
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) {
+    return metadata;
+  }
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ');
+    if (!key || rest.length > 0 || (value && !/^[A-Za-z0-9+/]*={0,2}$/.test(value))) {
+      throw new TusError(400, `Invalid Upload-Metadata pair "${pair.trim()}"`);
+    }
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+/**
+ * Parse an Upload-Checksum header: "<algorithm> <base64 digest>"
+ * @param {string} header - Header value
+ * @returns {Object|null} - { algorithm, digest } or null if the header is absent
+ * @throws {TusError} - 400 for an unsupported algorithm or malformed value
+ */
+function parseChecksum(header) {
+  if (!header) {
+    return null;
+  }
+  const [algorithm, digest] = header.trim().split(' ');
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw new TusError(400, `Unsupported checksum algorithm "${algorithm}" (supported: ${CHECKSUM_ALGORITHMS.join(', ')})`);
+  }
+  if (!digest || !/^[A-Za-z0-9+/]+={0,2}$/.test(digest)) {
+    throw new TusError(400, 'Upload-Checksum must be "<algorithm> <base64 digest>"');
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * Parse a non-negative integer header such as Upload-Length or Upload-Offset
+ * @param {string} value - Header value
+ * @param {string} name - Header name, for the error message
+ * @returns {number} - Parsed value
+ * @throws {TusError} - 400 if missing or not a non-negative integer
+ */
+function parseIntegerHeader(value, name) {
+  if (value === undefined || !/^\d+$/.test(value)) {
+    throw new TusError(400, `${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+/**
+ * Stream a PATCH body into a file, stopping at `maxBytes`. A body cut off by
+ * the client is not an error: tus keeps whatever arrived so the upload can
+ * resume from there.
+ * @param {Object} req - Request whose body is the data
+ * @param {string} filePath - File to write
+ * @param {Object} options - { maxBytes, checksum: { algorithm } }
+ * @returns {Promise<Object>} - { size, sha256 (hex), digest (base64, of checksum.algorithm), complete, tooLarge }
+ */
+async function writeRequestBody(req, filePath, { maxBytes, checksum = null }) {
+  const sha256 = crypto.createHash('sha256');
+  const checksumHash = checksum ? crypto.createHash(checksum.algorithm) : null;
+  const output = fs.createWriteStream(filePath);
+  let size = 0;
+  let complete = true;
+  let tooLarge = false;
+
+  try {
+    for await (const data of req) {
+      if (size + data.length > maxBytes) {
+        tooLarge = true;
+        break;
+      }
+      sha256.update(data);
+      if (checksumHash) {
+        checksumHash.update(data);
+      }
+      size += data.length;
+      if (!output.write(data)) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    }
+  } catch (error) {
+    complete = false; // Connection dropped mid-body
+  }
+  await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+
+  return {
+    size,
+    sha256: sha256.digest('hex'),
+    digest: checksumHash ? checksumHash.digest('base64') : null,
+    complete: complete && !req.aborted,
+    tooLarge
+  };
+}
+
+module.exports = {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  CHECKSUM_ALGORITHMS,
+  TUS_REQUEST_HEADERS,
+  TUS_RESPONSE_HEADERS,
+  CHECKSUM_MISMATCH_STATUS,
+  TusError,
+  parseMetadata,
+  parseChecksum,
+  parseIntegerHeader,
+  writeRequestBody
+};
@@ -0,0 +1,280 @@
+// modules/webhooks.js - Signed webhook deliveries with a persisted retry queue
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HISTORY_LIMIT = 1000; // Finished deliveries kept for the admin view
+const ATTEMPT_LOG_LIMIT = 20; // Attempts kept per delivery
+const POLL_INTERVAL = 5000; // How often due retries are looked for
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+/**
+ * Sign a webhook body. The timestamp is part of the signed text, so a
+ * captured request cannot be replayed later with a fresh timestamp.
+ * @param {string} secret - Shared secret (WEBHOOK_SECRET)
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} - Value of the X-Webhook-Signature header ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a received webhook (for receivers written in Node)
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - X-Webhook-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Webhook-Signature header
+ * @param {Object} options - { tolerance } maximum age in seconds
+ * @returns {boolean} - True if the signature matches and the request is recent
+ */
+function verifySignature(secret, timestamp, body, signature, { tolerance = 300 } = {}) {
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Sends events to the configured subscriptions. Every delivery is persisted
+ * before the first attempt; failures are retried with exponential backoff
+ * until `maxAttempts`, also across restarts.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - { subscriptions: [{ url, events }], secret, filePath, maxAttempts, retryDelay, timeout }
+   */
+  constructor({ subscriptions = [], secret, filePath, maxAttempts = 8, retryDelay = 30 * 1000, timeout = 10 * 1000 }) {
+    this.subscriptions = subscriptions;
+    this.secret = secret;
+    this.filePath = filePath;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.deliveries = new Map();
+    this.inFlight = new Set();
+    this.pendingWrite = Promise.resolve();
+    this.timer = null;
+
+    try {
+      const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const delivery of record.deliveries || []) {
+        this.deliveries.set(delivery.id, delivery);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Error loading webhook deliveries from ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} - True if any subscription is configured
+   */
+  get enabled() {
+    return this.subscriptions.length > 0;
+  }
+
+  /**
+   * Start retrying due deliveries in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL);
+    this.timer.unref();
+    this.processDue();
+  }
+
+  /**
+   * Queue an event for every subscription that wants it and attempt delivery
+   * @param {string} event - Event name, e.g. "upload.completed"
+   * @param {Object} data - Event payload (for uploads, the /upload/complete response)
+   * @returns {Promise<Array>} - Queued deliveries
+   */
+  async emit(event, data) {
+    const targets = this.subscriptions.filter(subscription => subscription.events.includes(event));
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const eventId = crypto.randomUUID();
+    const body = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data });
+    const queued = targets.map(subscription => ({
+      id: crypto.randomUUID(),
+      eventId: eventId,
+      event: event,
+      url: subscription.url,
+      body: body,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      deliveredAt: null,
+      lastError: null,
+      attemptLog: []
+    }));
+    for (const delivery of queued) {
+      this.deliveries.set(delivery.id, delivery);
+    }
+    await this.persist();
+
+    // Deliveries run in the background; the request that caused the event does not wait
+    for (const delivery of queued) {
+      this.deliver(delivery);
+    }
+    return queued;
+  }
+
+  /**
+   * Make one delivery attempt and schedule a retry if it fails
+   * @param {Object} delivery - Queued delivery
+   * @returns {Promise<Object>} - The delivery after the attempt
+   */
+  async deliver(delivery) {
+    if (this.inFlight.has(delivery.id)) {
+      return delivery;
+    }
+    this.inFlight.add(delivery.id);
+    const startedAt = Date.now();
+    const timestamp = Math.floor(startedAt / 1000);
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'b2-upload-server-webhooks',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(this.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      statusCode = response.status;
+      await response.arrayBuffer().catch(() => {});
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : requestError.message;
+    }
+
+    delivery.attempts++;
+    delivery.attemptLog = [...delivery.attemptLog, { at: startedAt, statusCode, error, durationMs: Date.now() - startedAt }]
+      .slice(-ATTEMPT_LOG_LIMIT);
+    delivery.lastError = error;
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = Date.now();
+      console.log(`📨 Delivered ${delivery.event} webhook to ${delivery.url}`);
+    } else if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = 'failed';
+      console.error(`❌ Giving up on ${delivery.event} webhook to ${delivery.url} after ${delivery.attempts} attempts: ${error}`);
+    } else {
+      const delay = Math.min(this.retryDelay * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY);
+      delivery.nextAttemptAt = Date.now() + delay;
+      console.warn(`⚠️ ${delivery.event} webhook to ${delivery.url} failed (${error}), retrying in ${Math.round(delay / 1000)}s`);
+    }
+
+    this.inFlight.delete(delivery.id);
+    await this.persist();
+    return delivery;
+  }
+
+  /**
+   * Attempt every pending delivery whose retry time has come
+   */
+  processDue() {
+    const now = Date.now();
+    for (const delivery of this.deliveries.values()) {
+      if (delivery.status === 'pending' && delivery.nextAttemptAt <= now) {
+        this.deliver(delivery);
+      }
+    }
+  }
+
+  /**
+   * Delivery history, newest first
+   * @param {Object} filters - { status, event, limit }
+   * @returns {Array} - Deliveries
+   */
+  list({ status, event, limit = 100 } = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => (!status || delivery.status === status) && (!event || delivery.event === event))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * @param {string} id - Delivery ID
+   * @returns {Object|null} - Delivery or null if unknown
+   */
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  /**
+   * Send a delivery again now, restarting its retry schedule
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} - The delivery after the attempt, or null if unknown
+   */
+  async redeliver(id) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery) {
+      return null;
+    }
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = Date.now();
+    return this.deliver(delivery);
+  }
+
+  /**
+   * Write deliveries to disk, dropping the oldest finished ones beyond the
+   * history limit; writes are serialized so they never interleave
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const finished = Array.from(this.deliveries.values())
+      .filter(delivery => delivery.status !== 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const delivery of finished.slice(0, Math.max(finished.length - HISTORY_LIMIT, 0))) {
+      this.deliveries.delete(delivery.id);
+    }
+
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify({ deliveries: Array.from(this.deliveries.values()) }));
+      await fs.promises.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error persisting webhook deliveries:', error.message);
+    });
+    return this.pendingWrite;
+  }
+
+  /**
+   * Stop retrying and flush pending writes before shutdown
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.pendingWrite;
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  signPayload,
+  verifySignature
+};
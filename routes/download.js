@@ -0,0 +1,116 @@
+// routes/download.js - Authenticated downloads streamed from the bucket, with range and conditional requests
+const express = require('express');
+const path = require('path');
+const { pipeline } = require('stream');
+const auth = require('../modules/auth');
+const { contentDisposition } = require('../modules/storage');
+const { originalNameFromMetadata } = require('../modules/fileRegistry');
+const { isValidFileName } = require('./files');
+
+/**
+ * Create the download router, mounted at /files:
+ *   GET|HEAD /:userId/*name - the file, public or private (?disposition=inline|attachment)
+ * Honours Range (one byte range), If-None-Match and If-Modified-Since, so
+ * players can seek in videos and clients can revalidate cached copies.
+ * Uploaders may only read their own files, admins anyone's.
+ * @param {Object} options - { storage, registry, authenticator, locate }
+ *   where locate(userId, name, { isPrivate }) gives the file's { bucket, key }
+ * @returns {Function} - Express router
+ */
+function createDownloadRouter({ storage, registry, authenticator, locate }) {
+  const router = express.Router();
+  const requireUploader = auth.requireRole(authenticator, 'uploader');
+
+  router.get('/:userId/*name', requireUploader, async (req, res) => {
+    try {
+      // Same rule as uploads: uploaders are confined to their own files
+      let userId;
+      try {
+        userId = auth.resolveUserId(req.user, req.params.userId);
+      } catch (authError) {
+        return res.status(403).json({ success: false, error: authError.message, code: 'FORBIDDEN' });
+      }
+      const name = req.params.name.join('/');
+      if (!isValidFileName(name)) {
+        return res.status(400).json({ success: false, error: 'Invalid file name' });
+      }
+      const disposition = req.query.disposition || 'inline';
+      if (!['attachment', 'inline'].includes(disposition)) {
+        return res.status(400).json({ success: false, error: 'disposition must be attachment or inline' });
+      }
+
+      const ifModifiedSince = req.get('If-Modified-Since') ? new Date(req.get('If-Modified-Since')) : null;
+      const options = {
+        range: req.get('Range'),
+        ifNoneMatch: req.get('If-None-Match'),
+        ifModifiedSince: ifModifiedSince && !isNaN(ifModifiedSince) ? ifModifiedSince : null
+      };
+
+      // A user's public and private files share one namespace; a public file wins over a private one of the same name
+      let location = null;
+      let object = null;
+      for (const isPrivate of [false, true]) {
+        location = locate(userId, name, { isPrivate });
+        object = await storage.withBucket(location.bucket).getObject(location.key, options);
+        if (object) {
+          break;
+        }
+      }
+      if (!object) {
+        return res.status(404).json({ success: false, error: 'File not found', code: 'FILE_NOT_FOUND' });
+      }
+
+      res.set({
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'private, no-cache', // Authenticated, so never in a shared cache
+        'Last-Modified': new Date(object.lastModified).toUTCString()
+      });
+      if (object.etag) {
+        res.set('ETag', object.etag);
+      }
+      if (object.status === 304) {
+        return res.status(304).end();
+      }
+      if (object.status === 416) {
+        res.set('Content-Range', `bytes */${object.size}`);
+        return res.status(416).json({ success: false, error: 'Requested range not satisfiable', code: 'RANGE_NOT_SATISFIABLE' });
+      }
+
+      let originalName = originalNameFromMetadata(object.metadata);
+      if (!originalName) {
+        const record = await registry.get(location.key);
+        originalName = record ? record.originalName : path.posix.basename(location.key);
+      }
+
+      res.status(object.status).set({
+        'Content-Type': object.contentType || 'application/octet-stream',
+        'Content-Length': String(object.contentLength),
+        'Content-Disposition': contentDisposition(originalName, disposition),
+        'X-Content-Type-Options': 'nosniff'
+      });
+      if (object.contentRange) {
+        res.set('Content-Range', object.contentRange);
+      }
+      if (req.method === 'HEAD') {
+        object.body.destroy();
+        return res.end();
+      }
+
+      // Also closes the bucket connection when the client goes away mid-download
+      pipeline(object.body, res, error => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error(`Download of ${location.key} failed:`, error.message);
+        }
+      });
+    } catch (error) {
+      console.error('Download error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createDownloadRouter
+};
@@ -0,0 +1,403 @@
+// routes/files.js - File management API: list, inspect, copy, move and delete a user's objects
+const express = require('express');
+const auth = require('../modules/auth');
+const { originalNameFromMetadata } = require('../modules/fileRegistry');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+const MAX_BATCH_DELETE = 1000;
+const HEAD_CONCURRENCY = 8;
+
+/**
+ * Check a file name relative to the user's prefix
+ * @param {string} name - Name such as "photos/cat.jpg"
+ * @returns {boolean} - True if the name stays inside the prefix
+ */
+function isValidFileName(name) {
+  if (typeof name !== 'string' || name.length === 0 || name.length > 1024) {
+    return false;
+  }
+  return name.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+}
+
+/**
+ * Key of an image variant once its file is copied or moved, e.g. "alice/cat_thumbnail.jpg"
+ * of "alice/cat.png" becomes "alice/pets/dog_thumbnail.jpg" for "alice/pets/dog.png"
+ * @param {string} variantKey - Key of the variant
+ * @param {string} sourceKey - Key of the file the variant belongs to
+ * @param {string} destinationKey - New key of that file
+ * @returns {string} - New key of the variant
+ */
+function variantDestinationKey(variantKey, sourceKey, destinationKey) {
+  const stem = key => key.replace(/\.[^./]*$/, '');
+  return stem(destinationKey) + variantKey.slice(stem(sourceKey).length);
+}
+
+/**
+ * Create the file management router. Every route is scoped to `:userId`;
+ * uploaders may only reach their own files, admins anyone's. Routes work on the
+ * user's public files, or on their private ones with `?private=true`.
+ *   GET    /:userId                 - paginated listing (?limit, ?cursor, ?prefix)
+ *   GET    /:userId/*name           - metadata of one file
+ *   DELETE /:userId/*name           - delete one file
+ *   POST   /:userId/delete          - batch delete { names: [...] }
+ *   POST   /:userId/copy            - server-side copy { from, to, overwrite }
+ *   POST   /:userId/move            - rename/move { from, to, overwrite }
+ * When a QuotaManager is given, deletes and copies update the user's stored bytes, and copies
+ * first pass `enforceQuota(req, res, userId, fileSizes)`, the check uploads go through;
+ * when a FileRegistry is given, its records follow every delete, copy and move, and so do
+ * the image variants they list (their bytes included);
+ * when a WebhookDispatcher is given, deletes send `file.deleted` events.
+ * @param {Object} options - { storage, authenticator, createLimiter, locate, fileUrls, quotas, enforceQuota, registry, webhooks }
+ *   where locate(userId, name, { isPrivate }) gives a file's { bucket, key } and fileUrls(key, { isPrivate }) its URLs
+ * @returns {Function} - Express router
+ */
+function createFilesRouter({ storage, authenticator, createLimiter, locate, fileUrls, quotas = null, enforceQuota = null, registry = null, webhooks = null }) {
+  const router = express.Router();
+  const requireUploader = auth.requireRole(authenticator, 'uploader');
+
+  // Keep quota usage in step with the bucket
+  async function adjustUsage(userId, delta) {
+    if (quotas && delta !== 0) {
+      await quotas.adjustBytes(userId, delta);
+    }
+  }
+
+  // Registry record of a file, which lists its image variants; null without a registry
+  async function findRecord(key) {
+    return registry ? registry.get(key) : null;
+  }
+
+  // Bytes a file takes in the bucket, its image variants included
+  function storedBytes(head, record) {
+    let bytes = head ? head.size : 0;
+    for (const variant of Object.values((record && record.variants) || {})) {
+      bytes += variant.size;
+    }
+    return bytes;
+  }
+
+  // Delete the image variants of a deleted or overwritten file
+  async function deleteVariants(store, record) {
+    const keys = Object.values((record && record.variants) || {}).map(variant => variant.key);
+    if (keys.length === 0) {
+      return;
+    }
+    const { errors } = await store.deleteObjects(keys);
+    for (const { key, error } of errors) {
+      console.error(`❌ Error deleting image variant ${key}:`, error);
+    }
+  }
+
+  // Copy or move the image variants of a file along with it; variants missing from the bucket are dropped
+  async function transferVariants(store, record, sourceKey, destinationKey, { move }) {
+    const variants = {};
+    for (const [name, variant] of Object.entries((record && record.variants) || {})) {
+      if (!await store.headObject(variant.key)) {
+        continue;
+      }
+      const key = variantDestinationKey(variant.key, sourceKey, destinationKey);
+      await store.copyObject(variant.key, key);
+      if (move) {
+        await store.deleteObject(variant.key);
+      }
+      variants[name] = { ...variant, key };
+    }
+    return variants;
+  }
+
+  // Resolve where the user's public or private files live, answering 403 for someone else's files
+  function userScope(req, res) {
+    const { userId } = req.params;
+    if (!auth.isValidUserId(userId)) {
+      res.status(400).json({ success: false, error: `Invalid user ID "${userId}"` });
+      return null;
+    }
+    if (!auth.canAccessUser(req.user, userId)) {
+      res.status(403).json({ success: false, error: 'Not allowed to access files of this user', code: 'FORBIDDEN' });
+      return null;
+    }
+    const isPrivate = req.query.private === 'true' || req.query.private === '1';
+    const { bucket, key } = locate(userId, '', { isPrivate });
+    return { prefix: key, store: storage.withBucket(bucket), isPrivate };
+  }
+
+  // Queue a file.deleted webhook without holding up the response
+  function notifyDeleted(req, scope, key, head) {
+    if (!webhooks) {
+      return;
+    }
+    webhooks.emit('file.deleted', {
+      userId: req.params.userId,
+      deletedBy: req.user.userId,
+      name: key.slice(scope.prefix.length),
+      key: key,
+      ...(scope.isPrivate ? { private: true } : {}),
+      size: head ? head.size : null,
+      originalName: head ? originalNameFromMetadata(head.metadata) : null
+    }).catch(error => {
+      console.error('❌ Error queueing file.deleted webhook:', error.message);
+    });
+  }
+
+  // Describe an object the way listing and metadata responses report it
+  function describeFile(scope, key, head) {
+    return {
+      name: key.slice(scope.prefix.length),
+      key: key,
+      size: head.size,
+      contentType: head.contentType || null,
+      originalName: originalNameFromMetadata(head.metadata),
+      lastModified: head.lastModified,
+      etag: head.etag,
+      cdnUrl: fileUrls(key, { isPrivate: scope.isPrivate }).cdnUrl,
+      ...(scope.isPrivate ? { private: true } : {})
+    };
+  }
+
+  // Paginated listing of the user's prefix
+  router.get('/:userId', requireUploader, async (req, res) => {
+    try {
+      const scope = userScope(req, res);
+      if (!scope) {
+        return;
+      }
+      const { prefix, store } = scope;
+      const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const subPrefix = req.query.prefix ? String(req.query.prefix) : '';
+
+      const page = await store.listObjects(prefix + subPrefix, {
+        continuationToken: req.query.cursor || undefined,
+        maxKeys: limit
+      });
+
+      // Listings do not carry the content type, so fetch it per object (bounded)
+      const runLimited = createLimiter(HEAD_CONCURRENCY);
+      const files = await Promise.all(page.objects.map(object => runLimited(async () => {
+        const head = await store.headObject(object.key);
+        return describeFile(scope, object.key, { ...object, contentType: head && head.contentType, metadata: head && head.metadata });
+      })));
+
+      res.json({
+        success: true,
+        userId: req.params.userId,
+        files: files,
+        count: files.length,
+        nextCursor: page.nextContinuationToken || null
+      });
+    } catch (error) {
+      console.error('File listing error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Batch delete
+  router.post('/:userId/delete', requireUploader, async (req, res) => {
+    try {
+      const scope = userScope(req, res);
+      if (!scope) {
+        return;
+      }
+      const { prefix, store } = scope;
+      const names = req.body.names;
+      if (!Array.isArray(names) || names.length === 0 || names.length > MAX_BATCH_DELETE) {
+        return res.status(400).json({
+          success: false,
+          error: `names must be an array of 1 to ${MAX_BATCH_DELETE} file names`
+        });
+      }
+      const invalid = names.filter(name => !isValidFileName(name));
+      if (invalid.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid file names', invalid: invalid });
+      }
+
+      // Heads are only needed for the quota refund and webhook payloads, records for the image variants
+      const heads = new Map();
+      const records = new Map();
+      if (quotas || webhooks || registry) {
+        const runLimited = createLimiter(HEAD_CONCURRENCY);
+        await Promise.all(names.map(name => runLimited(async () => {
+          heads.set(prefix + name, await store.headObject(prefix + name));
+          records.set(prefix + name, await findRecord(prefix + name));
+        })));
+      }
+
+      const { deleted, errors } = await store.deleteObjects(names.map(name => prefix + name));
+      for (const key of deleted) {
+        await deleteVariants(store, records.get(key));
+      }
+      await adjustUsage(req.params.userId, -deleted.reduce((sum, key) => sum + storedBytes(heads.get(key), records.get(key)), 0));
+      for (const key of deleted) {
+        if (registry) {
+          await registry.remove(key);
+        }
+        notifyDeleted(req, scope, key, heads.get(key));
+      }
+      console.log(`🗑️ Deleted ${deleted.length} file(s) for user ${req.params.userId}`);
+
+      res.json({
+        success: errors.length === 0,
+        deleted: deleted.map(key => key.slice(prefix.length)),
+        errors: errors.map(({ key, error }) => ({ name: key.slice(prefix.length), error }))
+      });
+    } catch (error) {
+      console.error('Batch delete error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Copy or move within the user's public or private files
+  async function transfer(req, res, { move }) {
+    const scope = userScope(req, res);
+    if (!scope) {
+      return;
+    }
+    const { prefix, store } = scope;
+    const { from, to, overwrite = false } = req.body;
+    if (!isValidFileName(from) || !isValidFileName(to)) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid file names' });
+    }
+    if (from === to) {
+      return res.status(400).json({ success: false, error: 'from and to must differ' });
+    }
+
+    const sourceKey = prefix + from;
+    const destinationKey = prefix + to;
+    const source = await store.headObject(sourceKey);
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    const existing = await store.headObject(destinationKey);
+    if (!overwrite && existing) {
+      return res.status(409).json({ success: false, error: `"${to}" already exists`, code: 'FILE_EXISTS' });
+    }
+
+    const record = await findRecord(sourceKey);
+    const existingRecord = existing ? await findRecord(destinationKey) : null;
+    // A copy adds the file's bytes, its variants included, so it must fit the quota like an upload
+    if (!move && enforceQuota && !await enforceQuota(req, res, req.params.userId, [storedBytes(source, record)])) {
+      return;
+    }
+
+    // An overwritten file's variants go first, as the copied ones may take their keys
+    await deleteVariants(store, existingRecord);
+    await store.copyObject(sourceKey, destinationKey);
+    const variants = await transferVariants(store, record, sourceKey, destinationKey, { move });
+    if (move) {
+      await store.deleteObject(sourceKey);
+    }
+    // A copy adds the file's bytes, a move adds nothing; an overwritten file frees its own
+    const copiedBytes = storedBytes(source, { variants });
+    await adjustUsage(req.params.userId, (move ? 0 : copiedBytes) - (existing ? storedBytes(existing, existingRecord) : 0));
+    if (registry) {
+      await registry.remove(destinationKey);
+      if (record) {
+        // A moved file keeps its upload date, a copy is new
+        await registry.record({
+          ...record,
+          key: destinationKey,
+          fileName: to.split('/').pop(),
+          uploadedAt: move ? record.uploadedAt : Date.now(),
+          ...(record.variants ? { variants } : {})
+        });
+      }
+      if (move) {
+        await registry.remove(sourceKey);
+      }
+    }
+    console.log(`${move ? '🚚 Moved' : '📄 Copied'} ${sourceKey} → ${destinationKey}`);
+
+    const head = await store.headObject(destinationKey);
+    res.json({
+      success: true,
+      file: describeFile(scope, destinationKey, head)
+    });
+  }
+
+  router.post('/:userId/copy', requireUploader, async (req, res) => {
+    try {
+      await transfer(req, res, { move: false });
+    } catch (error) {
+      console.error('File copy error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/:userId/move', requireUploader, async (req, res) => {
+    try {
+      await transfer(req, res, { move: true });
+    } catch (error) {
+      console.error('File move error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Metadata of a single file
+  router.get('/:userId/*name', requireUploader, async (req, res) => {
+    try {
+      const scope = userScope(req, res);
+      if (!scope) {
+        return;
+      }
+      const { prefix, store } = scope;
+      const name = req.params.name.join('/');
+      if (!isValidFileName(name)) {
+        return res.status(400).json({ success: false, error: 'Invalid file name' });
+      }
+      const head = await store.headObject(prefix + name);
+      if (!head) {
+        return res.status(404).json({ success: false, error: 'File not found' });
+      }
+      res.json({
+        success: true,
+        file: {
+          ...describeFile(scope, prefix + name, head),
+          ...fileUrls(prefix + name, { isPrivate: scope.isPrivate }),
+          metadata: head.metadata
+        }
+      });
+    } catch (error) {
+      console.error('File metadata error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Delete a single file
+  router.delete('/:userId/*name', requireUploader, async (req, res) => {
+    try {
+      const scope = userScope(req, res);
+      if (!scope) {
+        return;
+      }
+      const { prefix, store } = scope;
+      const name = req.params.name.join('/');
+      if (!isValidFileName(name)) {
+        return res.status(400).json({ success: false, error: 'Invalid file name' });
+      }
+      const head = await store.headObject(prefix + name);
+      if (!head) {
+        return res.status(404).json({ success: false, error: 'File not found' });
+      }
+      const record = await findRecord(prefix + name);
+      await store.deleteObject(prefix + name);
+      await deleteVariants(store, record);
+      await adjustUsage(req.params.userId, -storedBytes(head, record));
+      if (registry) {
+        await registry.remove(prefix + name);
+      }
+      notifyDeleted(req, scope, prefix + name, head);
+      console.log(`🗑️ Deleted ${prefix + name}`);
+      res.json({ success: true, deleted: name });
+    } catch (error) {
+      console.error('File delete error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createFilesRouter,
+  isValidFileName
+};
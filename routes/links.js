@@ -0,0 +1,105 @@
+// routes/links.js - Time-limited download links for stored files, public and private
+const express = require('express');
+const auth = require('../modules/auth');
+
+/**
+ * Create the download link router, mounted at /files:
+ *   GET    /*key/link      - issue a link (?expiresIn, ?maxDownloads, ?disposition=attachment|inline)
+ *   GET    /links/:linkId  - follow a link issued with maxDownloads (no authentication; the ID is the secret)
+ *   DELETE /links/:linkId  - revoke such a link
+ * Uploaders may only link their own files, admins anyone's.
+ * @param {Object} options - { registry, links, authenticator, defaultTtl, maxTtl }
+ * @returns {Function} - Express router
+ */
+function createLinksRouter({ registry, links, authenticator, defaultTtl, maxTtl }) {
+  const router = express.Router();
+  const requireUploader = auth.requireRole(authenticator, 'uploader');
+
+  router.get('/links/:linkId', async (req, res) => {
+    try {
+      // HEAD (link previews, availability checks) must not use up a download
+      if (req.method === 'HEAD') {
+        return res.status(links.store.get(req.params.linkId) ? 200 : 404).end();
+      }
+      const result = await links.redeem(req.params.linkId);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Download link not found', code: 'LINK_NOT_FOUND' });
+      }
+      if (result.status === 'expired') {
+        return res.status(410).json({ success: false, error: 'Download link has expired', code: 'LINK_EXPIRED' });
+      }
+      if (result.status === 'exhausted') {
+        return res.status(410).json({ success: false, error: 'Download link has been used up', code: 'LINK_EXHAUSTED' });
+      }
+      console.log(`🔗 Download ${result.link.downloads}/${result.link.maxDownloads} of ${result.link.key} via link ${result.link.id}`);
+      res.set('Cache-Control', 'no-store');
+      res.redirect(302, result.url);
+    } catch (error) {
+      console.error('Download link error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/links/:linkId', requireUploader, async (req, res) => {
+    try {
+      const link = links.store.get(req.params.linkId);
+      if (!link || !(auth.canAccessUser(req.user, link.userId) || link.createdBy === req.user.userId)) {
+        return res.status(404).json({ success: false, error: 'Download link not found', code: 'LINK_NOT_FOUND' });
+      }
+      await links.store.revoke(link.id);
+      console.log(`🔗 Download link ${link.id} for ${link.key} revoked by ${req.user.userId}`);
+      res.json({ success: true, linkId: link.id });
+    } catch (error) {
+      console.error('Download link revoke error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/*key/link', requireUploader, async (req, res) => {
+    try {
+      const key = req.params.key.join('/');
+      const record = await registry.get(key);
+      // Someone else's file is reported as missing rather than forbidden
+      if (!record || !auth.canAccessUser(req.user, record.userId)) {
+        return res.status(404).json({ success: false, error: 'File not found', code: 'FILE_NOT_FOUND' });
+      }
+
+      const expiresIn = req.query.expiresIn === undefined ? defaultTtl : Number(req.query.expiresIn);
+      if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > maxTtl) {
+        return res.status(400).json({ success: false, error: `expiresIn must be 1 to ${maxTtl} seconds` });
+      }
+      const maxDownloads = req.query.maxDownloads === undefined ? null : Number(req.query.maxDownloads);
+      if (maxDownloads !== null && !(Number.isInteger(maxDownloads) && maxDownloads >= 1)) {
+        return res.status(400).json({ success: false, error: 'maxDownloads must be a positive integer' });
+      }
+      const disposition = req.query.disposition || 'attachment';
+      if (!['attachment', 'inline'].includes(disposition)) {
+        return res.status(400).json({ success: false, error: 'disposition must be attachment or inline' });
+      }
+
+      const link = await links.issue(record, { expiresIn, maxDownloads, disposition, createdBy: req.user.userId });
+      console.log(`🔗 Issued ${maxDownloads ? `${maxDownloads}-download ` : ''}link to ${key} for ${req.user.userId}, valid ${expiresIn}s`);
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        success: true,
+        key: key,
+        private: Boolean(record.private),
+        originalName: record.originalName,
+        url: link.url,
+        expiresAt: new Date(link.expiresAt).toISOString(),
+        maxDownloads: link.maxDownloads,
+        linkId: link.linkId,
+        mode: link.mode
+      });
+    } catch (error) {
+      console.error('Download link error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createLinksRouter
+};
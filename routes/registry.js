@@ -0,0 +1,86 @@
+// routes/registry.js - Search the file registry by key, user, original name and upload date
+const express = require('express');
+const auth = require('../modules/auth');
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - ISO date ("2026-10-19", "2026-10-19T12:00:00Z") or millisecond timestamp
+ * @returns {number|undefined|null} - Timestamp, undefined if absent, null if invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Create the registry router. Uploaders only see their own files; admins
+ * may search everyone's (or one user's with ?userId).
+ *   GET /            - search (?userId, ?name, ?from, ?to, ?limit, ?cursor)
+ *   GET /*key        - record of one object key
+ * @param {Object} options - { registry, authenticator }
+ * @returns {Function} - Express router
+ */
+function createRegistryRouter({ registry, authenticator }) {
+  const router = express.Router();
+  const requireUploader = auth.requireRole(authenticator, 'uploader');
+
+  router.get('/', requireUploader, async (req, res) => {
+    try {
+      let userId = req.query.userId ? String(req.query.userId) : undefined;
+      if (!auth.hasRole(req.user, 'admin')) {
+        userId = userId || req.user.userId;
+      }
+      if (userId !== undefined && !auth.canAccessUser(req.user, userId)) {
+        return res.status(403).json({ success: false, error: 'Not allowed to access files of this user', code: 'FORBIDDEN' });
+      }
+
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to);
+      if (from === null || to === null) {
+        return res.status(400).json({ success: false, error: 'from and to must be ISO dates or millisecond timestamps' });
+      }
+
+      const result = await registry.find({
+        userId: userId,
+        originalName: req.query.name ? String(req.query.name) : undefined,
+        from: from,
+        to: to,
+        limit: req.query.limit,
+        cursor: req.query.cursor
+      });
+      res.json({
+        success: true,
+        files: result.files,
+        count: result.files.length,
+        total: result.total,
+        nextCursor: result.nextCursor
+      });
+    } catch (error) {
+      console.error('Registry search error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/*key', requireUploader, async (req, res) => {
+    try {
+      const record = await registry.get(req.params.key.join('/'));
+      // Someone else's file is reported as missing rather than forbidden
+      if (!record || !auth.canAccessUser(req.user, record.userId)) {
+        return res.status(404).json({ success: false, error: 'File not found in registry' });
+      }
+      res.json({ success: true, file: record });
+    } catch (error) {
+      console.error('Registry lookup error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRegistryRouter
+};
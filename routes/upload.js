@@ -1,114 +1,221 @@
 // routes/upload.js - Upload routes for base44.com
 const express = require('express');
-const router = express.Router();
-const { upload, uploadFilesToB2 } = require('../modules/b2Upload');
-
-// Middleware to ensure user is authenticated (adapt to base44.com auth system)
-function requireAuth(req, res, next) {
-  // Replace with base44.com authentication check
-  if (req.session && req.session.user) {
-    next();
-  } else if (req.headers.authorization) {
-    // API key authentication
-    next();
-  } else {
-    res.status(401).json({ error: 'Authentication required' });
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { isPrivateOption } = require('../modules/fileStore');
+const { decodeMultipartFileName } = require('../modules/fileRegistry');
+const { config } = require('../modules/config');
+const auth = require('../modules/auth');
+const { createFilesRouter } = require('./files');
+const { createRegistryRouter } = require('./registry');
+
+// Temporary directory for form uploads until they are stored
+const uploadDir = path.join(__dirname, '../tmp/uploads/');
+
+/**
+ * Create the base44.com upload routes
+ * @param {Object} services - Result of createServices() (see modules/services.js)
+ * @returns {express.Router} - Router to mount at /upload or /admin/upload
+ */
+function createUploadRouter({ storage, registry, quotas, webhooks, transfer, fileStore }) {
+  const router = express.Router();
+  const { uploadFiles, fileLocation, fileUrls } = fileStore;
+
+  // Accepts base44.com's signed-in session user (req.session.user) as well as
+  // the API keys and JWTs configured for the standalone server
+  const authenticator = auth.createAuthenticator(config.auth);
+  const requireAuth = auth.requireRole(authenticator, 'uploader');
+
+  // Ensure upload directory exists
+  fs.mkdirSync(uploadDir, { recursive: true });
+
+  // Configure multer for temporary file storage
+  const upload = multer({
+    dest: uploadDir,
+    limits: {
+      fileSize: config.uploads.maxFileSize,
+      files: config.uploads.maxFiles,
+      fields: config.uploads.maxFields
+    },
+    fileFilter: (req, file, cb) => {
+      file.originalname = decodeMultipartFileName(file.originalname);
+      cb(null, true);
+    }
+  }).array('files', config.uploads.maxFiles);
+
+  // Retry failed webhook deliveries in this process too (does nothing if server.js already started it)
+  webhooks.start();
+
+  // Queue a webhook event without holding up the response
+  function notify(event, data) {
+    webhooks.emit(event, data).catch(error => {
+      console.error(`❌ Error queueing ${event} webhook:`, error.message);
+    });
   }
-}
 
-// GET /upload - Show upload page
-router.get('/', requireAuth, (req, res) => {
-  const user = req.session.user || { id: 'guest' };
-  res.render('upload', { 
-    title: 'File Upload',
-    user: user,
-    layout: 'admin' // Use base44.com admin layout
+  // Check copies made through the file management API against the user's quota;
+  // answers 413/429 and returns false if they do not fit
+  function enforceQuota(req, res, userId, fileSizes) {
+    const quotaResult = quotas.check(userId, fileSizes, {
+      role: req.user.userId === userId ? req.user.role : undefined
+    });
+    if (quotaResult.allowed) {
+      return true;
+    }
+    if (quotaResult.retryAfter) {
+      res.set('Retry-After', String(quotaResult.retryAfter));
+    }
+    res.status(quotaResult.status).json({
+      success: false,
+      error: quotaResult.error,
+      code: quotaResult.code,
+      remaining: quotaResult.remaining
+    });
+    return false;
+  }
+
+  // GET /upload - Show upload page
+  router.get('/', requireAuth, (req, res) => {
+    const user = { id: req.user.userId, role: req.user.role };
+    res.render('upload', { 
+      title: 'File Upload',
+      user: user,
+      layout: 'admin' // Use base44.com admin layout
+    });
   });
-});
-
-// POST /upload - Handle file upload
-router.post('/', requireAuth, upload, async (req, res) => {
-  try {
-    const userId = req.body.user_id || req.session.user?.id || 'guest';
-    
-    // Validate user_id
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'User ID is required'
+
+  // POST /upload - Handle file upload
+  router.post('/', requireAuth, upload, async (req, res) => {
+    try {
+      // Uploaders always write to their own prefix; admins may name another user
+      let userId;
+      try {
+        userId = auth.resolveUserId(req.user, req.body.user_id);
+      } catch (authError) {
+        for (const file of req.files || []) {
+          await fs.promises.rm(file.path, { force: true });
+        }
+        return res.status(403).json({
+          success: false,
+          message: authError.message
+        });
+      }
+
+      // Check if files were uploaded
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No files selected'
+        });
+      }
+
+      // Same quota as the standalone server's /upload; the role is only known for the user making the request
+      const quotaResult = quotas.check(userId, req.files.map(file => file.size), {
+        role: req.user.userId === userId ? req.user.role : undefined
       });
-    }
+      if (!quotaResult.allowed) {
+        for (const file of req.files) {
+          await fs.promises.rm(file.path, { force: true });
+        }
+        console.log(`🚫 Quota check failed for ${userId}: ${quotaResult.error}`);
+        if (quotaResult.retryAfter) {
+          res.set('Retry-After', String(quotaResult.retryAfter));
+        }
+        return res.status(quotaResult.status).json({
+          success: false,
+          message: quotaResult.error,
+          code: quotaResult.code,
+          remaining: quotaResult.remaining
+        });
+      }
 
-    // Check if files were uploaded
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No files selected'
+      // Upload files to B2 (form field private=true stores them privately; folder uploads send
+      // one relativePath field per file, and naming picks random, original or overwrite)
+      const { results, errors } = await uploadFiles(userId, req.files, {
+        isPrivate: isPrivateOption(req.body.private),
+        naming: req.body.naming || 'original',
+        folder: req.body.folder,
+        relativePaths: [].concat(req.body.relativePath || [])
       });
-    }
+      
+      // filePath is the staged temp file, of no use to subscribers
+      for (const { filePath, ...result } of results) {
+        notify('upload.completed', { ...result, userId: userId });
+      }
+      for (const { filePath, ...error } of errors) {
+        notify('upload.failed', { ...error, userId: userId, originalFileName: error.fileName });
+      }
+      
+      const successCount = results.length;
+      const errorCount = errors.length;
+      const totalCount = successCount + errorCount;
 
-    // Upload files to B2
-    const { results, errors } = await uploadFilesToB2(userId, req.files);
-    
-    const successCount = results.length;
-    const errorCount = errors.length;
-    const totalCount = successCount + errorCount;
-
-    // For AJAX requests, return JSON
-    if (req.headers.accept && req.headers.accept.includes('application/json')) {
-      return res.json({
-        success: errorCount === 0,
-        message: `${successCount} of ${totalCount} files uploaded successfully`,
+      // For AJAX requests, return JSON
+      if (req.headers.accept && req.headers.accept.includes('application/json')) {
+        return res.json({
+          success: errorCount === 0,
+          message: `${successCount} of ${totalCount} files uploaded successfully`,
+          results: results,
+          errors: errors,
+          stats: {
+            total: totalCount,
+            success: successCount,
+            failed: errorCount
+          }
+        });
+      }
+
+      // For form submissions, render result page
+      res.render('upload-result', {
+        title: 'Upload Results',
+        userId: userId,
         results: results,
         errors: errors,
         stats: {
           total: totalCount,
           success: successCount,
           failed: errorCount
-        }
-      });
-    }
-
-    // For form submissions, render result page
-    res.render('upload-result', {
-      title: 'Upload Results',
-      userId: userId,
-      results: results,
-      errors: errors,
-      stats: {
-        total: totalCount,
-        success: successCount,
-        failed: errorCount
-      },
-      layout: 'admin'
-    });
-
-  } catch (error) {
-    console.error('Upload error:', error);
-    
-    if (req.headers.accept && req.headers.accept.includes('application/json')) {
-      res.status(500).json({
-        success: false,
-        message: 'Upload failed',
-        error: error.message
-      });
-    } else {
-      res.render('error', {
-        title: 'Upload Error',
-        message: 'Upload failed: ' + error.message,
+        },
         layout: 'admin'
       });
+
+    } catch (error) {
+      console.error('Upload error:', error);
+      
+      if (req.headers.accept && req.headers.accept.includes('application/json')) {
+        res.status(500).json({
+          success: false,
+          message: 'Upload failed',
+          error: error.message
+        });
+      } else {
+        res.render('error', {
+          title: 'Upload Error',
+          message: 'Upload failed: ' + error.message,
+          layout: 'admin'
+        });
+      }
     }
-  }
-});
-
-// GET /upload/api - API endpoint for file list or stats
-router.get('/api/files/:userId', requireAuth, async (req, res) => {
-  // This could be extended to list files from B2 for a user
-  res.json({
-    message: 'File listing endpoint - implement as needed',
-    userId: req.params.userId
   });
-});
 
-module.exports = router;
\ No newline at end of file
+  // /upload/api/files/:userId - File management API (list, inspect, copy, move, delete)
+  router.use('/api/files', createFilesRouter({
+    storage,
+    authenticator,
+    locate: fileLocation,
+    fileUrls,
+    quotas,
+    enforceQuota,
+    registry,
+    webhooks,
+    createLimiter: transfer.createLimiter
+  }));
+
+  // /upload/api/registry - Search stored files by user, original name and upload date
+  router.use('/api/registry', createRegistryRouter({ registry, authenticator }));
+
+  return router;
+}
+
+module.exports = { createUploadRouter };
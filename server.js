@@ -1,195 +1,725 @@
+const { config } = require('./modules/config');
+const { logger, requestContext, captureConsole, addLogContext } = require('./modules/logger');
+captureConsole(logger); // Before the other modules load, so their startup messages are structured too
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { S3Client, PutObjectCommand, HeadObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand } = require('@aws-sdk/client-s3');
-const b2Upload = require('./modules/b2Upload');
+const { once } = require('events');
+const { createServices } = require('./modules/services');
+const { isPrivateOption, privateRecord } = require('./modules/fileStore');
+const { createSessionStore, isValidUploadId } = require('./modules/sessionStore');
+const chunkIntegrity = require('./modules/chunkIntegrity');
+const { createPartForwarder, MAX_PARTS } = require('./modules/partForwarder');
+const auth = require('./modules/auth');
+const { createFilesRouter } = require('./routes/files');
+const { createRegistryRouter } = require('./routes/registry');
+const { createLinksRouter } = require('./routes/links');
+const { createDownloadRouter } = require('./routes/download');
+const { readFileHead } = require('./modules/filePolicy');
+const fileNaming = require('./modules/fileNaming');
+const tus = require('./modules/tus');
+const { metrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./modules/metrics');
+const { RateLimiter, createRateLimitStore, rejectRequest } = require('./modules/rateLimit');
+const { StagingSpace, sessionReservation, RETRY_AFTER: STAGING_RETRY_AFTER } = require('./modules/stagingSpace');
+const { TUS_REQUEST_HEADERS, TUS_RESPONSE_HEADERS } = tus;
+const { objectMetadata, originalNameFromMetadata, decodeMultipartFileName } = require('./modules/fileRegistry');
 
 const app = express();
 
+// Behind a proxy (Fly.io), req.ip is the client's address only if the proxy is trusted
+if (config.server.trustProxy > 0) {
+  app.set('trust proxy', config.server.trustProxy);
+}
+
+// Request ID (X-Request-Id) for every log line and one access log entry per request
+app.use(requestContext(logger, { quietPaths: ['/health', '/ping', '/metrics'] }));
+
 // Set request timeout for large uploads with optimized values
 app.use((req, res, next) => {
-  req.setTimeout(20 * 60 * 1000); // 20 minutes timeout (increased for larger files)
-  res.setTimeout(20 * 60 * 1000); // 20 minutes timeout
+  req.setTimeout(config.server.requestTimeout); // 20 minutes by default (increased for larger files)
+  res.setTimeout(config.server.requestTimeout);
   next();
 });
 
 // Optimize payload limits for high-throughput
-app.use(express.json({ limit: '100mb' }));
-app.use(express.urlencoded({ extended: true, limit: '100mb' }));
+app.use(express.json({ limit: config.server.bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.server.bodyLimit }));
 
-// Configure multer with performance optimizations
-// Using memory storage for small chunks to avoid disk I/O bottleneck
-const memoryThreshold = 5 * 1024 * 1024; // 5MB threshold for memory storage
+// Configure multer to write chunks straight to uploads/chunks/
 const chunkUpload = multer({
   storage: multer.diskStorage({
     destination: function(req, file, cb) {
-      cb(null, path.join(__dirname, 'uploads/chunks/'));
+      cb(null, config.uploads.chunksDir);
     },
     filename: function(req, file, cb) {
+      // The upload ID becomes part of a file path, so reject anything unexpected
+      if (!isValidUploadId(req.body.uploadId) || !/^\d+$/.test(req.body.chunkIndex || '')) {
+        return cb(new Error('Invalid uploadId or chunkIndex'));
+      }
       // Use a fast deterministic naming strategy
       const chunkId = req.body.uploadId + '_' + req.body.chunkIndex;
       cb(null, chunkId);
     }
   }),
   limits: {
-    fileSize: 30 * 1024 * 1024, // 30MB per chunk maximum
-    fields: 100 // Allow more form fields for metadata
+    fileSize: config.uploads.maxChunkSize, // 30MB per chunk maximum by default
+    fields: config.uploads.maxFields // Allow more form fields for metadata
   }
 });
 
-// Configure multer for legacy single file uploads (2GB limit)
+// Configure multer for legacy single file uploads (2GB limit by default)
 const upload = multer({ 
-  dest: path.join(__dirname, 'uploads/'),
+  dest: config.uploads.dir,
   limits: {
-    fileSize: 2 * 1024 * 1024 * 1024, // 2GB
-    files: 50, // Maximum 50 files at once
-    fields: 100 // Allow more form fields
+    fileSize: config.uploads.maxFileSize,
+    files: config.uploads.maxFiles,
+    fields: config.uploads.maxFields
+  },
+  fileFilter: (req, file, cb) => {
+    file.originalname = decodeMultipartFileName(file.originalname);
+    cb(null, true);
+  }
+});
+
+// Every upload and admin route requires an authenticated identity; object keys
+// are prefixed with the identity's user ID rather than anything in the request body
+const authenticator = auth.createAuthenticator(config.auth);
+const requireUploader = auth.requireRole(authenticator, 'uploader');
+const requireAdmin = auth.requireRole(authenticator, 'admin');
+
+// Resolve the user ID a request writes to, answering 403 if it names someone else
+function resolveRequestUserId(req, res, requestedUserId) {
+  try {
+    return auth.resolveUserId(req.user, requestedUserId);
+  } catch (error) {
+    res.status(403).json({ success: false, error: error.message, code: 'FORBIDDEN' });
+    return null;
+  }
+}
+
+// Load an upload session, hiding sessions that belong to other users. The request's log
+// entries then carry the upload ID and the trace ID (request ID of the request that started it).
+async function getOwnedSession(req, uploadId) {
+  const uploadInfo = await sessionStore.get(uploadId);
+  if (!uploadInfo || !auth.canAccessUser(req.user, uploadInfo.userId)) {
+    return null;
   }
+  addLogContext({ uploadId: uploadId, traceId: uploadInfo.traceId || uploadId });
+  return uploadInfo;
+}
+
+// Store for tracking chunked upload sessions (persisted across restarts)
+const sessionStore = createSessionStore({
+  type: config.uploads.sessionStore,
+  sessionsDir: config.uploads.sessionsDir
+});
+
+// Storage, file registry, quotas, webhooks and the other services the routers share; fileStore stores
+// uploaded files and transfer moves them to the bucket
+const services = createServices(config);
+const { fileStore, transfer } = services;
+
+// Storage quotas and daily upload limits, per role with per-user overrides
+const quotas = services.quotas;
+
+// Per-client request rates and concurrency caps on the upload endpoints
+const rateLimiter = new RateLimiter({
+  store: createRateLimitStore({ type: config.rateLimit.store }),
+  scopes: config.rateLimit.scopes,
+  requestsPerSecond: config.rateLimit.requestsPerSecond,
+  burst: config.rateLimit.burst,
+  maxConcurrentChunks: config.rateLimit.maxConcurrentChunks,
+  maxSessions: config.rateLimit.maxSessions,
+  slotTtl: config.server.requestTimeout
+});
+const limitUploadRequests = rateLimiter.limitRequests();
+const limitConcurrentChunks = rateLimiter.limitConcurrentChunks();
+
+// Suggested wait before retrying a session the client had too many of; sessions last minutes, not seconds
+const SESSION_LIMIT_RETRY_AFTER = 30;
+
+// Free-space reservations on the staging volume (chunks and temp files live on a small disk)
+const stagingSpace = new StagingSpace({
+  dir: config.uploads.dir,
+  minFree: config.uploads.minFreeSpace,
+  queueTimeout: config.uploads.admissionQueueTimeout
 });
 
-// Store for tracking multipart uploads
-const activeUploads = new Map();
+// Signed webhooks for completed, failed and expired uploads and deleted files
+const webhooks = services.webhooks;
+
+// Queue a webhook event without holding up the response; every failed upload passes
+// through here, so this is also where failures are counted for the metrics
+function notify(event, data) {
+  if (event === 'upload.failed' || event === 'session.expired') {
+    metrics.failures.inc({ cause: data.code || 'UPLOAD_ERROR' });
+  }
+  webhooks.emit(event, data).catch(error => {
+    console.error(`❌ Error queueing ${event} webhook:`, error.message);
+  });
+}
+
+// Webhook payload for an upload session that failed or expired
+function describeFailedUpload(uploadId, uploadInfo, error, code) {
+  return {
+    success: false,
+    uploadId: uploadId,
+    userId: uploadInfo.userId,
+    originalFileName: uploadInfo.originalFileName,
+    finalFileName: uploadInfo.fileName,
+    fileSize: uploadInfo.fileSize,
+    uploadMode: uploadInfo.uploadMode,
+    error: error,
+    code: code
+  };
+}
+
+// Check new uploads against the user's quota, counting unfinished sessions as already used;
+// answers 413/429 with the remaining allowance and returns false if they do not fit
+async function enforceQuota(req, res, userId, fileSizes) {
+  let reservedBytes = 0;
+  let reservedFiles = 0;
+  for (const [, uploadInfo] of await sessionStore.list()) {
+    if (uploadInfo.userId === userId) {
+      reservedBytes += uploadInfo.fileSize;
+      reservedFiles++;
+    }
+  }
+  
+  // The role is only known for the user making the request, not for users an admin acts for
+  const quotaResult = quotas.check(userId, fileSizes, {
+    role: req.user.userId === userId ? req.user.role : undefined,
+    reservedBytes: reservedBytes,
+    reservedFiles: reservedFiles
+  });
+  if (quotaResult.allowed) {
+    return true;
+  }
+  
+  console.log(`🚫 Quota check failed for ${userId}: ${quotaResult.error}`);
+  if (quotaResult.retryAfter) {
+    res.set('Retry-After', String(quotaResult.retryAfter));
+  }
+  res.status(quotaResult.status).json({
+    success: false,
+    error: quotaResult.error,
+    code: quotaResult.code,
+    remaining: quotaResult.remaining
+  });
+  return false;
+}
+
+// Check a new upload session against the client's cap on unfinished sessions;
+// answers 429 with Retry-After and returns false if it already has too many
+async function enforceSessionLimit(req, res) {
+  const sessionResult = rateLimiter.checkSessions(req, await sessionStore.list());
+  if (sessionResult.allowed) {
+    return true;
+  }
+  
+  console.log(`🚫 Session limit reached for ${req.user.userId} (${sessionResult.active} unfinished)`);
+  rejectRequest(res, SESSION_LIMIT_RETRY_AFTER, 'TOO_MANY_SESSIONS',
+    `Too many unfinished uploads; limit is ${config.rateLimit.maxSessions} at a time`);
+  return false;
+}
+
+// Reserve staging space for a new upload, waiting in line while the volume is nearly full;
+// answers 413/507 and returns false if it never fits or does not free up in time. The request
+// holds the reservation until it ends, by which time the session it created reserves its own.
+async function enforceStagingSpace(req, res, bytes) {
+  const controller = new AbortController();
+  res.once('close', () => {
+    controller.abort();
+    stagingSpace.release(req.id);
+  });
+  const admission = await stagingSpace.admit(req.id, bytes, {
+    listSessions: () => sessionStore.list(),
+    signal: controller.signal
+  });
+  if (admission.admitted) {
+    return true;
+  }
+  
+  const neededMB = Math.round(bytes / 1024 / 1024 * 10) / 10;
+  if (admission.neverFits) {
+    res.status(413).json({
+      success: false,
+      error: `This upload needs ${neededMB} MB of staging space, more than the server has; use uploadMode "stream" or a direct upload`,
+      code: 'STAGING_SPACE_TOO_SMALL'
+    });
+    return false;
+  }
+  console.log(`🚫 Staging volume full: ${neededMB} MB requested, ${Math.round(admission.availableBytes / 1024 / 1024 * 10) / 10} MB available`);
+  res.set('Retry-After', String(admission.retryAfter));
+  res.status(507).json({
+    success: false,
+    error: 'Not enough free disk space for this upload right now; try again later',
+    code: 'INSUFFICIENT_STORAGE',
+    availableBytes: admission.availableBytes,
+    retryAfter: admission.retryAfter
+  });
+  return false;
+}
 
 // Cleanup configuration
-const CLEANUP_CONFIG = {
-  orphanedChunkCleanupInterval: 60 * 60 * 1000, // 1 hour
-  uploadSessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
-  maxChunkAge: 2 * 60 * 60 * 1000 // 2 hours for orphaned chunks
-};
-
-// Cleanup function for orphaned chunks and expired upload sessions
-function cleanupOrphanedChunks() {
-  const uploadsDir = path.join(__dirname, 'uploads');
-  const chunksDir = path.join(__dirname, 'uploads/chunks');
+const CLEANUP_CONFIG = config.cleanup;
+
+// List regular files directly inside the uploads directory (legacy uploads and temp files)
+function listStagingFiles(uploadsDir) {
+  return fs.readdirSync(uploadsDir, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name);
+}
+
+// Count and total size of the regular files in a directory tree; missing directories count as empty
+function measureDirectory(dir) {
+  let files = 0;
+  let bytes = 0;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return { files, bytes };
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const nested = measureDirectory(entryPath);
+      files += nested.files;
+      bytes += nested.bytes;
+    } else if (entry.isFile()) {
+      try {
+        bytes += fs.statSync(entryPath).size;
+        files++;
+      } catch (error) {
+        // Removed while measuring
+      }
+    }
+  }
+  return { files, bytes };
+}
+
+// Disk used under uploads/: chunks, staging files (legacy uploads and temp files), session and state records
+function measureUploadsDir() {
+  const uploadsDir = config.uploads.dir;
+  const staging = { files: 0, bytes: 0 };
+  if (fs.existsSync(uploadsDir)) {
+    for (const fileName of listStagingFiles(uploadsDir)) {
+      try {
+        staging.bytes += fs.statSync(path.join(uploadsDir, fileName)).size;
+        staging.files++;
+      } catch (error) {
+        // Removed while measuring
+      }
+    }
+  }
+  return {
+    chunks: measureDirectory(config.uploads.chunksDir),
+    staging: staging,
+    sessions: measureDirectory(config.uploads.sessionsDir),
+    state: measureDirectory(config.uploads.stateDir)
+  };
+}
+
+// Remove everything an upload session holds: chunk files, its B2 multipart upload and the record
+async function discardUploadSession(uploadId, uploadInfo) {
+  for (const [chunkIndex, chunkInfo] of uploadInfo.chunks.entries()) {
+    try {
+      if (fs.existsSync(chunkInfo.path)) {
+        fs.unlinkSync(chunkInfo.path);
+        console.log(`   ├─ Removed chunk ${chunkIndex}: ${chunkInfo.path}`);
+      }
+    } catch (error) {
+      console.error(`   ├─ Error removing chunk ${chunkInfo.path}:`, error.message);
+    }
+  }
+  
+  // Streamed and direct uploads also hold parts on B2 that must not be left behind
+  if (uploadInfo.b2UploadId) {
+    try {
+      await transfer.abortMultipartUpload(BUCKET_NAME, uploadInfo.b2Key, uploadInfo.b2UploadId);
+      console.log(`   ├─ Aborted B2 multipart upload for ${uploadInfo.b2Key}`);
+    } catch (error) {
+      console.error(`   ├─ Error aborting B2 multipart upload for ${uploadInfo.b2Key}:`, error.message);
+    }
+  }
+  
+  await sessionStore.delete(uploadId);
+}
+
+// Recently cancelled uploads, so late chunks are told why their session is gone (uploadId → cancelledAt)
+const cancelledUploads = new Map();
+
+// Cancel an upload session on behalf of its owner or an admin, freeing everything it holds
+async function cancelUploadSession(uploadId, uploadInfo, cancelledBy) {
+  console.log(`🛑 Cancelling upload ${uploadId} (${uploadInfo.originalFileName}) for ${cancelledBy}`);
+  await discardUploadSession(uploadId, uploadInfo);
+  
+  const now = Date.now();
+  for (const [id, cancelledAt] of cancelledUploads) {
+    if (now - cancelledAt > CLEANUP_CONFIG.uploadSessionTimeout) {
+      cancelledUploads.delete(id);
+    }
+  }
+  cancelledUploads.set(uploadId, now);
+  notify('upload.failed', describeFailedUpload(uploadId, uploadInfo, `Upload cancelled by ${cancelledBy}`, 'UPLOAD_CANCELLED'));
+}
+
+// Take a session's lock for the rest of the request, answering 409 if another request holds it
+// (or the session went away meanwhile); locks of requests that died expire with the request timeout
+async function lockSession(res, uploadId, purpose) {
+  const lock = await sessionStore.acquireLock(uploadId, { purpose: purpose, ttl: config.server.requestTimeout });
+  if (!lock) {
+    res.status(409).json({
+      success: false,
+      error: 'Another request is completing or cancelling this upload',
+      code: 'UPLOAD_LOCKED'
+    });
+  }
+  return lock;
+}
+
+// 410 for a session that was cancelled, 404 for one that never existed or expired
+function rejectMissingSession(res, uploadId) {
+  if (cancelledUploads.has(uploadId)) {
+    return res.status(410).json({ success: false, error: 'Upload was cancelled', code: 'UPLOAD_CANCELLED' });
+  }
+  res.status(404).json({ success: false, error: 'Upload session not found' });
+}
+
+/**
+ * Remove expired upload sessions, orphaned chunk and temp files, and expired quarantined files
+ * @returns {Promise<Object>} - Counts of what was removed
+ */
+async function cleanupOrphanedChunks() {
+  const uploadsDir = config.uploads.dir;
+  const chunksDir = config.uploads.chunksDir;
   const now = Date.now();
   
   console.log('🧹 Starting cleanup of orphaned chunks and expired sessions...');
   
-  try {
-    // Clean up expired upload sessions
-    let expiredSessions = 0;
-    for (const [uploadId, uploadInfo] of activeUploads.entries()) {
-      if (now - uploadInfo.createdAt > CLEANUP_CONFIG.uploadSessionTimeout) {
-        console.log(`🗑️ Removing expired upload session: ${uploadId}`);
-        
-        // Clean up chunks for this session
-        for (const [chunkIndex, chunkInfo] of uploadInfo.chunks.entries()) {
-          try {
-            if (fs.existsSync(chunkInfo.path)) {
-              fs.unlinkSync(chunkInfo.path);
-              console.log(`   ├─ Removed chunk ${chunkIndex}: ${chunkInfo.path}`);
-            }
-          } catch (error) {
-            console.error(`   ├─ Error removing chunk ${chunkInfo.path}:`, error.message);
-          }
-        }
-        
-        activeUploads.delete(uploadId);
-        expiredSessions++;
+  // Clean up expired upload sessions
+  let expiredSessions = 0;
+  const liveChunkPaths = new Set();
+  for (const [uploadId, uploadInfo] of await sessionStore.list()) {
+    if (now - uploadInfo.createdAt > CLEANUP_CONFIG.uploadSessionTimeout) {
+      console.log(`🗑️ Removing expired upload session: ${uploadId}`);
+      await discardUploadSession(uploadId, uploadInfo);
+      notify('session.expired', {
+        ...describeFailedUpload(uploadId, uploadInfo, 'Upload session expired before it was completed', 'SESSION_EXPIRED'),
+        receivedChunks: uploadInfo.chunks.size,
+        createdAt: uploadInfo.createdAt
+      });
+      expiredSessions++;
+    } else {
+      for (const chunkInfo of uploadInfo.chunks.values()) {
+        liveChunkPaths.add(chunkInfo.path);
       }
     }
+  }
+  
+  // Clean up orphaned chunk files (files without active upload sessions)
+  let orphanedChunks = 0;
+  if (fs.existsSync(chunksDir)) {
+    const chunkFiles = fs.readdirSync(chunksDir);
     
-    // Clean up orphaned chunk files (files without active upload sessions)
-    let orphanedChunks = 0;
-    if (fs.existsSync(chunksDir)) {
-      const chunkFiles = fs.readdirSync(chunksDir);
+    for (const chunkFile of chunkFiles) {
+      const chunkPath = path.join(chunksDir, chunkFile);
+      
+      // Chunks of a live session are kept until the session itself expires
+      if (liveChunkPaths.has(chunkPath)) {
+        continue;
+      }
       
-      for (const chunkFile of chunkFiles) {
-        const chunkPath = path.join(chunksDir, chunkFile);
+      try {
+        const stats = fs.statSync(chunkPath);
+        const fileAge = now - stats.mtime.getTime();
         
-        try {
-          const stats = fs.statSync(chunkPath);
-          const fileAge = now - stats.mtime.getTime();
-          
-          if (fileAge > CLEANUP_CONFIG.maxChunkAge) {
-            fs.unlinkSync(chunkPath);
-            orphanedChunks++;
-            console.log(`🗑️ Removed orphaned chunk: ${chunkFile} (age: ${Math.round(fileAge / 1000 / 60)} minutes)`);
-          }
-        } catch (error) {
-          console.error(`Error processing chunk file ${chunkFile}:`, error.message);
+        if (fileAge > CLEANUP_CONFIG.maxChunkAge) {
+          fs.unlinkSync(chunkPath);
+          orphanedChunks++;
+          console.log(`🗑️ Removed orphaned chunk: ${chunkFile} (age: ${Math.round(fileAge / 1000 / 60)} minutes)`);
         }
+      } catch (error) {
+        console.error(`Error processing chunk file ${chunkFile}:`, error.message);
       }
     }
+  }
+  
+  // Clean up orphaned temp files in main uploads directory
+  let orphanedTempFiles = 0;
+  if (fs.existsSync(uploadsDir)) {
+    const tempFiles = listStagingFiles(uploadsDir);
     
-    // Clean up orphaned temp files in main uploads directory
-    let orphanedTempFiles = 0;
-    if (fs.existsSync(uploadsDir)) {
-      const tempFiles = fs.readdirSync(uploadsDir).filter(file => !file.includes('chunks'));
+    for (const tempFile of tempFiles) {
+      const tempPath = path.join(uploadsDir, tempFile);
       
-      for (const tempFile of tempFiles) {
-        const tempPath = path.join(uploadsDir, tempFile);
+      try {
+        const stats = fs.statSync(tempPath);
+        const fileAge = now - stats.mtime.getTime();
         
-        try {
-          const stats = fs.statSync(tempPath);
-          const fileAge = now - stats.mtime.getTime();
-          
-          if (fileAge > CLEANUP_CONFIG.maxChunkAge) {
-            fs.unlinkSync(tempPath);
-            orphanedTempFiles++;
-            console.log(`🗑️ Removed orphaned temp file: ${tempFile} (age: ${Math.round(fileAge / 1000 / 60)} minutes)`);
-          }
-        } catch (error) {
-          console.error(`Error processing temp file ${tempFile}:`, error.message);
+        if (fileAge > CLEANUP_CONFIG.maxChunkAge) {
+          fs.unlinkSync(tempPath);
+          orphanedTempFiles++;
+          console.log(`🗑️ Removed orphaned temp file: ${tempFile} (age: ${Math.round(fileAge / 1000 / 60)} minutes)`);
         }
+      } catch (error) {
+        console.error(`Error processing temp file ${tempFile}:`, error.message);
       }
     }
-    
-    console.log(`✅ Cleanup completed: ${expiredSessions} expired sessions, ${orphanedChunks} orphaned chunks, ${orphanedTempFiles} orphaned temp files removed`);
-    
-  } catch (error) {
-    console.error('❌ Error during cleanup:', error);
   }
+  
+  // Results of finished tus uploads are kept as long as their sessions could have lasted
+  const expiredResults = await sessionStore.pruneResults();
+  
+  // Quarantined files are kept for MALWARE_QUARANTINE_RETENTION_MS
+  const expiredQuarantine = await quarantine.prune();
+  
+  console.log(`✅ Cleanup completed: ${expiredSessions} expired sessions, ${expiredResults} upload results, ${orphanedChunks} orphaned chunks, ${orphanedTempFiles} orphaned temp files, ${expiredQuarantine} quarantined files removed`);
+  return {
+    expiredSessions,
+    expiredResults,
+    orphanedChunks,
+    orphanedTempFiles,
+    expiredQuarantine
+  };
+}
+
+// Scheduled runs have nobody to report to, so their errors are only logged
+function runScheduledCleanup() {
+  cleanupOrphanedChunks().catch(error => {
+    console.error('❌ Error during cleanup:', error);
+  });
 }
 
 // Start periodic cleanup
-setInterval(cleanupOrphanedChunks, CLEANUP_CONFIG.orphanedChunkCleanupInterval);
+setInterval(runScheduledCleanup, CLEANUP_CONFIG.orphanedChunkCleanupInterval);
 console.log(`🧹 Cleanup scheduler started: runs every ${CLEANUP_CONFIG.orphanedChunkCleanupInterval / 1000 / 60} minutes`);
 
 // Add CORS middleware for local testing and production
 app.use((req, res, next) => {
-  // Set CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
+  // Set CORS headers for the configured origins
+  const origin = req.get('origin');
+  if (config.cors.origins.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && config.cors.origins.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Content-Length');
+  res.header('Access-Control-Allow-Headers', ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-API-Key',
+    'Content-Length', 'X-Chunk-SHA256', 'Range', 'If-None-Match', 'If-Modified-Since', ...TUS_REQUEST_HEADERS].join(', '));
+  // ETag is needed to complete direct multipart uploads, Retry-After to back off after 429, the tus headers by tus clients,
+  // Content-Range and Content-Disposition by clients of /files downloads
+  res.header('Access-Control-Expose-Headers', ['ETag', 'Retry-After', 'Content-Range', 'Content-Disposition', ...TUS_RESPONSE_HEADERS].join(', '));
   res.header('Access-Control-Max-Age', '86400'); // 24 hours
   
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    console.log(`🔄 CORS preflight request for ${req.path}`);
+  // Handle preflight requests; other OPTIONS requests (tus discovery) go through to the routes
+  if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
     res.status(200).end();
     return;
   }
-  
-  // Log all requests for debugging
-  console.log(`📡 ${req.method} ${req.path} from ${req.get('origin') || 'no-origin'}`);
   next();
 });
 
-// Function to generate random filename
-function generateRandomFilename(originalFilename) {
-  const fileInfo = path.parse(originalFilename);
-  const extension = fileInfo.ext;
-  const randomString = crypto.randomBytes(16).toString('hex');
-  console.log(`Random filename generation: ${originalFilename} → ${randomString}${extension}`);
-  return `${randomString}${extension}`;
+// Plan the name an upload is stored under from the request's naming options (naming, folder,
+// relativePath); answers 400 and returns null if they are unsafe
+function planUpload(res, originalName, source) {
+  try {
+    const options = fileNaming.readNamingOptions(source, config.uploads.naming);
+    return { ...options, fileName: fileNaming.planFileName(originalName, options) };
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, code: 'INVALID_FILE_PATH' });
+    return null;
+  }
+}
+
+// Settle a planned name against the bucket: taken names get a suffix unless the policy is "overwrite"
+function resolveStoredName(userId, fileName, { naming, isPrivate = false }) {
+  return fileNaming.resolveFileName(fileName, naming, async candidate => {
+    const { bucket, key } = fileStore.fileLocation(userId, candidate, { isPrivate });
+    return Boolean(await storage.withBucket(bucket).headObject(key));
+  });
+}
+
+const BUCKET_NAME = services.bucketName;
+const storage = services.storage;
+const filePolicy = services.filePolicy;
+const registry = services.registry;
+const quarantine = services.quarantine;
+
+// Upload path label in the metrics for each uploadMode
+const METRIC_UPLOAD_PATHS = { form: 'legacy', assemble: 'chunked', stream: 'chunked', direct: 'direct', tus: 'tus' };
+
+// Record a finished upload in the file registry, count it against the user's quota and in the metrics
+async function recordStoredFile(record) {
+  await fileStore.recordStoredFile(record);
+  const metricLabels = { path: METRIC_UPLOAD_PATHS[record.uploadMode] };
+  metrics.uploadedFiles.inc(metricLabels);
+  metrics.uploadedBytes.inc(metricLabels, record.size);
+}
+
+// Find a stored object with the same content, or null when deduplication is off.
+// A client-supplied hash proves nothing about having the file, so it only matches the user's
+// own files; `verified` hashes (computed here from the bytes) may match anyone's in "global" scope.
+// Private uploads only match private files and public ones public files.
+async function findDuplicate(userId, sha256, size, { verified = false, isPrivate = false } = {}) {
+  if (config.dedup.scope === 'off' || !sha256) {
+    return null;
+  }
+  const scope = config.dedup.scope === 'global' && verified ? {} : { userId };
+  for (const record of await registry.findBySha256(sha256, { ...scope, size })) {
+    if (Boolean(record.private) !== isPrivate) {
+      continue;
+    }
+    if (await storage.withBucket(record.bucket).headObject(record.key)) {
+      return record;
+    }
+    await registry.remove(record.key); // Deleted outside this server
+  }
+  return null;
+}
+
+// Response for an upload answered with an existing object instead of a new one
+function describeDuplicate(userId, originalFileName, record) {
+  const { cdnUrl, b2Url, b2PublicUrl, ...privateUrls } = fileStore.fileUrls(record.key, { isPrivate: Boolean(record.private) });
+  console.log(`♻️ ${originalFileName} for ${userId} is identical to ${record.key}, skipping transfer`);
+  metrics.deduplicatedFiles.inc();
+  return {
+    success: true,
+    deduplicated: true,
+    userId: userId,
+    originalFileName: originalFileName,
+    finalFileName: record.fileName,
+    cdnUrl: cdnUrl,
+    b2Url: b2Url,
+    b2PublicUrl: b2PublicUrl,
+    ...privateUrls,
+    b2Key: record.key,
+    fileSize: record.size,
+    contentType: record.contentType,
+    sha256: record.sha256,
+    ...fileStore.describeImage(record)
+  };
+}
+
+// Answer a request whose file was rejected by the file policy
+function rejectByPolicy(res, policyResult) {
+  return res.status(policyResult.status).json({
+    success: false,
+    error: policyResult.error,
+    code: policyResult.code
+  });
+}
+
+// Drivers that keep objects themselves (local disk) also serve them
+const storageRouter = storage.router();
+if (storageRouter) {
+  app.use(storage.mountPath, storageRouter);
+  console.log(`💾 Serving local storage from ${storage.rootDir} at ${storage.mountPath}`);
 }
 
-// Function to upload large files using multipart upload
-// Use the b2Upload.uploadFileToB2 function for file uploads
+// File management API (list, inspect, copy, move, delete), scoped to the authenticated user
+app.use('/api/files', createFilesRouter({
+  storage,
+  authenticator,
+  locate: fileStore.fileLocation,
+  fileUrls: fileStore.fileUrls,
+  quotas,
+  enforceQuota,
+  registry,
+  webhooks,
+  createLimiter: transfer.createLimiter
+}));
+
+// Search stored files by user, original name and upload date
+app.use('/api/registry', createRegistryRouter({ registry, authenticator }));
+
+// Time-limited download links, for private files and public ones alike
+app.use('/files', createLinksRouter({
+  registry,
+  links: services.downloadLinks,
+  authenticator,
+  defaultTtl: config.privateFiles.defaultLinkTtl,
+  maxTtl: config.privateFiles.maxLinkTtl
+}));
+
+// Files read back through this server, so clients need neither bucket credentials nor its URL formats
+app.use('/files', createDownloadRouter({
+  storage,
+  registry,
+  authenticator,
+  locate: fileStore.fileLocation
+}));
+
+// Chunked upload pipeline: "assemble" combines chunks on disk at /upload/complete,
+// "stream" forwards each ≥5MB group of chunks to B2 as a multipart part on arrival
+const CHUNKED_UPLOAD_MODES = ['assemble', 'stream'];
+const CHUNKED_UPLOAD_MODE = config.uploads.chunkedUploadMode;
+
+const partForwarder = createPartForwarder({
+  sessionStore,
+  b2Upload: transfer,
+  bucketName: BUCKET_NAME,
+  concurrency: config.b2Transfer.concurrency
+});
+
+// Progress of transfers to B2, keyed by chunked uploadId or legacy progress_id
+const transferProgress = new Map();
+const TRANSFER_PROGRESS_TTL = 5 * 60 * 1000; // Keep finished entries around for late pollers
 
-// Use s3Client from the b2Upload module
+// Create an onProgress callback for uploadFileToB2 that records into transferProgress
+function trackTransfer(progressId, details = {}) {
+  if (!progressId) {
+    return undefined;
+  }
+  const entry = {
+    ...transferProgress.get(progressId),
+    ...details,
+    phase: 'transferring',
+    uploadedBytes: 0,
+    totalBytes: null,
+    updatedAt: Date.now()
+  };
+  transferProgress.set(progressId, entry);
+  
+  return (uploadedBytes, totalBytes) => {
+    entry.uploadedBytes = uploadedBytes;
+    entry.totalBytes = totalBytes;
+    entry.percent = totalBytes ? Math.round(uploadedBytes / totalBytes * 100) : 100;
+    entry.updatedAt = Date.now();
+  };
+}
 
-const BUCKET_NAME = b2Upload.BUCKET_NAME;
+// Mark a tracked transfer as finished and forget it after a while
+function finishTransfer(progressId, phase) {
+  const entry = progressId && transferProgress.get(progressId);
+  if (!entry) {
+    return;
+  }
+  entry.phase = phase;
+  entry.updatedAt = Date.now();
+  setTimeout(() => {
+    if (transferProgress.get(progressId) === entry) {
+      transferProgress.delete(progressId);
+    }
+  }, TRANSFER_PROGRESS_TTL).unref();
+}
 
 // Debug: Log configuration
-console.log('S3 Configuration:');
-console.log('- Region: us-east-005');
-console.log('- Endpoint: https://s3.us-east-005.backblazeb2.com');
-console.log('- Bucket: ISTARTX');
-console.log('- Access Key: Set');
+console.log(`Storage Configuration (${config.env}):`);
+console.log(`- Driver: ${config.storage.driver}`);
+if (config.storage.driver === 's3') {
+  console.log(`- Region: ${config.storage.s3.region}`);
+  console.log(`- Endpoint: ${config.storage.s3.endpoint}`);
+  console.log(`- Bucket: ${config.storage.s3.bucket}`);
+  console.log(`- Access Key: ${config.storage.s3.credentials ? 'Set' : 'Not set'}`);
+} else {
+  console.log(`- Directory: ${config.storage.local.rootDir}`);
+}
+console.log(`- CDN Base URL: ${config.cdnBaseUrl}`);
 
 // Serve the upload form
 app.get('/', (req, res) => {
@@ -212,12 +742,12 @@ app.get('/admin', (req, res) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    activeUploads: activeUploads.size,
+    activeUploads: await sessionStore.size(),
     memory: process.memoryUsage(),
     version: '1.0.0'
   });
@@ -237,291 +767,1654 @@ app.get('/panel/upload', (req, res) => {
   res.sendFile(path.join(__dirname, 'panel-upload.html'));
 });
 
-// Initialize chunked upload
-app.post('/upload/init', (req, res) => {
+// Sizes and counts from request bodies, which may be numbers or numeric strings
+function isPositiveInteger(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+// Initialize chunked upload
+app.post('/upload/init', requireUploader, limitUploadRequests, async (req, res) => {
+  try {
+    const { fileName, fileSize } = req.body;
+    const userId = resolveRequestUserId(req, res, req.body.userId);
+    if (!userId) {
+      return;
+    }
+    
+    if (!fileName || !fileSize) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields: fileName and fileSize' 
+      });
+    }
+    
+    // Anything but a whole number of bytes would slip past the size, quota and disk space checks as NaN
+    const declaredSize = Number(fileSize);
+    if (!isPositiveInteger(declaredSize)) {
+      return res.status(400).json({ success: false, error: 'fileSize must be a positive integer' });
+    }
+    if (declaredSize > config.uploads.maxFileSize) {
+      return res.status(413).json({
+        success: false,
+        error: `File exceeds the ${config.uploads.maxFileSize} byte limit`
+      });
+    }
+    
+    // Optional chunk layout lets the server report which chunks are missing
+    const chunkSize = [undefined, null].includes(req.body.chunkSize) ? null : Number(req.body.chunkSize);
+    let totalChunks = [undefined, null].includes(req.body.totalChunks) ? null : Number(req.body.totalChunks);
+    
+    if ((chunkSize !== null && !isPositiveInteger(chunkSize)) || (totalChunks !== null && !isPositiveInteger(totalChunks))) {
+      return res.status(400).json({
+        success: false,
+        error: 'chunkSize and totalChunks must be positive integers'
+      });
+    }
+    if (chunkSize && totalChunks && Math.ceil(declaredSize / chunkSize) !== totalChunks) {
+      return res.status(400).json({
+        success: false,
+        error: `totalChunks (${totalChunks}) does not match fileSize / chunkSize (${Math.ceil(declaredSize / chunkSize)})`
+      });
+    }
+    if (chunkSize && !totalChunks) {
+      totalChunks = Math.ceil(declaredSize / chunkSize);
+    }
+    // Tiny chunks would make every status and completion check walk millions of entries
+    if (chunkSize && chunkSize > config.uploads.maxChunkSize) {
+      return res.status(400).json({ success: false, error: `chunkSize must be at most ${config.uploads.maxChunkSize} bytes` });
+    }
+    if (chunkSize && chunkSize < declaredSize && chunkSize < config.uploads.minChunkSize) {
+      return res.status(400).json({ success: false, error: `chunkSize must be at least ${config.uploads.minChunkSize} bytes` });
+    }
+    if (totalChunks && totalChunks > config.uploads.maxChunks) {
+      return res.status(400).json({
+        success: false,
+        error: `totalChunks must be at most ${config.uploads.maxChunks}; use larger chunks`
+      });
+    }
+    
+    // Name and size are all there is to go on until the first chunk arrives
+    const policyResult = filePolicy.check({ fileName, size: declaredSize });
+    if (!policyResult.allowed) {
+      return rejectByPolicy(res, policyResult);
+    }
+    
+    let fileSha256;
+    try {
+      fileSha256 = chunkIntegrity.normalizeSha256(req.body.fileSha256);
+    } catch (checksumError) {
+      return res.status(400).json({ success: false, error: checksumError.message });
+    }
+    
+    const uploadMode = req.body.uploadMode || CHUNKED_UPLOAD_MODE;
+    if (!CHUNKED_UPLOAD_MODES.includes(uploadMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `uploadMode must be one of: ${CHUNKED_UPLOAD_MODES.join(', ')}`
+      });
+    }
+    if (uploadMode === 'stream' && services.malwareScanner) {
+      // Streamed parts reach B2 before the whole file could be scanned
+      return res.status(400).json({
+        success: false,
+        error: 'Streaming uploads are not available while malware scanning is enabled, use uploadMode "assemble"',
+        code: 'UPLOAD_MODE_NOT_ALLOWED'
+      });
+    }
+    if (uploadMode === 'stream' && config.dedup.scope !== 'off') {
+      // Streamed files are stored without a SHA-256, so they could never be deduplicated
+      return res.status(400).json({
+        success: false,
+        error: 'Streaming uploads are not available while deduplication is enabled, use uploadMode "assemble"',
+        code: 'UPLOAD_MODE_NOT_ALLOWED'
+      });
+    }
+    const isPrivate = isPrivateOption(req.body.private);
+    if (uploadMode === 'stream' && isPrivate) {
+      // Streamed parts go to the public location before the upload completes
+      return res.status(400).json({
+        success: false,
+        error: 'Private uploads require uploadMode "assemble"',
+        code: 'UPLOAD_MODE_NOT_ALLOWED'
+      });
+    }
+    if (uploadMode === 'stream' && !chunkSize) {
+      return res.status(400).json({ success: false, error: 'Streaming uploads require chunkSize' });
+    }
+    if (uploadMode === 'stream' && fileSha256) {
+      // Parts reach B2 out of order, so there is no point where the whole file can be hashed
+      return res.status(400).json({ success: false, error: 'fileSha256 verification requires uploadMode "assemble"' });
+    }
+    
+    const plan = planUpload(res, fileName, req.body);
+    if (!plan) {
+      return;
+    }
+    
+    // With the hash up front, an identical stored file means no chunks need to be sent at all,
+    // unless the file was asked to go somewhere in particular
+    const duplicate = plan.explicit ? null : await findDuplicate(userId, fileSha256, declaredSize, { isPrivate });
+    if (duplicate) {
+      const duplicateResponse = describeDuplicate(userId, fileName, duplicate);
+      res.json(duplicateResponse);
+      return notify('upload.completed', duplicateResponse);
+    }
+    if (!await enforceSessionLimit(req, res) || !await enforceQuota(req, res, userId, [declaredSize])) {
+      return;
+    }
+    const stagedBytes = sessionReservation({ uploadMode, fileSize: declaredSize, chunks: new Map() });
+    if (!await enforceStagingSpace(req, res, stagedBytes)) {
+      return;
+    }
+    
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    let finalFileName = plan.fileName;
+    
+    // Streaming uploads open the B2 multipart upload up front, so their name is settled now;
+    // assembled ones settle it when they are stored
+    let b2Key = null;
+    let b2UploadId = null;
+    if (uploadMode === 'stream') {
+      finalFileName = await resolveStoredName(userId, finalFileName, plan);
+      b2Key = `${userId}/${finalFileName}`;
+      b2UploadId = await transfer.createMultipartUpload(BUCKET_NAME, b2Key, policyResult.contentType,
+        objectMetadata({ originalName: fileName, userId }));
+      console.log(`🧩 Opened B2 multipart upload for ${b2Key}`);
+    }
+    
+    addLogContext({ uploadId: uploadId, traceId: req.id });
+    await sessionStore.create(uploadId, {
+      fileName: finalFileName,
+      originalFileName: fileName,
+      userId: userId,
+      traceId: req.id,
+      clientKeys: rateLimiter.clientKeys(req), // Counted against the client's session limit
+      fileSize: declaredSize,
+      chunkSize: chunkSize,
+      totalChunks: totalChunks,
+      fileSha256: fileSha256,
+      uploadMode: uploadMode,
+      private: isPrivate,
+      naming: plan.naming,
+      explicitName: plan.explicit,
+      contentType: policyResult.contentType,
+      b2ContentType: b2UploadId ? policyResult.contentType : null,
+      b2Key: b2Key,
+      b2UploadId: b2UploadId,
+      parts: {},
+      chunks: new Map(),
+      createdAt: Date.now()
+    });
+    
+    console.log(`✅ Initialized chunked upload: ${uploadId} for ${fileName} (${fileSize} bytes)`);
+    
+    res.json({
+      success: true,
+      uploadId: uploadId,
+      finalFileName: finalFileName,
+      chunkSize: chunkSize,
+      totalChunks: totalChunks,
+      uploadMode: uploadMode,
+      private: isPrivate,
+      expiresAt: Date.now() + CLEANUP_CONFIG.uploadSessionTimeout,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('❌ Upload init error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Summarize which chunks of a session have arrived and which are still missing. Lists hold at most
+// MAX_LISTED_CHUNKS indexes (resuming clients send those and ask again); the ranges cover every chunk.
+function describeUploadProgress(uploadId, uploadInfo) {
+  const receivedChunks = Array.from(uploadInfo.chunks.keys()).sort((a, b) => a - b);
+  let receivedBytes = 0;
+  for (const chunkInfo of uploadInfo.chunks.values()) {
+    receivedBytes += chunkInfo.size;
+  }
+  
+  // Without a declared chunk count the missing list cannot be known
+  let missing = { missingChunks: null, missingCount: null };
+  let missingRanges = null;
+  if (uploadInfo.totalChunks) {
+    missing = chunkIntegrity.findIncompleteChunks(uploadInfo, { requireFiles: false });
+    missingRanges = [];
+    let nextIndex = 0;
+    for (const [first, last] of chunkIntegrity.toRanges(receivedChunks)) {
+      if (first > nextIndex) {
+        missingRanges.push([nextIndex, first - 1]);
+      }
+      nextIndex = last + 1;
+    }
+    if (nextIndex < uploadInfo.totalChunks) {
+      missingRanges.push([nextIndex, uploadInfo.totalChunks - 1]);
+    }
+  }
+  
+  return {
+    uploadId: uploadId,
+    userId: uploadInfo.userId,
+    originalFileName: uploadInfo.originalFileName,
+    finalFileName: uploadInfo.fileName,
+    fileSize: uploadInfo.fileSize,
+    chunkSize: uploadInfo.chunkSize || null,
+    totalChunks: uploadInfo.totalChunks || null,
+    receivedChunks: receivedChunks.slice(0, chunkIntegrity.MAX_LISTED_CHUNKS),
+    receivedCount: receivedChunks.length,
+    receivedRanges: chunkIntegrity.toRanges(receivedChunks),
+    missingChunks: missing.missingChunks,
+    missingCount: missing.missingCount,
+    missingRanges: missingRanges,
+    receivedBytes: receivedBytes,
+    remainingBytes: Math.max(uploadInfo.fileSize - receivedBytes, 0),
+    complete: uploadInfo.totalChunks ? missing.missingCount === 0 : receivedBytes >= uploadInfo.fileSize,
+    createdAt: uploadInfo.createdAt,
+    expiresAt: uploadInfo.createdAt + CLEANUP_CONFIG.uploadSessionTimeout
+  };
+}
+
+// Report received and missing chunks so clients can resume an upload
+app.get('/upload/:uploadId/status', requireUploader, async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const uploadInfo = await getOwnedSession(req, uploadId);
+    
+    if (!uploadInfo) {
+      return res.status(404).json({ success: false, error: 'Upload session not found' });
+    }
+    
+    res.json({
+      success: true,
+      ...describeUploadProgress(uploadId, uploadInfo),
+      transfer: transferProgress.get(uploadId) || null
+    });
+  } catch (error) {
+    console.error('Upload status error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel an upload: removes its chunks, aborts its B2 multipart upload and rejects further chunks
+app.delete('/upload/:uploadId', requireUploader, async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const uploadInfo = await getOwnedSession(req, uploadId);
+    if (!uploadInfo) {
+      return rejectMissingSession(res, uploadId);
+    }
+    // Not while a complete is storing the file; the lock goes with the session
+    if (!await lockSession(res, uploadId, 'cancelling')) {
+      return;
+    }
+    
+    await cancelUploadSession(uploadId, uploadInfo, req.user.userId);
+    res.json({
+      success: true,
+      uploadId: uploadId,
+      message: 'Upload cancelled',
+      removedChunks: uploadInfo.chunks.size
+    });
+  } catch (error) {
+    console.error('Upload cancel error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Report B2 transfer progress for a legacy /upload request sent with a progress_id
+app.get('/upload/progress/:progressId', requireUploader, (req, res) => {
+  const progress = transferProgress.get(req.params.progressId);
+  if (!progress || !auth.canAccessUser(req.user, progress.userId)) {
+    return res.status(404).json({ success: false, error: 'No transfer in progress for this ID' });
+  }
+  res.json({ success: true, progressId: req.params.progressId, ...progress });
+});
+
+// Upload individual chunk - optimized for high throughput
+app.post('/upload/chunk', requireUploader, limitUploadRequests, limitConcurrentChunks, chunkUpload.single('chunk'), async (req, res) => {
+  try {
+    const { uploadId, chunkIndex } = req.body;
+    const chunkFile = req.file;
+    
+    if (!chunkFile) {
+      return res.status(400).json({ success: false, error: 'No chunk data' });
+    }
+    
+    // Fast lookup with early return pattern
+    let uploadInfo = await getOwnedSession(req, uploadId);
+    if (!uploadInfo) {
+      // Clean up the uploaded chunk file since upload session doesn't exist
+      setImmediate(() => {
+        try {
+          fs.unlinkSync(chunkFile.path);
+          console.log(`🗑️ Cleaned up orphaned chunk: ${chunkFile.path} (no upload session)`);
+        } catch (cleanupError) {
+          console.error(`Error cleaning up orphaned chunk:`, cleanupError);
+        }
+      });
+      return rejectMissingSession(res, uploadId);
+    }
+    if (uploadInfo.uploadMode === 'direct') {
+      await fs.promises.rm(chunkFile.path, { force: true });
+      return res.status(409).json({
+        success: false,
+        error: 'Direct uploads go straight to the bucket, use the pre-signed URLs from /upload/direct/init',
+        code: 'DIRECT_UPLOAD_SESSION'
+      });
+    }
+    if (uploadInfo.protocol === 'tus') {
+      await fs.promises.rm(chunkFile.path, { force: true });
+      return res.status(409).json({
+        success: false,
+        error: 'tus uploads are continued with PATCH requests to their upload URL',
+        code: 'TUS_UPLOAD_SESSION'
+      });
+    }
+    
+    // Parse index just once for performance
+    const parsedIndex = parseInt(chunkIndex);
+    const layoutError = chunkIntegrity.checkChunkLayout(uploadInfo, parsedIndex, chunkFile.size);
+    if (layoutError) {
+      await fs.promises.rm(chunkFile.path, { force: true });
+      return res.status(409).json({
+        success: false,
+        error: layoutError,
+        code: 'CHUNK_LAYOUT_MISMATCH',
+        chunkIndex: parsedIndex
+      });
+    }
+    
+    // Verify the chunk against the client's checksum before recording it
+    let expectedSha256;
+    try {
+      expectedSha256 = chunkIntegrity.normalizeSha256(req.get('X-Chunk-SHA256') || req.body.chunkSha256);
+    } catch (checksumError) {
+      await fs.promises.rm(chunkFile.path, { force: true });
+      return res.status(400).json({ success: false, error: checksumError.message });
+    }
+    const actualSha256 = await chunkIntegrity.hashFile(chunkFile.path);
+    if (expectedSha256 && expectedSha256 !== actualSha256) {
+      await fs.promises.rm(chunkFile.path, { force: true });
+      console.log(`❌ Checksum mismatch for chunk ${parsedIndex} of upload ${uploadId}`);
+      return res.status(409).json({
+        success: false,
+        error: `Checksum mismatch for chunk ${parsedIndex}`,
+        code: 'CHUNK_CHECKSUM_MISMATCH',
+        chunkIndex: parsedIndex,
+        expectedSha256: expectedSha256,
+        actualSha256: actualSha256
+      });
+    }
+    
+    // A resumed client may resend a chunk whose part is already on B2; its bytes can't replace that part
+    if (uploadInfo.uploadMode === 'stream') {
+      const forwarded = await partForwarder.forwardedChunk(uploadId, parsedIndex, uploadInfo);
+      if (forwarded) {
+        await fs.promises.rm(chunkFile.path, { force: true });
+        if (forwarded.sha256 !== actualSha256) {
+          console.log(`❌ Retried chunk ${parsedIndex} of upload ${uploadId} differs from the one already forwarded`);
+          return res.status(409).json({
+            success: false,
+            error: `Chunk ${parsedIndex} was already forwarded to storage with different content`,
+            code: 'CHUNK_ALREADY_FORWARDED',
+            chunkIndex: parsedIndex,
+            expectedSha256: forwarded.sha256,
+            actualSha256: actualSha256
+          });
+        }
+        return res.json({
+          success: true,
+          chunkIndex: parsedIndex,
+          sha256: actualSha256,
+          receivedChunks: uploadInfo.chunks.size
+        });
+      }
+    }
+    
+    // The first chunk holds the file's magic bytes, so this is the earliest point to sniff it
+    if (parsedIndex === 0) {
+      const policyResult = filePolicy.check({
+        fileName: uploadInfo.originalFileName,
+        size: uploadInfo.fileSize,
+        head: await readFileHead(chunkFile.path)
+      });
+      if (!policyResult.allowed) {
+        await fs.promises.rm(chunkFile.path, { force: true });
+        console.log(`🚫 Rejected upload ${uploadId}: ${policyResult.error}`);
+        await discardUploadSession(uploadId, uploadInfo);
+        notify('upload.failed', describeFailedUpload(uploadId, uploadInfo, policyResult.error, policyResult.code));
+        return rejectByPolicy(res, policyResult);
+      }
+      await sessionStore.update(uploadId, { contentType: policyResult.contentType });
+    }
+    
+    // Store chunk info
+    uploadInfo = await sessionStore.addChunk(uploadId, parsedIndex, {
+      path: chunkFile.path,
+      size: chunkFile.size,
+      sha256: actualSha256
+    });
+    if (!uploadInfo) {
+      await fs.promises.rm(chunkFile.path, { force: true });
+      return rejectMissingSession(res, uploadId);
+    }
+    
+    metrics.chunks.inc({ path: 'chunked' });
+    metrics.chunkBytes.inc({ path: 'chunked' }, chunkFile.size);
+    logger.debug(`Received chunk ${parsedIndex} (${chunkFile.size} bytes)`, { chunkIndex: parsedIndex, size: chunkFile.size });
+    
+    // Waiting here applies back-pressure to the client; failed parts are retried at completion
+    if (uploadInfo.uploadMode === 'stream') {
+      try {
+        await partForwarder.forwardChunk(uploadId, parsedIndex, uploadInfo);
+      } catch (forwardError) {
+        console.error(`❌ Error forwarding chunk ${parsedIndex} of upload ${uploadId} to B2:`, forwardError.message);
+      }
+    }
+    
+    // Fast response - immediate acknowledge to client
+    res.json({
+      success: true,
+      chunkIndex: parsedIndex,
+      sha256: actualSha256,
+      receivedChunks: uploadInfo.chunks.size
+    });
+  } catch (error) {
+    console.error('Chunk upload error:', error);
+    
+    // Clean up the chunk file on error - do this asynchronously
+    if (req.file && req.file.path) {
+      setImmediate(() => {
+        try {
+          fs.unlinkSync(req.file.path);
+          console.log(`🗑️ Cleaned up chunk due to error: ${req.file.path}`);
+        } catch (cleanupError) {
+          console.error(`Error cleaning up chunk on error:`, cleanupError);
+        }
+      });
+    }
+    
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Complete upload without using chunking to B2
+app.post('/upload/complete', requireUploader, limitUploadRequests, async (req, res) => {
+  try {
+    const { uploadId } = req.body;
+    const uploadInfo = await getOwnedSession(req, uploadId);
+    
+    if (!uploadInfo) {
+      return rejectMissingSession(res, uploadId);
+    }
+    
+    if (uploadInfo.uploadMode === 'direct') {
+      return res.status(409).json({
+        success: false,
+        error: 'Direct uploads are finished with /upload/direct/complete',
+        code: 'DIRECT_UPLOAD_SESSION'
+      });
+    }
+    if (uploadInfo.protocol === 'tus') {
+      return res.status(409).json({
+        success: false,
+        error: 'tus uploads complete with their last PATCH request',
+        code: 'TUS_UPLOAD_SESSION'
+      });
+    }
+    
+    // A second complete while the first is still storing the file would store it twice
+    const lock = await lockSession(res, uploadId, 'completing');
+    if (!lock) {
+      return;
+    }
+    // Released before answering, so a client retrying as soon as it has the answer is not turned away
+    let reply;
+    try {
+      reply = await finishChunkedUpload(req, uploadId, uploadInfo);
+    } finally {
+      await sessionStore.releaseLock(uploadId, lock);
+    }
+    
+    if (reply.body.retryAfter) {
+      res.set('Retry-After', String(reply.body.retryAfter));
+    }
+    res.status(reply.status).json(reply.body);
+  } catch (error) {
+    console.error('Upload complete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Check that every chunk of an upload arrived intact and store the file; called under the session's lock
+ * @param {Object} req - /upload/complete request
+ * @param {string} uploadId - Upload session ID
+ * @param {Object} uploadInfo - Upload session
+ * @returns {Promise<Object>} - Response { status, body }
+ */
+async function finishChunkedUpload(req, uploadId, uploadInfo) {
+  console.log(`Completing upload ${uploadId} with ${uploadInfo.chunks.size} chunks`);
+  
+  let fileSha256;
+  try {
+    fileSha256 = chunkIntegrity.normalizeSha256(req.body.fileSha256) || uploadInfo.fileSha256;
+  } catch (checksumError) {
+    return { status: 400, body: { success: false, error: checksumError.message } };
+  }
+  
+  // Refuse to assemble anything that is not exactly chunks 0..N-1 adding up to fileSize
+  const { expectedChunks, missingChunks, missingCount, mismatchedChunks, receivedBytes } = chunkIntegrity.findIncompleteChunks(uploadInfo, {
+    requireFiles: uploadInfo.uploadMode !== 'stream'
+  });
+  if (missingCount > 0 || mismatchedChunks.length > 0 || receivedBytes !== uploadInfo.fileSize) {
+    console.log(`❌ Upload ${uploadId} is incomplete: ${missingCount} missing, ${mismatchedChunks.length} mismatched, ${receivedBytes}/${uploadInfo.fileSize} bytes`);
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Upload is incomplete or does not match the declared file',
+        code: 'UPLOAD_INCOMPLETE',
+        expectedChunks: expectedChunks,
+        missingChunks: missingChunks, // The first MAX_LISTED_CHUNKS of missingCount
+        missingCount: missingCount,
+        mismatchedChunks: mismatchedChunks,
+        expectedSize: uploadInfo.fileSize,
+        receivedSize: receivedBytes
+      }
+    };
+  }
+  
+  if (uploadInfo.uploadMode === 'stream') {
+    return completeStreamedUpload(uploadId, uploadInfo);
+  }
+  return completeAssembledUpload(uploadId, uploadInfo, { fileSha256, expectedChunks });
+}
+
+// Combine the chunks of an assembled upload, verify and check the file, and store it;
+// resolves to the status and JSON body of the /upload/complete response
+async function completeAssembledUpload(uploadId, uploadInfo, { fileSha256, expectedChunks }) {
+  const receivedAt = Date.now();
+  const metricPath = uploadInfo.protocol === 'tus' ? 'tus' : 'chunked';
+  
+  // Prepare the final upload
+  const isPrivate = Boolean(uploadInfo.private);
+  const chunks = Array.from(uploadInfo.chunks.entries()).sort(([a], [b]) => a - b);
+  
+  console.log(`Combining chunks and uploading as a single file`);
+  
+  // The chunks are reserved space for their combined copy, but other files on the volume may have taken it
+  if (!await stagingSpace.waitForFree(uploadInfo.fileSize)) {
+    console.log(`🚫 No disk space to combine upload ${uploadId} (${uploadInfo.fileSize} bytes)`);
+    return {
+      status: 507,
+      body: {
+        success: false,
+        error: 'Not enough free disk space to combine the chunks; try completing again later',
+        code: 'INSUFFICIENT_STORAGE',
+        retryAfter: STAGING_RETRY_AFTER
+      }
+    };
+  }
+  
+  // Create a temporary combined file path
+  const tempFilePath = path.join(config.uploads.dir, `temp_${uploadId}_${Date.now()}.tmp`);
+  
+  // Combine chunks by streaming them to a temporary file, re-hashing as we go
+  const writeStream = fs.createWriteStream(tempFilePath);
+  const fileHash = crypto.createHash('sha256');
+  const corruptChunks = [];
+  let totalSize = 0;
+  const endAssembleTimer = metrics.assembleDuration.startTimer();
+  
+  try {
+    // Write chunks to temporary file sequentially
+    for (const [index, chunkInfo] of chunks) {
+      const chunkHash = crypto.createHash('sha256');
+      let chunkLength = 0;
+      for await (const data of fs.createReadStream(chunkInfo.path)) {
+        chunkHash.update(data);
+        fileHash.update(data);
+        chunkLength += data.length;
+        if (!writeStream.write(data)) {
+          await once(writeStream, 'drain');
+        }
+      }
+      const chunkSha256 = chunkHash.digest('hex');
+      if (chunkInfo.sha256 && chunkInfo.sha256 !== chunkSha256) {
+        corruptChunks.push({ chunkIndex: index, reason: 'checksum', expected: chunkInfo.sha256, actual: chunkSha256 });
+      }
+      totalSize += chunkLength;
+      logger.debug(`📦 Combined chunk ${index} (${chunkLength} bytes)`, { chunkIndex: index, size: chunkLength });
+    }
+    writeStream.end();
+    
+    // Wait for write stream to finish
+    await once(writeStream, 'finish');
+    endAssembleTimer();
+  } catch (assembleError) {
+    writeStream.destroy();
+    await fs.promises.rm(tempFilePath, { force: true });
+    throw assembleError;
+  }
+  
+  console.log(`Combined file size: ${totalSize} bytes`);
+  
+  // Chunks that changed on disk since they were received must be re-sent
+  const actualFileSha256 = fileHash.digest('hex');
+  if (corruptChunks.length > 0 || (fileSha256 && fileSha256 !== actualFileSha256)) {
+    await fs.promises.rm(tempFilePath, { force: true });
+    for (const { chunkIndex } of corruptChunks) {
+      await sessionStore.removeChunk(uploadId, chunkIndex);
+    }
+    console.log(`❌ Upload ${uploadId} failed verification: ${corruptChunks.length} corrupt chunk(s)`);
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: corruptChunks.length > 0 ? 'Some chunks failed checksum verification' : 'File checksum mismatch',
+        code: corruptChunks.length > 0 ? 'CHUNK_CHECKSUM_MISMATCH' : 'FILE_CHECKSUM_MISMATCH',
+        expectedChunks: expectedChunks,
+        missingChunks: corruptChunks.map(chunk => chunk.chunkIndex),
+        mismatchedChunks: corruptChunks,
+        expectedSha256: fileSha256 || null,
+        actualSha256: actualFileSha256
+      }
+    };
+  }
+  
+  // Check the assembled file itself; this also covers sessions whose first chunk was never sniffed
+  const policyResult = await filePolicy.checkFile(tempFilePath, uploadInfo.originalFileName);
+  if (!policyResult.allowed) {
+    await fs.promises.rm(tempFilePath, { force: true });
+    console.log(`🚫 Rejected upload ${uploadId}: ${policyResult.error}`);
+    await discardUploadSession(uploadId, uploadInfo);
+    notify('upload.failed', describeFailedUpload(uploadId, uploadInfo, policyResult.error, policyResult.code));
+    return {
+      status: policyResult.status,
+      body: { success: false, error: policyResult.error, code: policyResult.code }
+    };
+  }
+  
+  // Nothing is stored before it has been scanned
+  const scanResult = await fileStore.scanFile(tempFilePath, {
+    userId: uploadInfo.userId,
+    originalName: uploadInfo.originalFileName,
+    contentType: policyResult.contentType,
+    uploadMode: uploadInfo.protocol === 'tus' ? 'tus' : 'assemble',
+    uploadId: uploadId,
+    sha256: actualFileSha256
+  });
+  if (!scanResult.allowed) {
+    const { allowed, status, ...rejection } = scanResult;
+    await fs.promises.rm(tempFilePath, { force: true });
+    if (scanResult.code === 'MALWARE_SCAN_FAILED') {
+      // The chunks are kept, so /upload/complete can be called again
+      return { status: status, body: { success: false, ...rejection } };
+    }
+    console.log(`🚫 Rejected upload ${uploadId}: ${scanResult.error}`);
+    await discardUploadSession(uploadId, uploadInfo);
+    notify('upload.failed', {
+      ...describeFailedUpload(uploadId, uploadInfo, scanResult.error, scanResult.code),
+      signature: scanResult.signature,
+      quarantineId: scanResult.quarantineId
+    });
+    return { status: status, body: { success: false, ...rejection } };
+  }
+  
+  // An identical stored file makes the transfer to B2 unnecessary, unless the file was asked to go somewhere in particular
+  const duplicate = uploadInfo.explicitName ? null
+    : await findDuplicate(uploadInfo.userId, actualFileSha256, totalSize, { verified: true, isPrivate });
+  
+  // The name planned at init becomes final only now (sessions from before naming policies are "random")
+  const finalFileName = duplicate ? uploadInfo.fileName
+    : await resolveStoredName(uploadInfo.userId, uploadInfo.fileName, { naming: uploadInfo.naming || 'random', isPrivate });
+  const { bucket, key: finalKey } = fileStore.fileLocation(uploadInfo.userId, finalFileName, { isPrivate });
+  
+  let imageRecord = {};
+  if (!duplicate) {
+    // Images lose their EXIF/GPS metadata and get their variants before anything is stored
+    const metadata = objectMetadata({ originalName: uploadInfo.originalFileName, userId: uploadInfo.userId });
+    const image = await fileStore.prepareImage(tempFilePath, policyResult.contentType, { withVariants: !isPrivate });
+    
+    // Upload the combined file to B2 using our enhanced upload function
+    console.log(`Uploading combined file to B2 bucket`);
+    const endTransferTimer = metrics.transferDuration.startTimer({ path: metricPath });
+    
+    try {
+      await transfer.uploadFileToB2(
+        tempFilePath,
+        bucket,
+        finalKey,
+        policyResult.contentType,
+        {
+          metadata: metadata,
+          onProgress: trackTransfer(uploadId, { userId: uploadInfo.userId })
+        }
+      );
+      if (image) {
+        imageRecord = await fileStore.storeImageVariants(image, finalKey, metadata);
+      }
+    } catch (transferError) {
+      endTransferTimer({ outcome: 'failure' });
+      finishTransfer(uploadId, 'failed');
+      await services.imageProcessor.discard(image);
+      await fs.promises.rm(tempFilePath, { force: true });
+      notify('upload.failed', describeFailedUpload(uploadId, uploadInfo, transferError.message, 'TRANSFER_FAILED'));
+      throw transferError;
+    }
+    endTransferTimer({ outcome: 'success' });
+    finishTransfer(uploadId, 'completed');
+    
+    console.log(`🚀 Successfully uploaded file to B2`);
+  }
+  
+  // Clean up the temporary file
+  try {
+    fs.unlinkSync(tempFilePath);
+    console.log(`🗑️ Cleaned up temporary file: ${tempFilePath}`);
+  } catch (tempCleanupError) {
+    console.error(`Error cleaning up temporary file:`, tempCleanupError);
+  }
+  
+  // Clean up chunks
+  let cleanedChunks = 0;
+  let failedCleanups = 0;
+    
+  chunks.forEach(([index, chunkInfo]) => {
+    try {
+      if (fs.existsSync(chunkInfo.path)) {
+        fs.unlinkSync(chunkInfo.path);
+        cleanedChunks++;
+      }
+    } catch (cleanupError) {
+      console.error(`Error cleaning up chunk ${chunkInfo.path}:`, cleanupError);
+      failedCleanups++;
+    }
+  });
+    
+  console.log(`🧹 Cleanup: ${cleanedChunks} chunks removed, ${failedCleanups} failed cleanups`);
+  
+  // Remove from active uploads
+  await sessionStore.delete(uploadId);
+  if (duplicate) {
+    const duplicateResponse = describeDuplicate(uploadInfo.userId, uploadInfo.originalFileName, duplicate);
+    notify('upload.completed', duplicateResponse);
+    return { status: 200, body: duplicateResponse };
+  }
+  await recordStoredFile({
+    key: finalKey,
+    userId: uploadInfo.userId,
+    originalName: uploadInfo.originalFileName,
+    size: totalSize,
+    contentType: policyResult.contentType,
+    sha256: actualFileSha256,
+    uploadMode: uploadInfo.protocol === 'tus' ? 'tus' : 'assemble',
+    ...privateRecord(isPrivate, bucket),
+    ...imageRecord
+  });
+  metrics.receiveDuration.observe({ path: metricPath }, (receivedAt - uploadInfo.createdAt) / 1000);
+  
+  // Generate URLs for the uploaded file (private files only get a link endpoint)
+  const { cdnUrl, b2Url, b2PublicUrl, ...privateUrls } = fileStore.fileUrls(finalKey, { isPrivate });
+  
+  // Prepare response
+  const responseData = {
+    success: true,
+    userId: uploadInfo.userId,
+    originalFileName: uploadInfo.originalFileName,
+    finalFileName: finalFileName,
+    cdnUrl: cdnUrl,
+    b2Url: b2Url,
+    b2PublicUrl: b2PublicUrl,
+    ...privateUrls,
+    b2Key: finalKey,
+    fileSize: totalSize,
+    contentType: policyResult.contentType,
+    sha256: actualFileSha256,
+    deduplicated: false,
+    ...fileStore.describeImage(imageRecord)
+  };
+  
+  notify('upload.completed', responseData);
+  
+  // Log results
+  console.log(`File uploaded successfully:`);
+  console.log(`- B2 Key: ${finalKey}`);
+  console.log(`- CDN URL: ${cdnUrl}`);
+  console.log(`- Total size: ${totalSize} bytes`);
+  
+  return { status: 200, body: responseData };
+}
+
+// Finish a streamed upload: every part is already on B2, so only the multipart upload is completed;
+// resolves to the status and JSON body of the /upload/complete response
+async function completeStreamedUpload(uploadId, uploadInfo) {
+  const finalKey = uploadInfo.b2Key;
+  const receivedAt = Date.now();
+  const endTransferTimer = metrics.transferDuration.startTimer({ path: 'chunked' });
+  
+  // Forward any part whose upload failed or was interrupted by a restart
+  const failedParts = await partForwarder.flush(uploadId, uploadInfo);
+  if (failedParts.length > 0) {
+    endTransferTimer({ outcome: 'failure' });
+    return {
+      status: 502,
+      body: {
+        success: false,
+        error: `Failed to forward ${failedParts.length} part(s) to B2, retry /upload/complete`,
+        code: 'PART_FORWARD_FAILED',
+        failedParts: failedParts
+      }
+    };
+  }
+  
+  const latestInfo = await sessionStore.get(uploadId);
+  const parts = Object.entries(latestInfo.parts).map(([partNumber, partInfo]) => ({
+    PartNumber: parseInt(partNumber),
+    ETag: partInfo.ETag
+  }));
+  const totalSize = Object.values(latestInfo.parts).reduce((sum, partInfo) => sum + partInfo.size, 0);
+  
+  await transfer.completeMultipartUpload(BUCKET_NAME, finalKey, uploadInfo.b2UploadId, parts);
+  endTransferTimer({ outcome: 'success' });
+  console.log(`🚀 Completed streamed multipart upload ${finalKey} with ${parts.length} parts`);
+  
+  // The multipart upload was opened before the first chunk could be sniffed
+  if (latestInfo.contentType && latestInfo.contentType !== latestInfo.b2ContentType) {
+    await storage.copyObject(finalKey, finalKey, { contentType: latestInfo.contentType });
+    console.log(`🏷️ Set Content-Type of ${finalKey} to ${latestInfo.contentType}`);
+  }
+  
+  await sessionStore.delete(uploadId);
+  await recordStoredFile({
+    key: finalKey,
+    userId: uploadInfo.userId,
+    originalName: uploadInfo.originalFileName,
+    size: totalSize,
+    contentType: latestInfo.contentType,
+    sha256: null,
+    uploadMode: 'stream'
+  });
+  metrics.receiveDuration.observe({ path: 'chunked' }, (receivedAt - uploadInfo.createdAt) / 1000);
+  
+  const { cdnUrl, b2Url, b2PublicUrl } = storage.publicUrls(finalKey);
+  const responseData = {
+    success: true,
+    userId: uploadInfo.userId,
+    originalFileName: uploadInfo.originalFileName,
+    finalFileName: uploadInfo.fileName,
+    cdnUrl: cdnUrl,
+    b2Url: b2Url,
+    b2PublicUrl: b2PublicUrl,
+    b2Key: finalKey,
+    fileSize: totalSize,
+    contentType: latestInfo.contentType,
+    sha256: null
+  };
+  notify('upload.completed', responseData);
+  return { status: 200, body: responseData };
+}
+
+// Pre-signed URLs for a direct upload session: one PUT URL, or one URL per multipart part
+async function signDirectUploadUrls(uploadInfo) {
+  const expiresIn = config.uploads.direct.urlExpiry;
+  if (!uploadInfo.b2UploadId) {
+    return {
+      uploadUrl: await storage.getSignedUrl(uploadInfo.b2Key, {
+        method: 'PUT',
+        expiresIn: expiresIn,
+        contentType: uploadInfo.contentType,
+        contentLength: uploadInfo.fileSize
+      }),
+      partUrls: null
+    };
+  }
+  
+  const partCount = Math.ceil(uploadInfo.fileSize / uploadInfo.partSize);
+  const partUrls = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    const size = Math.min(uploadInfo.partSize, uploadInfo.fileSize - (partNumber - 1) * uploadInfo.partSize);
+    partUrls.push({
+      partNumber: partNumber,
+      url: await storage.getSignedPartUrl(uploadInfo.b2Key, uploadInfo.b2UploadId, partNumber, { expiresIn: expiresIn, contentLength: size }),
+      size: size
+    });
+  }
+  return { uploadUrl: null, partUrls: partUrls };
+}
+
+// Start a direct-to-bucket upload: the client PUTs the bytes to pre-signed URLs,
+// so nothing but this request and /upload/direct/complete passes through the server
+app.post('/upload/direct/init', requireUploader, limitUploadRequests, async (req, res) => {
+  try {
+    const { fileName, fileSize } = req.body;
+    const userId = resolveRequestUserId(req, res, req.body.userId);
+    if (!userId) {
+      return;
+    }
+    
+    const declaredSize = Number(fileSize);
+    if (!fileName || !isPositiveInteger(declaredSize)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: fileName and fileSize'
+      });
+    }
+    if (declaredSize > config.uploads.maxFileSize) {
+      return res.status(413).json({
+        success: false,
+        error: `File exceeds the ${config.uploads.maxFileSize} byte limit`
+      });
+    }
+    
+    // The bytes never pass through here, so only the name and size can be checked, and nothing scanned
+    if (services.malwareScanner) {
+      return res.status(400).json({
+        success: false,
+        error: 'Direct uploads are not available while malware scanning is enabled, use /upload/init',
+        code: 'UPLOAD_MODE_NOT_ALLOWED'
+      });
+    }
+    if (isPrivateOption(req.body.private)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Direct uploads cannot be private, use /upload/init',
+        code: 'UPLOAD_MODE_NOT_ALLOWED'
+      });
+    }
+    const policyResult = filePolicy.check({ fileName, size: declaredSize });
+    if (!policyResult.allowed) {
+      return rejectByPolicy(res, policyResult);
+    }
+    if (!await enforceSessionLimit(req, res) || !await enforceQuota(req, res, userId, [declaredSize])) {
+      return;
+    }
+    const plan = planUpload(res, fileName, req.body);
+    if (!plan) {
+      return;
+    }
+    const contentType = policyResult.contentType;
+    const finalFileName = await resolveStoredName(userId, plan.fileName, plan);
+    const b2Key = `${userId}/${finalFileName}`;
+    
+    // Small files are a single PUT; larger ones are split into parts the client sends in parallel
+    let b2UploadId = null;
+    let partSize = null;
+    if (declaredSize > config.uploads.direct.singlePutMaxSize) {
+      partSize = Math.max(config.b2Transfer.partSize, Math.ceil(declaredSize / MAX_PARTS));
+      b2UploadId = await transfer.createMultipartUpload(BUCKET_NAME, b2Key, contentType,
+        objectMetadata({ originalName: fileName, userId }));
+    }
+    
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    addLogContext({ uploadId: uploadId, traceId: req.id });
+    const uploadInfo = {
+      fileName: finalFileName,
+      originalFileName: fileName,
+      userId: userId,
+      traceId: req.id,
+      clientKeys: rateLimiter.clientKeys(req),
+      fileSize: declaredSize,
+      contentType: contentType,
+      uploadMode: 'direct',
+      b2Key: b2Key,
+      b2UploadId: b2UploadId,
+      partSize: partSize,
+      parts: {},
+      chunks: new Map(),
+      createdAt: Date.now()
+    };
+    await sessionStore.create(uploadId, uploadInfo);
+    
+    const urls = await signDirectUploadUrls(uploadInfo);
+    console.log(`🔗 Issued direct ${b2UploadId ? `multipart (${urls.partUrls.length} parts)` : 'PUT'} upload for ${b2Key}`);
+    
+    res.json({
+      success: true,
+      uploadId: uploadId,
+      finalFileName: finalFileName,
+      b2Key: b2Key,
+      method: 'PUT',
+      contentType: contentType,
+      uploadUrl: urls.uploadUrl,
+      partSize: partSize,
+      partUrls: urls.partUrls,
+      urlExpiresAt: Date.now() + config.uploads.direct.urlExpiry * 1000,
+      expiresAt: uploadInfo.createdAt + CLEANUP_CONFIG.uploadSessionTimeout
+    });
+  } catch (error) {
+    console.error('❌ Direct upload init error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Complete a direct upload's multipart upload and verify the object in the bucket; called under the session's lock
+ * @param {Object} req - /upload/direct/complete request
+ * @param {string} uploadId - Upload session ID
+ * @param {Object} uploadInfo - Upload session
+ * @returns {Promise<Object>} - Response { status, body }
+ */
+async function finishDirectUpload(req, uploadId, uploadInfo) {
+  const finalKey = uploadInfo.b2Key;
+  
+  if (uploadInfo.b2UploadId) {
+    // ETags come from the responses to the part PUTs
+    const parts = Array.isArray(req.body.parts) ? req.body.parts.map(part => ({
+      PartNumber: parseInt(part.partNumber || part.PartNumber),
+      ETag: part.etag || part.ETag
+    })) : [];
+    const expectedParts = Math.ceil(uploadInfo.fileSize / uploadInfo.partSize);
+    const received = new Set(parts.filter(part => part.ETag).map(part => part.PartNumber));
+    const missingParts = [];
+    for (let partNumber = 1; partNumber <= expectedParts; partNumber++) {
+      if (!received.has(partNumber)) {
+        missingParts.push(partNumber);
+      }
+    }
+    if (missingParts.length > 0 || parts.length !== expectedParts) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: `Expected an ETag for each of ${expectedParts} parts`,
+          code: 'DIRECT_UPLOAD_PARTS_MISSING',
+          missingParts: missingParts
+        }
+      };
+    }
+    await transfer.completeMultipartUpload(BUCKET_NAME, finalKey, uploadInfo.b2UploadId, parts);
+  }
+  
+  // The client could have sent anything to the URL, so trust only what the bucket reports
+  const head = await storage.headObject(finalKey);
+  if (!head) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Object not found in storage, upload it before completing',
+        code: 'DIRECT_UPLOAD_NOT_FOUND'
+      }
+    };
+  }
+  if (head.size !== uploadInfo.fileSize) {
+    await storage.deleteObject(finalKey);
+    await sessionStore.delete(uploadId);
+    console.log(`❌ Direct upload ${finalKey} has ${head.size} bytes, expected ${uploadInfo.fileSize}; deleted`);
+    notify('upload.failed', describeFailedUpload(uploadId, uploadInfo,
+      'Uploaded object does not match the declared file size', 'DIRECT_UPLOAD_SIZE_MISMATCH'));
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Uploaded object does not match the declared file size',
+        code: 'DIRECT_UPLOAD_SIZE_MISMATCH',
+        expectedSize: uploadInfo.fileSize,
+        receivedSize: head.size
+      }
+    };
+  }
+  
+  // A pre-signed single PUT carries no metadata, so add the original name server-side
+  if (!originalNameFromMetadata(head.metadata)) {
+    await storage.copyObject(finalKey, finalKey, {
+      contentType: head.contentType,
+      metadata: objectMetadata({ originalName: uploadInfo.originalFileName, userId: uploadInfo.userId })
+    });
+  }
+  
+  await sessionStore.delete(uploadId);
+  await recordStoredFile({
+    key: finalKey,
+    userId: uploadInfo.userId,
+    originalName: uploadInfo.originalFileName,
+    size: head.size,
+    contentType: head.contentType,
+    sha256: null,
+    uploadMode: 'direct'
+  });
+  metrics.receiveDuration.observe({ path: 'direct' }, (Date.now() - uploadInfo.createdAt) / 1000);
+  console.log(`🚀 Verified direct upload ${finalKey} (${head.size} bytes)`);
+  
+  const { cdnUrl, b2Url, b2PublicUrl } = storage.publicUrls(finalKey);
+  const responseData = {
+    success: true,
+    userId: uploadInfo.userId,
+    originalFileName: uploadInfo.originalFileName,
+    finalFileName: uploadInfo.fileName,
+    cdnUrl: cdnUrl,
+    b2Url: b2Url,
+    b2PublicUrl: b2PublicUrl,
+    b2Key: finalKey,
+    fileSize: head.size,
+    contentType: head.contentType,
+    sha256: null
+  };
+  notify('upload.completed', responseData);
+  return { status: 200, body: responseData };
+}
+
+// Finish a direct upload and verify the object the client wrote to the bucket
+app.post('/upload/direct/complete', requireUploader, limitUploadRequests, async (req, res) => {
+  try {
+    const { uploadId } = req.body;
+    const uploadInfo = await getOwnedSession(req, uploadId);
+    
+    if (!uploadInfo || uploadInfo.uploadMode !== 'direct') {
+      return res.status(404).json({ success: false, error: 'Upload session not found' });
+    }
+    
+    const lock = await lockSession(res, uploadId, 'completing');
+    if (!lock) {
+      return;
+    }
+    // Released before answering, so a client retrying as soon as it has the answer is not turned away
+    let reply;
+    try {
+      reply = await finishDirectUpload(req, uploadId, uploadInfo);
+    } finally {
+      await sessionStore.releaseLock(uploadId, lock);
+    }
+    
+    res.status(reply.status).json(reply.body);
+  } catch (error) {
+    console.error('❌ Direct upload complete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// tus 1.0 resumable uploads (https://tus.io/protocols/resumable-upload): every PATCH body becomes
+// one chunk in uploads/chunks/, and the last one assembles and stores the file like /upload/complete
+const TUS_PATH = '/upload/tus';
+const tusRouter = express.Router();
+
+// Upload-Expires value of a session, in the HTTP date format tus uses
+function tusExpiry(uploadInfo) {
+  return new Date(uploadInfo.createdAt + CLEANUP_CONFIG.uploadSessionTimeout).toUTCString();
+}
+
+// Bytes received so far; each chunk of a tus session is one PATCH body, in order
+function tusOffset(uploadInfo) {
+  let offset = 0;
+  for (const chunkInfo of uploadInfo.chunks.values()) {
+    offset += chunkInfo.size;
+  }
+  return offset;
+}
+
+// Keep a finished upload's result, for HEAD/GET requests that arrive after the session is gone,
+// until the session would have expired. It lives in the session store so every instance sees it.
+async function rememberTusResult(uploadId, uploadInfo, result) {
+  await sessionStore.saveResult(uploadId, {
+    userId: uploadInfo.userId,
+    fileSize: uploadInfo.fileSize,
+    metadata: uploadInfo.tusMetadata,
+    result: result
+  }, { ttl: CLEANUP_CONFIG.uploadSessionTimeout });
+}
+
+// A finished upload visible to the requesting user, or null
+async function getTusResult(req, uploadId) {
+  const entry = await sessionStore.getResult(uploadId);
+  if (!entry || !auth.canAccessUser(req.user, entry.userId)) {
+    return null;
+  }
+  return entry;
+}
+
+// Take the session's lock (tus allows only one writer per upload), answering 409 if it is held
+async function lockTusSession(res, uploadId, purpose) {
+  const lock = await sessionStore.acquireLock(uploadId, { purpose: purpose, ttl: config.server.requestTimeout });
+  if (!lock) {
+    res.status(409).json({ success: false, error: 'Another request for this upload is in progress', code: 'TUS_UPLOAD_LOCKED' });
+  }
+  return lock;
+}
+
+// Load a tus session owned by the requesting user, or null
+async function getTusSession(req, uploadId) {
+  const uploadInfo = await getOwnedSession(req, uploadId);
+  return uploadInfo && uploadInfo.protocol === 'tus' ? uploadInfo : null;
+}
+
+function sendTusError(res, error, context) {
+  if (error instanceof tus.TusError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`❌ tus ${context} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+tusRouter.use((req, res, next) => {
+  res.set('Tus-Resumable', tus.TUS_VERSION);
+  // Some proxies only pass GET and POST, so tus clients may tunnel PATCH and DELETE through POST
+  const override = req.get('X-HTTP-Method-Override');
+  if (override && req.method === 'POST') {
+    req.method = override.toUpperCase();
+  }
+  if (req.method !== 'OPTIONS' && req.method !== 'GET' && req.get('Tus-Resumable') !== tus.TUS_VERSION) {
+    res.set('Tus-Version', tus.TUS_VERSION);
+    return res.status(412).json({ success: false, error: `Tus-Resumable must be ${tus.TUS_VERSION}` });
+  }
+  next();
+});
+
+// Server capabilities
+tusRouter.options('/', (req, res) => {
+  res.set({
+    'Tus-Version': tus.TUS_VERSION,
+    'Tus-Extension': tus.TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(config.uploads.maxFileSize),
+    'Tus-Checksum-Algorithm': tus.CHECKSUM_ALGORITHMS.join(',')
+  });
+  res.status(204).end();
+});
+
+// Creation: Upload-Length and Upload-Metadata (filename, filetype, optional userId) open a session
+tusRouter.post('/', requireUploader, limitUploadRequests, async (req, res) => {
+  try {
+    if (req.get('Upload-Defer-Length')) {
+      return res.status(400).json({ success: false, error: 'Upload-Defer-Length is not supported, send Upload-Length' });
+    }
+    const uploadLength = tus.parseIntegerHeader(req.get('Upload-Length'), 'Upload-Length');
+    if (uploadLength > config.uploads.maxFileSize) {
+      return res.status(413).json({
+        success: false,
+        error: `File exceeds the ${config.uploads.maxFileSize} byte limit`
+      });
+    }
+    
+    const metadata = tus.parseMetadata(req.get('Upload-Metadata'));
+    const fileName = metadata.filename || metadata.name;
+    if (!fileName) {
+      return res.status(400).json({ success: false, error: 'Upload-Metadata must include filename' });
+    }
+    const userId = resolveRequestUserId(req, res, metadata.userId);
+    if (!userId) {
+      return;
+    }
+    
+    const policyResult = filePolicy.check({ fileName, size: uploadLength });
+    if (!policyResult.allowed) {
+      return rejectByPolicy(res, policyResult);
+    }
+    // Folder uploads send each file's webkitRelativePath as relativePath metadata
+    const plan = planUpload(res, fileName, metadata);
+    if (!plan) {
+      return;
+    }
+    if (!await enforceSessionLimit(req, res) || !await enforceQuota(req, res, userId, [uploadLength])) {
+      return;
+    }
+    if (!await enforceStagingSpace(req, res, sessionReservation({ uploadMode: 'assemble', fileSize: uploadLength, chunks: new Map() }))) {
+      return;
+    }
+    
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    addLogContext({ uploadId: uploadId, traceId: req.id });
+    const uploadInfo = {
+      fileName: plan.fileName,
+      originalFileName: fileName,
+      userId: userId,
+      traceId: req.id,
+      clientKeys: rateLimiter.clientKeys(req),
+      fileSize: uploadLength,
+      chunkSize: null,
+      totalChunks: null,
+      fileSha256: null,
+      uploadMode: 'assemble',
+      protocol: 'tus',
+      private: isPrivateOption(metadata.private),
+      naming: plan.naming,
+      explicitName: plan.explicit,
+      tusMetadata: req.get('Upload-Metadata') || '',
+      contentType: policyResult.contentType,
+      b2ContentType: null,
+      b2Key: null,
+      b2UploadId: null,
+      parts: {},
+      chunks: new Map(),
+      createdAt: Date.now()
+    };
+    await sessionStore.create(uploadId, uploadInfo);
+    console.log(`✅ Created tus upload: ${uploadId} for ${fileName} (${uploadLength} bytes)`);
+    
+    res.set({
+      'Location': `${config.server.publicBaseUrl}${TUS_PATH}/${uploadId}`,
+      'Upload-Expires': tusExpiry(uploadInfo)
+    });
+    
+    // An empty file has no PATCH to finish it
+    if (uploadLength === 0) {
+      const { status, body } = await completeAssembledUpload(uploadId, uploadInfo, { fileSha256: null, expectedChunks: 0 });
+      if (status !== 200) {
+        return res.status(status).json(body);
+      }
+      await rememberTusResult(uploadId, uploadInfo, body);
+    }
+    res.status(201).end();
+  } catch (error) {
+    sendTusError(res, error, 'create');
+  }
+});
+
+// Offset query: how much of the upload the server has
+tusRouter.head('/:uploadId', requireUploader, limitUploadRequests, async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    const finished = await getTusResult(req, req.params.uploadId);
+    if (finished) {
+      res.set({
+        'Upload-Offset': String(finished.fileSize),
+        'Upload-Length': String(finished.fileSize),
+        'Upload-Metadata': finished.metadata
+      });
+      return res.status(200).end();
+    }
+    
+    const uploadInfo = await getTusSession(req, req.params.uploadId);
+    if (!uploadInfo) {
+      return res.status(404).end();
+    }
+    if (Date.now() - uploadInfo.createdAt > CLEANUP_CONFIG.uploadSessionTimeout) {
+      return res.status(410).end();
+    }
+    res.set({
+      'Upload-Offset': String(tusOffset(uploadInfo)),
+      'Upload-Length': String(uploadInfo.fileSize),
+      'Upload-Metadata': uploadInfo.tusMetadata,
+      'Upload-Expires': tusExpiry(uploadInfo)
+    });
+    res.status(200).end();
+  } catch (error) {
+    console.error('❌ tus offset query error:', error);
+    res.status(500).end();
+  }
+});
+
+/**
+ * Append a PATCH body to a locked tus session; the one reaching Upload-Length stores the file
+ * @param {Object} req - PATCH request
+ * @param {string} uploadId - Upload session ID
+ * @param {Object} headers - { uploadOffset, checksum } parsed from Upload-Offset and Upload-Checksum
+ * @returns {Promise<Object>} - Response { status, headers, body }
+ */
+async function appendTusBody(req, uploadId, { uploadOffset, checksum }) {
+  // Read under the lock, so the offset includes the previous PATCH wherever it ran
+  let uploadInfo = await getTusSession(req, uploadId);
+  if (!uploadInfo) {
+    return { status: 404, body: { success: false, error: 'Upload session not found' } };
+  }
+  if (Date.now() - uploadInfo.createdAt > CLEANUP_CONFIG.uploadSessionTimeout) {
+    return { status: 410, body: { success: false, error: 'Upload session expired' } };
+  }
+  const currentOffset = tusOffset(uploadInfo);
+  if (uploadOffset !== currentOffset) {
+    return {
+      status: 409,
+      headers: { 'Upload-Offset': String(currentOffset) },
+      body: {
+        success: false,
+        error: `Upload-Offset ${uploadOffset} does not match the current offset ${currentOffset}`,
+        code: 'TUS_OFFSET_MISMATCH'
+      }
+    };
+  }
+  
+  const chunkIndex = uploadInfo.chunks.size;
+  const chunkPath = path.join(config.uploads.chunksDir, `${uploadId}_${chunkIndex}`);
+  const written = await tus.writeRequestBody(req, chunkPath, {
+    maxBytes: uploadInfo.fileSize - currentOffset,
+    checksum: checksum
+  });
+  if (written.tooLarge) {
+    await fs.promises.rm(chunkPath, { force: true });
+    return {
+      status: 413,
+      headers: { 'Connection': 'close' }, // The rest of the body is not read
+      body: { success: false, error: 'Request body goes past Upload-Length' }
+    };
+  }
+  // A checksum covers the whole body, so a cut-off body cannot be kept either
+  if (checksum && (!written.complete || written.digest !== checksum.digest)) {
+    await fs.promises.rm(chunkPath, { force: true });
+    console.log(`❌ Checksum mismatch for tus upload ${uploadId} at offset ${currentOffset}`);
+    return {
+      status: tus.CHECKSUM_MISMATCH_STATUS,
+      body: {
+        success: false,
+        error: `Upload-Checksum does not match the ${checksum.algorithm} digest of the body`,
+        code: 'TUS_CHECKSUM_MISMATCH'
+      }
+    };
+  }
+  if (written.size === 0) {
+    await fs.promises.rm(chunkPath, { force: true });
+    return { status: 204, headers: { 'Upload-Offset': String(currentOffset), 'Upload-Expires': tusExpiry(uploadInfo) } };
+  }
+  
+  // The first body holds the file's magic bytes, so this is the earliest point to sniff it
+  if (chunkIndex === 0) {
+    const policyResult = filePolicy.check({
+      fileName: uploadInfo.originalFileName,
+      size: uploadInfo.fileSize,
+      head: await readFileHead(chunkPath)
+    });
+    if (!policyResult.allowed) {
+      await fs.promises.rm(chunkPath, { force: true });
+      console.log(`🚫 Rejected upload ${uploadId}: ${policyResult.error}`);
+      await discardUploadSession(uploadId, uploadInfo);
+      notify('upload.failed', describeFailedUpload(uploadId, uploadInfo, policyResult.error, policyResult.code));
+      return {
+        status: policyResult.status,
+        body: { success: false, error: policyResult.error, code: policyResult.code }
+      };
+    }
+    await sessionStore.update(uploadId, { contentType: policyResult.contentType });
+  }
+  
+  uploadInfo = await sessionStore.addChunk(uploadId, chunkIndex, {
+    path: chunkPath,
+    size: written.size,
+    sha256: written.sha256
+  });
+  if (!uploadInfo) {
+    await fs.promises.rm(chunkPath, { force: true });
+    return { status: 404, body: { success: false, error: 'Upload session not found' } };
+  }
+  const newOffset = currentOffset + written.size;
+  metrics.chunks.inc({ path: 'tus' });
+  metrics.chunkBytes.inc({ path: 'tus' }, written.size);
+  logger.debug(`Received ${written.size} bytes (${newOffset}/${uploadInfo.fileSize})`, { offset: currentOffset, size: written.size });
+  
+  if (newOffset === uploadInfo.fileSize) {
+    const { status, body } = await completeAssembledUpload(uploadId, uploadInfo, {
+      fileSha256: null,
+      expectedChunks: uploadInfo.chunks.size
+    });
+    if (status !== 200) {
+      // Chunks that failed re-verification leave a gap tus cannot describe, so the upload starts over
+      if (await sessionStore.get(uploadId)) {
+        await discardUploadSession(uploadId, uploadInfo);
+      }
+      return { status: status, body: body };
+    }
+    await rememberTusResult(uploadId, uploadInfo, body);
+  }
+  
+  return { status: 204, headers: { 'Upload-Offset': String(newOffset), 'Upload-Expires': tusExpiry(uploadInfo) } };
+}
+
+// Append the request body at Upload-Offset; the PATCH that reaches Upload-Length stores the file
+tusRouter.patch('/:uploadId', requireUploader, limitUploadRequests, limitConcurrentChunks, async (req, res) => {
   try {
-    const { fileName, fileSize, userId = 'guest' } = req.body;
-    
-    if (!fileName || !fileSize) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: fileName and fileSize' 
-      });
+    const { uploadId } = req.params;
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ success: false, error: 'Content-Type must be application/offset+octet-stream' });
+    }
+    const uploadOffset = tus.parseIntegerHeader(req.get('Upload-Offset'), 'Upload-Offset');
+    const checksum = tus.parseChecksum(req.get('Upload-Checksum'));
+    if (!await getTusSession(req, uploadId)) {
+      return res.status(404).json({ success: false, error: 'Upload session not found' });
     }
     
-    const uploadId = crypto.randomBytes(16).toString('hex');
-    const finalFileName = generateRandomFilename(fileName);
-    
-    activeUploads.set(uploadId, {
-      fileName: finalFileName,
-      originalFileName: fileName,
-      userId: userId,
-      fileSize: parseInt(fileSize),
-      chunks: new Map(),
-      createdAt: Date.now()
-    });
-    
-    console.log(`✅ Initialized chunked upload: ${uploadId} for ${fileName} (${fileSize} bytes)`);
+    const lock = await lockTusSession(res, uploadId, 'patching');
+    if (!lock) {
+      return;
+    }
+    // Released before answering, since clients send their next PATCH as soon as they have the answer
+    let reply;
+    try {
+      reply = await appendTusBody(req, uploadId, { uploadOffset: uploadOffset, checksum: checksum });
+    } finally {
+      await sessionStore.releaseLock(uploadId, lock);
+    }
     
-    res.json({
-      success: true,
-      uploadId: uploadId,
-      finalFileName: finalFileName,
-      timestamp: Date.now()
-    });
+    res.status(reply.status).set(reply.headers || {});
+    if (reply.body) {
+      return res.json(reply.body);
+    }
+    res.end();
   } catch (error) {
-    console.error('❌ Upload init error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendTusError(res, error, 'PATCH');
   }
 });
 
-// Upload individual chunk - optimized for high throughput
-app.post('/upload/chunk', chunkUpload.single('chunk'), (req, res) => {
+// Not part of tus: the stored file (cdnUrl, b2Key, ...) once finished, otherwise the progress
+tusRouter.get('/:uploadId', requireUploader, async (req, res) => {
   try {
-    const { uploadId, chunkIndex } = req.body;
-    const chunkFile = req.file;
-    
-    if (!chunkFile) {
-      return res.status(400).json({ success: false, error: 'No chunk data' });
+    const finished = await getTusResult(req, req.params.uploadId);
+    if (finished) {
+      return res.json(finished.result);
     }
-    
-    // Fast lookup with early return pattern
-    const uploadInfo = activeUploads.get(uploadId);
+    const uploadInfo = await getTusSession(req, req.params.uploadId);
     if (!uploadInfo) {
-      // Clean up the uploaded chunk file since upload session doesn't exist
-      setImmediate(() => {
-        try {
-          fs.unlinkSync(chunkFile.path);
-          console.log(`🗑️ Cleaned up orphaned chunk: ${chunkFile.path} (no upload session)`);
-        } catch (cleanupError) {
-          console.error(`Error cleaning up orphaned chunk:`, cleanupError);
-        }
-      });
       return res.status(404).json({ success: false, error: 'Upload session not found' });
     }
-    
-    // Store chunk info - parse index just once for performance
-    const parsedIndex = parseInt(chunkIndex);
-    uploadInfo.chunks.set(parsedIndex, {
-      path: chunkFile.path,
-      size: chunkFile.size
-    });
-    
-    // Log outside the main thread for better performance
-    setImmediate(() => {
-      console.log(`Received chunk ${parsedIndex} for upload ${uploadId} (${chunkFile.size} bytes)`);
-    });
-    
-    // Fast response - immediate acknowledge to client
-    res.json({
-      success: true,
-      chunkIndex: parsedIndex,
-      receivedChunks: uploadInfo.chunks.size
-    });
+    res.json({ success: true, ...describeUploadProgress(req.params.uploadId, uploadInfo) });
   } catch (error) {
-    console.error('Chunk upload error:', error);
-    
-    // Clean up the chunk file on error - do this asynchronously
-    if (req.file && req.file.path) {
-      setImmediate(() => {
-        try {
-          fs.unlinkSync(req.file.path);
-          console.log(`🗑️ Cleaned up chunk due to error: ${req.file.path}`);
-        } catch (cleanupError) {
-          console.error(`Error cleaning up chunk on error:`, cleanupError);
-        }
-      });
-    }
-    
-    res.status(500).json({ success: false, error: error.message });
+    sendTusError(res, error, 'status');
   }
 });
 
-// Complete upload without using chunking to B2
-app.post('/upload/complete', async (req, res) => {
+// Termination: abandon the upload and free its chunks
+tusRouter.delete('/:uploadId', requireUploader, async (req, res) => {
   try {
-    const { uploadId } = req.body;
-    const uploadInfo = activeUploads.get(uploadId);
-    
+    const { uploadId } = req.params;
+    if (await getTusResult(req, uploadId)) {
+      await sessionStore.deleteResult(uploadId);
+      return res.status(204).end();
+    }
+    const uploadInfo = await getTusSession(req, uploadId);
     if (!uploadInfo) {
       return res.status(404).json({ success: false, error: 'Upload session not found' });
     }
-    
-    console.log(`Completing upload ${uploadId} with ${uploadInfo.chunks.size} chunks`);
-    
-    // Prepare the final upload
-    const finalKey = `${uploadInfo.userId}/${uploadInfo.fileName}`;
-    const chunks = Array.from(uploadInfo.chunks.entries()).sort(([a], [b]) => a - b);
-    
-    console.log(`Combining chunks and uploading as a single file`);
-    
-    // Create a temporary combined file path
-    const tempFilePath = path.join(__dirname, 'uploads', `temp_${uploadId}_${Date.now()}.tmp`);
-    
-    // Combine chunks by streaming them to a temporary file
-    const writeStream = fs.createWriteStream(tempFilePath);
-    let totalSize = 0;
-    
-    // Write chunks to temporary file sequentially
-    for (const [index, chunkInfo] of chunks) {
-      const chunkData = fs.readFileSync(chunkInfo.path);
-      writeStream.write(chunkData);
-      totalSize += chunkData.length;
-      console.log(`📦 Combined chunk ${index} (${chunkData.length} bytes)`);
-    }
-    writeStream.end();
-    
-    // Wait for write stream to finish
-    await new Promise((resolve, reject) => {
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
-    });
-    
-    console.log(`Combined file size: ${totalSize} bytes`);
-    
-    // Upload the combined file to B2 using our enhanced upload function
-    console.log(`Uploading combined file to B2 bucket`);
-    
-    await b2Upload.uploadFileToB2(
-      tempFilePath,
-      BUCKET_NAME,
-      finalKey,
-      uploadInfo.contentType || 'application/octet-stream'
-    );
-    
-    console.log(`🚀 Successfully uploaded file to B2`);
-    
-    // Clean up the temporary file
-    try {
-      fs.unlinkSync(tempFilePath);
-      console.log(`🗑️ Cleaned up temporary file: ${tempFilePath}`);
-    } catch (tempCleanupError) {
-      console.error(`Error cleaning up temporary file:`, tempCleanupError);
+    // The lock goes with the session
+    if (!await lockTusSession(res, uploadId, 'cancelling')) {
+      return;
     }
-    
-    // Clean up chunks
-    let cleanedChunks = 0;
-    let failedCleanups = 0;
-      
-    chunks.forEach(([index, chunkInfo]) => {
-      try {
-        if (fs.existsSync(chunkInfo.path)) {
-          fs.unlinkSync(chunkInfo.path);
-          cleanedChunks++;
-        }
-      } catch (cleanupError) {
-        console.error(`Error cleaning up chunk ${chunkInfo.path}:`, cleanupError);
-        failedCleanups++;
-      }
-    });
-      
-    console.log(`🧹 Cleanup: ${cleanedChunks} chunks removed, ${failedCleanups} failed cleanups`);
-    
-    // Remove from active uploads
-    activeUploads.delete(uploadId);
-    
-    // Generate URLs for the uploaded file
-    const cdnUrl = `https://cdn.istartx.io/${finalKey}`;
-    const b2Url = `https://s3.us-east-005.backblazeb2.com/ISTARTX/${finalKey}`;
-    const b2PublicUrl = `https://f005.backblazeb2.com/file/ISTARTX/${finalKey}`;
-    
-    // Prepare response
-    const responseData = {
-      success: true,
-      userId: uploadInfo.userId,
-      originalFileName: uploadInfo.originalFileName,
-      finalFileName: uploadInfo.fileName,
-      cdnUrl: cdnUrl,
-      b2Url: b2Url,
-      b2PublicUrl: b2PublicUrl,
-      b2Key: finalKey,
-      fileSize: totalSize
-    };
-    
-    // Send response
-    res.json(responseData);
-    
-    // Log results
-    console.log(`File uploaded successfully:`);
-    console.log(`- B2 Key: ${finalKey}`);
-    console.log(`- CDN URL: ${cdnUrl}`);
-    console.log(`- Total size: ${totalSize} bytes`);
-    
+    console.log(`🗑️ Terminating tus upload: ${uploadId}`);
+    await discardUploadSession(uploadId, uploadInfo);
+    res.status(204).end();
   } catch (error) {
-    console.error('Upload complete error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendTusError(res, error, 'termination');
   }
 });
 
+app.use(TUS_PATH, tusRouter);
+
 // Manual cleanup endpoint (for admin use)
-app.post('/admin/cleanup', (req, res) => {
+app.post('/admin/cleanup', requireAdmin, async (req, res) => {
   try {
-    cleanupOrphanedChunks();
-    res.json({ success: true, message: 'Manual cleanup initiated' });
+    const removed = await cleanupOrphanedChunks();
+    res.json({ success: true, message: 'Cleanup completed', removed: removed });
   } catch (error) {
     console.error('Manual cleanup error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Active upload sessions of all users, oldest first; cancel one with DELETE /upload/:uploadId
+app.get('/admin/uploads', requireAdmin, async (req, res) => {
+  try {
+    const now = Date.now();
+    const uploads = (await sessionStore.list())
+      .map(([uploadId, uploadInfo]) => {
+        const progress = describeUploadProgress(uploadId, uploadInfo);
+        return {
+          uploadId: uploadId,
+          userId: uploadInfo.userId,
+          originalFileName: uploadInfo.originalFileName,
+          fileSize: uploadInfo.fileSize,
+          uploadMode: uploadInfo.uploadMode,
+          protocol: uploadInfo.protocol || null,
+          receivedBytes: progress.receivedBytes,
+          receivedChunks: progress.receivedChunks.length,
+          totalChunks: progress.totalChunks,
+          percent: uploadInfo.fileSize > 0 ? Math.round(progress.receivedBytes / uploadInfo.fileSize * 1000) / 10 : 100,
+          createdAt: uploadInfo.createdAt,
+          ageSeconds: Math.round((now - uploadInfo.createdAt) / 1000),
+          expiresAt: progress.expiresAt
+        };
+      })
+      .sort((a, b) => a.createdAt - b.createdAt);
+    res.json({ success: true, uploads: uploads, count: uploads.length });
+  } catch (error) {
+    console.error('Upload list error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Storage status endpoint
-app.get('/admin/storage-status', (req, res) => {
+app.get('/admin/storage-status', requireAdmin, async (req, res) => {
   try {
-    const uploadsDir = path.join(__dirname, 'uploads');
-    const chunksDir = path.join(__dirname, 'uploads/chunks');
-    
-    let totalFiles = 0;
-    let totalSize = 0;
-    let chunkFiles = 0;
-    let chunkSize = 0;
-    let tempFiles = 0;
-    let tempSize = 0;
-    
-    // Count chunk files
-    if (fs.existsSync(chunksDir)) {
-      const chunks = fs.readdirSync(chunksDir);
-      chunkFiles = chunks.length;
-      chunks.forEach(chunk => {
-        try {
-          const stats = fs.statSync(path.join(chunksDir, chunk));
-          chunkSize += stats.size;
-        } catch (error) {
-          // Ignore errors for individual files
-        }
-      });
-    }
+    const { chunks, staging } = measureUploadsDir();
+    const totalFiles = chunks.files + staging.files;
+    const totalSize = chunks.bytes + staging.bytes;
+    const toMB = bytes => Math.round(bytes / 1024 / 1024 * 100) / 100;
     
-    // Count temp files
-    if (fs.existsSync(uploadsDir)) {
-      const temps = fs.readdirSync(uploadsDir).filter(file => !file.includes('chunks'));
-      tempFiles = temps.length;
-      temps.forEach(temp => {
-        try {
-          const stats = fs.statSync(path.join(uploadsDir, temp));
-          tempSize += stats.size;
-        } catch (error) {
-          // Ignore errors for individual files
-        }
-      });
+    // What each unfinished session may still write, and what the volume can take on top of that
+    const sessions = await sessionStore.list();
+    const reservations = [];
+    for (const [uploadId, uploadInfo] of sessions) {
+      const reservedBytes = sessionReservation(uploadInfo);
+      if (reservedBytes > 0) {
+        reservations.push({
+          uploadId: uploadId,
+          userId: uploadInfo.userId,
+          uploadMode: uploadInfo.uploadMode,
+          fileSize: uploadInfo.fileSize,
+          reservedMB: toMB(reservedBytes)
+        });
+      }
     }
-    
-    totalFiles = chunkFiles + tempFiles;
-    totalSize = chunkSize + tempSize;
+    const space = await stagingSpace.usage(sessions);
     
     res.json({
       success: true,
       storage: {
         totalFiles: totalFiles,
-        totalSizeMB: Math.round(totalSize / 1024 / 1024 * 100) / 100,
+        totalSizeMB: toMB(totalSize),
         chunks: {
-          files: chunkFiles,
-          sizeMB: Math.round(chunkSize / 1024 / 1024 * 100) / 100
+          files: chunks.files,
+          sizeMB: toMB(chunks.bytes)
         },
         tempFiles: {
-          files: tempFiles,
-          sizeMB: Math.round(tempSize / 1024 / 1024 * 100) / 100
+          files: staging.files,
+          sizeMB: toMB(staging.bytes)
         },
-        activeUploads: activeUploads.size
+        activeUploads: await sessionStore.size()
+      },
+      staging: {
+        diskTotalMB: toMB(space.totalBytes),
+        diskFreeMB: toMB(space.freeBytes),
+        reservedMB: toMB(space.reservedBytes),
+        availableMB: toMB(space.availableBytes),
+        minFreeMB: toMB(space.minFreeBytes),
+        queuedUploads: stagingSpace.queued,
+        reservations: reservations
       },
       cleanupConfig: CLEANUP_CONFIG
     });
@@ -531,15 +2424,229 @@ app.get('/admin/storage-status', (req, res) => {
   }
 });
 
+// Gauges read from server state at scrape time
+metrics.gauge({
+  name: 'upload_sessions_active',
+  help: 'Unfinished upload sessions, by upload mode',
+  labelNames: ['mode'],
+  collect: async gauge => {
+    gauge.reset();
+    for (const [, uploadInfo] of await sessionStore.list()) {
+      gauge.inc({ mode: uploadInfo.protocol || uploadInfo.uploadMode });
+    }
+  }
+});
+metrics.gauge({
+  name: 'uploads_disk_usage_bytes',
+  help: 'Bytes of files under the uploads directory, by area',
+  labelNames: ['area'],
+  collect: gauge => {
+    for (const [area, usage] of Object.entries(measureUploadsDir())) {
+      gauge.set({ area }, usage.bytes);
+    }
+  }
+});
+
+// Admins, or a Prometheus scraper presenting METRICS_TOKEN as its bearer token
+function requireMetricsAccess(req, res, next) {
+  const token = config.metrics.token;
+  const presented = Buffer.from(req.get('Authorization') || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  if (token && presented.length === expected.length && crypto.timingSafeEqual(presented, expected)) {
+    return next();
+  }
+  return requireAdmin(req, res, next);
+}
+
+// Prometheus scrape endpoint
+if (config.metrics.enabled) {
+  app.get('/metrics', requireMetricsAccess, async (req, res) => {
+    try {
+      res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
+    } catch (error) {
+      console.error('Metrics error:', error);
+      res.status(500).type('text/plain').send(`# Error collecting metrics: ${error.message}\n`);
+    }
+  });
+}
+
+// Quota usage and limits of the signed-in user
+app.get('/upload/quota', requireUploader, (req, res) => {
+  res.json({ success: true, quota: quotas.describe(req.user.userId, req.user.role) });
+});
+
+// Quota usage and limits of every user seen so far
+app.get('/admin/quotas', requireAdmin, (req, res) => {
+  res.json({ success: true, users: quotas.list() });
+});
+
+app.get('/admin/quotas/:userId', requireAdmin, (req, res) => {
+  if (!auth.isValidUserId(req.params.userId)) {
+    return res.status(400).json({ success: false, error: `Invalid user ID "${req.params.userId}"` });
+  }
+  res.json({ success: true, quota: quotas.describe(req.params.userId) });
+});
+
+// Set per-user limit overrides or correct usage: { limits: { maxBytes, maxFileSize, filesPerDay }, usage: { bytes, filesToday } }
+app.put('/admin/quotas/:userId', requireAdmin, async (req, res) => {
+  if (!auth.isValidUserId(req.params.userId)) {
+    return res.status(400).json({ success: false, error: `Invalid user ID "${req.params.userId}"` });
+  }
+  try {
+    const quota = await quotas.update(req.params.userId, req.body || {});
+    console.log(`📏 Quota of ${req.params.userId} updated by ${req.user.userId}`);
+    res.json({ success: true, quota: quota });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Recalculate stored bytes from the bucket, e.g. after files were changed outside this server
+app.post('/admin/quotas/:userId/recount', requireAdmin, async (req, res) => {
+  if (!auth.isValidUserId(req.params.userId)) {
+    return res.status(400).json({ success: false, error: `Invalid user ID "${req.params.userId}"` });
+  }
+  try {
+    let bytes = 0;
+    let continuationToken;
+    do {
+      const page = await storage.listObjects(`${req.params.userId}/`, { continuationToken });
+      bytes += page.objects.reduce((sum, object) => sum + object.size, 0);
+      continuationToken = page.nextContinuationToken;
+    } while (continuationToken);
+    
+    const quota = await quotas.update(req.params.userId, { usage: { bytes } });
+    console.log(`📏 Recounted ${req.params.userId}: ${bytes} bytes stored`);
+    res.json({ success: true, quota: quota });
+  } catch (error) {
+    console.error('Quota recount error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Webhook subscriptions and delivery history (?status=pending|delivered|failed, ?event, ?limit)
+app.get('/admin/webhooks', requireAdmin, (req, res) => {
+  const deliveries = webhooks.list({
+    status: req.query.status,
+    event: req.query.event,
+    limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+  });
+  res.json({
+    success: true,
+    subscriptions: config.webhooks.subscriptions,
+    deliveries: deliveries.map(({ body, ...delivery }) => delivery)
+  });
+});
+
+app.get('/admin/webhooks/:deliveryId', requireAdmin, (req, res) => {
+  const delivery = webhooks.get(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Delivery not found' });
+  }
+  const { body, ...details } = delivery;
+  res.json({ success: true, delivery: { ...details, payload: JSON.parse(body) } });
+});
+
+// Send a delivery again now, e.g. after the receiver was fixed
+app.post('/admin/webhooks/:deliveryId/redeliver', requireAdmin, async (req, res) => {
+  try {
+    const delivery = await webhooks.redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    const { body, ...details } = delivery;
+    console.log(`📨 Webhook delivery ${delivery.id} redelivered by ${req.user.userId}`);
+    res.json({ success: delivery.status === 'delivered', delivery: details });
+  } catch (error) {
+    console.error('Webhook redelivery error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Files the malware scanner held back (MALWARE_ACTION=quarantine), newest first
+app.get('/admin/quarantine', requireAdmin, async (req, res) => {
+  try {
+    const files = await quarantine.list();
+    res.json({
+      success: true,
+      scanner: config.malwareScan.driver,
+      action: config.malwareScan.action,
+      files: files,
+      count: files.length
+    });
+  } catch (error) {
+    console.error('Quarantine list error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download a quarantined file for review; always as an opaque attachment, never rendered
+app.get('/admin/quarantine/:id/file', requireAdmin, async (req, res) => {
+  try {
+    const record = await quarantine.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Quarantined file not found' });
+    }
+    console.log(`🦠 Quarantined file ${record.id} downloaded by ${req.user.userId}`);
+    res.set({ 'Content-Type': 'application/octet-stream', 'X-Content-Type-Options': 'nosniff' });
+    res.attachment(`${record.id}.quarantined`);
+    res.sendFile(quarantine.filePath(record.id));
+  } catch (error) {
+    console.error('Quarantine download error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/admin/quarantine/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!await quarantine.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Quarantined file not found' });
+    }
+    console.log(`🗑️ Quarantined file ${req.params.id} deleted by ${req.user.userId}`);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('Quarantine delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // API endpoint for upload (can be used via AJAX)
-app.get('/admin/files', (req, res) => {
+app.get('/admin/files', requireAdmin, (req, res) => {
   res.sendFile(path.join(__dirname, 'upload.html'));
 });
 
+// Form uploads are staged whole before they are stored; reserve their size up front
+async function reserveFormUpload(req, res, next) {
+  if (await enforceStagingSpace(req, res, parseInt(req.get('Content-Length'), 10) || 0)) {
+    next();
+  }
+}
+
 // Handle file uploads and upload to B2
-app.post('/upload', upload.array('myfiles'), async (req, res) => {
+app.post('/upload', requireUploader, limitUploadRequests, reserveFormUpload, upload.array('myfiles'), async (req, res) => {
   try {
-    const userId = req.body.user_id || 'guest';
+    const userId = resolveRequestUserId(req, res, req.body.user_id);
+    if (!userId) {
+      // multer has already written the files to disk
+      for (const file of req.files || []) {
+        await fs.promises.rm(file.path, { force: true });
+      }
+      return;
+    }
+    if (req.files && req.files.length > 0 && !await enforceQuota(req, res, userId, req.files.map(file => file.size))) {
+      for (const file of req.files) {
+        await fs.promises.rm(file.path, { force: true });
+      }
+      return;
+    }
+    const progressId = req.body.progress_id || req.get('X-Progress-Id');
+    const isPrivate = isPrivateOption(req.body.private);
+    // Folder uploads send one relativePath field (the file's webkitRelativePath) per file, in file order
+    const relativePaths = [].concat(req.body.relativePath || []);
+    if (req.files && req.files.length > 0) {
+      // multer has received the whole request body by the time this handler runs
+      metrics.receiveDuration.observe({ path: 'legacy' }, (Date.now() - req.startedAt) / 1000);
+    }
     
     // Check if files were uploaded
     if (!req.files || req.files.length === 0) {
@@ -564,72 +2671,96 @@ app.post('/upload', upload.array('myfiles'), async (req, res) => {
         console.log(`File size: ${file.size} bytes`);
         console.log(`MIME type: ${file.mimetype}`);
         
-        // Generate random filename
-        const randomFilename = generateRandomFilename(file.originalname);
-        console.log(`Generated random filename: ${randomFilename}`);
+        // Judge the file by its bytes, not by the type the browser claimed
+        const policyResult = await filePolicy.checkFile(file.path, file.originalname);
+        if (!policyResult.allowed) {
+          console.log(`🚫 Rejected ${file.originalname}: ${policyResult.error}`);
+          errors.push({
+            success: false,
+            fileName: file.originalname,
+            error: policyResult.error,
+            code: policyResult.code
+          });
+          continue;
+        }
         
-        // Check if random filename exists (very unlikely but just in case)
-        let finalFilename = randomFilename;
-        let suffix = 1;
+        const sha256 = await chunkIntegrity.hashFile(file.path);
+        const scanResult = await fileStore.scanFile(file.path, {
+          userId: userId,
+          originalName: file.originalname,
+          contentType: policyResult.contentType,
+          uploadMode: 'form',
+          sha256: sha256
+        });
+        if (!scanResult.allowed) {
+          const { allowed, status, ...rejection } = scanResult;
+          errors.push({ success: false, fileName: file.originalname, ...rejection });
+          continue;
+        }
         
-        while (true) {
-          const b2Key = `${userId}/${finalFilename}`;
-          
-          try {
-            // Check if file exists using headObject
-            await b2Upload.s3Client.send(new HeadObjectCommand({
-              Bucket: BUCKET_NAME,
-              Key: b2Key,
-            }));
-            
-            // File exists (very unlikely with random names), add suffix
-            const fileInfo = path.parse(randomFilename);
-            finalFilename = `${fileInfo.name}_${suffix}${fileInfo.ext}`;
-            suffix++;
-          } catch (error) {
-            // File doesn't exist (expected), we can use this filename
-            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
-              break;
-            }
-            // Some other error occurred, break and try to upload
-            break;
-          }
+        let plan;
+        try {
+          const naming = fileNaming.readNamingOptions({ ...req.body, relativePath: relativePaths[i] }, config.uploads.naming);
+          plan = { ...naming, fileName: fileNaming.planFileName(file.originalname, naming) };
+        } catch (namingError) {
+          errors.push({ success: false, fileName: file.originalname, error: namingError.message, code: 'INVALID_FILE_PATH' });
+          continue;
+        }
+        
+        // Files asked to go somewhere in particular are stored there even if identical to another
+        const duplicate = plan.explicit ? null : await findDuplicate(userId, sha256, file.size, { verified: true, isPrivate });
+        if (duplicate) {
+          results.push({ ...describeDuplicate(userId, file.originalname, duplicate), mimeType: duplicate.contentType });
+          continue;
         }
+        
+        // Random names practically never collide; original names get a suffix when taken
+        const finalFilename = await resolveStoredName(userId, plan.fileName, { naming: plan.naming, isPrivate });
+        console.log(`Storing ${file.originalname} as ${finalFilename} (naming: ${plan.naming})`);
 
-        // Read file data
-        const fileData = fs.readFileSync(file.path);
-        const finalKey = `${userId}/${finalFilename}`;
+        // Images lose their EXIF/GPS metadata and get their variants before anything is stored
+        const metadata = objectMetadata({ originalName: file.originalname, userId });
+        const image = await fileStore.prepareImage(file.path, policyResult.contentType, { withVariants: !isPrivate });
+        let imageRecord = {};
+
+        const { bucket, key: finalKey } = fileStore.fileLocation(userId, finalFilename, { isPrivate });
 
         console.log(`Uploading to B2: ${finalKey}`);
-        console.log(`File size: ${fileData.length} bytes`);
+        console.log(`File size: ${file.size} bytes`);
 
-        // Save file data to a temporary file for upload
-        const tempFilePath = path.join(__dirname, 'uploads', `temp_${crypto.randomBytes(8).toString('hex')}.tmp`);
-        fs.writeFileSync(tempFilePath, fileData);
-        
+        // Streamed from multer's staged file, which the finally below removes
+        const endTransferTimer = metrics.transferDuration.startTimer({ path: 'legacy' });
         try {
           // Use the B2 module to upload the file
-          await b2Upload.uploadFileToB2(
-            tempFilePath, 
-            BUCKET_NAME, 
+          await transfer.uploadFileToB2(
+            file.path, 
+            bucket, 
             finalKey, 
-            file.mimetype || 'application/octet-stream'
+            policyResult.contentType,
+            {
+              metadata: metadata,
+              onProgress: trackTransfer(progressId, {
+                userId: userId,
+                fileName: file.originalname,
+                fileIndex: i,
+                fileCount: req.files.length
+              })
+            }
           );
-        } finally {
-          // Clean up the temporary file
-          try {
-            fs.unlinkSync(tempFilePath);
-          } catch (cleanupError) {
-            console.error('Error cleaning up temp file:', cleanupError);
+          if (image) {
+            imageRecord = await fileStore.storeImageVariants(image, finalKey, metadata);
           }
+          endTransferTimer({ outcome: 'success' });
+        } catch (transferError) {
+          endTransferTimer({ outcome: 'failure' });
+          await services.imageProcessor.discard(image);
+          throw transferError;
         }
         
         console.log(`Upload successful: ${finalKey}`);
 
-        // Build multiple URLs for testing which one works
-        const cdnUrl = `https://cdn.istartx.io/${finalKey}`;
-        const b2Url = `https://s3.us-east-005.backblazeb2.com/ISTARTX/${finalKey}`;
-        const b2PublicUrl = `https://f005.backblazeb2.com/file/ISTARTX/${finalKey}`;
+        // Build multiple URLs for testing which one works (private files only get a link endpoint)
+        const { cdnUrl, b2Url, b2PublicUrl, ...privateUrls } = fileStore.fileUrls(finalKey, { isPrivate });
         
         console.log(`File URLs generated:`);
         console.log(`- CDN URL: ${cdnUrl}`);
@@ -644,11 +2775,26 @@ app.post('/upload', upload.array('myfiles'), async (req, res) => {
           cdnUrl: cdnUrl,
           b2Url: b2Url,
           b2PublicUrl: b2PublicUrl,
+          ...privateUrls,
           b2Key: finalKey,
           fileSize: file.size,
-          mimeType: file.mimetype,
+          mimeType: policyResult.contentType,
+          sha256: sha256,
+          deduplicated: false,
+          ...fileStore.describeImage(imageRecord)
         });
 
+        await recordStoredFile({
+          key: finalKey,
+          userId: userId,
+          originalName: file.originalname,
+          size: file.size,
+          contentType: policyResult.contentType,
+          sha256: sha256,
+          uploadMode: 'form',
+          ...privateRecord(isPrivate, bucket),
+          ...imageRecord
+        });
         console.log(`Successfully uploaded: ${file.originalname} → ${finalFilename}`);
 
       } catch (fileError) {
@@ -670,6 +2816,14 @@ app.post('/upload', upload.array('myfiles'), async (req, res) => {
       }
     }
 
+    finishTransfer(progressId, errors.length === 0 ? 'completed' : 'failed');
+    for (const result of results) {
+      notify('upload.completed', result);
+    }
+    for (const error of errors) {
+      notify('upload.failed', { ...error, userId: userId, originalFileName: error.fileName });
+    }
+    
     // Return JSON response
     const successCount = results.length;
     const errorCount = errors.length;
@@ -723,8 +2877,12 @@ app.post('/upload', upload.array('myfiles'), async (req, res) => {
                 Type: ${r.mimeType || 'Unknown'}
               </div>
               <div class="cdn-url">
-                <strong>CDN URL:</strong> 
-                <a href="${r.cdnUrl}" target="_blank">${r.cdnUrl}</a>
+                ${r.private ? `
+                  <strong>Private file:</strong> request a download link from ${r.linkUrl}
+                ` : `
+                  <strong>CDN URL:</strong> 
+                  <a href="${r.cdnUrl}" target="_blank">${r.cdnUrl}</a>
+                `}
               </div>
             </div>
           `).join('')}
@@ -765,43 +2923,47 @@ app.post('/upload', upload.array('myfiles'), async (req, res) => {
 });
 
 // Ensure uploads directories exist
-if (!fs.existsSync(path.join(__dirname, 'uploads'))) {
-  fs.mkdirSync(path.join(__dirname, 'uploads'));
+if (!fs.existsSync(config.uploads.dir)) {
+  fs.mkdirSync(config.uploads.dir, { recursive: true });
 }
-if (!fs.existsSync(path.join(__dirname, 'uploads/chunks'))) {
-  fs.mkdirSync(path.join(__dirname, 'uploads/chunks'), { recursive: true });
+if (!fs.existsSync(config.uploads.chunksDir)) {
+  fs.mkdirSync(config.uploads.chunksDir, { recursive: true });
 }
 
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '0.0.0.0'; // Listen on all interfaces for production
+// Rebuild upload sessions from persisted state and chunks already on disk
+const sessionsReady = sessionStore.init(config.uploads.chunksDir)
+  .then(count => {
+    console.log(`♻️ Restored ${count} upload session(s) from previous run`);
+  })
+  .catch(error => {
+    console.error('❌ Error restoring upload sessions:', error);
+  });
+
+const PORT = config.server.port;
+const HOST = config.server.host;
 const server = app.listen(PORT, HOST, () => {
   console.log(`Server running at http://${HOST}:${PORT}/`);
   
+  // Resume webhook deliveries queued before a restart
+  webhooks.start();
+  
   // Run initial cleanup on startup
   console.log('🧹 Running initial cleanup on startup...');
-  setTimeout(cleanupOrphanedChunks, 5000); // Wait 5 seconds for server to be ready
+  sessionsReady.then(() => {
+    setTimeout(runScheduledCleanup, 5000); // Wait 5 seconds for server to be ready
+  });
 });
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, starting graceful shutdown...');
   
-  // Clean up all active uploads
-  console.log(`🧹 Cleaning up ${activeUploads.size} active upload sessions...`);
-  for (const [uploadId, uploadInfo] of activeUploads.entries()) {
-    for (const [chunkIndex, chunkInfo] of uploadInfo.chunks.entries()) {
-      try {
-        if (fs.existsSync(chunkInfo.path)) {
-          fs.unlinkSync(chunkInfo.path);
-          console.log(`🗑️ Removed chunk ${chunkIndex} for session ${uploadId}`);
-        }
-      } catch (error) {
-        console.error(`Error cleaning up chunk ${chunkInfo.path}:`, error);
-      }
-    }
-  }
-  
-  server.close(() => {
+  // Keep chunks of in-flight sessions on disk so they can resume after restart
+  server.close(async () => {
+    await sessionStore.close();
+    await quotas.close();
+    await registry.close();
+    await webhooks.close();
     console.log('✅ Server gracefully shut down');
     process.exit(0);
   });
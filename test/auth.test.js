@@ -0,0 +1,119 @@
+// test/auth.test.js - API keys, JWTs, role checks and per-user authorization
+require('./helpers/env');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../modules/auth');
+const { startServer, KEYS } = require('./helpers/server');
+
+const JWT_SECRET = 'a-jwt-secret-of-at-least-32-characters!';
+
+// Just enough of an Express request for the authenticators
+function fakeRequest(headers = {}, session) {
+  const lowercased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lowercased[name.toLowerCase()], session };
+}
+
+describe('authenticators', () => {
+  const authenticator = auth.createAuthenticator({
+    apiKeys: [{ key: KEYS.alice, userId: 'alice', role: 'uploader' }, { key: KEYS.admin, userId: 'ops', role: 'admin' }],
+    jwt: { secret: JWT_SECRET, issuer: 'base44' }
+  });
+
+  test('API keys identify their user, from X-API-Key or the Authorization header', async () => {
+    const byHeader = await authenticator.authenticate(fakeRequest({ 'X-API-Key': KEYS.alice }));
+    assert.equal(byHeader.userId, 'alice');
+    assert.equal(byHeader.role, 'uploader');
+    assert.match(byHeader.keyId, /^[a-f0-9]{16}$/);
+    assert.equal((await authenticator.authenticate(fakeRequest({ Authorization: `ApiKey ${KEYS.admin}` }))).role, 'admin');
+    await assert.rejects(authenticator.authenticate(fakeRequest({ 'X-API-Key': 'wrongkey0123456789' })), auth.AuthError);
+  });
+
+  test('JWTs are checked for signature, expiry and issuer', async () => {
+    const token = auth.signToken({ sub: 'carol', role: 'admin' }, JWT_SECRET, { issuer: 'base44' });
+    const identity = await authenticator.authenticate(fakeRequest({ Authorization: `Bearer ${token}` }));
+    assert.deepEqual(identity, { userId: 'carol', role: 'admin', method: 'jwt' });
+
+    const forged = auth.signToken({ sub: 'carol', role: 'admin' }, 'some-other-secret-of-32-characters!!', { issuer: 'base44' });
+    await assert.rejects(authenticator.authenticate(fakeRequest({ Authorization: `Bearer ${forged}` })), /Invalid token signature/);
+    const expired = auth.signToken({ sub: 'carol' }, JWT_SECRET, { issuer: 'base44', expiresIn: -120 });
+    await assert.rejects(authenticator.authenticate(fakeRequest({ Authorization: `Bearer ${expired}` })), /expired/);
+    const foreign = auth.signToken({ sub: 'carol' }, JWT_SECRET, { issuer: 'elsewhere' });
+    await assert.rejects(authenticator.authenticate(fakeRequest({ Authorization: `Bearer ${foreign}` })), /issuer/);
+  });
+
+  test('tokens for user IDs that are not path-safe are refused', async () => {
+    const token = auth.signToken({ sub: '../alice' }, JWT_SECRET, { issuer: 'base44' });
+    await assert.rejects(authenticator.authenticate(fakeRequest({ Authorization: `Bearer ${token}` })), /invalid user ID/);
+  });
+
+  test('a host application\'s session user is accepted, and no credentials means no identity', async () => {
+    const identity = await authenticator.authenticate(fakeRequest({}, { user: { id: 'michal123' } }));
+    assert.deepEqual(identity, { userId: 'michal123', role: 'uploader', method: 'session' });
+    assert.equal(await authenticator.authenticate(fakeRequest()), null);
+  });
+});
+
+describe('authorization', () => {
+  const uploader = { userId: 'alice', role: 'uploader' };
+  const admin = { userId: 'ops', role: 'admin' };
+
+  test('uploaders act only for themselves, admins for anyone', () => {
+    assert.equal(auth.resolveUserId(uploader), 'alice');
+    assert.equal(auth.resolveUserId(uploader, 'alice'), 'alice');
+    assert.throws(() => auth.resolveUserId(uploader, 'bob'), auth.AuthError);
+    assert.equal(auth.resolveUserId(admin, 'bob'), 'bob');
+    assert.throws(() => auth.resolveUserId(admin, 'bob/../carol'), /Invalid user ID/);
+  });
+
+  test('roles and resource ownership', () => {
+    assert.equal(auth.hasRole(admin, 'uploader'), true);
+    assert.equal(auth.hasRole(uploader, 'admin'), false);
+    assert.equal(auth.canAccessUser(uploader, 'alice'), true);
+    assert.equal(auth.canAccessUser(uploader, 'bob'), false);
+    assert.equal(auth.canAccessUser(admin, 'bob'), true);
+  });
+});
+
+describe('protected routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ JWT_SECRET });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('uploads need credentials, and invalid ones are told apart from missing ones', async () => {
+    const missing = await server.request('/upload/init', { json: { fileName: 'a.txt', fileSize: 1, totalChunks: 1 } });
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).code, 'AUTH_REQUIRED');
+    const invalid = await server.request('/upload/init', { headers: { 'X-API-Key': 'wrongkey0123456789' }, json: { fileName: 'a.txt', fileSize: 1, totalChunks: 1 } });
+    assert.equal(invalid.status, 401);
+    assert.equal((await invalid.json()).code, 'AUTH_INVALID');
+  });
+
+  test('admin routes need the admin role', async () => {
+    assert.equal((await server.request('/admin/uploads', { as: 'alice' })).status, 403);
+    assert.equal((await server.request('/admin/uploads', { as: 'admin' })).status, 200);
+  });
+
+  test('a JWT works like an API key', async () => {
+    const token = auth.signToken({ sub: 'carol' }, JWT_SECRET);
+    const response = await server.request('/upload/init', { headers: { Authorization: `Bearer ${token}` }, json: { fileName: 'a.txt', fileSize: 1, totalChunks: 1 } });
+    assert.equal(response.status, 200);
+    const { uploadId } = await response.json();
+    assert.equal((await server.request(`/upload/${uploadId}/status`, { headers: { Authorization: `Bearer ${token}` } })).status, 200);
+    assert.equal((await server.request(`/upload/${uploadId}/status`, { as: 'alice' })).status, 404);
+  });
+
+  test('uploaders cannot upload for someone else, admins can', async () => {
+    const refused = await server.request('/upload/init', { as: 'alice', json: { fileName: 'a.txt', fileSize: 1, totalChunks: 1, userId: 'bob' } });
+    assert.equal(refused.status, 403);
+    const allowed = await server.request('/upload/init', { as: 'admin', json: { fileName: 'a.txt', fileSize: 1, totalChunks: 1, userId: 'bob' } });
+    assert.equal(allowed.status, 200);
+    const { uploadId } = await allowed.json();
+    assert.equal((await server.request(`/upload/${uploadId}/status`, { as: 'bob' })).status, 200);
+  });
+});
@@ -0,0 +1,119 @@
+// test/b2Upload.test.js - Bounded, retrying and abort-safe transfers in modules/b2Upload.js
+const { testDir } = require('./helpers/env');
+const { test, describe, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createB2Transfer, createLimiter, withRetry } = require('../modules/b2Upload');
+const { LocalStorageDriver } = require('../modules/storage');
+
+const MB = 1024 * 1024;
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('createLimiter', () => {
+  test('never runs more than the limit at once and runs every task', async () => {
+    const runLimited = createLimiter(2);
+    let running = 0;
+    let mostRunning = 0;
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => runLimited(async () => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return n * 10;
+    })));
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+    assert.equal(mostRunning, 2);
+  });
+
+  test('passes a failing task\'s error to its caller only', async () => {
+    const runLimited = createLimiter(1);
+    const failed = runLimited(async () => { throw new Error('boom'); });
+    const succeeded = runLimited(async () => 'ok');
+    await assert.rejects(failed, /boom/);
+    assert.equal(await succeeded, 'ok');
+  });
+});
+
+describe('withRetry', () => {
+  const httpError = status => Object.assign(new Error(`HTTP ${status}`), { $metadata: { httpStatusCode: status } });
+
+  test('retries network and server errors until the operation succeeds', async () => {
+    const errors = [new Error('socket hang up'), httpError(503)];
+    let attempts = 0;
+    const result = await withRetry(async () => {
+      attempts++;
+      if (errors.length > 0) {
+        throw errors.shift();
+      }
+      return 'stored';
+    }, { retries: 3, retryDelay: 1 });
+    assert.equal(result, 'stored');
+    assert.equal(attempts, 3);
+  });
+
+  test('does not retry client errors', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw httpError(403);
+    }, { retries: 3, retryDelay: 1 }), /HTTP 403/);
+    assert.equal(attempts, 1);
+  });
+
+  test('gives up after the last retry', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw httpError(500);
+    }, { retries: 2, retryDelay: 1 }), /HTTP 500/);
+    assert.equal(attempts, 3);
+  });
+});
+
+describe('uploadFileToB2', () => {
+  const sourcePath = path.join(testDir, 'source.bin');
+  const multipartDir = path.join(process.env.LOCAL_STORAGE_DIR, '.multipart');
+  fs.writeFileSync(sourcePath, Buffer.alloc(12 * MB, 7));
+  const storage = new LocalStorageDriver({ rootDir: process.env.LOCAL_STORAGE_DIR });
+  const transfer = createB2Transfer({ storage });
+
+  test('sends a large file in parts and reports progress up to its size', async () => {
+    const progress = [];
+    const result = await transfer.uploadFileToB2(sourcePath, 'bucket', 'alice/large.bin', 'application/octet-stream', {
+      partSize: 5 * MB,
+      concurrency: 2,
+      onProgress: (uploadedBytes, totalBytes) => progress.push([uploadedBytes, totalBytes])
+    });
+    assert.ok(result.etag);
+    assert.equal(progress.length, 3);
+    assert.deepEqual(progress[progress.length - 1], [12 * MB, 12 * MB]);
+
+    const head = await storage.headObject('alice/large.bin');
+    assert.equal(head.size, 12 * MB);
+  });
+
+  test('aborts the multipart upload when a part keeps failing', async () => {
+    const uploadPart = LocalStorageDriver.prototype.uploadPart;
+    mock.method(LocalStorageDriver.prototype, 'uploadPart', async function (key, uploadId, partNumber, body) {
+      if (partNumber === 2) {
+        throw Object.assign(new Error('part refused'), { $metadata: { httpStatusCode: 400 } });
+      }
+      return uploadPart.call(this, key, uploadId, partNumber, body);
+    });
+    const abort = mock.method(LocalStorageDriver.prototype, 'abortMultipartUpload');
+
+    await assert.rejects(transfer.uploadFileToB2(sourcePath, 'bucket', 'alice/broken.bin', 'application/octet-stream', {
+      partSize: 5 * MB,
+      concurrency: 1,
+      retryDelay: 1
+    }), /part refused/);
+    assert.equal(abort.mock.callCount(), 1);
+    assert.equal(await storage.headObject('alice/broken.bin'), null);
+    // No parts left behind
+    assert.deepEqual(fs.readdirSync(multipartDir).filter(name => !name.endsWith('.tmp')), []);
+  });
+});
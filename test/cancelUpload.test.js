@@ -0,0 +1,82 @@
+// test/cancelUpload.test.js - Cancelling upload sessions and the admin view of unfinished uploads
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, sendChunk } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer({ QUOTA_UPLOADER_STORAGE: '30' });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function init(as, fields = {}) {
+  const response = await server.request('/upload/init', { as, json: { fileName: 'cancel.txt', fileSize: 20, chunkSize: 10, totalChunks: 2, ...fields } });
+  return (await response.json()).uploadId;
+}
+
+function chunkFiles() {
+  const chunksDir = path.join(server.dir, 'uploads', 'chunks');
+  return fs.existsSync(chunksDir) ? fs.readdirSync(chunksDir) : [];
+}
+
+test('admins see every unfinished upload with its progress', async () => {
+  const uploadId = await init('alice');
+  await sendChunk(server, 'alice', uploadId, 0, Buffer.alloc(10, 'a'));
+
+  assert.equal((await server.request('/admin/uploads', { as: 'alice' })).status, 403);
+  const listing = await (await server.request('/admin/uploads', { as: 'admin' })).json();
+  const upload = listing.uploads.find(entry => entry.uploadId === uploadId);
+  assert.equal(upload.userId, 'alice');
+  assert.equal(upload.receivedChunks, 1);
+  assert.equal(upload.percent, 50);
+
+  await server.request(`/upload/${uploadId}`, { as: 'alice', method: 'DELETE' });
+});
+
+test('cancelling removes the chunks, and later requests are told the upload was cancelled', async () => {
+  const uploadId = await init('alice');
+  assert.equal((await sendChunk(server, 'alice', uploadId, 0, Buffer.alloc(10, 'a'))).status, 200);
+  assert.equal(chunkFiles().filter(file => file.startsWith(uploadId)).length, 1);
+
+  assert.equal((await server.request(`/upload/${uploadId}`, { as: 'bob', method: 'DELETE' })).status, 404);
+  const cancel = await server.request(`/upload/${uploadId}`, { as: 'alice', method: 'DELETE' });
+  assert.equal(cancel.status, 200);
+  assert.equal((await cancel.json()).removedChunks, 1);
+  assert.deepEqual(chunkFiles().filter(file => file.startsWith(uploadId)), []);
+
+  const late = await sendChunk(server, 'alice', uploadId, 1, Buffer.alloc(10, 'b'));
+  assert.equal(late.status, 410);
+  assert.equal((await late.json()).code, 'UPLOAD_CANCELLED');
+  const complete = await server.request('/upload/complete', { as: 'alice', json: { uploadId } });
+  assert.equal(complete.status, 410);
+  assert.equal((await server.request(`/upload/${uploadId}`, { as: 'alice', method: 'DELETE' })).status, 410);
+});
+
+test('a cancelled upload no longer counts against the quota', async () => {
+  const first = await init('alice');
+  assert.ok(first);
+  const refused = await server.request('/upload/init', { as: 'alice', json: { fileName: 'more.txt', fileSize: 20, totalChunks: 1 } });
+  assert.equal(refused.status, 413);
+
+  await server.request(`/upload/${first}`, { as: 'alice', method: 'DELETE' });
+  assert.ok(await init('alice'));
+});
+
+test('admins cancel anyone\'s upload, streamed ones included', async () => {
+  const uploadId = await init('bob', { uploadMode: 'stream' });
+  assert.equal((await sendChunk(server, 'bob', uploadId, 0, Buffer.alloc(10, 'a'))).status, 200);
+  // The local storage driver keeps the parts of each multipart upload in its own directory
+  const multipartDir = path.join(server.dir, 'storage', '.multipart');
+  assert.equal(fs.readdirSync(multipartDir).length, 1);
+
+  const cancel = await server.request(`/upload/${uploadId}`, { as: 'admin', method: 'DELETE' });
+  assert.equal(cancel.status, 200);
+  assert.deepEqual(fs.readdirSync(multipartDir), []);
+  assert.equal((await sendChunk(server, 'bob', uploadId, 1, Buffer.alloc(10, 'b'))).status, 410);
+});
@@ -0,0 +1,165 @@
+// test/chunkIntegrity.test.js - Chunk checksums and completeness checks, alone and through the upload API
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chunkIntegrity = require('../modules/chunkIntegrity');
+const { startServer, sendChunk } = require('./helpers/server');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('chunkIntegrity', () => {
+  test('normalizeSha256 lowercases digests and refuses anything else', () => {
+    const digest = sha256('x');
+    assert.equal(chunkIntegrity.normalizeSha256(digest.toUpperCase()), digest);
+    assert.equal(chunkIntegrity.normalizeSha256(''), null);
+    assert.equal(chunkIntegrity.normalizeSha256(undefined), null);
+    assert.throws(() => chunkIntegrity.normalizeSha256('abc123'), /64-character hex/);
+  });
+
+  test('hashFile digests a file on disk', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hash-')), 'data');
+    fs.writeFileSync(filePath, 'some bytes');
+    try {
+      assert.equal(await chunkIntegrity.hashFile(filePath), sha256('some bytes'));
+    } finally {
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+  });
+
+  test('checkChunkLayout holds chunks to the declared layout', () => {
+    const uploadInfo = { fileSize: 12, chunkSize: 5, totalChunks: 3 };
+    assert.equal(chunkIntegrity.checkChunkLayout(uploadInfo, 0, 5), null);
+    assert.equal(chunkIntegrity.checkChunkLayout(uploadInfo, 2, 2), null);
+    assert.match(chunkIntegrity.checkChunkLayout(uploadInfo, 2, 5), /expected 2/);
+    assert.match(chunkIntegrity.checkChunkLayout(uploadInfo, 3, 5), /out of range/);
+    // Without a declared layout any size goes, but every chunk holds at least one byte
+    assert.equal(chunkIntegrity.checkChunkLayout({ fileSize: 12 }, 7, 1), null);
+    assert.match(chunkIntegrity.checkChunkLayout({ fileSize: 12 }, 12, 1), /out of range \(at most: 12\)/);
+    assert.match(chunkIntegrity.checkChunkLayout({ fileSize: 12, chunkSize: 5 }, 3, 2), /out of range/);
+  });
+
+  test('findIncompleteChunks reports missing and mis-sized chunks', () => {
+    const chunks = new Map([
+      [0, { path: __filename, size: 5 }],
+      [2, { path: __filename, size: 3 }]
+    ]);
+    const result = chunkIntegrity.findIncompleteChunks({ fileSize: 12, chunkSize: 5, totalChunks: 3, chunks });
+    assert.equal(result.expectedChunks, 3);
+    assert.deepEqual(result.missingChunks, [1]);
+    assert.deepEqual(result.mismatchedChunks, [{ chunkIndex: 2, reason: 'size', expected: 2, actual: 3 }]);
+    assert.equal(result.receivedBytes, 8);
+  });
+
+  test('findIncompleteChunks walks only the received chunks and lists a bounded number of missing ones', () => {
+    const chunks = new Map([[20000000, { path: __filename, size: 1 }]]);
+    const result = chunkIntegrity.findIncompleteChunks({ fileSize: 30000000, chunks });
+    assert.equal(result.expectedChunks, 20000001);
+    assert.equal(result.missingCount, 20000000);
+    assert.equal(result.missingChunks.length, chunkIntegrity.MAX_LISTED_CHUNKS);
+    assert.deepEqual(result.missingChunks.slice(0, 3), [0, 1, 2]);
+    assert.equal(result.receivedBytes, 1);
+  });
+
+  test('toRanges collapses runs of indexes', () => {
+    assert.deepEqual(chunkIntegrity.toRanges([0, 1, 2, 5, 7, 8]), [[0, 2], [5, 5], [7, 8]]);
+    assert.deepEqual(chunkIntegrity.toRanges([]), []);
+  });
+
+  test('findIncompleteChunks counts a chunk whose file is gone as missing, unless it was forwarded', () => {
+    const chunks = new Map([[0, { path: '/nonexistent/chunk_0', size: 4 }]]);
+    const uploadInfo = { fileSize: 4, chunks };
+    assert.deepEqual(chunkIntegrity.findIncompleteChunks(uploadInfo).missingChunks, [0]);
+    assert.deepEqual(chunkIntegrity.findIncompleteChunks(uploadInfo, { requireFiles: false }).missingChunks, []);
+  });
+});
+
+describe('chunked uploads', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function init(fields) {
+    const response = await server.request('/upload/init', { as: 'alice', json: { fileName: 'data.txt', ...fields } });
+    assert.equal(response.status, 200);
+    return (await response.json()).uploadId;
+  }
+
+  test('a chunk that does not match X-Chunk-SHA256 is refused', async () => {
+    const uploadId = await init({ fileSize: 5, totalChunks: 1 });
+    const refused = await sendChunk(server, 'alice', uploadId, 0, Buffer.from('hello'), { 'X-Chunk-SHA256': sha256('jello') });
+    assert.equal(refused.status, 409);
+    const body = await refused.json();
+    assert.equal(body.code, 'CHUNK_CHECKSUM_MISMATCH');
+    assert.equal(body.actualSha256, sha256('hello'));
+
+    const accepted = await sendChunk(server, 'alice', uploadId, 0, Buffer.from('hello'), { 'X-Chunk-SHA256': sha256('hello') });
+    assert.equal(accepted.status, 200);
+    assert.equal((await accepted.json()).sha256, sha256('hello'));
+  });
+
+  test('a chunk that does not fit the declared layout is refused', async () => {
+    const uploadId = await init({ fileSize: 10, chunkSize: 5, totalChunks: 2 });
+    const response = await sendChunk(server, 'alice', uploadId, 0, Buffer.from('abc'));
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).code, 'CHUNK_LAYOUT_MISMATCH');
+  });
+
+  test('a chunk index past the end of the file is refused', async () => {
+    const uploadId = await init({ fileSize: 10 });
+    const response = await sendChunk(server, 'alice', uploadId, 20000000, Buffer.from('a'));
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).code, 'CHUNK_LAYOUT_MISMATCH');
+    assert.equal((await sendChunk(server, 'alice', uploadId, 9, Buffer.from('a'))).status, 200);
+
+    const complete = await server.request('/upload/complete', { as: 'alice', json: { uploadId } });
+    assert.equal(complete.status, 409);
+    const body = await complete.json();
+    assert.equal(body.missingCount, 9);
+    assert.deepEqual(body.missingChunks, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test('completing with a chunk missing names the missing chunk', async () => {
+    const uploadId = await init({ fileSize: 10, chunkSize: 5, totalChunks: 2 });
+    await sendChunk(server, 'alice', uploadId, 1, Buffer.from('world'));
+    const response = await server.request('/upload/complete', { as: 'alice', json: { uploadId } });
+    assert.equal(response.status, 409);
+    const body = await response.json();
+    assert.equal(body.code, 'UPLOAD_INCOMPLETE');
+    assert.deepEqual(body.missingChunks, [0]);
+  });
+
+  test('completing checks the whole file against fileSha256', async () => {
+    const uploadId = await init({ fileSize: 5, totalChunks: 1 });
+    await sendChunk(server, 'alice', uploadId, 0, Buffer.from('hello'));
+    const response = await server.request('/upload/complete', { as: 'alice', json: { uploadId, fileSha256: sha256('other') } });
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).code, 'FILE_CHECKSUM_MISMATCH');
+
+    const retried = await server.request('/upload/complete', { as: 'alice', json: { uploadId, fileSha256: sha256('hello') } });
+    assert.equal(retried.status, 200);
+  });
+
+  test('a chunk that changed on disk after it was received must be sent again', async () => {
+    const uploadId = await init({ fileSize: 5, totalChunks: 1 });
+    await sendChunk(server, 'alice', uploadId, 0, Buffer.from('hello'));
+    fs.writeFileSync(path.join(server.dir, 'uploads', 'chunks', `${uploadId}_0`), 'HELLO');
+
+    const response = await server.request('/upload/complete', { as: 'alice', json: { uploadId } });
+    assert.equal(response.status, 409);
+    const body = await response.json();
+    assert.equal(body.code, 'CHUNK_CHECKSUM_MISMATCH');
+    assert.deepEqual(body.missingChunks, [0]);
+
+    const status = await (await server.request(`/upload/${uploadId}/status`, { as: 'alice' })).json();
+    assert.deepEqual(status.missingChunks, [0]);
+  });
+});
@@ -0,0 +1,63 @@
+// test/config.test.js - Configuration loaded from the environment: defaults, parsing and refused combinations
+require('./helpers/env');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../modules/config');
+
+const LOCAL = { STORAGE_DRIVER: 'local', API_KEYS: 'alicekey0123456789:alice' };
+
+function problemsOf(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+test('fills in defaults and freezes the result', () => {
+  const config = loadConfig(LOCAL);
+  assert.equal(config.server.port, 3000);
+  assert.equal(config.storage.driver, 'local');
+  assert.equal(config.uploads.chunkedUploadMode, 'assemble');
+  assert.equal(config.uploads.maxChunkSize, 30 * 1024 * 1024);
+  assert.deepEqual(config.auth.apiKeys, [{ key: 'alicekey0123456789', userId: 'alice', role: 'uploader' }]);
+  assert.ok(Object.isFrozen(config.uploads));
+});
+
+test('reads sizes with unit suffixes and lists', () => {
+  const config = loadConfig({ ...LOCAL, STAGING_MIN_FREE: '1.5GB', FILE_BLOCKED_EXTENSIONS: 'exe, DLL', CORS_ORIGINS: 'https://a.example,https://b.example' });
+  assert.equal(config.uploads.minFreeSpace, 1.5 * 1024 * 1024 * 1024);
+  assert.deepEqual(config.filePolicy.blockedExtensions, ['.exe', '.dll']);
+  assert.deepEqual(config.cors.origins, ['https://a.example', 'https://b.example']);
+});
+
+test('reports every problem at once', () => {
+  const problems = problemsOf({
+    ...LOCAL,
+    PORT: 'eighty',
+    CHUNKED_UPLOAD_MODE: 'teleport',
+    JWT_SECRET: 'too-short',
+    STAGING_MIN_FREE: 'lots'
+  });
+  assert.equal(problems.length, 4);
+  assert.ok(problems.some(problem => problem.startsWith('PORT must be an integer')));
+  assert.ok(problems.some(problem => problem.startsWith('CHUNKED_UPLOAD_MODE must be one of')));
+  assert.ok(problems.some(problem => problem.startsWith('JWT_SECRET must be at least 32 characters')));
+  assert.ok(problems.some(problem => problem.startsWith('STAGING_MIN_FREE has an invalid size')));
+});
+
+test('requires bucket credentials in production only', () => {
+  const production = { NODE_ENV: 'production', STORAGE_DRIVER: 's3', API_KEYS: LOCAL.API_KEYS };
+  assert.ok(problemsOf(production).includes('B2_ACCESS_KEY and B2_SECRET_KEY are required in production'));
+  assert.equal(loadConfig({ ...production, AWS_ACCESS_KEY_ID: 'id', AWS_SECRET_ACCESS_KEY: 'secret' }).storage.s3.credentials.accessKeyId, 'id');
+  assert.equal(loadConfig({ ...production, NODE_ENV: 'development' }).storage.s3.credentials, undefined);
+});
+
+test('refuses malformed API keys without echoing them', () => {
+  const problems = problemsOf({ STORAGE_DRIVER: 'local', API_KEYS: 'shortkey:alice,secretkey0123456789:bob:root' });
+  assert.ok(problems.includes('API_KEYS key for "alice" must be at least 16 characters'));
+  assert.ok(problems.some(problem => problem.includes('"secr…"')));
+  assert.ok(problems.every(problem => !problem.includes('secretkey0123456789')));
+});
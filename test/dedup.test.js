@@ -0,0 +1,112 @@
+// test/dedup.test.js - Uploads of content already stored are answered with the stored file
+require('./helpers/env');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadConfig, ConfigError } = require('../modules/config');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+const CONTENT = 'the same bytes every time';
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+test('streamed uploads can not be combined with deduplication', () => {
+  const env = { STORAGE_DRIVER: 'local', API_KEYS: 'alicekey0123456789:alice', DEDUP_SCOPE: 'user' };
+  assert.equal(loadConfig(env).dedup.scope, 'user');
+  assert.throws(() => loadConfig({ ...env, CHUNKED_UPLOAD_MODE: 'stream' }),
+    error => error instanceof ConfigError && error.problems.some(problem => /DEDUP_SCOPE/.test(problem)));
+  assert.throws(() => loadConfig({ ...env, DEDUP_SCOPE: 'everyone' }), ConfigError);
+});
+
+describe('user scope', () => {
+  let server;
+  let original;
+
+  before(async () => {
+    server = await startServer({ DEDUP_SCOPE: 'user' });
+    original = await uploadChunked(server, 'alice', 'first.txt', CONTENT);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('a second upload of the same content points at the stored file', async () => {
+    assert.equal(original.status, 200);
+    assert.equal(original.body.deduplicated, false);
+    assert.equal(original.body.sha256, SHA256);
+
+    const again = await uploadChunked(server, 'alice', 'second.txt', CONTENT);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.deduplicated, true);
+    assert.equal(again.body.b2Key, original.body.b2Key);
+    assert.equal(again.body.originalFileName, 'second.txt');
+    assert.equal((await (await server.request('/api/files/alice', { as: 'alice' })).json()).count, 1);
+  });
+
+  test('a known hash at init skips sending the chunks', async () => {
+    const init = await server.request('/upload/init', {
+      as: 'alice',
+      json: { fileName: 'third.txt', fileSize: CONTENT.length, totalChunks: 1, fileSha256: SHA256 }
+    });
+    const body = await init.json();
+    assert.equal(init.status, 200);
+    assert.equal(body.deduplicated, true);
+    assert.equal(body.uploadId, undefined);
+    assert.equal(body.b2Key, original.body.b2Key);
+  });
+
+  test('other users\' files and private files are not matched', async () => {
+    const bob = await uploadChunked(server, 'bob', 'bob.txt', CONTENT);
+    assert.equal(bob.body.deduplicated, false);
+    assert.match(bob.body.b2Key, /^bob\//);
+
+    const hidden = await uploadChunked(server, 'alice', 'hidden.txt', CONTENT, { private: true });
+    assert.equal(hidden.status, 200);
+    assert.equal(hidden.body.deduplicated, false);
+  });
+
+  test('streamed uploads are refused', async () => {
+    const init = await server.request('/upload/init', {
+      as: 'alice',
+      json: { fileName: 'stream.txt', fileSize: CONTENT.length, totalChunks: 1, uploadMode: 'stream' }
+    });
+    assert.equal(init.status, 400);
+    assert.equal((await init.json()).code, 'UPLOAD_MODE_NOT_ALLOWED');
+  });
+
+  test('once the stored file is deleted, the content is stored again', async () => {
+    const name = original.body.b2Key.slice('alice/'.length);
+    assert.equal((await server.request(`/api/files/alice/${name}`, { as: 'alice', method: 'DELETE' })).status, 200);
+    const after = await uploadChunked(server, 'alice', 'fourth.txt', CONTENT);
+    assert.equal(after.body.deduplicated, false);
+    assert.notEqual(after.body.b2Key, original.body.b2Key);
+  });
+});
+
+describe('global scope', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ DEDUP_SCOPE: 'global' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('content the server hashed itself matches anyone\'s file, a claimed hash only the user\'s own', async () => {
+    const alice = await uploadChunked(server, 'alice', 'shared.txt', CONTENT);
+    assert.equal(alice.body.deduplicated, false);
+
+    // Knowing a hash is no proof of having the file
+    const claimed = await server.request('/upload/init', {
+      as: 'bob',
+      json: { fileName: 'claimed.txt', fileSize: CONTENT.length, totalChunks: 1, fileSha256: SHA256 }
+    });
+    assert.equal((await claimed.json()).deduplicated, undefined);
+
+    const bob = await uploadChunked(server, 'bob', 'copy.txt', CONTENT);
+    assert.equal(bob.body.deduplicated, true);
+    assert.equal(bob.body.b2Key, alice.body.b2Key);
+  });
+});
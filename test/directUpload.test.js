@@ -0,0 +1,100 @@
+// test/directUpload.test.js - Direct-to-bucket uploads through pre-signed URLs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const MB = 1024 * 1024;
+
+let server;
+
+before(async () => {
+  // Anything above 1MB goes multipart, so a 6MB file needs two 5MB parts
+  server = await startServer({ DIRECT_PUT_MAX_SIZE: String(MB) });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function initDirect(fileName, fileSize, fields = {}) {
+  const response = await server.request('/upload/direct/init', { as: 'alice', json: { fileName, fileSize, ...fields } });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a small file is PUT to its URL and verified on completion', async () => {
+  const data = Buffer.from('direct upload contents');
+  const init = await initDirect('direct.txt', data.length);
+  assert.equal(init.status, 200);
+  assert.ok(init.body.uploadUrl);
+  assert.equal(init.body.partUrls, null);
+
+  const put = await fetch(init.body.uploadUrl, { method: 'PUT', headers: { 'Content-Type': init.body.contentType }, body: data });
+  assert.equal(put.status, 200);
+
+  const complete = await server.request('/upload/direct/complete', { as: 'alice', json: { uploadId: init.body.uploadId } });
+  const body = await complete.json();
+  assert.equal(complete.status, 200);
+  assert.equal(body.b2Key, init.body.b2Key);
+  assert.equal(body.fileSize, data.length);
+  assert.equal(body.originalFileName, 'direct.txt');
+  assert.deepEqual(Buffer.from(await (await fetch(body.cdnUrl)).arrayBuffer()), data);
+});
+
+test('completing before the object is in the bucket answers 409 and keeps the session', async () => {
+  const init = await initDirect('later.txt', 5);
+  const early = await server.request('/upload/direct/complete', { as: 'alice', json: { uploadId: init.body.uploadId } });
+  assert.equal(early.status, 409);
+  assert.equal((await early.json()).code, 'DIRECT_UPLOAD_NOT_FOUND');
+
+  await fetch(init.body.uploadUrl, { method: 'PUT', headers: { 'Content-Type': init.body.contentType }, body: 'hello' });
+  assert.equal((await server.request('/upload/direct/complete', { as: 'alice', json: { uploadId: init.body.uploadId } })).status, 200);
+});
+
+test('an object of another size than declared is deleted', async () => {
+  const init = await initDirect('short.txt', 10);
+  await fetch(init.body.uploadUrl, { method: 'PUT', headers: { 'Content-Type': init.body.contentType }, body: 'abc' });
+  const complete = await server.request('/upload/direct/complete', { as: 'alice', json: { uploadId: init.body.uploadId } });
+  const body = await complete.json();
+  assert.equal(complete.status, 409);
+  assert.equal(body.code, 'DIRECT_UPLOAD_SIZE_MISMATCH');
+  assert.equal(body.receivedSize, 3);
+  assert.equal((await fetch(init.body.uploadUrl.split('?')[0])).status, 404);
+});
+
+test('large files are sent in parts whose ETags complete the upload', async () => {
+  const data = Buffer.alloc(6 * MB, 'x');
+  const init = await initDirect('large.bin', data.length);
+  assert.equal(init.status, 200);
+  assert.equal(init.body.uploadUrl, null);
+  assert.deepEqual(init.body.partUrls.map(part => part.size), [5 * MB, MB]);
+
+  const parts = [];
+  for (const part of init.body.partUrls) {
+    const offset = (part.partNumber - 1) * init.body.partSize;
+    const put = await fetch(part.url, { method: 'PUT', body: data.subarray(offset, offset + part.size) });
+    assert.equal(put.status, 200);
+    parts.push({ partNumber: part.partNumber, etag: put.headers.get('ETag') });
+  }
+
+  const missing = await server.request('/upload/direct/complete', { as: 'alice', json: { uploadId: init.body.uploadId, parts: parts.slice(0, 1) } });
+  assert.equal(missing.status, 400);
+  assert.deepEqual((await missing.json()).missingParts, [2]);
+
+  const complete = await server.request('/upload/direct/complete', { as: 'alice', json: { uploadId: init.body.uploadId, parts } });
+  assert.equal(complete.status, 200);
+  assert.equal((await complete.json()).fileSize, data.length);
+});
+
+test('direct sessions belong to their uploader and are not fed through /upload/chunk', async () => {
+  const init = await initDirect('mine.txt', 4);
+  assert.equal((await server.request('/upload/direct/complete', { as: 'bob', json: { uploadId: init.body.uploadId } })).status, 404);
+  const complete = await server.request('/upload/complete', { as: 'alice', json: { uploadId: init.body.uploadId } });
+  assert.equal(complete.status, 409);
+  assert.equal((await complete.json()).code, 'DIRECT_UPLOAD_SESSION');
+});
+
+test('private direct uploads are refused', async () => {
+  const init = await initDirect('secret.txt', 4, { private: true });
+  assert.equal(init.status, 400);
+  assert.equal(init.body.code, 'UPLOAD_MODE_NOT_ALLOWED');
+});
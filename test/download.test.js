@@ -0,0 +1,195 @@
+// test/download.test.js - Authenticated downloads with range and conditional requests
+const { testDir } = require('./helpers/env');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { text } = require('stream/consumers');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { LocalStorageDriver, S3StorageDriver } = require('../modules/storage');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+const CONTENT = '0123456789abcdefghij';
+
+describe('LocalStorageDriver.getObject', () => {
+  let storage;
+  let head;
+
+  before(async () => {
+    storage = new LocalStorageDriver({ rootDir: path.join(testDir, 'objects'), publicBaseUrl: 'http://localhost', signingSecret: 'x' });
+    await storage.putObject('alice/letters.txt', Buffer.from(CONTENT), { contentType: 'text/plain' });
+    head = await storage.headObject('alice/letters.txt');
+  });
+
+  const read = async (options = {}) => {
+    const object = await storage.getObject('alice/letters.txt', options);
+    return { ...object, text: object.body ? await text(object.body) : null };
+  };
+
+  test('sends the whole object without a range', async () => {
+    const object = await read();
+    assert.equal(object.status, 200);
+    assert.equal(object.text, CONTENT);
+    assert.equal(object.contentLength, 20);
+    assert.equal(object.contentRange, null);
+    assert.equal(await storage.getObject('alice/missing.txt'), null);
+  });
+
+  test('sends one byte range: bounded, open-ended or a suffix', async () => {
+    assert.deepEqual((({ status, text, contentRange }) => ({ status, text, contentRange }))(await read({ range: 'bytes=2-5' })),
+      { status: 206, text: '2345', contentRange: 'bytes 2-5/20' });
+    assert.equal((await read({ range: 'bytes=15-' })).text, 'fghij');
+    assert.equal((await read({ range: 'bytes=-3' })).contentRange, 'bytes 17-19/20');
+    assert.equal((await read({ range: 'bytes=18-100' })).contentRange, 'bytes 18-19/20');
+    assert.equal((await read({ range: 'bytes=-100' })).text, CONTENT);
+  });
+
+  test('answers 416 for ranges past the end, and ignores ranges it does not understand', async () => {
+    assert.equal((await read({ range: 'bytes=20-' })).status, 416);
+    assert.equal((await read({ range: 'bytes=-0' })).status, 416);
+    for (const range of ['bytes=5-2', 'bytes=0-1,4-5', 'items=0-1', 'bytes=-']) {
+      assert.equal((await read({ range })).status, 200, range);
+    }
+  });
+
+  test('answers 304 when the client copy is current; If-None-Match wins over If-Modified-Since', async () => {
+    assert.equal((await read({ ifNoneMatch: head.etag })).status, 304);
+    assert.equal((await read({ ifNoneMatch: `"stale", W/${head.etag}` })).status, 304);
+    assert.equal((await read({ ifNoneMatch: '*' })).status, 304);
+    assert.equal((await read({ ifNoneMatch: '"stale"', ifModifiedSince: new Date() })).status, 200);
+    assert.equal((await read({ ifModifiedSince: new Date(head.lastModified.getTime() + 1000) })).status, 304);
+    assert.equal((await read({ ifModifiedSince: new Date(head.lastModified.getTime() - 1000) })).status, 200);
+    // A condition that holds wins over the range
+    assert.equal((await read({ ifNoneMatch: head.etag, range: 'bytes=0-1' })).status, 304);
+  });
+});
+
+describe('S3StorageDriver.getObject', () => {
+  const lastModified = new Date('2026-01-02T03:04:05Z');
+  let storage;
+  let sent;
+
+  // S3 errors carry the HTTP status the bucket answered with
+  const s3Error = (name, status) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+
+  before(() => {
+    storage = new S3StorageDriver({ region: 'us-east-005', endpoint: 'http://127.0.0.1:1', credentials: { accessKeyId: 'a', secretAccessKey: 'b' }, bucket: 'files' });
+    storage.client.send = async command => {
+      sent.push(command);
+      const { Key, Range, IfNoneMatch } = command.input;
+      if (Key === 'alice/missing.txt') {
+        throw s3Error('NoSuchKey', 404);
+      }
+      if (!(command instanceof GetObjectCommand)) {
+        return { ContentLength: 20, ContentType: 'text/plain', LastModified: lastModified, ETag: '"abc"' };
+      }
+      if (IfNoneMatch === '"abc"') {
+        throw s3Error('NotModified', 304);
+      }
+      if (Range === 'bytes=20-') {
+        throw s3Error('InvalidRange', 416);
+      }
+      return Range
+        ? { Body: 'body', ContentLength: 4, ContentRange: 'bytes 2-5/20', ContentType: 'text/plain', LastModified: lastModified, ETag: '"abc"' }
+        : { Body: 'body', ContentLength: 20, ContentType: 'text/plain', LastModified: lastModified, ETag: '"abc"', Metadata: { userid: 'alice' } };
+    };
+  });
+
+  test('passes the range and conditions on to the bucket', async () => {
+    sent = [];
+    const modified = new Date();
+    await storage.getObject('alice/letters.txt', { range: 'bytes=2-5', ifModifiedSince: modified });
+    assert.deepEqual(sent[0].input, { Bucket: 'files', Key: 'alice/letters.txt', Range: 'bytes=2-5', IfNoneMatch: undefined, IfModifiedSince: modified });
+
+    sent = [];
+    await storage.getObject('alice/letters.txt', { ifNoneMatch: '"old"', ifModifiedSince: modified });
+    assert.equal(sent[0].input.IfModifiedSince, undefined);
+  });
+
+  test('reports whole objects, ranges and missing keys', async () => {
+    const whole = await storage.getObject('alice/letters.txt');
+    assert.deepEqual([whole.status, whole.size, whole.contentRange, whole.metadata.userid], [200, 20, null, 'alice']);
+    const partial = await storage.getObject('alice/letters.txt', { range: 'bytes=2-5' });
+    assert.deepEqual([partial.status, partial.size, partial.contentLength, partial.contentRange], [206, 20, 4, 'bytes 2-5/20']);
+    assert.equal(await storage.getObject('alice/missing.txt'), null);
+  });
+
+  test('fills in 304 and 416 answers from the object head', async () => {
+    const notModified = await storage.getObject('alice/letters.txt', { ifNoneMatch: '"abc"' });
+    assert.deepEqual([notModified.status, notModified.size, notModified.etag, notModified.body], [304, 20, '"abc"', undefined]);
+    const unsatisfiable = await storage.getObject('alice/letters.txt', { range: 'bytes=20-' });
+    assert.deepEqual([unsatisfiable.status, unsatisfiable.size], [416, 20]);
+  });
+});
+
+describe('download endpoint', () => {
+  let server;
+  let etag;
+
+  before(async () => {
+    server = await startServer({ UPLOAD_NAMING: 'original' });
+    assert.equal((await uploadChunked(server, 'alice', 'letters.txt', CONTENT)).status, 200);
+    assert.equal((await uploadChunked(server, 'alice', 'secret.txt', 'private letters', { private: true })).status, 200);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('sends the file named after its original, and never into a shared cache', async () => {
+    const response = await server.request('/files/alice/letters.txt', { as: 'alice' });
+    assert.equal(response.status, 200);
+    etag = response.headers.get('ETag');
+    assert.ok(etag);
+    assert.equal(await response.text(), CONTENT);
+    assert.equal(response.headers.get('Accept-Ranges'), 'bytes');
+    assert.equal(response.headers.get('Cache-Control'), 'private, no-cache');
+    assert.match(response.headers.get('Content-Disposition'), /^inline; filename="letters.txt"/);
+    assert.equal(response.headers.get('X-Content-Type-Options'), 'nosniff');
+
+    const attachment = await server.request('/files/alice/letters.txt?disposition=attachment', { as: 'alice' });
+    assert.match(attachment.headers.get('Content-Disposition'), /^attachment;/);
+    assert.equal((await server.request('/files/alice/letters.txt?disposition=download', { as: 'alice' })).status, 400);
+  });
+
+  test('sends a single range with 206, and 416 past the end', async () => {
+    const partial = await server.request('/files/alice/letters.txt', { as: 'alice', headers: { Range: 'bytes=10-14' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('Content-Range'), 'bytes 10-14/20');
+    assert.equal(partial.headers.get('Content-Length'), '5');
+    assert.equal(await partial.text(), 'abcde');
+
+    const unsatisfiable = await server.request('/files/alice/letters.txt', { as: 'alice', headers: { Range: 'bytes=50-' } });
+    assert.equal(unsatisfiable.status, 416);
+    assert.equal(unsatisfiable.headers.get('Content-Range'), 'bytes */20');
+    assert.equal((await unsatisfiable.json()).code, 'RANGE_NOT_SATISFIABLE');
+  });
+
+  test('answers 304 to clients whose copy is current', async () => {
+    const byEtag = await server.request('/files/alice/letters.txt', { as: 'alice', headers: { 'If-None-Match': etag } });
+    assert.equal(byEtag.status, 304);
+    assert.equal(byEtag.headers.get('ETag'), etag);
+
+    const lastModified = (await server.request('/files/alice/letters.txt', { as: 'alice', method: 'HEAD' })).headers.get('Last-Modified');
+    assert.equal((await server.request('/files/alice/letters.txt', { as: 'alice', headers: { 'If-Modified-Since': lastModified } })).status, 304);
+    assert.equal((await server.request('/files/alice/letters.txt', { as: 'alice', headers: { 'If-Modified-Since': 'yesterday-ish' } })).status, 200);
+  });
+
+  test('HEAD sends the headers only', async () => {
+    const response = await server.request('/files/alice/letters.txt', { as: 'alice', method: 'HEAD' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Length'), '20');
+    assert.equal(await response.text(), '');
+  });
+
+  test('private files are reached by name, by their owner and admins only', async () => {
+    const response = await server.request('/files/alice/secret.txt', { as: 'alice' });
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'private letters');
+
+    assert.equal((await server.request('/files/alice/secret.txt', { as: 'bob' })).status, 403);
+    assert.equal((await server.request('/files/alice/secret.txt', { as: 'admin' })).status, 200);
+    assert.equal((await server.request('/files/alice/secret.txt')).status, 401);
+    assert.equal((await server.request('/files/alice/missing.txt', { as: 'alice' })).status, 404);
+    assert.equal((await server.request('/files/alice/..%2Fbob/x.txt', { as: 'alice' })).status, 400);
+  });
+});
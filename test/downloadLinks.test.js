@@ -0,0 +1,184 @@
+// test/downloadLinks.test.js - Private files, expiring download links and the private prefix
+const { testDir } = require('./helpers/env');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../modules/config');
+const auth = require('../modules/auth');
+const { LocalStorageDriver, verifyCdnToken } = require('../modules/storage');
+const { DownloadLinkStore, DownloadLinks } = require('../modules/downloadLinks');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+const SECRET = 'cdn-token-secret-0123456789abcdef0123';
+
+test('the private prefix can not be used as a user ID', () => {
+  const env = { STORAGE_DRIVER: 'local' };
+  assert.deepEqual(loadConfig({ ...env, API_KEYS: 'alicekey0123456789:alice' }).auth.reservedUserIds, ['private']);
+  assert.throws(() => loadConfig({ ...env, API_KEYS: 'sneakykey0123456789:private' }),
+    error => error instanceof ConfigError && error.problems.some(problem => /"private" is reserved by PRIVATE_PREFIX/.test(problem)));
+  assert.throws(() => loadConfig({ ...env, API_KEYS: 'alicekey0123456789:alice', PRIVATE_PREFIX: 'guest/', AUTH_ALLOW_ANONYMOUS: 'true' }), ConfigError);
+  assert.throws(() => loadConfig({ ...env, API_KEYS: 'alicekey0123456789:alice', PRIVATE_PREFIX: '/private' }), ConfigError);
+
+  assert.equal(auth.isValidUserId('alice'), true);
+  assert.equal(auth.isValidUserId('private'), false);
+  assert.throws(() => auth.resolveUserId({ userId: 'ops', role: 'admin' }, 'private'), auth.AuthError);
+});
+
+test('local storage refuses keys that are not in their canonical form', () => {
+  const storage = new LocalStorageDriver({ rootDir: path.join(testDir, 'keys'), publicBaseUrl: 'http://localhost', signingSecret: 'x' });
+  assert.equal(storage.objectPath('alice/notes.txt'), path.join(testDir, 'keys', 'alice', 'notes.txt'));
+  for (const key of ['alice/../private/bob/x.txt', 'alice//x.txt', './alice/x.txt', 'alice/./x.txt', '.meta/alice/x.txt', '../x.txt', '']) {
+    assert.throws(() => storage.objectPath(key), /Invalid object key/, key);
+  }
+});
+
+describe('DownloadLinkStore', () => {
+  const filePath = path.join(testDir, 'links.json');
+
+  test('counted links run out, expire and are revoked', async () => {
+    const store = new DownloadLinkStore({ filePath });
+    const link = await store.create({ key: 'private/alice/a.txt', userId: 'alice', expiresAt: Date.now() + 60000, maxDownloads: 2 });
+    assert.match(link.id, /^[0-9a-f]{32}$/);
+    assert.equal((await store.redeem(link.id)).status, 'ok');
+    assert.equal((await store.redeem(link.id)).status, 'ok');
+    assert.equal((await store.redeem(link.id)).status, 'exhausted');
+
+    const expired = await store.create({ key: 'private/alice/b.txt', userId: 'alice', expiresAt: Date.now() - 1, maxDownloads: 5 });
+    assert.equal((await store.redeem(expired.id)).status, 'expired');
+
+    assert.equal(await store.redeem('0'.repeat(32)), null);
+    assert.equal(store.get('../links'), null);
+    assert.equal(await store.revoke(expired.id), true);
+    assert.equal(await store.revoke(expired.id), false);
+  });
+
+  test('links and their download counts survive a restart', async () => {
+    const store = new DownloadLinkStore({ filePath });
+    const link = await store.create({ key: 'private/alice/c.txt', userId: 'alice', expiresAt: Date.now() + 60000, maxDownloads: 1 });
+    await store.redeem(link.id);
+
+    const reloaded = new DownloadLinkStore({ filePath });
+    assert.equal(reloaded.get(link.id).downloads, 1);
+    assert.equal((await reloaded.redeem(link.id)).status, 'exhausted');
+  });
+});
+
+describe('DownloadLinks', () => {
+  const record = { key: 'private/alice/report 1.pdf', userId: 'alice', originalName: 'Q1 report.pdf' };
+
+  test('cdn-token links carry a token for the key, expiry and download name', async () => {
+    const links = new DownloadLinks({ mode: 'cdn-token', cdnBaseUrl: 'https://private.example.com', cdnTokenSecret: SECRET });
+    const link = await links.issue(record, { expiresIn: 60 });
+    const url = new URL(link.url);
+    assert.equal(url.origin + url.pathname, 'https://private.example.com/private/alice/report%201.pdf');
+    assert.equal(link.linkId, null);
+
+    const query = Object.fromEntries(url.searchParams);
+    assert.match(query.disposition, /^attachment; filename="Q1 report.pdf"/);
+    assert.equal(verifyCdnToken(SECRET, record.key, query), true);
+    assert.equal(verifyCdnToken(SECRET, 'private/alice/other.pdf', query), false);
+    assert.equal(verifyCdnToken(SECRET, record.key, { ...query, disposition: 'inline' }), false);
+    assert.equal(verifyCdnToken(SECRET, record.key, { ...query, expires: String(Math.floor(Date.now() / 1000) - 1) }), false);
+  });
+
+  test('counted links point at this server, which redirects to a short-lived signed URL', async () => {
+    const store = new DownloadLinkStore({ filePath: path.join(testDir, 'counted-links.json') });
+    const links = new DownloadLinks({ store, mode: 'cdn-token', cdnBaseUrl: 'https://private.example.com', cdnTokenSecret: SECRET, publicBaseUrl: 'https://uploads.example.com' });
+    const link = await links.issue(record, { expiresIn: 3600, maxDownloads: 1, createdBy: 'alice' });
+    assert.equal(link.url, `https://uploads.example.com/files/links/${link.linkId}`);
+
+    const redeemed = await links.redeem(link.linkId);
+    assert.equal(redeemed.status, 'ok');
+    const expires = Number(new URL(redeemed.url).searchParams.get('expires'));
+    assert.ok(expires <= Math.floor(Date.now() / 1000) + 60);
+    assert.equal((await links.redeem(link.linkId)).status, 'exhausted');
+  });
+});
+
+describe('private uploads', () => {
+  let server;
+  let file;
+
+  before(async () => {
+    server = await startServer({ UPLOAD_NAMING: 'original', DOWNLOAD_LINK_TTL: '300', DOWNLOAD_LINK_MAX_TTL: '600' });
+    const { status, body } = await uploadChunked(server, 'alice', 'payslip.txt', 'for your eyes only', { private: true });
+    assert.equal(status, 200);
+    file = body;
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('are stored under the private prefix, with no public URL', () => {
+    assert.equal(file.b2Key, 'private/alice/payslip.txt');
+    assert.equal(file.private, true);
+    assert.equal(file.cdnUrl, null);
+    assert.equal(file.linkUrl, `${server.baseUrl}/files/private/alice/payslip.txt/link`);
+    assert.equal(fs.existsSync(path.join(server.dir, 'storage', 'private', 'alice', 'payslip.txt')), true);
+  });
+
+  test('can not be fetched from storage without a signature, however the key is spelled', async () => {
+    assert.equal((await fetch(`${server.baseUrl}/storage/private/alice/payslip.txt`)).status, 403);
+    assert.equal((await fetch(`${server.baseUrl}/storage/alice/..%2Fprivate/alice/payslip.txt`)).status, 400);
+    assert.equal((await fetch(`${server.baseUrl}/storage/private%2Falice%2Fpayslip.txt`)).status, 403);
+  });
+
+  test('are downloaded through links issued to their owner or an admin', async () => {
+    const response = await server.request(file.linkUrl, { as: 'alice' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Cache-Control'), 'no-store');
+    const link = await response.json();
+    assert.equal(link.private, true);
+    assert.equal(link.originalName, 'payslip.txt');
+
+    const download = await fetch(link.url);
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), 'for your eyes only');
+    assert.match(download.headers.get('Content-Disposition'), /^attachment; filename="payslip.txt"/);
+
+    assert.equal((await server.request(file.linkUrl, { as: 'bob' })).status, 404);
+    assert.equal((await server.request(file.linkUrl, { as: 'admin' })).status, 200);
+    assert.equal((await server.request(`${file.linkUrl}?expiresIn=601`, { as: 'alice' })).status, 400);
+    assert.equal((await server.request(`${file.linkUrl}?disposition=download`, { as: 'alice' })).status, 400);
+  });
+
+  test('counted links are used up by downloads, not by HEAD requests, and can be revoked', async () => {
+    const { url, linkId } = await (await server.request(`${file.linkUrl}?maxDownloads=1`, { as: 'alice' })).json();
+    assert.equal((await fetch(url, { method: 'HEAD' })).status, 200);
+
+    const first = await fetch(url, { redirect: 'manual' });
+    assert.equal(first.status, 302);
+    assert.equal(await (await fetch(first.headers.get('Location'))).text(), 'for your eyes only');
+    const second = await fetch(url, { redirect: 'manual' });
+    assert.equal(second.status, 410);
+    assert.equal((await second.json()).code, 'LINK_EXHAUSTED');
+
+    assert.equal((await server.request(`/files/links/${linkId}`, { as: 'bob', method: 'DELETE' })).status, 404);
+    assert.equal((await server.request(`/files/links/${linkId}`, { as: 'alice', method: 'DELETE' })).status, 200);
+    assert.equal((await fetch(url)).status, 404);
+  });
+
+  test('are listed, moved and deleted through the files API, which refunds their bytes', async () => {
+    const usage = async () => (await (await server.request('/upload/quota', { as: 'alice' })).json()).quota.usage.bytes;
+    assert.equal(await usage(), 'for your eyes only'.length);
+    const list = async () => (await (await server.request('/api/files/alice?private=true', { as: 'alice' })).json()).files;
+    assert.deepEqual((await list()).map(entry => [entry.name, entry.private, entry.cdnUrl]), [['payslip.txt', true, null]]);
+    assert.deepEqual((await (await server.request('/api/files/alice', { as: 'alice' })).json()).files, []);
+    assert.equal((await server.request('/api/files/alice/payslip.txt', { as: 'alice' })).status, 404);
+
+    const moved = await server.request('/api/files/alice/move?private=true', { as: 'alice', json: { from: 'payslip.txt', to: '2026/payslip.txt' } });
+    assert.equal(moved.status, 200);
+    assert.equal((await moved.json()).file.key, 'private/alice/2026/payslip.txt');
+    const metadata = await (await server.request('/api/files/alice/2026/payslip.txt?private=1', { as: 'alice' })).json();
+    assert.equal(metadata.file.linkUrl, `${server.baseUrl}/files/private/alice/2026/payslip.txt/link`);
+    assert.equal((await server.request('/api/files/alice/2026/payslip.txt?private=true', { as: 'bob' })).status, 403);
+
+    const deleted = await server.request('/api/files/alice/2026/payslip.txt?private=true', { as: 'alice', method: 'DELETE' });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(await list(), []);
+    assert.equal(fs.existsSync(path.join(server.dir, 'storage', 'private', 'alice', '2026', 'payslip.txt')), false);
+    assert.equal(await usage(), 0);
+  });
+});
@@ -0,0 +1,127 @@
+// test/fileNaming.test.js - Naming policies, target folders and folder uploads
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  sanitizePath,
+  readNamingOptions,
+  randomFileName,
+  planFileName,
+  resolveFileName
+} = require('../modules/fileNaming');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+describe('sanitizePath', () => {
+  test('cleans separators, dot segments and unsafe characters', () => {
+    assert.equal(sanitizePath('site/css/main.css', 'relativePath'), 'site/css/main.css');
+    assert.equal(sanitizePath('\\site\\\\css/./main.css/', 'relativePath'), 'site/css/main.css');
+    assert.equal(sanitizePath('a<b>:c|d?e*"f\x01', 'folder'), 'a_b__c_d_e__f_');
+    assert.equal(sanitizePath('notes./.../ ', 'folder'), 'notes/_/_');
+    assert.equal(sanitizePath('cafe\u0301', 'folder'), 'caf\u00e9');
+    assert.equal(sanitizePath(undefined, 'folder'), '');
+    assert.equal(sanitizePath('', 'folder'), '');
+  });
+
+  test('refuses parent segments, over-long segments and non-strings', () => {
+    assert.throws(() => sanitizePath('site/../../etc', 'relativePath'), /relativePath must not contain "\.\."/);
+    assert.throws(() => sanitizePath('..\\other', 'folder'), /folder must not contain/);
+    assert.throws(() => sanitizePath('x'.repeat(256), 'folder'), /longer than 255 bytes/);
+    assert.throws(() => sanitizePath(['a'], 'folder'), /folder must be a string/);
+  });
+});
+
+describe('naming', () => {
+  test('options fall back to the default policy and note explicit placement', () => {
+    assert.deepEqual(readNamingOptions({}), { naming: 'random', folder: null, relativePath: null, explicit: false });
+    assert.deepEqual(readNamingOptions({}, 'original'), { naming: 'original', folder: null, relativePath: null, explicit: true });
+    assert.equal(readNamingOptions({ folder: 'photos' }).explicit, true);
+    assert.throws(() => readNamingOptions({ naming: 'replace' }), /naming must be one of: random, original, overwrite/);
+  });
+
+  test('random names keep the extension', () => {
+    assert.match(randomFileName('Holiday Photo.JPG'), /^[0-9a-f]{32}\.JPG$/);
+    assert.match(randomFileName('README'), /^[0-9a-f]{32}$/);
+  });
+
+  test('planned names put the folder, then the relative path, then the file name', () => {
+    assert.equal(planFileName('main.css', { naming: 'original', folder: 'projects', relativePath: 'site/css/main.css' }), 'projects/site/css/main.css');
+    assert.equal(planFileName('C:\\Users\\alice\\notes.txt', { naming: 'original' }), 'notes.txt');
+    assert.match(planFileName('main.css', { naming: 'random', relativePath: 'site/css/main.css' }), /^site\/css\/[0-9a-f]{32}\.css$/);
+    assert.throws(() => planFileName('', { naming: 'original' }), /File name is empty/);
+    assert.throws(() => planFileName('x.txt', { naming: 'original', folder: Array(8).fill('f'.repeat(120)).join('/') }), /longer than 900 bytes/);
+  });
+
+  test('taken names get a suffix unless overwriting', async () => {
+    const taken = new Set(['docs/report.pdf', 'docs/report_1.pdf']);
+    const exists = async name => taken.has(name);
+    assert.equal(await resolveFileName('docs/report.pdf', 'original', exists), 'docs/report_2.pdf');
+    assert.equal(await resolveFileName('docs/summary.pdf', 'original', exists), 'docs/summary.pdf');
+    assert.equal(await resolveFileName('docs/report.pdf', 'overwrite', exists), 'docs/report.pdf');
+  });
+
+  test('a name that can not be checked is not taken as free', async () => {
+    const unreachable = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+    await assert.rejects(resolveFileName('report.pdf', 'original', unreachable), /ECONNREFUSED/);
+  });
+});
+
+describe('upload endpoints', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const usedBytes = async () => (await (await server.request('/upload/quota', { as: 'alice' })).json()).quota.usage.bytes;
+
+  test('uploads get random names unless asked otherwise', async () => {
+    const { body } = await uploadChunked(server, 'alice', 'notes.txt', 'first');
+    assert.match(body.finalFileName, /^[0-9a-f]{32}\.txt$/);
+  });
+
+  test('original names get a suffix while taken, and overwrite replaces the file and its quota use', async () => {
+    const first = await uploadChunked(server, 'alice', 'report.txt', 'version one', { naming: 'original', folder: 'docs' });
+    assert.equal(first.body.b2Key, 'alice/docs/report.txt');
+    const second = await uploadChunked(server, 'alice', 'report.txt', 'version two', { naming: 'original', folder: 'docs' });
+    assert.equal(second.body.b2Key, 'alice/docs/report_1.txt');
+
+    const usedBefore = await usedBytes();
+    const replaced = await uploadChunked(server, 'alice', 'report.txt', 'v3', { naming: 'overwrite', folder: 'docs' });
+    assert.equal(replaced.body.b2Key, 'alice/docs/report.txt');
+    assert.equal(await (await fetch(`${server.baseUrl}/storage/alice/docs/report.txt`)).text(), 'v3');
+    assert.equal(await usedBytes(), usedBefore - 'version one'.length + 'v3'.length);
+  });
+
+  test('unsafe folders and unknown policies are refused', async () => {
+    const traversal = await uploadChunked(server, 'alice', 'x.txt', 'x', { folder: '../bob' });
+    assert.equal(traversal.status, 400);
+    assert.equal(traversal.body.code, 'INVALID_FILE_PATH');
+    assert.equal((await uploadChunked(server, 'alice', 'x.txt', 'x', { naming: 'replace' })).status, 400);
+  });
+
+  test('form uploads of a folder keep its structure', async () => {
+    const form = new FormData();
+    form.append('naming', 'original');
+    form.append('folder', 'projects');
+    for (const [relativePath, content] of [['site/index.html', '<h1>hi</h1>'], ['site/css/main.css', 'h1 {}']]) {
+      form.append('relativePath', relativePath);
+      form.append('myfiles', new Blob([content]), relativePath.split('/').pop());
+    }
+    const response = await server.request('/upload', { as: 'alice', method: 'POST', headers: { Accept: 'application/json' }, body: form });
+    const body = await response.json();
+    assert.deepEqual(body.files.map(file => file.b2Key), ['alice/projects/site/index.html', 'alice/projects/site/css/main.css']);
+    assert.equal(await (await fetch(`${server.baseUrl}/storage/alice/projects/site/css/main.css`)).text(), 'h1 {}');
+
+    const unsafe = new FormData();
+    unsafe.append('relativePath', 'site/../../bob/x.txt');
+    unsafe.append('myfiles', new Blob(['x']), 'x.txt');
+    const refused = await (await server.request('/upload', { as: 'alice', method: 'POST', headers: { Accept: 'application/json' }, body: unsafe })).json();
+    assert.equal(refused.files.length, 0);
+    assert.equal(refused.errors[0].code, 'INVALID_FILE_PATH');
+  });
+});
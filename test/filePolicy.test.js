@@ -0,0 +1,109 @@
+// test/filePolicy.test.js - Content sniffing and the allow/block rules for uploaded files
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { FilePolicy, sniffContentType, contentTypeForExtension } = require('../modules/filePolicy');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]);
+const EXE = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62)]);
+const ZIP = Buffer.from([0x50, 0x4B, 0x03, 0x04, 20, 0, 0, 0]);
+
+describe('sniffing', () => {
+  test('known signatures are recognised', () => {
+    assert.equal(sniffContentType(PNG), 'image/png');
+    assert.equal(sniffContentType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])), 'image/jpeg');
+    assert.equal(sniffContentType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+    assert.equal(sniffContentType(EXE), 'application/x-msdownload');
+    assert.equal(sniffContentType(Buffer.from([0x7F, 0x45, 0x4C, 0x46, 2])), 'application/x-executable');
+  });
+
+  test('text is told apart from unknown binary', () => {
+    assert.equal(sniffContentType(Buffer.from('plain words, zażółć')), 'text/plain');
+    assert.equal(sniffContentType(Buffer.from('<!DOCTYPE html><p>hi</p>')), 'text/html');
+    assert.equal(sniffContentType(Buffer.from('<?xml version="1.0"?><svg/>')), 'image/svg+xml');
+    assert.equal(sniffContentType(Buffer.from([1, 0, 2, 3])), null);
+    assert.equal(sniffContentType(Buffer.alloc(0)), null);
+  });
+
+  test('extensions map to types, case-insensitively', () => {
+    assert.equal(contentTypeForExtension('Report.PDF'), 'application/pdf');
+    assert.equal(contentTypeForExtension('archive.unknown'), null);
+    assert.equal(contentTypeForExtension('no-extension'), null);
+  });
+});
+
+describe('FilePolicy', () => {
+  test('shared containers are refined by the extension, anything else trusts the bytes', () => {
+    const policy = new FilePolicy();
+    assert.equal(policy.detect('report.docx', ZIP).contentType, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    assert.equal(policy.detect('data.json', Buffer.from('{"a":1}')).contentType, 'application/json');
+    assert.equal(policy.detect('photo.jpg', PNG).contentType, 'image/png');
+    assert.equal(policy.detect('blob', null).contentType, 'application/octet-stream');
+  });
+
+  test('blocked extensions and types are refused, whichever of name or bytes gives them away', () => {
+    const policy = new FilePolicy({ blockedTypes: ['application/x-msdownload'], blockedExtensions: ['.exe'] });
+    assert.equal(policy.check({ fileName: 'setup.EXE', size: 10 }).code, 'FILE_EXTENSION_NOT_ALLOWED');
+    const disguised = policy.check({ fileName: 'notes.txt', size: EXE.length, head: EXE });
+    assert.equal(disguised.allowed, false);
+    assert.equal(disguised.status, 415);
+    assert.equal(disguised.code, 'FILE_TYPE_NOT_ALLOWED');
+    assert.equal(policy.check({ fileName: 'library.dll', size: 10 }).code, 'FILE_TYPE_NOT_ALLOWED');
+    assert.deepEqual(policy.check({ fileName: 'notes.txt', size: 5, head: Buffer.from('notes') }), { allowed: true, contentType: 'text/plain' });
+  });
+
+  test('allow lists accept only what they name, wildcards included', () => {
+    const policy = new FilePolicy({ allowedTypes: ['image/*'], allowedExtensions: ['.png', '.jpg', '.txt'] });
+    assert.equal(policy.check({ fileName: 'cat.png', size: PNG.length, head: PNG }).allowed, true);
+    assert.equal(policy.check({ fileName: 'cat.gif', size: 10 }).code, 'FILE_EXTENSION_NOT_ALLOWED');
+    assert.equal(policy.check({ fileName: 'cat.txt', size: 5, head: Buffer.from('hello') }).code, 'FILE_TYPE_NOT_ALLOWED');
+  });
+
+  test('strict extensions refuse content that does not match the name', () => {
+    const policy = new FilePolicy({ strictExtensions: true });
+    assert.equal(policy.check({ fileName: 'photo.jpg', size: PNG.length, head: PNG }).code, 'FILE_EXTENSION_MISMATCH');
+    assert.equal(policy.check({ fileName: 'photo.png', size: PNG.length, head: PNG }).allowed, true);
+    assert.equal(policy.check({ fileName: 'photo.jpg', size: 10 }).allowed, true);
+  });
+
+  test('per-type size caps answer 413', () => {
+    const policy = new FilePolicy({ maxSizeByType: [{ pattern: 'image/*', maxSize: 100 }] });
+    const tooLarge = policy.check({ fileName: 'cat.png', size: 101, head: PNG });
+    assert.equal(tooLarge.status, 413);
+    assert.equal(tooLarge.code, 'FILE_TOO_LARGE');
+    assert.equal(policy.check({ fileName: 'notes.txt', size: 101 }).allowed, true);
+  });
+});
+
+describe('uploads', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ FILE_MAX_SIZE_BY_TYPE: 'text/*=32' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('blocked extensions are refused before any bytes are sent', async () => {
+    const init = await server.request('/upload/init', { as: 'alice', json: { fileName: 'setup.exe', fileSize: EXE.length, totalChunks: 1 } });
+    assert.equal(init.status, 415);
+    assert.equal((await init.json()).code, 'FILE_EXTENSION_NOT_ALLOWED');
+  });
+
+  test('an executable renamed to .txt is refused once its bytes are seen', async () => {
+    const { status, body } = await uploadChunked(server, 'alice', 'harmless.txt', EXE.subarray(0, 16));
+    assert.equal(status, 415);
+    assert.equal(body.code, 'FILE_TYPE_NOT_ALLOWED');
+    const listing = await (await server.request('/api/files/alice', { as: 'alice' })).json();
+    assert.equal(listing.count, 0);
+  });
+
+  test('per-type size caps apply to uploads', async () => {
+    assert.equal((await uploadChunked(server, 'alice', 'short.txt', 'tiny')).status, 200);
+    const { status, body } = await uploadChunked(server, 'alice', 'long.txt', 'x'.repeat(33));
+    assert.equal(status, 413);
+    assert.equal(body.code, 'FILE_TOO_LARGE');
+  });
+});
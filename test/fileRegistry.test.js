@@ -0,0 +1,157 @@
+// test/fileRegistry.test.js - The registry of stored files, its persistence and search API
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MemoryFileRegistry,
+  JsonlFileRegistry,
+  objectMetadata,
+  originalNameFromMetadata,
+  decodeMultipartFileName
+} = require('../modules/fileRegistry');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+describe('original names', () => {
+  test('survive object metadata, non-ASCII characters included', () => {
+    const metadata = objectMetadata({ originalName: 'Zażółć gęślą.pdf', userId: 'alice' });
+    assert.match(metadata['original-name'], /^[\x20-\x7e]+$/);
+    assert.equal(metadata['uploaded-by'], 'alice');
+    assert.equal(originalNameFromMetadata(metadata), 'Zażółć gęślą.pdf');
+    assert.equal(originalNameFromMetadata({}), null);
+    assert.equal(originalNameFromMetadata(undefined), null);
+  });
+
+  test('multipart names decoded as latin1 are turned back into UTF-8', () => {
+    assert.equal(decodeMultipartFileName(Buffer.from('żółw.png').toString('latin1')), 'żółw.png');
+    assert.equal(decodeMultipartFileName('plain.png'), 'plain.png');
+    assert.equal(decodeMultipartFileName('żółw.png'), 'żółw.png');
+    assert.equal(decodeMultipartFileName('café.png'), 'café.png');
+  });
+});
+
+describe('MemoryFileRegistry', () => {
+  async function filledRegistry() {
+    const registry = new MemoryFileRegistry();
+    await registry.record({ key: 'alice/a1.pdf', userId: 'alice', originalName: 'Report.pdf', sha256: 'a'.repeat(64), size: 3, uploadedAt: 1000 });
+    await registry.record({ key: 'alice/a2.pdf', userId: 'alice', originalName: 'report-final.pdf', sha256: 'a'.repeat(64), size: 3, uploadedAt: 2000 });
+    await registry.record({ key: 'bob/b1.png', userId: 'bob', originalName: 'cat.png', sha256: 'b'.repeat(64), size: 5, uploadedAt: 3000 });
+    return registry;
+  }
+
+  test('searches newest first by user, name and date, page by page', async () => {
+    const registry = await filledRegistry();
+    assert.deepEqual((await registry.find()).files.map(file => file.key), ['bob/b1.png', 'alice/a2.pdf', 'alice/a1.pdf']);
+    assert.equal((await registry.find({ userId: 'alice' })).total, 2);
+    assert.deepEqual((await registry.find({ originalName: 'REPORT' })).files.map(file => file.key), ['alice/a2.pdf', 'alice/a1.pdf']);
+    assert.deepEqual((await registry.find({ from: 1500, to: 2500 })).files.map(file => file.key), ['alice/a2.pdf']);
+
+    const first = await registry.find({ limit: 2 });
+    assert.equal(first.nextCursor, '2');
+    const second = await registry.find({ limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.files.map(file => file.key), ['alice/a1.pdf']);
+    assert.equal(second.nextCursor, null);
+  });
+
+  test('finds stored copies of the same content', async () => {
+    const registry = await filledRegistry();
+    assert.deepEqual((await registry.findBySha256('a'.repeat(64))).map(file => file.key), ['alice/a2.pdf', 'alice/a1.pdf']);
+    assert.deepEqual(await registry.findBySha256('a'.repeat(64), { userId: 'bob' }), []);
+    assert.deepEqual(await registry.findBySha256('a'.repeat(64), { size: 4 }), []);
+
+    await registry.remove('alice/a2.pdf');
+    await registry.record({ key: 'alice/a1.pdf', userId: 'alice', originalName: 'Report.pdf', sha256: 'c'.repeat(64), size: 3 });
+    assert.deepEqual(await registry.findBySha256('a'.repeat(64)), []);
+    assert.equal(await registry.get('alice/a2.pdf'), null);
+  });
+
+  test('records need a key and default their name and date', async () => {
+    const registry = new MemoryFileRegistry();
+    await assert.rejects(registry.record({ userId: 'alice' }), /need a key/);
+    const record = await registry.record({ key: 'alice/photos/cat.png', userId: 'alice' });
+    assert.equal(record.fileName, 'cat.png');
+    assert.ok(record.uploadedAt <= Date.now());
+  });
+});
+
+describe('JsonlFileRegistry', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    filePath = path.join(dir, 'state', 'files.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays its log after a restart, skipping a truncated last line', async () => {
+    const registry = new JsonlFileRegistry(filePath);
+    await registry.record({ key: 'alice/kept.txt', userId: 'alice', originalName: 'kept.txt' });
+    await registry.record({ key: 'alice/gone.txt', userId: 'alice', originalName: 'gone.txt' });
+    await registry.remove('alice/gone.txt');
+    await registry.close();
+    fs.appendFileSync(filePath, '{"op":"put","rec');
+
+    const reloaded = new JsonlFileRegistry(filePath);
+    assert.equal((await reloaded.get('alice/kept.txt')).originalName, 'kept.txt');
+    assert.equal(await reloaded.get('alice/gone.txt'), null);
+  });
+
+  test('compacts a log mostly made of superseded entries', async () => {
+    const registry = new JsonlFileRegistry(filePath);
+    for (let i = 0; i < 120; i++) {
+      await registry.record({ key: 'alice/same.txt', userId: 'alice', size: i });
+    }
+    await registry.close();
+
+    const reloaded = new JsonlFileRegistry(filePath);
+    assert.equal((await reloaded.get('alice/same.txt')).size, 119);
+    assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+  });
+});
+
+describe('registry API', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    await uploadChunked(server, 'alice', 'Holiday Photo.txt', 'alice 1');
+    await uploadChunked(server, 'alice', 'Budget.txt', 'alice 2');
+    await uploadChunked(server, 'bob', 'holiday plans.txt', 'bob 1');
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function search(as, query = '') {
+    const response = await server.request(`/api/registry${query}`, { as });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('uploaders search their own files by original name', async () => {
+    const { body } = await search('alice', '?name=holiday');
+    assert.deepEqual(body.files.map(file => file.originalName), ['Holiday Photo.txt']);
+    assert.equal(body.files[0].size, 7);
+    assert.equal(body.files[0].uploadMode, 'assemble');
+    assert.equal((await search('alice', '?userId=bob')).status, 403);
+    assert.equal((await search('alice', '?from=yesterday')).status, 400);
+  });
+
+  test('admins search everyone\'s files', async () => {
+    assert.equal((await search('admin', '?name=holiday')).body.total, 2);
+    assert.deepEqual((await search('admin', '?userId=bob')).body.files.map(file => file.originalName), ['holiday plans.txt']);
+  });
+
+  test('someone else\'s record is reported as missing', async () => {
+    const { body } = await search('alice', '?name=budget');
+    const key = body.files[0].key;
+    assert.equal((await server.request(`/api/registry/${key}`, { as: 'alice' })).status, 200);
+    assert.equal((await server.request(`/api/registry/${key}`, { as: 'bob' })).status, 404);
+    assert.equal((await server.request(`/api/registry/${key}`, { as: 'admin' })).status, 200);
+  });
+});
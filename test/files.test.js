@@ -0,0 +1,88 @@
+// test/files.test.js - Listing, inspecting, copying, moving and deleting a user's files
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidFileName } = require('../routes/files');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer({ UPLOAD_NAMING: 'original' });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function listNames(as, userId, query = '') {
+  const response = await server.request(`/api/files/${userId}${query}`, { as });
+  const body = await response.json();
+  return body.files.map(file => file.name);
+}
+
+test('file names must stay inside the user\'s prefix', () => {
+  assert.equal(isValidFileName('photos/cat.jpg'), true);
+  for (const name of ['', '../bob/cat.jpg', 'photos/../../cat.jpg', 'photos//cat.jpg', './cat.jpg', 'a'.repeat(1025), 42]) {
+    assert.equal(isValidFileName(name), false, String(name));
+  }
+});
+
+test('uploaded files are listed with their metadata, page by page', async () => {
+  for (const name of ['one.txt', 'two.txt', 'three.txt']) {
+    assert.equal((await uploadChunked(server, 'alice', name, `contents of ${name}`)).status, 200);
+  }
+
+  const first = await (await server.request('/api/files/alice?limit=2', { as: 'alice' })).json();
+  assert.equal(first.count, 2);
+  assert.ok(first.nextCursor);
+  const second = await (await server.request(`/api/files/alice?limit=2&cursor=${encodeURIComponent(first.nextCursor)}`, { as: 'alice' })).json();
+  assert.deepEqual([...first.files, ...second.files].map(file => file.name).sort(), ['one.txt', 'three.txt', 'two.txt']);
+
+  const metadata = await (await server.request('/api/files/alice/one.txt', { as: 'alice' })).json();
+  assert.equal(metadata.file.size, 'contents of one.txt'.length);
+  assert.equal(metadata.file.contentType, 'text/plain');
+  assert.equal(metadata.file.originalName, 'one.txt');
+});
+
+test('copies and moves stay within the prefix and do not overwrite unless asked', async () => {
+  const copy = await server.request('/api/files/alice/copy', { as: 'alice', json: { from: 'one.txt', to: 'backup/one.txt' } });
+  assert.equal(copy.status, 200);
+  assert.equal((await copy.json()).file.key, 'alice/backup/one.txt');
+
+  const clash = await server.request('/api/files/alice/move', { as: 'alice', json: { from: 'two.txt', to: 'one.txt' } });
+  assert.equal(clash.status, 409);
+  assert.equal((await clash.json()).code, 'FILE_EXISTS');
+  assert.equal((await server.request('/api/files/alice/move', { as: 'alice', json: { from: 'two.txt', to: 'one.txt', overwrite: true } })).status, 200);
+
+  assert.equal((await server.request('/api/files/alice/copy', { as: 'alice', json: { from: 'one.txt', to: '../bob/one.txt' } })).status, 400);
+  assert.equal((await server.request('/api/files/alice/move', { as: 'alice', json: { from: 'missing.txt', to: 'other.txt' } })).status, 404);
+  assert.deepEqual((await listNames('alice', 'alice')).sort(), ['backup/one.txt', 'one.txt', 'three.txt']);
+  assert.deepEqual(await listNames('alice', 'alice', '?prefix=backup/'), ['backup/one.txt']);
+
+  const moved = await fetch(`${server.baseUrl}/storage/alice/one.txt`);
+  assert.equal(await moved.text(), 'contents of two.txt');
+});
+
+test('files are deleted one at a time or in batches', async () => {
+  const single = await server.request('/api/files/alice/three.txt', { as: 'alice', method: 'DELETE' });
+  assert.equal(single.status, 200);
+  assert.equal((await server.request('/api/files/alice/three.txt', { as: 'alice', method: 'DELETE' })).status, 404);
+
+  const batch = await server.request('/api/files/alice/delete', { as: 'alice', json: { names: ['one.txt', 'backup/one.txt'] } });
+  const body = await batch.json();
+  assert.equal(batch.status, 200);
+  assert.deepEqual(body.deleted.sort(), ['backup/one.txt', 'one.txt']);
+  assert.deepEqual(await listNames('alice', 'alice'), []);
+
+  const invalid = await server.request('/api/files/alice/delete', { as: 'alice', json: { names: ['ok.txt', '../x'] } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual((await invalid.json()).invalid, ['../x']);
+});
+
+test('uploaders reach only their own files, admins anyone\'s', async () => {
+  await uploadChunked(server, 'bob', 'bob.txt', 'bob\'s file');
+  assert.equal((await server.request('/api/files/bob', { as: 'alice' })).status, 403);
+  assert.equal((await server.request('/api/files/bob/bob.txt', { as: 'alice', method: 'DELETE' })).status, 403);
+  assert.deepEqual(await listNames('admin', 'bob'), ['bob.txt']);
+  assert.equal((await server.request('/api/files/bob%2F..', { as: 'admin' })).status, 400);
+});
@@ -0,0 +1,28 @@
+// test/helpers/env.js - Point the modules at a throwaway directory and the local storage driver
+// Require this before any module that reads the configuration.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'development',
+  STORAGE_DRIVER: 'local',
+  UPLOADS_DIR: path.join(testDir, 'uploads'),
+  LOCAL_STORAGE_DIR: path.join(testDir, 'storage'),
+  STORAGE_SIGNING_SECRET: 'test-signing-secret-0123456789abcdef',
+  LOG_LEVEL: 'error'
+});
+
+// Like server.js, so module messages obey LOG_LEVEL and stay off the test runner's stdout
+const { logger, captureConsole } = require('../../modules/logger');
+captureConsole(logger);
+
+process.on('exit', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+module.exports = {
+  testDir
+};
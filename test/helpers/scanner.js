@@ -0,0 +1,16 @@
+// test/helpers/scanner.js - Stand-in for clamscan: reports the EICAR test string, fails on "SCAN-ERROR"
+const fs = require('fs');
+
+const EICAR = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+const filePath = process.argv[2];
+const content = fs.readFileSync(filePath, 'latin1');
+if (content.includes('SCAN-ERROR')) {
+  console.error('LibClamAV Error: cl_load(): No such file or directory');
+  process.exit(2);
+}
+if (content.includes(EICAR)) {
+  console.log(`${filePath}: Eicar-Test-Signature FOUND`);
+  process.exit(1);
+}
+console.log(`${filePath}: OK`);
@@ -0,0 +1,175 @@
+// test/helpers/server.js - Run server.js on a free port, with its own directories, for API tests
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// API keys of the users every test server knows
+const KEYS = {
+  alice: 'alicekey0123456789',
+  bob: 'bobkey01234567890x',
+  admin: 'adminkey0123456789'
+};
+
+const STARTUP_TIMEOUT = 15000;
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>} - Port number
+ */
+async function freePort() {
+  const probe = net.createServer();
+  probe.listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, 'close');
+  return port;
+}
+
+/**
+ * Start the server and wait until it answers
+ * @param {Object} env - Extra environment variables, overriding the test defaults
+ * @param {Object} options - { dir } to reuse the directories of a server stopped with keepFiles
+ * @returns {Promise<Object>} - { baseUrl, dir, request, output, stop }
+ */
+async function startServer(env = {}, { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-server-')) } = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  let output = '';
+  const child = spawn(process.execPath, [path.join(__dirname, '../../server.js')], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'development',
+      HOST: '127.0.0.1',
+      PORT: String(port),
+      PUBLIC_BASE_URL: baseUrl,
+      STORAGE_DRIVER: 'local',
+      UPLOADS_DIR: path.join(dir, 'uploads'),
+      LOCAL_STORAGE_DIR: path.join(dir, 'storage'),
+      STORAGE_SIGNING_SECRET: 'test-signing-secret-0123456789abcdef',
+      API_KEYS: `${KEYS.alice}:alice:uploader,${KEYS.bob}:bob:uploader,${KEYS.admin}:ops:admin`,
+      LOG_FORMAT: 'text',
+      MIN_CHUNK_SIZE: '1', // Tests send chunks of a few bytes
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', data => { output += data; });
+  child.stderr.on('data', data => { output += data; });
+  const exited = once(child, 'exit');
+
+  const stop = async ({ keepFiles = false } = {}) => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    if (!keepFiles) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`Server exited during startup:\n${output}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/ping`);
+      if (response.ok) {
+        break;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`Server did not start within ${STARTUP_TIMEOUT}ms:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  /**
+   * Send a request as one of the test users
+   * @param {string} urlPath - Path (or absolute URL) to request
+   * @param {Object} options - fetch options plus `as` (a KEYS name) and `json` (a body to send as JSON)
+   * @returns {Promise<Response>} - fetch response
+   */
+  const request = (urlPath, { as, json, headers = {}, ...options } = {}) => {
+    const url = urlPath.startsWith('http') ? urlPath : `${baseUrl}${urlPath}`;
+    const allHeaders = { ...headers };
+    if (as) {
+      allHeaders['X-API-Key'] = KEYS[as];
+    }
+    if (json !== undefined) {
+      allHeaders['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(json);
+      options.method = options.method || 'POST';
+    }
+    return fetch(url, { ...options, headers: allHeaders });
+  };
+
+  return {
+    baseUrl,
+    dir,
+    request,
+    output: () => output,
+    stop
+  };
+}
+
+/**
+ * Send one chunk of a chunked upload
+ * @param {Object} server - Server from startServer()
+ * @param {string} as - KEYS name of the uploader
+ * @param {string} uploadId - Upload session ID
+ * @param {number} chunkIndex - Chunk index
+ * @param {Buffer} data - Chunk bytes
+ * @param {Object} headers - Extra headers (e.g. X-Chunk-SHA256)
+ * @returns {Promise<Response>} - fetch response
+ */
+function sendChunk(server, as, uploadId, chunkIndex, data, headers = {}) {
+  const form = new FormData();
+  form.append('uploadId', uploadId);
+  form.append('chunkIndex', String(chunkIndex));
+  form.append('chunk', new Blob([data]), 'blob');
+  return server.request('/upload/chunk', { as, method: 'POST', headers, body: form });
+}
+
+/**
+ * Upload a small file in one chunk through /upload/init, /upload/chunk and /upload/complete
+ * @param {Object} server - Server from startServer()
+ * @param {string} as - KEYS name of the uploader
+ * @param {string} fileName - Original file name
+ * @param {Buffer|string} data - File contents
+ * @param {Object} options - Extra /upload/init fields
+ * @returns {Promise<Object>} - { status, body } of /upload/complete
+ */
+async function uploadChunked(server, as, fileName, data, options = {}) {
+  const bytes = Buffer.from(data);
+  const init = await server.request('/upload/init', {
+    as,
+    json: { fileName, fileSize: bytes.length, totalChunks: 1, ...options }
+  });
+  const initBody = await init.json();
+  if (init.status !== 200) {
+    return { status: init.status, body: initBody };
+  }
+  const chunk = await sendChunk(server, as, initBody.uploadId, 0, bytes);
+  if (chunk.status !== 200) {
+    return { status: chunk.status, body: await chunk.json() };
+  }
+  const complete = await server.request('/upload/complete', { as, json: { uploadId: initBody.uploadId } });
+  return { status: complete.status, body: await complete.json() };
+}
+
+module.exports = {
+  KEYS,
+  startServer,
+  sendChunk,
+  uploadChunked
+};
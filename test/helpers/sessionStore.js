@@ -0,0 +1,15 @@
+// test/helpers/sessionStore.js - File session store that fails to write sessions of "disk-full.txt", for SESSION_STORE
+const path = require('path');
+const { FileSessionStore } = require('../../modules/sessionStore');
+
+class DiskFullSessionStore extends FileSessionStore {
+  async writeSession(uploadId) {
+    const session = this.sessions.get(uploadId);
+    if (session && session.originalFileName === 'disk-full.txt') {
+      throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+    }
+    return super.writeSession(uploadId);
+  }
+}
+
+module.exports = () => new DiskFullSessionStore(path.join(process.env.UPLOADS_DIR, 'sessions'));
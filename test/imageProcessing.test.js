@@ -0,0 +1,163 @@
+// test/imageProcessing.test.js - Image variants and metadata stripping, and variants following their file
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { loadConfig, ConfigError } = require('../modules/config');
+const { ImageProcessor, variantKey } = require('../modules/imageProcessing');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+// A 120x60 JPEG taken with the camera turned a quarter (orientation 6), carrying EXIF
+function photo() {
+  return sharp({ create: { width: 120, height: 60, channels: 3, background: { r: 200, g: 40, b: 40 } } })
+    .jpeg()
+    .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Alice' } } })
+    .toBuffer();
+}
+
+test('variants are stored next to their original', () => {
+  assert.equal(variantKey('alice/3f2a.jpg', { name: 'thumbnail', extension: '.webp' }), 'alice/3f2a_thumbnail.webp');
+  assert.equal(variantKey('alice/v1.2/cat', { name: 'medium', extension: '.jpg' }), 'alice/v1.2/cat_medium.jpg');
+});
+
+test('IMAGE_VARIANTS entries are name:size[:format]', () => {
+  const env = { STORAGE_DRIVER: 'local', API_KEYS: 'alicekey0123456789:alice' };
+  assert.deepEqual(loadConfig({ ...env, IMAGE_VARIANTS: 'thumb:200x100,wide:800,tall:x600,full:original:webp' }).images.variants, [
+    { name: 'thumb', width: 200, height: 100, format: null },
+    { name: 'wide', width: 800, height: null, format: null },
+    { name: 'tall', width: null, height: 600, format: null },
+    { name: 'full', width: null, height: null, format: 'webp' }
+  ]);
+  for (const variants of ['thumb', 'thumb:big', 'th/umb:200', 'thumb:200:gif']) {
+    assert.throws(() => loadConfig({ ...env, IMAGE_VARIANTS: variants }),
+      error => error instanceof ConfigError && error.problems.some(problem => /IMAGE_VARIANTS/.test(problem)), variants);
+  }
+});
+
+describe('ImageProcessor', () => {
+  let dir;
+  let imagePath;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('metadata is stripped after turning the image upright, and variants are written beside it', async () => {
+    imagePath = path.join(dir, 'photo');
+    fs.writeFileSync(imagePath, await photo());
+    const processor = new ImageProcessor({
+      enabled: true,
+      variants: [{ name: 'thumbnail', width: 20, height: 20 }, { name: 'webp', format: 'webp' }]
+    });
+
+    const image = await processor.process(imagePath, 'image/jpeg');
+    assert.equal(image.width, 60);
+    assert.equal(image.height, 120);
+    assert.equal(image.metadataStripped, true);
+    assert.equal(image.size, fs.statSync(imagePath).size);
+
+    const stored = await sharp(imagePath).metadata();
+    assert.equal(stored.exif, undefined);
+    assert.equal(stored.orientation, undefined);
+    assert.deepEqual([stored.width, stored.height], [60, 120]);
+
+    const [thumbnail, webp] = image.variants;
+    assert.deepEqual([thumbnail.name, thumbnail.width, thumbnail.height, thumbnail.extension], ['thumbnail', 10, 20, '.jpg']);
+    assert.equal(thumbnail.path, `${imagePath}.thumbnail`);
+    assert.equal(thumbnail.size, fs.statSync(thumbnail.path).size);
+    assert.deepEqual([webp.contentType, webp.width, webp.height], ['image/webp', 60, 120]);
+    assert.equal((await sharp(webp.path).metadata()).format, 'webp');
+
+    await processor.discard(image);
+    assert.equal(fs.existsSync(thumbnail.path), false);
+    assert.equal(fs.existsSync(webp.path), false);
+  });
+
+  test('only metadata is stripped when variants are not wanted', async () => {
+    fs.writeFileSync(imagePath, await photo());
+    const processor = new ImageProcessor({ enabled: true, variants: [{ name: 'thumbnail', width: 20, height: 20 }] });
+    const image = await processor.process(imagePath, 'image/jpeg', { withVariants: false });
+    assert.equal(image.metadataStripped, true);
+    assert.deepEqual(image.variants, []);
+  });
+
+  test('other files, and everything while disabled, are left alone', async () => {
+    const processor = new ImageProcessor({ enabled: true, variants: [{ name: 'thumbnail', width: 20, height: 20 }] });
+    assert.equal(processor.handles('application/pdf'), false);
+    assert.equal(await processor.process(imagePath, 'application/pdf'), null);
+    assert.equal(new ImageProcessor({ enabled: false }).handles('image/jpeg'), false);
+  });
+
+  test('images above the pixel limit are refused', async () => {
+    fs.writeFileSync(imagePath, await photo());
+    const processor = new ImageProcessor({ enabled: true, maxPixels: 100 });
+    await assert.rejects(processor.process(imagePath, 'image/jpeg'));
+  });
+});
+
+describe('upload endpoints', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      IMAGE_PROCESSING: 'true',
+      IMAGE_VARIANTS: 'thumbnail:20x20,webp:original:webp',
+      UPLOAD_NAMING: 'original'
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const usedBytes = async () => (await (await server.request('/upload/quota', { as: 'alice' })).json()).quota.usage.bytes;
+  const storedStatus = async key => (await fetch(`${server.baseUrl}/storage/${key}`)).status;
+
+  test('uploaded images are stored upright without metadata, with their variants', async () => {
+    const { status, body } = await uploadChunked(server, 'alice', 'cat.jpg', await photo());
+    assert.equal(status, 200);
+    assert.equal(body.metadataStripped, true);
+    assert.deepEqual([body.width, body.height], [60, 120]);
+    assert.deepEqual(Object.keys(body.variants), ['thumbnail', 'webp']);
+    assert.equal(body.variants.thumbnail.b2Key, 'alice/cat_thumbnail.jpg');
+    assert.equal(body.variants.webp.b2Key, 'alice/cat_webp.webp');
+
+    const stored = Buffer.from(await (await fetch(`${server.baseUrl}/storage/alice/cat.jpg`)).arrayBuffer());
+    assert.equal((await sharp(stored).metadata()).exif, undefined);
+    const thumbnail = Buffer.from(await (await fetch(`${server.baseUrl}/storage/alice/cat_thumbnail.jpg`)).arrayBuffer());
+    assert.deepEqual([(await sharp(thumbnail).metadata()).width, (await sharp(thumbnail).metadata()).height], [10, 20]);
+
+    // The quota counts what is in the bucket, not the bytes uploaded
+    const variantBytes = body.variants.thumbnail.fileSize + body.variants.webp.fileSize;
+    assert.ok(stored.length < body.fileSize);
+    assert.equal(await usedBytes(), stored.length + variantBytes);
+  });
+
+  test('variants are moved, and deleted and refunded, with their file', async () => {
+    const moved = await server.request('/api/files/alice/move', { as: 'alice', json: { from: 'cat.jpg', to: 'pets/tom.jpg' } });
+    assert.equal(moved.status, 200);
+    assert.equal(await storedStatus('alice/cat_thumbnail.jpg'), 404);
+    assert.equal(await storedStatus('alice/pets/tom_thumbnail.jpg'), 200);
+    assert.equal(await storedStatus('alice/pets/tom_webp.webp'), 200);
+
+    const deleted = await server.request('/api/files/alice/pets/tom.jpg', { as: 'alice', method: 'DELETE' });
+    assert.equal(deleted.status, 200);
+    assert.equal(await storedStatus('alice/pets/tom.jpg'), 404);
+    assert.equal(await storedStatus('alice/pets/tom_thumbnail.jpg'), 404);
+    assert.equal(await storedStatus('alice/pets/tom_webp.webp'), 404);
+    assert.equal(await usedBytes(), 0);
+  });
+
+  test('private images have their metadata stripped but get no variants', async () => {
+    const { status, body } = await uploadChunked(server, 'alice', 'secret.jpg', await photo(), { private: true });
+    assert.equal(status, 200);
+    assert.equal(body.metadataStripped, true);
+    assert.deepEqual(body.variants, {});
+  });
+});
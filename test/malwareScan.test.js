@@ -0,0 +1,219 @@
+// test/malwareScan.test.js - Scanners, the quarantine, and uploads held back for malware
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const {
+  ClamdScanner,
+  CommandScanner,
+  Quarantine,
+  createMalwareScanner,
+  parseClamdReply
+} = require('../modules/malwareScan');
+const { startServer, sendChunk, uploadChunked } = require('./helpers/server');
+
+const SCANNER = path.join(__dirname, 'helpers', 'scanner.js');
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'malware-test-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFile(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * A clamd that reads INSTREAM chunks and answers like the real one
+ * @param {Function} answer - (command, content) → reply, or null to hang up without one
+ * @returns {Promise<Object>} - { port, close }
+ */
+async function fakeClamd(answer) {
+  const server = net.createServer(socket => {
+    const received = [];
+    socket.on('data', data => received.push(data));
+    socket.on('end', () => {
+      const request = Buffer.concat(received);
+      const command = request.subarray(0, request.indexOf(0)).toString();
+      const chunks = [];
+      for (let offset = command.length + 1; offset + 4 <= request.length;) {
+        const length = request.readUInt32BE(offset);
+        chunks.push(request.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      }
+      const reply = answer(command, Buffer.concat(chunks).toString('latin1'));
+      socket.end(reply === null ? undefined : `${reply}\0`);
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { port: server.address().port, close: () => server.close() };
+}
+
+test('clamd replies are read as clean, infected or failed', () => {
+  assert.deepEqual(parseClamdReply('stream: OK'), { infected: false, signature: null });
+  assert.deepEqual(parseClamdReply('stream: Eicar-Test-Signature FOUND'), { infected: true, signature: 'Eicar-Test-Signature' });
+  assert.throws(() => parseClamdReply('INSTREAM size limit exceeded. ERROR'), /clamd: INSTREAM size limit exceeded/);
+});
+
+describe('ClamdScanner', () => {
+  test('streams the whole file to clamd in chunks', async () => {
+    const clamd = await fakeClamd((command, content) => {
+      assert.equal(command, 'zINSTREAM');
+      return content.endsWith(EICAR) ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK';
+    });
+    try {
+      const scanner = new ClamdScanner({ port: clamd.port });
+      // Larger than one chunk, so the signature arrives in a later one
+      const infected = writeFile('infected', Buffer.concat([Buffer.alloc(100 * 1024, 'a'), Buffer.from(EICAR)]));
+      assert.deepEqual(await scanner.scanFile(infected), { infected: true, signature: 'Eicar-Test-Signature' });
+      assert.deepEqual(await scanner.scanFile(writeFile('clean', 'hello')), { infected: false, signature: null });
+    } finally {
+      clamd.close();
+    }
+  });
+
+  test('fails when clamd is unreachable or hangs up without an answer', async () => {
+    const clamd = await fakeClamd(() => null);
+    try {
+      await assert.rejects(new ClamdScanner({ port: clamd.port }).scanFile(writeFile('silent', 'hello')), /without answering/);
+    } finally {
+      clamd.close();
+    }
+    await assert.rejects(new ClamdScanner({ port: clamd.port }).scanFile(writeFile('refused', 'hello')), /ECONNREFUSED/);
+  });
+});
+
+describe('CommandScanner', () => {
+  const scanner = new CommandScanner({ command: [process.execPath, SCANNER] });
+
+  test('exit codes 0 and 1 mean clean and infected', async () => {
+    assert.deepEqual(await scanner.scanFile(writeFile('clean.txt', 'hello')), { infected: false, signature: null });
+    assert.deepEqual(await scanner.scanFile(writeFile('eicar.com', EICAR)), { infected: true, signature: 'Eicar-Test-Signature' });
+  });
+
+  test('any other exit code is a failed scan', async () => {
+    await assert.rejects(scanner.scanFile(writeFile('broken.txt', 'SCAN-ERROR')), /failed \(exit code 2\): LibClamAV Error/);
+    await assert.rejects(new CommandScanner({ command: [path.join(dir, 'no-such-scanner')] }).scanFile(writeFile('any.txt', 'x')));
+  });
+
+  test('{file} is put where the command asks, or appended', () => {
+    assert.deepEqual(new CommandScanner({ command: ['clamdscan', '--fdpass', '{file}', '--quiet'] }).args, ['--fdpass', '{file}', '--quiet']);
+    assert.deepEqual(new CommandScanner({ command: ['clamscan', '--no-summary'] }).args, ['--no-summary', '{file}']);
+  });
+});
+
+test('scanners are created by name', () => {
+  assert.equal(createMalwareScanner({ driver: 'off' }), null);
+  assert.ok(createMalwareScanner({ driver: 'clamd', clamd: { socket: '/run/clamav/clamd.ctl' } }) instanceof ClamdScanner);
+  assert.ok(createMalwareScanner({ driver: 'command', command: ['clamscan'] }) instanceof CommandScanner);
+});
+
+describe('Quarantine', () => {
+  test('files are moved in with their record, listed, and removed', async () => {
+    const quarantine = new Quarantine({ dir: path.join(dir, 'quarantine') });
+    const infected = writeFile('upload.tmp', EICAR);
+    const record = await quarantine.add(infected, { userId: 'alice', originalName: 'game.exe', signature: 'Eicar-Test-Signature' });
+    assert.match(record.id, /^[0-9a-f]{32}$/);
+    assert.equal(record.size, EICAR.length);
+    assert.equal(fs.existsSync(infected), false);
+    assert.equal(fs.readFileSync(quarantine.filePath(record.id), 'utf8'), EICAR);
+    assert.equal(fs.statSync(quarantine.filePath(record.id)).mode & 0o777, 0o600);
+
+    assert.deepEqual(await quarantine.get(record.id), record);
+    assert.deepEqual((await quarantine.list()).map(entry => entry.id), [record.id]);
+    assert.equal(await quarantine.get('../upload'), null);
+
+    assert.equal(await quarantine.remove(record.id), true);
+    assert.equal(await quarantine.remove(record.id), false);
+    assert.deepEqual(await quarantine.list(), []);
+  });
+
+  test('files past their retention are pruned', async () => {
+    const quarantine = new Quarantine({ dir: path.join(dir, 'retained'), retention: 60000 });
+    const old = await quarantine.add(writeFile('old.tmp', EICAR), { userId: 'alice' });
+    const recent = await quarantine.add(writeFile('recent.tmp', EICAR), { userId: 'alice' });
+    const recordPath = `${quarantine.filePath(old.id)}.json`;
+    fs.writeFileSync(recordPath, JSON.stringify({ ...old, quarantinedAt: Date.now() - 120000 }));
+
+    assert.equal(await quarantine.prune(), 1);
+    assert.deepEqual((await quarantine.list()).map(entry => entry.id), [recent.id]);
+    assert.equal(await new Quarantine({ dir: path.join(dir, 'retained') }).prune(), 0);
+  });
+});
+
+describe('upload endpoints', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      MALWARE_SCANNER: 'command',
+      MALWARE_SCAN_COMMAND: `${process.execPath} ${SCANNER} {file}`
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('clean files are stored', async () => {
+    const { status } = await uploadChunked(server, 'alice', 'notes.txt', 'nothing to see here');
+    assert.equal(status, 200);
+  });
+
+  test('infected files are refused with 422 and quarantined for review', async () => {
+    const { status, body } = await uploadChunked(server, 'alice', 'eicar.txt', EICAR);
+    assert.equal(status, 422);
+    assert.equal(body.code, 'MALWARE_DETECTED');
+    assert.equal(body.signature, 'Eicar-Test-Signature');
+
+    assert.equal((await server.request('/admin/quarantine', { as: 'alice' })).status, 403);
+    const listing = await (await server.request('/admin/quarantine', { as: 'admin' })).json();
+    assert.deepEqual(listing.files.map(file => [file.id, file.userId, file.originalName]), [[body.quarantineId, 'alice', 'eicar.txt']]);
+
+    const download = await server.request(`/admin/quarantine/${body.quarantineId}/file`, { as: 'admin' });
+    assert.equal(download.headers.get('Content-Type'), 'application/octet-stream');
+    assert.match(download.headers.get('Content-Disposition'), /^attachment; filename="[0-9a-f]{32}\.quarantined"$/);
+    assert.equal(await download.text(), EICAR);
+
+    assert.equal((await server.request(`/admin/quarantine/${body.quarantineId}`, { as: 'admin', method: 'DELETE' })).status, 200);
+    assert.equal((await server.request(`/admin/quarantine/${body.quarantineId}/file`, { as: 'admin' })).status, 404);
+  });
+
+  test('failed scans answer 503 and keep the upload so it can be completed later', async () => {
+    const init = await server.request('/upload/init', { as: 'alice', json: { fileName: 'broken.txt', fileSize: 10, totalChunks: 1 } });
+    const { uploadId } = await init.json();
+    assert.equal((await sendChunk(server, 'alice', uploadId, 0, Buffer.from('SCAN-ERROR'))).status, 200);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const complete = await server.request('/upload/complete', { as: 'alice', json: { uploadId } });
+      assert.equal(complete.status, 503);
+      assert.ok(Number(complete.headers.get('Retry-After')) > 0);
+      assert.equal((await complete.json()).code, 'MALWARE_SCAN_FAILED');
+    }
+  });
+
+  test('uploads that would reach the bucket unscanned are not offered', async () => {
+    const streamed = await server.request('/upload/init', {
+      as: 'alice',
+      json: { fileName: 'big.bin', fileSize: 10, chunkSize: 10, uploadMode: 'stream' }
+    });
+    assert.equal(streamed.status, 400);
+    assert.equal((await streamed.json()).code, 'UPLOAD_MODE_NOT_ALLOWED');
+
+    const direct = await server.request('/upload/direct/init', { as: 'alice', json: { fileName: 'big.bin', fileSize: 10 } });
+    assert.equal(direct.status, 400);
+    assert.equal((await direct.json()).code, 'UPLOAD_MODE_NOT_ALLOWED');
+  });
+});
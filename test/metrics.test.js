@@ -0,0 +1,113 @@
+// test/metrics.test.js - Prometheus metrics and the /metrics endpoint
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { S3Client, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { MetricsRegistry, instrumentS3Client, metrics } = require('../modules/metrics');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+const METRICS_TOKEN = 'scraper-token-0123456789';
+
+describe('MetricsRegistry', () => {
+  test('counters add up per label combination, whatever the label order', async () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({ name: 'things_total', help: 'Things', labelNames: ['kind', 'size'] });
+    counter.inc({ kind: 'a', size: 'big' });
+    counter.inc({ size: 'big', kind: 'a' }, 2);
+    counter.inc({ kind: 'quote"d' });
+    assert.throws(() => counter.inc({ colour: 'red' }), /no label "colour"/);
+
+    assert.equal(await registry.render(), [
+      '# HELP things_total Things',
+      '# TYPE things_total counter',
+      'things_total{kind="a",size="big"} 3',
+      'things_total{kind="quote\\"d",size=""} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('histograms count observations into cumulative buckets', async () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram({ name: 'wait_seconds', help: 'Waits', buckets: [1, 5] });
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+    histogram.observe({}, 10);
+    const lines = (await registry.render()).split('\n');
+    assert.ok(lines.includes('wait_seconds_bucket{le="1"} 1'));
+    assert.ok(lines.includes('wait_seconds_bucket{le="5"} 2'));
+    assert.ok(lines.includes('wait_seconds_bucket{le="+Inf"} 3'));
+    assert.ok(lines.includes('wait_seconds_sum 13.5'));
+    assert.ok(lines.includes('wait_seconds_count 3'));
+
+    const seconds = histogram.startTimer()();
+    assert.ok(seconds >= 0 && seconds < 1);
+  });
+
+  test('gauges are collected on every render, and names are unique', async () => {
+    const registry = new MetricsRegistry();
+    let calls = 0;
+    registry.gauge({ name: 'calls', help: 'Renders', collect: gauge => gauge.set({}, ++calls) });
+    assert.match(await registry.render(), /^calls 1$/m);
+    assert.match(await registry.render(), /^calls 2$/m);
+    assert.throws(() => registry.gauge({ name: 'calls', help: 'Again' }), /already registered/);
+  });
+
+  test('requests to the bucket are timed by command and outcome', async () => {
+    const bucket = http.createServer((req, res) => {
+      res.statusCode = 404;
+      res.end();
+    });
+    bucket.listen(0, '127.0.0.1');
+    await once(bucket, 'listening');
+    try {
+      const client = new S3Client({
+        endpoint: `http://127.0.0.1:${bucket.address().port}`,
+        region: 'us-east-1',
+        forcePathStyle: true,
+        credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+        maxAttempts: 1
+      });
+      instrumentS3Client(client);
+      await assert.rejects(client.send(new HeadObjectCommand({ Bucket: 'bucket', Key: 'missing.txt' })));
+      assert.match(await metrics.render(), /^b2_request_duration_seconds_count\{operation="HeadObject",outcome="404"\} 1$/m);
+    } finally {
+      bucket.close();
+    }
+  });
+});
+
+describe('/metrics', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ METRICS_TOKEN });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('is readable by admins and with the scrape token only', async () => {
+    assert.equal((await server.request('/metrics')).status, 401);
+    assert.equal((await server.request('/metrics', { as: 'alice' })).status, 403);
+    assert.equal((await server.request('/metrics', { headers: { Authorization: 'Bearer wrong-token' } })).status, 401);
+    const response = await server.request('/metrics', { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.equal((await server.request('/metrics', { as: 'admin' })).status, 200);
+  });
+
+  test('counts stored files, their bytes, chunks and failures', async () => {
+    assert.equal((await uploadChunked(server, 'alice', 'counted.txt', 'twelve bytes')).status, 200);
+    assert.equal((await uploadChunked(server, 'alice', 'renamed.txt', Buffer.concat([Buffer.from('MZ'), Buffer.alloc(14)]))).status, 415);
+
+    const text = await (await server.request('/metrics', { as: 'admin' })).text();
+    assert.match(text, /^upload_files_total\{path="chunked"\} 1$/m);
+    assert.match(text, /^upload_bytes_total\{path="chunked"\} 12$/m);
+    assert.match(text, /^upload_chunks_total\{path="chunked"\} 1$/m);
+    assert.match(text, /^upload_failures_total\{cause="FILE_TYPE_NOT_ALLOWED"\} 1$/m);
+    assert.match(text, /^upload_receive_duration_seconds_count\{path="chunked"\} 1$/m);
+    assert.match(text, /^process_uptime_seconds \d+$/m);
+  });
+});
@@ -0,0 +1,156 @@
+// test/partForwarder.test.js - Forwarding chunks to multipart parts, and retried chunks of streamed uploads
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIN_PART_SIZE, partLayout, chunkRangeForPart, createPartForwarder } = require('../modules/partForwarder');
+const { MemorySessionStore } = require('../modules/sessionStore');
+const { startServer, sendChunk } = require('./helpers/server');
+
+const UPLOAD_ID = 'c'.repeat(32);
+const MB = 1024 * 1024;
+
+describe('part layout', () => {
+  test('groups chunks so every part but the last reaches the minimum part size', () => {
+    const uploadInfo = { chunkSize: 2 * MB, totalChunks: 7 };
+    assert.deepEqual(partLayout(uploadInfo), { chunksPerPart: 3, partCount: 3 });
+    assert.deepEqual(chunkRangeForPart(uploadInfo, 1), { firstChunk: 0, lastChunk: 2 });
+    assert.deepEqual(chunkRangeForPart(uploadInfo, 3), { firstChunk: 6, lastChunk: 6 });
+  });
+
+  test('uses one chunk per part when chunks are large enough', () => {
+    assert.deepEqual(partLayout({ chunkSize: MIN_PART_SIZE, totalChunks: 4 }), { chunksPerPart: 1, partCount: 4 });
+  });
+
+  test('keeps within 10,000 parts', () => {
+    const { partCount } = partLayout({ chunkSize: 10 * MB, totalChunks: 25000 });
+    assert.ok(partCount <= 10000);
+  });
+});
+
+describe('createPartForwarder', () => {
+  let dir;
+  let sessionStore;
+  let uploadedParts;
+  let failNextPart;
+  let forwarder;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forwarder-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function setUp(totalChunks) {
+    sessionStore = new MemorySessionStore();
+    uploadedParts = [];
+    failNextPart = false;
+    const b2Upload = {
+      createLimiter: () => task => task(),
+      uploadPart: async (bucketName, key, multipartId, partNumber, body) => {
+        if (failNextPart) {
+          failNextPart = false;
+          throw new Error('bucket unavailable');
+        }
+        uploadedParts.push({ partNumber, body: body.toString() });
+        return { ETag: `"etag-${partNumber}"` };
+      }
+    };
+    forwarder = createPartForwarder({ sessionStore, b2Upload, bucketName: 'bucket' });
+    await sessionStore.create(UPLOAD_ID, {
+      b2Key: 'alice/file.bin',
+      b2UploadId: 'multipart-1',
+      chunkSize: MIN_PART_SIZE,
+      totalChunks,
+      fileSize: MIN_PART_SIZE * totalChunks,
+      chunks: new Map()
+    });
+  }
+
+  async function receiveChunk(chunkIndex, data) {
+    const chunkPath = path.join(dir, `${UPLOAD_ID}_${chunkIndex}`);
+    fs.writeFileSync(chunkPath, data);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    return sessionStore.addChunk(UPLOAD_ID, chunkIndex, { path: chunkPath, size: data.length, sha256 });
+  }
+
+  test('forwards a part once its chunks are in and deletes their files', async () => {
+    await setUp(2);
+    const uploadInfo = await receiveChunk(0, 'first');
+    assert.equal(await forwarder.forwardChunk(UPLOAD_ID, 0, uploadInfo), true);
+
+    assert.deepEqual(uploadedParts, [{ partNumber: 1, body: 'first' }]);
+    const session = await sessionStore.get(UPLOAD_ID);
+    assert.equal(session.parts[1].ETag, '"etag-1"');
+    assert.equal(fs.existsSync(path.join(dir, `${UPLOAD_ID}_0`)), false);
+
+    // Already stored, so it is not sent again
+    assert.equal(await forwarder.forwardChunk(UPLOAD_ID, 0, session), true);
+    assert.equal(uploadedParts.length, 1);
+  });
+
+  test('flush retries parts that failed and reports those it cannot forward', async () => {
+    await setUp(3);
+    let uploadInfo = await receiveChunk(0, 'one');
+    failNextPart = true;
+    await assert.rejects(forwarder.forwardChunk(UPLOAD_ID, 0, uploadInfo), /bucket unavailable/);
+    uploadInfo = await receiveChunk(1, 'two');
+
+    assert.deepEqual(await forwarder.flush(UPLOAD_ID, uploadInfo), [3]);
+    assert.deepEqual(uploadedParts.map(part => part.partNumber).sort(), [1, 2]);
+  });
+
+  test('forwardedChunk describes a chunk only once its part is stored', async () => {
+    await setUp(2);
+    const uploadInfo = await receiveChunk(1, 'second');
+    assert.equal(await forwarder.forwardedChunk(UPLOAD_ID, 1, uploadInfo), null);
+
+    await forwarder.forwardChunk(UPLOAD_ID, 1, uploadInfo);
+    const forwarded = await forwarder.forwardedChunk(UPLOAD_ID, 1, uploadInfo);
+    assert.equal(forwarded.sha256, crypto.createHash('sha256').update('second').digest('hex'));
+  });
+});
+
+describe('streamed uploads', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ CHUNKED_UPLOAD_MODE: 'stream' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('a chunk resent after its part was forwarded must match it, and leaves no file behind', async () => {
+    const firstChunk = Buffer.alloc(MIN_PART_SIZE, 'a');
+    const lastChunk = Buffer.from('tail');
+    const init = await server.request('/upload/init', {
+      as: 'alice',
+      json: { fileName: 'video.bin', fileSize: firstChunk.length + lastChunk.length, chunkSize: firstChunk.length, totalChunks: 2 }
+    });
+    assert.equal(init.status, 200);
+    const { uploadId, uploadMode } = await init.json();
+    assert.equal(uploadMode, 'stream');
+
+    assert.equal((await sendChunk(server, 'alice', uploadId, 0, firstChunk)).status, 200);
+    // A resumed client resends the chunk it is unsure about
+    assert.equal((await sendChunk(server, 'alice', uploadId, 0, firstChunk)).status, 200);
+    const changed = Buffer.from(firstChunk);
+    changed[0] = 0x62;
+    const refused = await sendChunk(server, 'alice', uploadId, 0, changed);
+    assert.equal(refused.status, 409);
+    assert.equal((await refused.json()).code, 'CHUNK_ALREADY_FORWARDED');
+    assert.deepEqual(fs.readdirSync(path.join(server.dir, 'uploads', 'chunks')), []);
+
+    assert.equal((await sendChunk(server, 'alice', uploadId, 1, lastChunk)).status, 200);
+    const complete = await server.request('/upload/complete', { as: 'alice', json: { uploadId } });
+    assert.equal(complete.status, 200);
+    const stored = Buffer.from(await (await fetch((await complete.json()).cdnUrl)).arrayBuffer());
+    assert.ok(stored.equals(Buffer.concat([firstChunk, lastChunk])));
+  });
+});
@@ -0,0 +1,201 @@
+// test/quotas.test.js - Storage quotas, per-file caps and daily upload limits
+const { testDir } = require('./helpers/env');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { QuotaManager } = require('../modules/quotas');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+describe('QuotaManager', () => {
+  const filePath = path.join(testDir, 'quotas.json');
+  const roleLimits = {
+    uploader: { maxBytes: 100, maxFileSize: 60, filesPerDay: 3 },
+    admin: { maxBytes: null, maxFileSize: null, filesPerDay: null }
+  };
+
+  test('uploads are checked against the role\'s limits, counting reserved sessions', () => {
+    const quotas = new QuotaManager({ filePath, roleLimits });
+    assert.equal(quotas.check('alice', [50], { role: 'uploader' }).allowed, true);
+    assert.equal(quotas.check('alice', [61], { role: 'uploader' }).code, 'QUOTA_FILE_TOO_LARGE');
+
+    const full = quotas.check('alice', [50], { role: 'uploader', reservedBytes: 60 });
+    assert.equal(full.status, 413);
+    assert.equal(full.code, 'QUOTA_STORAGE_EXCEEDED');
+    assert.equal(full.remaining.bytes, 40);
+
+    const daily = quotas.check('alice', [1, 1], { role: 'uploader', reservedFiles: 2 });
+    assert.equal(daily.status, 429);
+    assert.equal(daily.code, 'QUOTA_DAILY_LIMIT');
+    assert.ok(daily.retryAfter > 0 && daily.retryAfter <= 86400);
+
+    assert.equal(quotas.check('ops', [1000], { role: 'admin' }).allowed, true);
+  });
+
+  test('usage follows uploads, deletes and copies, and survives a restart', async () => {
+    const quotas = new QuotaManager({ filePath, roleLimits });
+    await quotas.recordUpload('bob', 40);
+    await quotas.recordUpload('bob', 30);
+    await quotas.adjustBytes('bob', -50);
+    await quotas.adjustBytes('bob', -500);
+    await quotas.close();
+
+    const reloaded = new QuotaManager({ filePath, roleLimits });
+    assert.deepEqual(reloaded.describe('bob', 'uploader').usage, { bytes: 0, day: new Date().toISOString().slice(0, 10), filesToday: 2 });
+    assert.equal(reloaded.describe('bob', 'uploader').remaining.filesToday, 1);
+  });
+
+  test('the role seen in a check is remembered across restarts', async () => {
+    const quotas = new QuotaManager({ filePath, roleLimits });
+    quotas.check('ops', [1000], { role: 'admin' });
+    await quotas.close();
+
+    const reloaded = new QuotaManager({ filePath, roleLimits });
+    assert.equal(reloaded.describe('ops').role, 'admin');
+    assert.equal(reloaded.check('ops', [1000]).allowed, true);
+  });
+
+  test('the daily file count starts over on a new UTC day', () => {
+    const quotas = new QuotaManager({ filePath, roleLimits });
+    quotas.entry('carol').usage = { bytes: 10, day: '2000-01-01', filesToday: 3 };
+    assert.deepEqual(quotas.describe('carol').usage, { bytes: 10, day: new Date().toISOString().slice(0, 10), filesToday: 0 });
+  });
+
+  test('admin overrides replace role limits until cleared, and bad values are refused', async () => {
+    const quotas = new QuotaManager({ filePath, roleLimits });
+    let quota = await quotas.update('dave', { limits: { maxBytes: 1000, filesPerDay: 'unlimited' } });
+    assert.deepEqual(quota.limits, { maxBytes: 1000, maxFileSize: 60, filesPerDay: null });
+    quota = await quotas.update('dave', { limits: { maxBytes: null }, usage: { bytes: 7 } });
+    assert.equal(quota.limits.maxBytes, 100);
+    assert.equal(quota.usage.bytes, 7);
+
+    await assert.rejects(quotas.update('dave', { limits: { maxFiles: 3 } }), /Unknown limit/);
+    await assert.rejects(quotas.update('dave', { limits: { maxBytes: -1 } }), /non-negative integer/);
+    await assert.rejects(quotas.update('dave', { usage: { bytes: 1.5 } }), /non-negative integer/);
+    await quotas.close();
+  });
+});
+
+describe('standalone server', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ QUOTA_UPLOADER_STORAGE: '20', QUOTA_UPLOADER_FILES_PER_DAY: '3' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('uploads beyond the storage quota are refused at init, and deletes free space', async () => {
+    assert.equal((await uploadChunked(server, 'alice', 'first.txt', 'x'.repeat(15))).status, 200);
+
+    const refused = await uploadChunked(server, 'alice', 'second.txt', 'x'.repeat(10));
+    assert.equal(refused.status, 413);
+    assert.equal(refused.body.code, 'QUOTA_STORAGE_EXCEEDED');
+    assert.equal(refused.body.remaining.bytes, 5);
+
+    const files = await (await server.request('/api/files/alice', { as: 'alice' })).json();
+    await server.request(`/api/files/alice/${files.files[0].name}`, { as: 'alice', method: 'DELETE' });
+    const quota = await (await server.request('/upload/quota', { as: 'alice' })).json();
+    assert.equal(quota.quota.usage.bytes, 0);
+    assert.equal(quota.quota.usage.filesToday, 1);
+  });
+
+  test('unfinished sessions count against the quota', async () => {
+    const init = await server.request('/upload/init', { as: 'alice', json: { fileName: 'pending.txt', fileSize: 15, totalChunks: 1 } });
+    assert.equal(init.status, 200);
+    assert.equal((await uploadChunked(server, 'alice', 'more.txt', 'x'.repeat(10))).status, 413);
+  });
+
+  test('admins override a user\'s limits and the daily limit answers 429', async () => {
+    assert.equal((await server.request('/admin/quotas/bob', { as: 'alice', method: 'PUT', json: { limits: { filesPerDay: 1 } } })).status, 403);
+    const update = await server.request('/admin/quotas/bob', { as: 'admin', method: 'PUT', json: { limits: { filesPerDay: 1 } } });
+    assert.equal(update.status, 200);
+    assert.equal((await update.json()).quota.limits.filesPerDay, 1);
+    assert.equal((await server.request('/admin/quotas/bob', { as: 'admin', method: 'PUT', json: { limits: { maxBytes: 'lots' } } })).status, 400);
+
+    assert.equal((await uploadChunked(server, 'bob', 'one.txt', 'one')).status, 200);
+    const init = await server.request('/upload/init', { as: 'bob', json: { fileName: 'two.txt', fileSize: 3, totalChunks: 1 } });
+    assert.equal(init.status, 429);
+    assert.ok(Number(init.headers.get('Retry-After')) > 0);
+    assert.equal((await init.json()).code, 'QUOTA_DAILY_LIMIT');
+  });
+});
+
+describe('file copies', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ QUOTA_UPLOADER_STORAGE: '20' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('copies must fit the quota and are refused before anything is copied', async () => {
+    assert.equal((await uploadChunked(server, 'bob', 'twelve.txt', 'x'.repeat(12))).status, 200);
+    const name = (await (await server.request('/api/files/bob', { as: 'bob' })).json()).files[0].name;
+
+    const refused = await server.request('/api/files/bob/copy', { as: 'bob', json: { from: name, to: 'again.txt' } });
+    assert.equal(refused.status, 413);
+    assert.equal((await refused.json()).code, 'QUOTA_STORAGE_EXCEEDED');
+    assert.equal((await server.request('/api/files/bob/again.txt', { as: 'bob' })).status, 404);
+    const quota = await (await server.request('/upload/quota', { as: 'bob' })).json();
+    assert.equal(quota.quota.usage.bytes, 12);
+
+    // Moves add nothing, so they go through
+    assert.equal((await server.request('/api/files/bob/move', { as: 'bob', json: { from: name, to: 'moved.txt' } })).status, 200);
+  });
+});
+
+describe('base44.com upload router', () => {
+  const { config } = require('../modules/config');
+  const { createServices } = require('../modules/services');
+  const { createUploadRouter } = require('../routes/upload');
+  const services = createServices(config);
+  const { quotas } = services;
+  let listener;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    // Stands in for base44.com's session middleware
+    app.use((req, res, next) => {
+      req.session = { user: { id: 'erin' } };
+      next();
+    });
+    app.use('/upload', createUploadRouter(services));
+    listener = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => listener.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+    await quotas.update('erin', { limits: { maxBytes: 10 } });
+  });
+
+  after(async () => {
+    await new Promise(resolve => listener.close(resolve));
+  });
+
+  test('form uploads over the quota are refused and their temp files removed', async () => {
+    const form = new FormData();
+    form.append('files', new Blob(['x'.repeat(11)]), 'big.txt');
+    const response = await fetch(`${baseUrl}/upload`, { method: 'POST', headers: { Accept: 'application/json' }, body: form });
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).code, 'QUOTA_STORAGE_EXCEEDED');
+    // Where the router's multer stages form uploads
+    const tempDir = path.join(__dirname, '../tmp/uploads');
+    assert.deepEqual(fs.existsSync(tempDir) ? fs.readdirSync(tempDir) : [], []);
+  });
+
+  test('form uploads within the quota are stored and counted', async () => {
+    const form = new FormData();
+    form.append('files', new Blob(['small']), 'small.txt');
+    const response = await fetch(`${baseUrl}/upload`, { method: 'POST', headers: { Accept: 'application/json' }, body: form });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.stats.success, 1);
+    assert.equal(quotas.describe('erin').usage.bytes, 5);
+  });
+});
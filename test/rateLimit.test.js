@@ -0,0 +1,144 @@
+// test/rateLimit.test.js - Request rates, concurrent chunks and unfinished sessions per client
+require('./helpers/env');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../modules/config');
+const { MemoryRateLimitStore, RateLimiter } = require('../modules/rateLimit');
+const { startServer, sendChunk } = require('./helpers/server');
+
+// Just enough of an Express response for the middleware
+function fakeResponse() {
+  const res = { statusCode: 200, headers: {}, body: null, listeners: {} };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.once = (event, listener) => { res.listeners[event] = listener; return res; };
+  return res;
+}
+
+// Run a middleware and report whether it passed the request on
+async function runMiddleware(middleware, req, res = fakeResponse()) {
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('RATE_LIMIT_BY only names known identities', () => {
+  assert.deepEqual(loadConfig({ ...process.env, RATE_LIMIT_BY: 'user, ip' }).rateLimit.scopes, ['user', 'ip']);
+  assert.throws(() => loadConfig({ ...process.env, RATE_LIMIT_BY: 'user,session' }),
+    error => error instanceof ConfigError && error.problems.some(problem => /RATE_LIMIT_BY/.test(problem)));
+});
+
+describe('MemoryRateLimitStore', () => {
+  test('token buckets allow a burst, then one request per refill', async () => {
+    const store = new MemoryRateLimitStore();
+    const limit = { rate: 2, burst: 3 };
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await store.take('rate:user:alice', limit)).allowed, true);
+    }
+    const refused = await store.take('rate:user:alice', limit);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, 1);
+    assert.equal((await store.take('rate:user:bob', limit)).allowed, true);
+
+    await new Promise(resolve => setTimeout(resolve, 550));
+    assert.equal((await store.take('rate:user:alice', limit)).allowed, true);
+  });
+
+  test('counters stop at their maximum until released', async () => {
+    const store = new MemoryRateLimitStore();
+    assert.equal(await store.acquire('chunks:user:alice', 2), true);
+    assert.equal(await store.acquire('chunks:user:alice', 2), true);
+    assert.equal(await store.acquire('chunks:user:alice', 2), false);
+    await store.release('chunks:user:alice');
+    assert.equal(await store.acquire('chunks:user:alice', 2), true);
+  });
+});
+
+describe('RateLimiter', () => {
+  const alice = { user: { userId: 'alice', keyId: 'k1', method: 'api-key' }, ip: '203.0.113.7' };
+
+  test('counts each client by the configured identities, guests by IP only', () => {
+    const limiter = new RateLimiter({ store: new MemoryRateLimitStore() });
+    assert.deepEqual(limiter.clientKeys(alice), ['key:k1', 'user:alice', 'ip:203.0.113.7']);
+    assert.deepEqual(limiter.clientKeys({ user: { userId: 'guest', method: 'anonymous' }, ip: '198.51.100.1' }), ['ip:198.51.100.1']);
+    assert.deepEqual(new RateLimiter({ store: null, scopes: ['user'] }).clientKeys(alice), ['user:alice']);
+  });
+
+  test('request rates answer 429 with Retry-After once any identity runs out', async () => {
+    const limiter = new RateLimiter({ store: new MemoryRateLimitStore(), requestsPerSecond: 1, burst: 1 });
+    const middleware = limiter.limitRequests();
+    assert.equal((await runMiddleware(middleware, alice)).passed, true);
+
+    // Another user behind the same IP address shares its allowance
+    const { passed, res } = await runMiddleware(middleware, { user: { userId: 'bob', keyId: 'k2', method: 'api-key' }, ip: alice.ip });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '1');
+    assert.equal(res.body.code, 'RATE_LIMITED');
+
+    assert.equal((await runMiddleware(new RateLimiter({ store: null }).limitRequests(), alice)).passed, true);
+  });
+
+  test('concurrent chunk slots are held until the response closes', async () => {
+    const limiter = new RateLimiter({ store: new MemoryRateLimitStore(), maxConcurrentChunks: 1 });
+    const middleware = limiter.limitConcurrentChunks();
+    const first = await runMiddleware(middleware, alice);
+    assert.equal(first.passed, true);
+    const second = await runMiddleware(middleware, alice);
+    assert.equal(second.res.body.code, 'TOO_MANY_CONCURRENT_CHUNKS');
+
+    first.res.listeners.close();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal((await runMiddleware(middleware, alice)).passed, true);
+  });
+
+  test('unfinished sessions are counted by the identities that created them', () => {
+    const limiter = new RateLimiter({ store: null, maxSessions: 2 });
+    const sessions = [
+      ['a', { clientKeys: ['key:k1', 'user:alice', 'ip:203.0.113.7'] }],
+      ['b', { clientKeys: ['key:k1', 'user:alice', 'ip:203.0.113.7'] }],
+      ['c', { clientKeys: ['key:k9', 'user:carol', 'ip:198.51.100.1'] }]
+    ];
+    assert.deepEqual(limiter.checkSessions(alice, sessions), { allowed: false, active: 2 });
+    assert.deepEqual(limiter.checkSessions(alice, sessions.slice(1)), { allowed: true, active: 1 });
+  });
+});
+
+describe('upload endpoints', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      RATE_LIMIT_BY: 'key,user',
+      RATE_LIMIT_REQUESTS_PER_SECOND: '1',
+      RATE_LIMIT_BURST: '4',
+      RATE_LIMIT_CONCURRENT_SESSIONS: '2'
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const init = as => server.request('/upload/init', { as, json: { fileName: 'limited.txt', fileSize: 5, totalChunks: 1 } });
+
+  test('a client with too many unfinished uploads is turned away, but may finish them', async () => {
+    const { uploadId } = await (await init('alice')).json();
+    assert.equal((await init('alice')).status, 200);
+    const third = await init('alice');
+    assert.equal(third.status, 429);
+    assert.equal((await third.json()).code, 'TOO_MANY_SESSIONS');
+
+    assert.equal((await sendChunk(server, 'alice', uploadId, 0, Buffer.from('hello'))).status, 200);
+  });
+
+  // The burst of 4 is used up by now
+  test('requests beyond the burst are limited per client', async () => {
+    const limited = await init('alice');
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('Retry-After')) >= 1);
+    assert.equal((await init('bob')).status, 200);
+  });
+});
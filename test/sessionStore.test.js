@@ -0,0 +1,221 @@
+// test/sessionStore.test.js - Upload session stores: persistence, sharing a volume, locks and results
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore, createSessionStore, isValidUploadId } = require('../modules/sessionStore');
+
+const UPLOAD_ID = 'a'.repeat(32);
+const OTHER_UPLOAD_ID = 'b'.repeat(32);
+
+function newSession(fields = {}) {
+  return { fileName: 'report.pdf', userId: 'alice', fileSize: 10, chunks: new Map(), createdAt: Date.now(), ...fields };
+}
+
+describe('isValidUploadId', () => {
+  test('accepts only the 32 hex characters /upload/init generates', () => {
+    assert.equal(isValidUploadId(UPLOAD_ID), true);
+    assert.equal(isValidUploadId('../' + UPLOAD_ID.slice(3)), false);
+    assert.equal(isValidUploadId(UPLOAD_ID.toUpperCase()), false);
+    assert.equal(isValidUploadId(undefined), false);
+  });
+});
+
+describe('createSessionStore', () => {
+  test('picks the store by type', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    try {
+      assert.ok(createSessionStore({ type: 'memory' }) instanceof MemorySessionStore);
+      assert.ok(createSessionStore({ type: 'file', sessionsDir: dir }) instanceof FileSessionStore);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('MemorySessionStore', () => {
+  test('records chunks and parts of a session', async () => {
+    const store = new MemorySessionStore();
+    await store.create(UPLOAD_ID, newSession());
+    await store.addChunk(UPLOAD_ID, 0, { path: '/tmp/x_0', size: 5, sha256: 'f'.repeat(64) });
+    await store.addPart(UPLOAD_ID, 1, { ETag: '"etag"', size: 5, firstChunk: 0, lastChunk: 0 });
+    const session = await store.update(UPLOAD_ID, { contentType: 'application/pdf' });
+
+    assert.equal(session.chunks.get(0).size, 5);
+    assert.equal(session.parts[1].ETag, '"etag"');
+    assert.equal(session.contentType, 'application/pdf');
+    assert.equal(await store.size(), 1);
+
+    await store.delete(UPLOAD_ID);
+    assert.equal(await store.get(UPLOAD_ID), null);
+    assert.equal(await store.addChunk(UPLOAD_ID, 1, { path: '/tmp/x_1', size: 5 }), null);
+  });
+  test('one caller at a time holds the lock, until it is released or expires', async () => {
+    const store = new MemorySessionStore();
+    await store.create(UPLOAD_ID, newSession());
+    const [first, second] = await Promise.all([
+      store.acquireLock(UPLOAD_ID, { purpose: 'completing', ttl: 60000 }),
+      store.acquireLock(UPLOAD_ID, { purpose: 'cancelling', ttl: 60000 })
+    ]);
+    assert.equal(first.purpose, 'completing');
+    assert.equal(second, null);
+
+    // A stale lock object does not release the current holder's lock
+    await store.releaseLock(UPLOAD_ID, { token: 'stale' });
+    assert.equal(await store.acquireLock(UPLOAD_ID, { purpose: 'completing', ttl: 60000 }), null);
+    await store.releaseLock(UPLOAD_ID, first);
+
+    const expiring = await store.acquireLock(UPLOAD_ID, { purpose: 'completing', ttl: 1 });
+    assert.ok(expiring);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.ok(await store.acquireLock(UPLOAD_ID, { purpose: 'completing', ttl: 60000 }));
+    assert.equal(await store.acquireLock(OTHER_UPLOAD_ID, { purpose: 'completing', ttl: 60000 }), null);
+  });
+  test('keeps results of finished uploads until they expire', async () => {
+    const store = new MemorySessionStore();
+    await store.saveResult(UPLOAD_ID, { b2Key: 'alice/a.txt' }, { ttl: 60000 });
+    await store.saveResult(OTHER_UPLOAD_ID, { b2Key: 'alice/b.txt' }, { ttl: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.deepEqual(await store.getResult(UPLOAD_ID), { b2Key: 'alice/a.txt' });
+    assert.equal(await store.getResult(OTHER_UPLOAD_ID), null);
+    assert.equal(await store.pruneResults(), 1);
+    await store.deleteResult(UPLOAD_ID);
+    assert.equal(await store.getResult(UPLOAD_ID), null);
+  });
+});
+
+describe('FileSessionStore', () => {
+  let dir;
+  let sessionsDir;
+  let chunksDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    sessionsDir = path.join(dir, 'sessions');
+    chunksDir = path.join(dir, 'chunks');
+    fs.mkdirSync(chunksDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('restores sessions after a restart and reconciles them with the chunks on disk', async () => {
+    const before = new FileSessionStore(sessionsDir);
+    await before.create(UPLOAD_ID, newSession());
+    const keptChunk = path.join(chunksDir, `${UPLOAD_ID}_0`);
+    fs.writeFileSync(keptChunk, 'hello');
+    await before.addChunk(UPLOAD_ID, 0, { path: keptChunk, size: 5 });
+    await before.addChunk(UPLOAD_ID, 1, { path: path.join(chunksDir, `${UPLOAD_ID}_1`), size: 5 });
+    await before.close();
+    // Written after the session was saved, as if the process died before recording it
+    fs.writeFileSync(path.join(chunksDir, `${UPLOAD_ID}_2`), 'world');
+
+    const after = new FileSessionStore(sessionsDir);
+    assert.equal(await after.init(chunksDir), 1);
+    const session = await after.get(UPLOAD_ID);
+    assert.deepEqual([...session.chunks.keys()].sort(), [0, 2]);
+    assert.equal(session.chunks.get(2).size, 5);
+  });
+
+  test('sees sessions created, changed and deleted by another process on the same volume', async () => {
+    const first = new FileSessionStore(sessionsDir);
+    const second = new FileSessionStore(sessionsDir);
+
+    await first.create(UPLOAD_ID, newSession());
+    assert.equal((await second.get(UPLOAD_ID)).fileName, 'report.pdf');
+
+    await first.addChunk(UPLOAD_ID, 0, { path: '/tmp/x_0', size: 5 });
+    await first.update(UPLOAD_ID, { fileName: 'renamed.pdf' });
+    const changed = await second.get(UPLOAD_ID);
+    assert.equal(changed.fileName, 'renamed.pdf');
+    assert.equal(changed.chunks.size, 1);
+
+    await second.delete(UPLOAD_ID);
+    assert.equal(await first.get(UPLOAD_ID), null);
+  });
+
+  test('lists the sessions in the directory, not only those it has cached', async () => {
+    const first = new FileSessionStore(sessionsDir);
+    const second = new FileSessionStore(sessionsDir);
+    await first.create(UPLOAD_ID, newSession());
+    await second.create(OTHER_UPLOAD_ID, newSession({ userId: 'bob' }));
+
+    const listed = await first.list();
+    assert.deepEqual(listed.map(([uploadId]) => uploadId).sort(), [UPLOAD_ID, OTHER_UPLOAD_ID]);
+    assert.equal(await first.size(), 2);
+
+    await second.delete(OTHER_UPLOAD_ID);
+    assert.deepEqual((await first.list()).map(([uploadId]) => uploadId), [UPLOAD_ID]);
+  });
+
+  test('processes sharing the volume exclude each other, and take over a dead holder\'s lock', async () => {
+    const first = new FileSessionStore(sessionsDir);
+    const second = new FileSessionStore(sessionsDir);
+    await first.create(UPLOAD_ID, newSession());
+
+    const lock = await first.acquireLock(UPLOAD_ID, { purpose: 'completing', ttl: 60000 });
+    assert.ok(lock);
+    assert.equal(await second.acquireLock(UPLOAD_ID, { purpose: 'cancelling', ttl: 60000 }), null);
+    assert.equal((await second.get(UPLOAD_ID)).lock.purpose, 'completing');
+    await first.releaseLock(UPLOAD_ID, lock);
+    assert.ok(await second.acquireLock(UPLOAD_ID, { purpose: 'cancelling', ttl: 10 }));
+
+    // As if the second process died holding it: once the ttl has passed, the lock is free again
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(await first.acquireLock(UPLOAD_ID, { purpose: 'completing', ttl: 10 }));
+  });
+
+  test('keeps results where other processes can read them, apart from the sessions', async () => {
+    const first = new FileSessionStore(sessionsDir);
+    const second = new FileSessionStore(sessionsDir);
+    await first.saveResult(UPLOAD_ID, { b2Key: 'alice/a.txt' }, { ttl: 60000 });
+    await first.saveResult(OTHER_UPLOAD_ID, { b2Key: 'alice/b.txt' }, { ttl: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.deepEqual(await second.getResult(UPLOAD_ID), { b2Key: 'alice/a.txt' });
+    assert.equal(await second.getResult(OTHER_UPLOAD_ID), null);
+    assert.deepEqual(await second.list(), []);
+    assert.equal(await second.pruneResults(), 1);
+    await second.deleteResult(UPLOAD_ID);
+    assert.equal(await first.getResult(UPLOAD_ID), null);
+    assert.deepEqual(fs.readdirSync(sessionsDir), []);
+  });
+
+  test('changes from processes sharing the volume are all kept', async () => {
+    const stores = [new FileSessionStore(sessionsDir), new FileSessionStore(sessionsDir), new FileSessionStore(sessionsDir)];
+    await stores[0].create(UPLOAD_ID, newSession());
+    await Promise.all(stores.map(store => store.get(UPLOAD_ID)));
+
+    // Each store adds chunks from a session it has cached, as every process serving chunks does
+    await Promise.all(Array.from({ length: 12 }, (unused, index) =>
+      stores[index % stores.length].addChunk(UPLOAD_ID, index, { path: `/tmp/x_${index}`, size: 1 })));
+    await stores[1].update(UPLOAD_ID, { contentType: 'application/pdf' });
+
+    const session = await new FileSessionStore(sessionsDir).get(UPLOAD_ID);
+    assert.deepEqual([...session.chunks.keys()].sort((a, b) => a - b), Array.from({ length: 12 }, (unused, index) => index));
+    assert.equal(session.contentType, 'application/pdf');
+    assert.equal((await stores[2].get(UPLOAD_ID)).chunks.size, 12);
+    assert.deepEqual(fs.readdirSync(sessionsDir), [`${UPLOAD_ID}.json`]);
+  });
+
+  test('rejects when a session can not be written, and does not keep it', async () => {
+    const store = new FileSessionStore(sessionsDir);
+    fs.rmSync(sessionsDir, { recursive: true });
+    fs.writeFileSync(sessionsDir, 'not a directory');
+    await assert.rejects(store.create(UPLOAD_ID, newSession()), { code: 'ENOTDIR' });
+    fs.rmSync(sessionsDir);
+    fs.mkdirSync(sessionsDir);
+    assert.equal(await store.get(UPLOAD_ID), null);
+    await store.close();
+  });
+
+  test('ignores IDs that are not upload IDs', async () => {
+    const store = new FileSessionStore(sessionsDir);
+    fs.writeFileSync(path.join(sessionsDir, 'not-an-id.json'), '{}');
+    assert.equal(await store.get('../secrets'), null);
+    assert.deepEqual(await store.list(), []);
+  });
+});
@@ -0,0 +1,157 @@
+// test/stagingSpace.test.js - Staging space reservations and admission of new uploads
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const { StagingSpace, sessionReservation, RETRY_AFTER } = require('../modules/stagingSpace');
+const { startServer } = require('./helpers/server');
+
+const MB = 1024 * 1024;
+
+// A volume of fixed size, so admissions do not depend on the machine's disk
+class FakeVolume extends StagingSpace {
+  constructor(options, { totalBytes, freeBytes }) {
+    super({ dir: os.tmpdir(), ...options });
+    this.volume = { totalBytes, freeBytes };
+  }
+
+  async disk() {
+    return { ...this.volume };
+  }
+}
+
+const session = (uploadMode, fileSize, receivedSizes = []) => ({
+  uploadMode,
+  fileSize,
+  chunks: new Map(receivedSizes.map((size, index) => [index, { size }]))
+});
+
+test('sessions reserve what they may still write', () => {
+  assert.equal(sessionReservation(session('assemble', 100)), 200);
+  assert.equal(sessionReservation(session('assemble', 100, [40, 40])), 120);
+  assert.equal(sessionReservation(session('stream', 100, [40])), 60);
+  assert.equal(sessionReservation(session('direct', 100)), 0);
+});
+
+describe('StagingSpace', () => {
+  test('usage counts sessions, reservations and the space kept free', async () => {
+    const space = new FakeVolume({ minFree: 100 }, { totalBytes: 1000, freeBytes: 600 });
+    space.reserve('request-1', 50);
+    const usage = await space.usage([['a', session('assemble', 100)]]);
+    assert.deepEqual(usage, { totalBytes: 1000, freeBytes: 600, reservedBytes: 250, availableBytes: 250, minFreeBytes: 100 });
+
+    space.release('request-1');
+    assert.equal((await space.usage([])).availableBytes, 500);
+    space.volume.freeBytes = 50;
+    assert.equal((await space.usage([])).availableBytes, 0);
+  });
+
+  test('uploads that fit are admitted and hold their reservation', async () => {
+    const space = new FakeVolume({ minFree: 100 }, { totalBytes: 1000, freeBytes: 600 });
+    const admission = await space.admit('request-1', 400, { listSessions: async () => [] });
+    assert.equal(admission.admitted, true);
+    assert.equal(space.reservations.get('request-1'), 400);
+    assert.equal(space.queued, 0);
+
+    const refused = await space.admit('request-2', 400, { listSessions: async () => [] });
+    assert.equal(refused.admitted, false);
+    assert.equal(refused.retryAfter, RETRY_AFTER);
+    assert.equal(refused.availableBytes, 100);
+  });
+
+  test('uploads larger than the volume are refused outright', async () => {
+    const space = new FakeVolume({ minFree: 100, queueTimeout: 60000 }, { totalBytes: 1000, freeBytes: 1000 });
+    const admission = await space.admit('request-1', 950, { listSessions: async () => [] });
+    assert.equal(admission.admitted, false);
+    assert.equal(admission.neverFits, true);
+  });
+
+  test('waiting uploads are admitted in order once space frees up', async () => {
+    const space = new FakeVolume({ queueTimeout: 5000 }, { totalBytes: 1000, freeBytes: 1000 });
+    space.reserve('running', 900);
+    const listSessions = async () => [];
+    const admitted = [];
+    const first = space.admit('first', 500, { listSessions }).then(result => admitted.push(['first', result.admitted]));
+    const second = space.admit('second', 100, { listSessions }).then(result => admitted.push(['second', result.admitted]));
+
+    // The second would fit now, but waits behind the first
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(space.queued, 2);
+    assert.deepEqual(admitted, []);
+
+    space.release('running');
+    await Promise.all([first, second]);
+    assert.deepEqual(admitted, [['first', true], ['second', true]]);
+    assert.equal(space.queued, 0);
+  });
+
+  test('waiting stops when the client goes away', async () => {
+    const space = new FakeVolume({ queueTimeout: 60000 }, { totalBytes: 1000, freeBytes: 100 });
+    const controller = new AbortController();
+    const admission = space.admit('request-1', 500, { listSessions: async () => [], signal: controller.signal });
+    controller.abort();
+    assert.equal((await admission).admitted, false);
+    assert.equal(space.reservations.has('request-1'), false);
+    assert.equal(space.queued, 0);
+  });
+
+  test('reserved writes wait for free space until the queue timeout', async () => {
+    const space = new FakeVolume({ queueTimeout: 0 }, { totalBytes: 1000, freeBytes: 100 });
+    assert.equal(await space.waitForFree(100), true);
+    assert.equal(await space.waitForFree(101), false);
+  });
+});
+
+describe('upload endpoints', () => {
+  let server;
+  let totalBytes;
+
+  // Leave 64 MB of the real volume to the server's uploads
+  before(async () => {
+    const stats = await fs.promises.statfs(os.tmpdir());
+    totalBytes = stats.blocks * stats.bsize;
+    server = await startServer({
+      STAGING_MIN_FREE: String(stats.bavail * stats.bsize - 64 * MB),
+      STAGING_QUEUE_TIMEOUT_MS: '0',
+      // Let a file the size of the volume through the other checks
+      MAX_FILE_SIZE: String(totalBytes),
+      MAX_CHUNKS: String(Math.ceil(totalBytes / (30 * MB)))
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const init = (as, fileSize, fields = {}) => server.request('/upload/init', {
+    as,
+    json: { fileName: 'staged.bin', fileSize, chunkSize: 30 * MB, totalChunks: Math.ceil(fileSize / (30 * MB)), ...fields }
+  });
+
+  test('uploads beyond the free staging space answer 507 until space is released', async () => {
+    const response = await init('alice', 20 * MB);
+    assert.equal(response.status, 200);
+    const { uploadId } = await response.json();
+
+    const status = await (await server.request('/admin/storage-status', { as: 'admin' })).json();
+    assert.deepEqual(status.staging.reservations.map(entry => [entry.uploadId, entry.reservedMB]), [[uploadId, 40]]);
+    assert.ok(status.staging.availableMB < 24);
+
+    const refused = await init('bob', 20 * MB);
+    assert.equal(refused.status, 507);
+    assert.equal(refused.headers.get('Retry-After'), String(RETRY_AFTER));
+    assert.equal((await refused.json()).code, 'INSUFFICIENT_STORAGE');
+
+    // Streamed uploads only stage their chunks, not a combined copy
+    assert.equal((await init('bob', 10 * MB, { uploadMode: 'stream' })).status, 200);
+
+    await server.request(`/upload/${uploadId}`, { as: 'alice', method: 'DELETE' });
+    assert.equal((await init('bob', 20 * MB)).status, 200);
+  });
+
+  test('uploads larger than the staging volume are refused with 413', async () => {
+    const response = await init('alice', totalBytes);
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).code, 'STAGING_SPACE_TOO_SMALL');
+  });
+});
@@ -0,0 +1,149 @@
+// test/storage.test.js - Local-disk storage driver: objects, multipart uploads, signed URLs and range reads
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { LocalStorageDriver, createStorageDriver, encodeKey, contentDisposition } = require('../modules/storage');
+
+const SIGNING_SECRET = 'test-signing-secret-0123456789abcdef';
+
+async function readBody(stream) {
+  const chunks = [];
+  for await (const data of stream) {
+    chunks.push(data);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+
+before(async () => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  // The driver needs its base URL before the port is known, so it is filled in once listening
+  storage = new LocalStorageDriver({ rootDir, publicBaseUrl: '', signingSecret: SIGNING_SECRET, privatePrefix: 'private/', maxPutSize: 1024 });
+  const app = express();
+  app.use(storage.mountPath, storage.router());
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  storage.publicBaseUrl = baseUrl;
+});
+
+after(async () => {
+  server.close();
+  await once(server, 'close');
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+describe('objects', () => {
+  test('stores, describes, copies and deletes an object with its metadata', async () => {
+    await storage.putObject('alice/a.txt', Buffer.from('hello'), { contentType: 'text/plain', metadata: { 'original-name': 'a.txt' } });
+    const head = await storage.headObject('alice/a.txt');
+    assert.equal(head.size, 5);
+    assert.equal(head.contentType, 'text/plain');
+    assert.deepEqual(head.metadata, { 'original-name': 'a.txt' });
+    assert.match(head.etag, /^"[a-f0-9]{32}"$/);
+
+    await storage.copyObject('alice/a.txt', 'alice/copy/b.txt');
+    const copy = await storage.getObject('alice/copy/b.txt');
+    assert.equal(copy.contentType, 'text/plain');
+    assert.equal(await readBody(copy.body), 'hello');
+
+    await storage.deleteObject('alice/a.txt');
+    assert.equal(await storage.headObject('alice/a.txt'), null);
+    assert.equal(await storage.getObject('alice/a.txt'), null);
+  });
+
+  test('lists objects under a prefix a page at a time', async () => {
+    for (const name of ['1', '2', '3']) {
+      await storage.putObject(`bob/list/${name}.txt`, Buffer.from(name));
+    }
+    const first = await storage.listObjects('bob/list/', { maxKeys: 2 });
+    assert.deepEqual(first.objects.map(object => object.key), ['bob/list/1.txt', 'bob/list/2.txt']);
+    const second = await storage.listObjects('bob/list/', { maxKeys: 2, continuationToken: first.nextContinuationToken });
+    assert.deepEqual(second.objects.map(object => object.key), ['bob/list/3.txt']);
+    assert.equal(second.nextContinuationToken, null);
+  });
+
+  test('refuses keys that leave the root or are not in canonical form', async () => {
+    for (const key of ['../outside.txt', 'alice/../../outside.txt', 'alice//a.txt', 'alice/./a.txt', '.meta/x', '']) {
+      await assert.rejects(storage.putObject(key, Buffer.from('x')), /Invalid object key/, key);
+    }
+  });
+
+  test('assembles multipart uploads in part order', async () => {
+    const uploadId = await storage.createMultipartUpload('alice/parts.bin', { contentType: 'application/octet-stream' });
+    const second = await storage.uploadPart('alice/parts.bin', uploadId, 2, Buffer.from('world'));
+    const first = await storage.uploadPart('alice/parts.bin', uploadId, 1, Buffer.from('hello '));
+    await storage.completeMultipartUpload('alice/parts.bin', uploadId, [second, first]);
+    assert.equal(await readBody((await storage.getObject('alice/parts.bin')).body), 'hello world');
+
+    const aborted = await storage.createMultipartUpload('alice/aborted.bin');
+    await storage.abortMultipartUpload('alice/aborted.bin', aborted);
+    await assert.rejects(storage.uploadPart('alice/aborted.bin', aborted, 1, Buffer.from('x')), /not found/);
+  });
+});
+
+describe('router', () => {
+  test('serves public objects like a public bucket', async () => {
+    await storage.putObject('alice/page.html', Buffer.from('<p>hi</p>'), { contentType: 'text/html' });
+    const response = await fetch(storage.publicUrls('alice/page.html').cdnUrl);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/html');
+    assert.equal(await response.text(), '<p>hi</p>');
+    assert.equal((await fetch(`${baseUrl}/storage/alice/missing.html`)).status, 404);
+  });
+
+  test('accepts uploads only to signed PUT URLs', async () => {
+    const url = await storage.getSignedUrl('alice/direct.txt', { method: 'PUT', expiresIn: 60, contentType: 'text/plain' });
+    const put = (target, body, contentType = 'text/plain') => fetch(target, { method: 'PUT', headers: { 'Content-Type': contentType }, body });
+    assert.equal((await put(url.replace(/signature=[a-f0-9]+/, 'signature=0'), 'x')).status, 403);
+    // Bound to the signed Content-Type, like an S3 pre-signed PUT
+    assert.equal((await put(url, '<p>x</p>', 'text/html')).status, 403);
+    const response = await put(url, 'direct');
+    assert.equal(response.status, 200);
+    assert.equal((await storage.headObject('alice/direct.txt')).contentType, 'text/plain');
+  });
+
+  test('streams signed PUTs to disk and refuses more than the signed length', async () => {
+    const url = await storage.getSignedUrl('alice/sized.txt', { method: 'PUT', expiresIn: 60, contentType: 'text/plain', contentLength: 5 });
+    assert.equal((await fetch(url.replace('size=5', 'size=50'), { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'x' })).status, 403);
+    const tooLarge = await fetch(url, { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'too long' });
+    assert.equal(tooLarge.status, 413);
+    assert.equal(await storage.headObject('alice/sized.txt'), null);
+    assert.equal((await fetch(url, { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'fits' })).status, 200);
+
+    const uploadId = await storage.createMultipartUpload('alice/sized.bin');
+    const partUrl = await storage.getSignedPartUrl('alice/sized.bin', uploadId, 1, { expiresIn: 60, contentLength: 3 });
+    assert.equal((await fetch(partUrl, { method: 'PUT', body: Buffer.from('four') })).status, 413);
+    const part = await fetch(partUrl, { method: 'PUT', body: Buffer.from('abc') });
+    assert.equal(part.status, 200);
+    await storage.completeMultipartUpload('alice/sized.bin', uploadId, [{ PartNumber: 1, ETag: part.headers.get('ETag') }]);
+    assert.equal(await readBody((await storage.getObject('alice/sized.bin')).body), 'abc');
+
+    // Without a signed length the driver's own limit applies
+    const unsized = await storage.getSignedUrl('alice/unsized.bin', { method: 'PUT', expiresIn: 60 });
+    assert.equal((await fetch(unsized, { method: 'PUT', body: Buffer.alloc(storage.maxPutSize + 1) })).status, 413);
+  });
+});
+
+describe('helpers', () => {
+  test('encodeKey encodes each segment but keeps the slashes', () => {
+    assert.equal(encodeKey('alice/my file#1.txt'), 'alice/my%20file%231.txt');
+  });
+
+  test('contentDisposition gives an ASCII fallback and the exact UTF-8 name', () => {
+    assert.equal(contentDisposition('café "x".txt', 'inline'), 'inline; filename="caf_ _x_.txt"; filename*=UTF-8\'\'caf%C3%A9%20%22x%22.txt');
+  });
+
+  test('createStorageDriver refuses unknown drivers', () => {
+    assert.throws(() => createStorageDriver({ driver: 'ftp' }), /Unknown storage driver/);
+    assert.ok(createStorageDriver({ driver: 'local', local: { rootDir, publicBaseUrl: baseUrl } }) instanceof LocalStorageDriver);
+  });
+});
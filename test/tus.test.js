@@ -0,0 +1,221 @@
+// test/tus.test.js - The tus 1.0 resumable upload protocol
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const tus = require('../modules/tus');
+const { startServer, KEYS } = require('./helpers/server');
+
+const TUS_HEADERS = { 'X-API-Key': KEYS.alice, 'Tus-Resumable': '1.0.0' };
+const base64 = text => Buffer.from(text).toString('base64');
+const sha1 = data => crypto.createHash('sha1').update(data).digest('base64');
+
+describe('headers', () => {
+  test('Upload-Metadata pairs are decoded, malformed ones refused', () => {
+    assert.deepEqual(tus.parseMetadata(`filename ${base64('nötes.txt')}, is_confidential`), { filename: 'nötes.txt', is_confidential: '' });
+    assert.deepEqual(tus.parseMetadata(undefined), {});
+    assert.throws(() => tus.parseMetadata('filename a b'), error => error instanceof tus.TusError && error.status === 400);
+    assert.throws(() => tus.parseMetadata('filename not*base64'), tus.TusError);
+  });
+
+  test('Upload-Checksum names a supported algorithm and a base64 digest', () => {
+    assert.deepEqual(tus.parseChecksum('sha1 Kq5sNclPz7QV2+lfQIuc6R7oRu0='), { algorithm: 'sha1', digest: 'Kq5sNclPz7QV2+lfQIuc6R7oRu0=' });
+    assert.equal(tus.parseChecksum(''), null);
+    assert.throws(() => tus.parseChecksum('crc32 AAAA'), /Unsupported checksum algorithm/);
+    assert.throws(() => tus.parseChecksum('sha256'), /base64 digest/);
+  });
+
+  test('offsets and lengths are non-negative integers', () => {
+    assert.equal(tus.parseIntegerHeader('0', 'Upload-Offset'), 0);
+    assert.equal(tus.parseIntegerHeader('1024', 'Upload-Length'), 1024);
+    for (const value of [undefined, '-1', '1.5', '1e3', ' 12']) {
+      assert.throws(() => tus.parseIntegerHeader(value, 'Upload-Offset'), /Upload-Offset must be a non-negative integer/);
+    }
+  });
+
+  test('request bodies are written with their hashes, and stop at the allowed size', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-'));
+    try {
+      const filePath = path.join(dir, 'body');
+      const written = await tus.writeRequestBody(Readable.from([Buffer.from('hello '), Buffer.from('tus')]), filePath, {
+        maxBytes: 100,
+        checksum: { algorithm: 'sha1' }
+      });
+      assert.equal(written.size, 9);
+      assert.equal(written.digest, sha1('hello tus'));
+      assert.equal(written.sha256, crypto.createHash('sha256').update('hello tus').digest('hex'));
+      assert.equal(written.complete, true);
+      assert.equal(fs.readFileSync(filePath, 'utf8'), 'hello tus');
+
+      const capped = await tus.writeRequestBody(Readable.from([Buffer.from('12345'), Buffer.from('67890')]), filePath, { maxBytes: 7 });
+      assert.equal(capped.tooLarge, true);
+      assert.equal(capped.size, 5);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('protocol', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function create(fileName, length, headers = {}) {
+    const response = await fetch(`${server.baseUrl}/upload/tus`, {
+      method: 'POST',
+      headers: { ...TUS_HEADERS, 'Upload-Length': String(length), 'Upload-Metadata': `filename ${base64(fileName)}`, ...headers }
+    });
+    return { status: response.status, location: response.headers.get('Location'), response };
+  }
+
+  function patch(location, offset, body, headers = {}) {
+    return fetch(location, {
+      method: 'PATCH',
+      headers: { ...TUS_HEADERS, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset), ...headers },
+      body
+    });
+  }
+
+  test('OPTIONS advertises the version, extensions and checksum algorithms', async () => {
+    const response = await fetch(`${server.baseUrl}/upload/tus`, { method: 'OPTIONS' });
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('Tus-Version'), '1.0.0');
+    assert.equal(response.headers.get('Tus-Extension'), tus.TUS_EXTENSIONS.join(','));
+    assert.equal(response.headers.get('Tus-Checksum-Algorithm'), tus.CHECKSUM_ALGORITHMS.join(','));
+  });
+
+  test('a file sent in several PATCH requests is stored once the last one arrives', async () => {
+    const data = Buffer.from('resumable upload, sent in pieces\n'.repeat(50));
+    const { status, location } = await create('nötes.txt', data.length);
+    assert.equal(status, 201);
+    assert.ok(location.startsWith(`${server.baseUrl}/upload/tus/`));
+
+    const first = await patch(location, 0, data.subarray(0, 1000), { 'Upload-Checksum': `sha1 ${sha1(data.subarray(0, 1000))}` });
+    assert.equal(first.status, 204);
+    assert.equal(first.headers.get('Upload-Offset'), '1000');
+
+    const head = await fetch(location, { method: 'HEAD', headers: TUS_HEADERS });
+    assert.equal(head.headers.get('Upload-Offset'), '1000');
+    assert.equal(head.headers.get('Upload-Length'), String(data.length));
+    assert.equal(head.headers.get('Cache-Control'), 'no-store');
+
+    const last = await patch(location, 1000, data.subarray(1000));
+    assert.equal(last.status, 204);
+    assert.equal(last.headers.get('Upload-Offset'), String(data.length));
+
+    const result = await (await fetch(location, { headers: TUS_HEADERS })).json();
+    assert.equal(result.success, true);
+    assert.equal(result.originalFileName, 'nötes.txt');
+    assert.equal(result.sha256, crypto.createHash('sha256').update(data).digest('hex'));
+    assert.deepEqual(Buffer.from(await (await fetch(result.cdnUrl)).arrayBuffer()), data);
+  });
+
+  test('bad requests are refused without moving the offset', async () => {
+    const { location } = await create('refused.txt', 20);
+    const mismatch = await patch(location, 0, 'abcde', { 'Upload-Checksum': `sha1 ${sha1('other')}` });
+    assert.equal(mismatch.status, tus.CHECKSUM_MISMATCH_STATUS);
+    const wrongOffset = await patch(location, 5, 'abcde');
+    assert.equal(wrongOffset.status, 409);
+    assert.equal((await patch(location, 0, 'abcde', { 'Content-Type': 'application/octet-stream' })).status, 415);
+    assert.equal((await patch(location, 0, 'x'.repeat(21))).status, 413);
+    assert.equal((await fetch(location, { method: 'HEAD', headers: TUS_HEADERS })).headers.get('Upload-Offset'), '0');
+
+    const noVersion = await fetch(`${server.baseUrl}/upload/tus`, { method: 'POST', headers: { 'X-API-Key': KEYS.alice, 'Upload-Length': '5' } });
+    assert.equal(noVersion.status, 412);
+    assert.equal((await create('', 5, { 'Upload-Metadata': '' })).status, 400);
+  });
+
+  test('clients that can only POST use X-HTTP-Method-Override', async () => {
+    const { location } = await create('override.txt', 5);
+    const response = await fetch(location, {
+      method: 'POST',
+      headers: { ...TUS_HEADERS, 'X-HTTP-Method-Override': 'PATCH', 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' },
+      body: 'hello'
+    });
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('Upload-Offset'), '5');
+  });
+
+  test('a PATCH still receiving its body locks the upload against other PATCH and DELETE requests', async () => {
+    const { location } = await create('slow.txt', 20);
+    const url = new URL(location);
+    const slow = http.request({
+      host: url.hostname,
+      port: url.port,
+      path: url.pathname,
+      method: 'PATCH',
+      headers: { ...TUS_HEADERS, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0', 'Content-Length': '10' }
+    });
+    const slowStatus = new Promise(resolve => slow.on('response', response => {
+      response.resume();
+      resolve(response.statusCode);
+    }));
+    slow.write('12345');
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const second = await patch(location, 0, 'abcde');
+    assert.equal(second.status, 409);
+    assert.equal((await second.json()).code, 'TUS_UPLOAD_LOCKED');
+    assert.equal((await fetch(location, { method: 'DELETE', headers: TUS_HEADERS })).status, 409);
+
+    slow.end('67890');
+    assert.equal(await slowStatus, 204);
+    assert.equal((await patch(location, 10, '0123456789')).status, 204);
+  });
+
+  test('termination removes the upload', async () => {
+    const { location } = await create('gone.txt', 10);
+    assert.equal((await patch(location, 0, '12345')).status, 204);
+    assert.equal((await fetch(location, { method: 'DELETE', headers: TUS_HEADERS })).status, 204);
+    assert.equal((await fetch(location, { method: 'HEAD', headers: TUS_HEADERS })).status, 404);
+  });
+
+  test('uploads belong to their uploader', async () => {
+    const { location } = await create('private.txt', 10);
+    const asBob = { ...TUS_HEADERS, 'X-API-Key': KEYS.bob };
+    assert.equal((await fetch(location, { method: 'HEAD', headers: asBob })).status, 404);
+    assert.equal((await patch(location, 0, '12345', asBob)).status, 404);
+  });
+});
+
+test('the result of a finished upload is still there after a restart', async () => {
+  const first = await startServer();
+  let location;
+  try {
+    const response = await fetch(`${first.baseUrl}/upload/tus`, {
+      method: 'POST',
+      headers: { ...TUS_HEADERS, 'Upload-Length': '5', 'Upload-Metadata': `filename ${base64('kept.txt')}` }
+    });
+    location = new URL(response.headers.get('Location')).pathname;
+    const done = await first.request(location, {
+      method: 'PATCH',
+      headers: { ...TUS_HEADERS, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' },
+      body: 'hello'
+    });
+    assert.equal(done.status, 204);
+  } finally {
+    await first.stop({ keepFiles: true });
+  }
+
+  const second = await startServer({}, { dir: first.dir });
+  try {
+    const head = await second.request(location, { method: 'HEAD', headers: TUS_HEADERS });
+    assert.equal(head.status, 200);
+    assert.equal(head.headers.get('Upload-Offset'), '5');
+    const result = await (await second.request(location, { headers: TUS_HEADERS })).json();
+    assert.equal(result.originalFileName, 'kept.txt');
+  } finally {
+    await second.stop();
+  }
+});
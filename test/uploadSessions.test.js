@@ -0,0 +1,78 @@
+// test/uploadSessions.test.js - Chunked upload sessions survive restarts, complete once, and expire
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sendChunk } = require('./helpers/server');
+
+test('a chunked upload resumes on a restarted server', async () => {
+  const first = await startServer();
+  let uploadId;
+  try {
+    const init = await first.request('/upload/init', { as: 'alice', json: { fileName: 'notes.txt', fileSize: 10, chunkSize: 5, totalChunks: 2 } });
+    assert.equal(init.status, 200);
+    uploadId = (await init.json()).uploadId;
+    assert.equal((await sendChunk(first, 'alice', uploadId, 0, Buffer.from('hello'))).status, 200);
+  } finally {
+    await first.stop({ keepFiles: true });
+  }
+
+  const second = await startServer({}, { dir: first.dir });
+  try {
+    const status = await (await second.request(`/upload/${uploadId}/status`, { as: 'alice' })).json();
+    assert.deepEqual(status.receivedChunks, [0]);
+    assert.deepEqual(status.missingChunks, [1]);
+
+    assert.equal((await sendChunk(second, 'alice', uploadId, 1, Buffer.from('world'))).status, 200);
+    const complete = await second.request('/upload/complete', { as: 'alice', json: { uploadId } });
+    assert.equal(complete.status, 200);
+    const stored = await (await fetch((await complete.json()).cdnUrl)).text();
+    assert.equal(stored, 'helloworld');
+  } finally {
+    await second.stop();
+  }
+});
+
+test('/admin/cleanup waits for the cleanup and reports what it removed', async () => {
+  const server = await startServer({ UPLOAD_SESSION_TIMEOUT_MS: '300' });
+  try {
+    const init = await server.request('/upload/init', { as: 'alice', json: { fileName: 'old.txt', fileSize: 5, totalChunks: 1 } });
+    const { uploadId } = await init.json();
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    assert.equal((await server.request('/admin/cleanup', { as: 'alice', method: 'POST' })).status, 403);
+    const cleanup = await server.request('/admin/cleanup', { as: 'admin', method: 'POST' });
+    assert.equal(cleanup.status, 200);
+    const body = await cleanup.json();
+    assert.equal(body.success, true);
+    assert.equal(body.removed.expiredSessions, 1);
+
+    assert.equal((await server.request(`/upload/${uploadId}/status`, { as: 'alice' })).status, 404);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('of several simultaneous completes, one stores the file and the others are turned away', async () => {
+  const server = await startServer();
+  try {
+    const data = Buffer.alloc(3 * 1024 * 1024, 'x');
+    const init = await server.request('/upload/init', { as: 'alice', json: { fileName: 'big.bin', fileSize: data.length, totalChunks: 1 } });
+    const { uploadId } = await init.json();
+    assert.equal((await sendChunk(server, 'alice', uploadId, 0, data)).status, 200);
+
+    const complete = () => server.request('/upload/complete', { as: 'alice', json: { uploadId } })
+      .then(async response => [response.status, (await response.json()).code]);
+    const results = await Promise.all([complete(), complete(), complete()]);
+    assert.equal(results.filter(([status]) => status === 200).length, 1);
+    for (const [status, code] of results.filter(([status]) => status !== 200)) {
+      assert.equal(status, 409);
+      assert.equal(code, 'UPLOAD_LOCKED');
+    }
+
+    // The session is gone once stored, so a late retry finds nothing to complete
+    assert.equal((await server.request('/upload/complete', { as: 'alice', json: { uploadId } })).status, 404);
+    const listing = await (await server.request('/api/files/alice', { as: 'alice' })).json();
+    assert.equal(listing.count, 1);
+  } finally {
+    await server.stop();
+  }
+});
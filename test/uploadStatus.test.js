@@ -0,0 +1,97 @@
+// test/uploadStatus.test.js - /upload/init validation and the resumable status of chunked uploads
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, sendChunk } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('/upload/init refuses sizes and counts that are not positive integers', async () => {
+  const invalid = [
+    { fileSize: 'abc', totalChunks: 1 },
+    { fileSize: 1.5, totalChunks: 1 },
+    { fileSize: 0, totalChunks: 1 },
+    { fileSize: -5, totalChunks: 1 },
+    { fileSize: 10, totalChunks: 0 },
+    { fileSize: 10, totalChunks: 2.5 },
+    { fileSize: 10, chunkSize: 'big', totalChunks: 2 }
+  ];
+  for (const fields of invalid) {
+    const response = await server.request('/upload/init', { as: 'alice', json: { fileName: 'a.txt', ...fields } });
+    assert.equal(response.status, 400, JSON.stringify(fields));
+    assert.equal((await response.json()).success, false);
+  }
+});
+
+test('/upload/init answers 500 when the session can not be saved', async () => {
+  const diskFull = await startServer({ SESSION_STORE: path.join(__dirname, 'helpers/sessionStore.js') });
+  try {
+    const init = fileName => diskFull.request('/upload/init', { as: 'alice', json: { fileName, fileSize: 5, totalChunks: 1 } });
+    const failed = await init('disk-full.txt');
+    assert.equal(failed.status, 500);
+    assert.match((await failed.json()).error, /ENOSPC/);
+    const fine = await init('fine.txt');
+    assert.equal(fine.status, 200);
+    const { uploadId } = await fine.json();
+    assert.deepEqual(fs.readdirSync(path.join(diskFull.dir, 'uploads', 'sessions')), [`${uploadId}.json`]);
+  } finally {
+    await diskFull.stop();
+  }
+});
+
+test('/upload/init holds the declared file and chunk layout to the configured limits', async () => {
+  const limited = await startServer({ MAX_FILE_SIZE: '1000000', MAX_CHUNK_SIZE: '100000', MIN_CHUNK_SIZE: '1000', MAX_CHUNKS: '50' });
+  try {
+    const init = fields => limited.request('/upload/init', { as: 'alice', json: { fileName: 'a.bin', ...fields } });
+    assert.equal((await init({ fileSize: 1000001 })).status, 413);
+    for (const fields of [
+      { fileSize: 1000000, chunkSize: 100001 },
+      { fileSize: 1000000, chunkSize: 999 },
+      { fileSize: 60000, chunkSize: 1000 },
+      { fileSize: 1000, totalChunks: 51 }
+    ]) {
+      assert.equal((await init(fields)).status, 400, JSON.stringify(fields));
+    }
+    // A file smaller than the minimum is sent as one chunk of its own size
+    assert.equal((await init({ fileSize: 10, chunkSize: 10 })).status, 200);
+    assert.equal((await init({ fileSize: 50000, chunkSize: 1000 })).status, 200);
+  } finally {
+    await limited.stop();
+  }
+});
+
+test('status lists the received and missing chunks of the uploader\'s own session', async () => {
+  const init = await server.request('/upload/init', { as: 'alice', json: { fileName: 'parts.txt', fileSize: 15, chunkSize: 5, totalChunks: 3 } });
+  assert.equal(init.status, 200);
+  const { uploadId } = await init.json();
+  assert.equal((await sendChunk(server, 'alice', uploadId, 1, Buffer.from('bbbbb'))).status, 200);
+
+  const response = await server.request(`/upload/${uploadId}/status`, { as: 'alice' });
+  assert.equal(response.status, 200);
+  const status = await response.json();
+  assert.deepEqual(status.receivedChunks, [1]);
+  assert.deepEqual(status.missingChunks, [0, 2]);
+  assert.deepEqual([status.receivedCount, status.missingCount], [1, 2]);
+  assert.deepEqual(status.receivedRanges, [[1, 1]]);
+  assert.deepEqual(status.missingRanges, [[0, 0], [2, 2]]);
+  assert.equal(status.receivedBytes, 5);
+  assert.equal(status.remainingBytes, 10);
+  assert.equal(status.complete, false);
+
+  // Another uploader cannot tell the session exists
+  assert.equal((await server.request(`/upload/${uploadId}/status`, { as: 'bob' })).status, 404);
+  assert.equal((await server.request(`/upload/${uploadId}/status`, { as: 'admin' })).status, 200);
+});
+
+test('status of an unknown session is 404', async () => {
+  assert.equal((await server.request(`/upload/${'0'.repeat(32)}/status`, { as: 'alice' })).status, 404);
+});
@@ -0,0 +1,187 @@
+// test/webhooks.test.js - Signed webhook deliveries, retries and the events uploads send
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { WebhookDispatcher, signPayload, verifySignature } = require('../modules/webhooks');
+const { startServer, uploadChunked } = require('./helpers/server');
+
+const SECRET = 'webhook-secret-0123456789';
+
+/**
+ * Local webhook receiver answering with the status `respond` gives for each request
+ * @param {Function} respond - (request number) => HTTP status
+ * @returns {Promise<Object>} - { url, requests, waitFor(count), close }
+ */
+async function startReceiver(respond = () => 200) {
+  const requests = [];
+  const waiters = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', data => { body += data; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = respond(requests.length);
+      res.end();
+      for (const waiter of waiters.filter(waiter => requests.length >= waiter.count)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve();
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    waitFor: count => requests.length >= count ? Promise.resolve() : new Promise(resolve => waiters.push({ count, resolve })),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Wait until a delivery has been attempted `attempts` times
+async function waitForAttempts(webhooks, id, attempts = 1) {
+  while (webhooks.get(id).attempts < attempts) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('signatures', () => {
+  test('verify only with the right secret, body and a recent timestamp', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = '{"event":"upload.completed"}';
+    const signature = signPayload(SECRET, timestamp, body);
+    assert.match(signature, /^sha256=[a-f0-9]{64}$/);
+    assert.equal(verifySignature(SECRET, String(timestamp), body, signature), true);
+    assert.equal(verifySignature('another-secret-0123456789', String(timestamp), body, signature), false);
+    assert.equal(verifySignature(SECRET, String(timestamp), body + ' ', signature), false);
+    assert.equal(verifySignature(SECRET, String(timestamp), body, undefined), false);
+
+    const old = timestamp - 600;
+    assert.equal(verifySignature(SECRET, String(old), body, signPayload(SECRET, old, body)), false);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  let dir;
+  let receiver;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  });
+
+  afterEach(async () => {
+    if (receiver) {
+      await receiver.close();
+      receiver = null;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function dispatcher(options = {}) {
+    return new WebhookDispatcher({
+      subscriptions: [{ url: receiver.url, events: ['upload.completed'] }],
+      secret: SECRET,
+      filePath: path.join(dir, 'webhooks.json'),
+      ...options
+    });
+  }
+
+  test('delivers subscribed events, signed, and skips the rest', async () => {
+    receiver = await startReceiver();
+    const webhooks = dispatcher();
+    assert.deepEqual(await webhooks.emit('file.deleted', { key: 'alice/a.txt' }), []);
+    const [queued] = await webhooks.emit('upload.completed', { b2Key: 'alice/a.txt' });
+    await waitForAttempts(webhooks, queued.id);
+
+    const [{ headers, body }] = receiver.requests;
+    assert.equal(headers['x-webhook-event'], 'upload.completed');
+    assert.equal(verifySignature(SECRET, headers['x-webhook-timestamp'], body, headers['x-webhook-signature']), true);
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, headers['x-webhook-id']);
+    assert.deepEqual(payload.data, { b2Key: 'alice/a.txt' });
+
+    await webhooks.close();
+    assert.equal(webhooks.get(queued.id).status, 'delivered');
+  });
+
+  test('retries failed deliveries with backoff, gives up after maxAttempts, and can redeliver', async () => {
+    receiver = await startReceiver(count => count <= 2 ? 500 : 200);
+    const webhooks = dispatcher({ maxAttempts: 2, retryDelay: 60000 });
+    const [queued] = await webhooks.emit('upload.completed', {});
+    await waitForAttempts(webhooks, queued.id);
+    await webhooks.close();
+
+    let delivery = webhooks.get(queued.id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.lastError, 'HTTP 500');
+    assert.ok(delivery.nextAttemptAt > Date.now() + 50000);
+
+    delivery = await webhooks.deliver(delivery);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attemptLog.length, 2);
+
+    delivery = await webhooks.redeliver(queued.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(await webhooks.redeliver('unknown'), null);
+    await webhooks.close();
+  });
+
+  test('pending deliveries survive a restart and are retried once due', async () => {
+    receiver = await startReceiver(count => count === 1 ? 503 : 200);
+    const first = dispatcher({ retryDelay: 1 });
+    const [queued] = await first.emit('upload.completed', {});
+    await waitForAttempts(first, queued.id);
+    await first.close();
+
+    const second = dispatcher();
+    assert.equal(second.get(queued.id).status, 'pending');
+    second.start();
+    await waitForAttempts(second, queued.id, 2);
+    await second.close();
+    assert.equal(second.get(queued.id).status, 'delivered');
+    assert.deepEqual(second.list({ status: 'delivered' }).map(delivery => delivery.id), [queued.id]);
+  });
+});
+
+describe('upload events', () => {
+  let receiver;
+  let server;
+
+  before(async () => {
+    receiver = await startReceiver();
+    server = await startServer({ WEBHOOKS: `${receiver.url}|upload.completed|file.deleted`, WEBHOOK_SECRET: SECRET });
+  });
+
+  after(async () => {
+    await server.stop();
+    await receiver.close();
+  });
+
+  test('a stored file sends upload.completed, and deleting it file.deleted', async () => {
+    const { body } = await uploadChunked(server, 'alice', 'notes.txt', 'webhook me');
+    await receiver.waitFor(1);
+    const completed = JSON.parse(receiver.requests[0].body);
+    assert.equal(completed.event, 'upload.completed');
+    assert.equal(completed.data.b2Key, body.b2Key);
+    assert.equal(completed.data.originalFileName, 'notes.txt');
+
+    const name = body.b2Key.slice('alice/'.length);
+    await server.request(`/api/files/alice/${name}`, { as: 'alice', method: 'DELETE' });
+    await receiver.waitFor(2);
+    const deleted = JSON.parse(receiver.requests[1].body);
+    assert.equal(deleted.event, 'file.deleted');
+    assert.equal(deleted.data.key, body.b2Key);
+    assert.equal(deleted.data.deletedBy, 'alice');
+  });
+
+  test('admins see the delivery history', async () => {
+    assert.equal((await server.request('/admin/webhooks', { as: 'alice' })).status, 403);
+    const history = await (await server.request('/admin/webhooks', { as: 'admin' })).json();
+    assert.deepEqual(history.deliveries.map(delivery => delivery.event).sort(), ['file.deleted', 'upload.completed']);
+  });
+});